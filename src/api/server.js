@@ -0,0 +1,483 @@
+// Local REST API for managing reminders without going through a chat
+const http = require('http');
+const crypto = require('crypto');
+const { IANAZone } = require('luxon');
+const {
+  saveReminder,
+  getReminder,
+  getReminders,
+  updateReminder,
+  deleteReminder,
+  clearPendingAck,
+  saveUserTimezone,
+  getUserTimezone,
+  getChatChannels,
+  getApiTokenChatId,
+  getDeadLetters,
+  removeDeadLetter,
+  replayDeadLetter
+} = require('../services/redis');
+const { CHANNELS, resolveChannels } = require('../services/notifiers');
+const { analyzeReminder } = require('../services/reminderParser');
+const { mergeTags } = require('../services/tags');
+const { rescheduleDigests } = require('../services/digest');
+const { describeSchedule } = require('../services/recurrence');
+const { SCHEDULE_SCHEMA, ACKNOWLEDGEMENT_SCHEMA, validate, formatErrors } = require('../services/schemas');
+const { getAcknowledgementPolicy, prepareSchedule } = require('../handlers/messageHandler');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Largest request body we accept
+const MAX_BODY_SIZE = 64 * 1024; // 64 KB
+
+// Creates an error that is sent to the client with the given status
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Reads and parses a JSON request body
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        // Stop buffering but keep draining, so the 413 still reaches the client
+        req.removeListener('data', onData);
+        req.resume();
+        reject(httpError(413, 'Request body is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+
+    req.on('end', () => {
+      if (size > MAX_BODY_SIZE) {
+        return;
+      }
+
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        return resolve({});
+      }
+
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          return reject(httpError(400, 'Request body must be a JSON object'));
+        }
+        resolve(body);
+      } catch (error) {
+        reject(httpError(400, 'Request body is not valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status);
+    return res.end();
+  }
+
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+// Resolves the bearer token of a request to its chat
+async function authenticate(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    throw httpError(401, 'Missing API token. Send it as "Authorization: Bearer <token>"; get one with /apitoken');
+  }
+
+  const chatId = await getApiTokenChatId(match[1]);
+  if (!chatId) {
+    throw httpError(401, 'Invalid API token');
+  }
+
+  return chatId;
+}
+
+// Checks the operator token of a request; operator endpoints don't exist without one configured
+function authenticateOperator(req) {
+  if (!config.API_OPERATOR_TOKEN) {
+    throw httpError(404, 'Not found');
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  if (!match || !crypto.timingSafeEqual(hash(match[1]), hash(config.API_OPERATOR_TOKEN))) {
+    throw httpError(401, 'Invalid operator token');
+  }
+}
+
+function validateTimezone(timezone) {
+  if (typeof timezone !== 'string' || !IANAZone.isValidZone(timezone)) {
+    throw httpError(400, `Unknown timezone "${timezone}". Use an IANA name such as Europe/Warsaw`);
+  }
+}
+
+// Checks a schedule supplied by the client against the schema LLM output is held to
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    throw httpError(400, 'schedule is required');
+  }
+
+  const errors = validate(SCHEDULE_SCHEMA, schedule, 'schedule');
+  if (errors.length) {
+    throw httpError(400, formatErrors(errors).join('; '));
+  }
+}
+
+// Checks an acknowledgement policy supplied by the client; null turns nagging off
+function validateAcknowledgement(acknowledgement) {
+  const errors = validate(ACKNOWLEDGEMENT_SCHEMA, acknowledgement, 'acknowledgement');
+  if (errors.length) {
+    throw httpError(400, formatErrors(errors).join('; '));
+  }
+}
+
+// Checks requested delivery channels against the ones linked to the chat
+async function getChannels(chatId, channels) {
+  if (!Array.isArray(channels) || !channels.length || !channels.every(channel => CHANNELS.includes(channel))) {
+    throw httpError(400, `channels must be a list of: ${CHANNELS.join(', ')}`);
+  }
+
+  const resolved = resolveChannels(channels, await getChatChannels(chatId));
+  if (resolved.unavailable.length) {
+    throw httpError(400, `Channel(s) not linked to this chat: ${resolved.unavailable.join(', ')}. Link them with /channels`);
+  }
+
+  return resolved.channels;
+}
+
+// Checks client-supplied tags; "#work" and "Work" both become "work"
+function getTags(tags) {
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    throw httpError(400, 'tags must be a list of strings');
+  }
+  return mergeTags(tags);
+}
+
+// Turns a natural-language text or a structured body into a reminder analysis
+async function getAnalysis(chatId, body, timezone) {
+  if (body.text !== undefined) {
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      throw httpError(400, 'text must be a non-empty string');
+    }
+
+    const analysis = await analyzeReminder(body.text.trim(), chatId, timezone);
+    if (analysis && analysis.needsClarification) {
+      throw httpError(422, `The reminder text is missing details: ${formatErrors(analysis.errors).join('; ')}`);
+    }
+    if (!analysis || !analysis.isReminder) {
+      throw httpError(422, "Couldn't understand the reminder text");
+    }
+    return analysis;
+  }
+
+  if (typeof body.message !== 'string' || !body.message.trim()) {
+    throw httpError(400, 'Either text or message and schedule are required');
+  }
+  validateSchedule(body.schedule);
+  if (body.acknowledgement !== undefined) {
+    validateAcknowledgement(body.acknowledgement);
+  }
+
+  return {
+    message: body.message.trim(),
+    schedule: body.schedule,
+    acknowledgement: body.acknowledgement
+  };
+}
+
+// Formats a stored reminder for responses
+function toResource(id, reminder) {
+  return { id, ...reminder, description: describeSchedule(reminder.schedule) };
+}
+
+async function findReminder(chatId, reminderId) {
+  const reminder = await getReminder(chatId, reminderId);
+  if (!reminder) {
+    throw httpError(404, `Reminder ${reminderId} not found`);
+  }
+  return reminder;
+}
+
+async function listReminders(chatId) {
+  const reminders = await getReminders(chatId);
+
+  return {
+    reminders: Object.entries(reminders)
+        .map(([id, reminder]) => toResource(id, reminder))
+        .sort((a, b) => new Date(a.nextRun) - new Date(b.nextRun))
+  };
+}
+
+async function createReminder(chatId, { body }) {
+  const timezone = body.timezone || await getUserTimezone(chatId);
+  validateTimezone(timezone);
+
+  const analysis = await getAnalysis(chatId, body, timezone);
+  const { schedule, nextRun } = await prepareSchedule(analysis.schedule, timezone);
+  if (!nextRun) {
+    throw httpError(422, 'The reminder time is in the past');
+  }
+
+  const reminder = {
+    message: analysis.message,
+    schedule,
+    nextRun: nextRun.toISOString(),
+    createdAt: new Date().toISOString(),
+    timezone,
+    acknowledgement: getAcknowledgementPolicy(analysis)
+  };
+
+  if (analysis.source) {
+    reminder.parseSource = analysis.source;
+  }
+
+  // Explicit channels win over the ones named in the text
+  const channels = body.channels || analysis.channels;
+  if (channels) {
+    reminder.channels = await getChannels(chatId, channels);
+  }
+
+  // Explicit tags are added to the #hashtags of the text
+  const tags = mergeTags(body.tags !== undefined ? getTags(body.tags) : [], analysis.tags);
+  if (tags.length) {
+    reminder.tags = tags;
+  }
+
+  const reminderId = await saveReminder(chatId, reminder);
+  logger.info(`Created reminder ${reminderId} for chat ${chatId} via API`);
+
+  return { status: 201, body: toResource(reminderId, reminder) };
+}
+
+async function showReminder(chatId, { params }) {
+  return toResource(params.id, await findReminder(chatId, params.id));
+}
+
+async function changeReminder(chatId, { params, body }) {
+  const reminder = await findReminder(chatId, params.id);
+  const updated = { ...reminder, updatedAt: new Date().toISOString() };
+
+  if (body.message !== undefined) {
+    if (typeof body.message !== 'string' || !body.message.trim()) {
+      throw httpError(400, 'message must be a non-empty string');
+    }
+    updated.message = body.message.trim();
+  }
+
+  if (body.acknowledgement !== undefined) {
+    validateAcknowledgement(body.acknowledgement);
+    updated.acknowledgement = getAcknowledgementPolicy(body);
+  }
+
+  if (body.channels !== undefined) {
+    updated.channels = await getChannels(chatId, body.channels);
+  }
+
+  if (body.tags !== undefined) {
+    updated.tags = getTags(body.tags);
+    if (!updated.tags.length) {
+      delete updated.tags;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    validateTimezone(body.timezone);
+    updated.timezone = body.timezone;
+  }
+
+  // A new schedule or timezone moves the next run
+  if (body.schedule !== undefined || body.timezone !== undefined) {
+    if (body.schedule !== undefined) {
+      validateSchedule(body.schedule);
+    }
+
+    const timezone = updated.timezone || await getUserTimezone(chatId);
+    const { schedule, nextRun } = await prepareSchedule(body.schedule || reminder.schedule, timezone);
+    if (!nextRun) {
+      throw httpError(422, 'The reminder time is in the past');
+    }
+
+    updated.schedule = schedule;
+    updated.nextRun = nextRun.toISOString();
+  }
+
+  await updateReminder(chatId, params.id, updated);
+  return toResource(params.id, updated);
+}
+
+async function removeReminder(chatId, { params }) {
+  await findReminder(chatId, params.id);
+  await deleteReminder(chatId, params.id);
+  await clearPendingAck(chatId, params.id);
+  return { status: 204 };
+}
+
+async function showTimezone(chatId) {
+  return { timezone: await getUserTimezone(chatId) };
+}
+
+async function changeTimezone(chatId, { body }) {
+  validateTimezone(body.timezone);
+
+  const saved = await saveUserTimezone(chatId, body.timezone);
+  if (!saved) {
+    throw new Error('Failed to save timezone');
+  }
+  await rescheduleDigests(chatId);
+
+  return { timezone: body.timezone };
+}
+
+// Parses a natural-language reminder without saving it
+async function parseReminder(chatId, { body }) {
+  if (typeof body.text !== 'string' || !body.text.trim()) {
+    throw httpError(400, 'text is required');
+  }
+
+  const timezone = body.timezone || await getUserTimezone(chatId);
+  validateTimezone(timezone);
+
+  const analysis = await analyzeReminder(body.text.trim(), chatId, timezone);
+  if (!analysis || !analysis.isReminder) {
+    return { analysis, nextRun: null };
+  }
+
+  const { schedule, nextRun } = await prepareSchedule(analysis.schedule, timezone);
+
+  return {
+    analysis,
+    schedule,
+    description: describeSchedule(schedule),
+    timezone,
+    nextRun: nextRun ? nextRun.toISOString() : null
+  };
+}
+
+async function listDeadLetters() {
+  return { deadLetters: await getDeadLetters() };
+}
+
+async function replayDeadLetteredReminder(_, { params }) {
+  const result = await replayDeadLetter(params.chatId, params.id);
+
+  switch (result) {
+    case 'not_found':
+      throw httpError(404, `No dead letter for reminder ${params.id} in chat ${params.chatId}`);
+    case 'gone':
+      throw httpError(410, `Reminder ${params.id} was deleted; its dead letter was discarded`);
+    case 'paused':
+      throw httpError(409, `Reminder ${params.id} is paused; resume it before replaying`);
+    default:
+      return { replayed: true };
+  }
+}
+
+async function discardDeadLetter(_, { params }) {
+  if (!await removeDeadLetter(params.chatId, params.id)) {
+    throw httpError(404, `No dead letter for reminder ${params.id} in chat ${params.chatId}`);
+  }
+  return { status: 204 };
+}
+
+// Operator routes span all chats and use API_OPERATOR_TOKEN instead of a chat token
+const routes = [
+  { method: 'GET', path: /^\/api\/reminders$/, handler: listReminders },
+  { method: 'POST', path: /^\/api\/reminders$/, handler: createReminder },
+  { method: 'GET', path: /^\/api\/reminders\/(?<id>\d+)$/, handler: showReminder },
+  { method: 'PATCH', path: /^\/api\/reminders\/(?<id>\d+)$/, handler: changeReminder },
+  { method: 'DELETE', path: /^\/api\/reminders\/(?<id>\d+)$/, handler: removeReminder },
+  { method: 'GET', path: /^\/api\/timezone$/, handler: showTimezone },
+  { method: 'PUT', path: /^\/api\/timezone$/, handler: changeTimezone },
+  { method: 'POST', path: /^\/api\/parse$/, handler: parseReminder },
+  { method: 'GET', path: /^\/api\/dead-letters$/, handler: listDeadLetters, operator: true },
+  {
+    method: 'POST',
+    path: /^\/api\/dead-letters\/(?<chatId>-?\d+)\/(?<id>\d+)\/replay$/,
+    handler: replayDeadLetteredReminder,
+    operator: true
+  },
+  {
+    method: 'DELETE',
+    path: /^\/api\/dead-letters\/(?<chatId>-?\d+)\/(?<id>\d+)$/,
+    handler: discardDeadLetter,
+    operator: true
+  }
+];
+
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  try {
+    const matching = routes.filter(route => route.path.test(pathname));
+    if (!matching.length) {
+      throw httpError(404, 'Not found');
+    }
+
+    const route = matching.find(route => route.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matching.map(route => route.method).join(', '));
+      throw httpError(405, 'Method not allowed');
+    }
+
+    const chatId = route.operator ? authenticateOperator(req) : await authenticate(req);
+    const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJson(req) : {};
+    const params = pathname.match(route.path).groups || {};
+
+    const result = await route.handler(chatId, { params, body });
+
+    // Handlers return either a body or { status, body }
+    if (result && result.status) {
+      sendJson(res, result.status, result.body);
+    } else {
+      sendJson(res, 200, result);
+    }
+  } catch (error) {
+    if (error.status) {
+      // The rest of a body that was too large is not worth reading
+      if (error.status === 413) {
+        res.setHeader('Connection', 'close');
+      }
+      return sendJson(res, error.status, { error: error.message });
+    }
+    if (error.budgetExceeded) {
+      return sendJson(res, 429, { error: `The ${error.budgetExceeded === 'chat' ? "chat's" : "bot's"} daily LLM budget is used up` });
+    }
+
+    logger.error(`API error on ${req.method} ${pathname}:`, error);
+    sendJson(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Starts the REST API server
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function startApiServer() {
+  const server = http.createServer(handleRequest);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.API_PORT, config.API_HOST, () => {
+      logger.info(`API listening on http://${config.API_HOST}:${config.API_PORT}`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  startApiServer
+};
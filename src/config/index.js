@@ -5,19 +5,109 @@ module.exports = {
   // Telegram Bot
   TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
 
-  // OpenAI
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  // LLM provider: OpenAI by default, or any OpenAI-compatible server via LLM_BASE_URL
+  // (e.g. http://localhost:11434/v1 for Ollama). OPENAI_* are kept as defaults.
+  LLM_BASE_URL: process.env.LLM_BASE_URL,
+  LLM_API_KEY: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+  LLM_TIMEOUT: parseInt(process.env.LLM_TIMEOUT) || 10000, // 10 seconds
+  LLM_MAX_RETRIES: parseInt(process.env.LLM_MAX_RETRIES) >= 0 ? parseInt(process.env.LLM_MAX_RETRIES) : 1,
+  // Times invalid JSON from the model is sent back to it for correction
+  LLM_REPAIR_ATTEMPTS: parseInt(process.env.LLM_REPAIR_ATTEMPTS) >= 0 ? parseInt(process.env.LLM_REPAIR_ATTEMPTS) : 1,
+
+  // Model per task
+  LLM_PARSE_MODEL: process.env.LLM_PARSE_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  LLM_TIMEZONE_MODEL: process.env.LLM_TIMEZONE_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  LLM_TRANSCRIPTION_MODEL: process.env.LLM_TRANSCRIPTION_MODEL || 'whisper-1',
+
+  // Secondary provider used when the primary one fails; enabled by setting its URL or key
+  LLM_FALLBACK_BASE_URL: process.env.LLM_FALLBACK_BASE_URL,
+  LLM_FALLBACK_API_KEY: process.env.LLM_FALLBACK_API_KEY,
+  LLM_FALLBACK_TIMEOUT: parseInt(process.env.LLM_FALLBACK_TIMEOUT) || 20000, // 20 seconds
+  LLM_FALLBACK_PARSE_MODEL: process.env.LLM_FALLBACK_PARSE_MODEL || process.env.LLM_PARSE_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  LLM_FALLBACK_TIMEZONE_MODEL: process.env.LLM_FALLBACK_TIMEZONE_MODEL || process.env.LLM_TIMEZONE_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  LLM_FALLBACK_TRANSCRIPTION_MODEL: process.env.LLM_FALLBACK_TRANSCRIPTION_MODEL || process.env.LLM_TRANSCRIPTION_MODEL || 'whisper-1',
+
+  // Daily LLM token budgets, reset at midnight UTC; 0 turns a budget off
+  LLM_CHAT_DAILY_TOKENS: parseInt(process.env.LLM_CHAT_DAILY_TOKENS) >= 0 ? parseInt(process.env.LLM_CHAT_DAILY_TOKENS) : 50000,
+  LLM_GLOBAL_DAILY_TOKENS: parseInt(process.env.LLM_GLOBAL_DAILY_TOKENS) >= 0 ? parseInt(process.env.LLM_GLOBAL_DAILY_TOKENS) : 2000000,
+  USAGE_RETENTION_DAYS: parseInt(process.env.USAGE_RETENTION_DAYS) || 7, // days of usage shown by /usage
+
+  // Commands and replies to the bot a chat may send per sliding window; 0 turns the limit off
+  RATE_LIMIT_COMMANDS: parseInt(process.env.RATE_LIMIT_COMMANDS) >= 0 ? parseInt(process.env.RATE_LIMIT_COMMANDS) : 20,
+  RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000, // 1 minute
 
   // Redis
   REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
 
   // Scheduler settings
-  SCHEDULER_CHECK_INTERVAL: parseInt(process.env.SCHEDULER_CHECK_INTERVAL) || 60000, // 1 minute
+  SCHEDULER_CHECK_INTERVAL: parseInt(process.env.SCHEDULER_CHECK_INTERVAL) || 60000, // 1 minute, safety net only
+  SCHEDULER_LEASE_DURATION: parseInt(process.env.SCHEDULER_LEASE_DURATION) || 300000, // 5 minutes
+  SCHEDULER_BATCH_SIZE: parseInt(process.env.SCHEDULER_BATCH_SIZE) || 100,
+
+  // Reminders missed while the bot was down: "once" fires them once with a note,
+  // "all" fires every missed occurrence, "skip" drops those older than the threshold
+  MISSED_RUN_POLICY: process.env.MISSED_RUN_POLICY || 'once',
+  MISSED_RUN_THRESHOLD: parseInt(process.env.MISSED_RUN_THRESHOLD) || 1440, // minutes
+  MISSED_RUN_GRACE: parseInt(process.env.MISSED_RUN_GRACE) || 10, // minutes late before a run counts as missed
+  MISSED_RUN_MAX_CATCH_UP: parseInt(process.env.MISSED_RUN_MAX_CATCH_UP) || 10, // occurrences sent by "all"
+
+  // Failed deliveries: rate limits and network errors are retried with backoff,
+  // then the reminder goes to the dead-letter set
+  DELIVERY_MAX_ATTEMPTS: parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 5,
+  DELIVERY_RETRY_BASE_DELAY: parseInt(process.env.DELIVERY_RETRY_BASE_DELAY) || 30000, // doubles per attempt
+  DELIVERY_RETRY_MAX_DELAY: parseInt(process.env.DELIVERY_RETRY_MAX_DELAY) || 900000, // 15 minutes
+
+  // Only one instance may poll Telegram for updates; replicas run the scheduler only
+  BOT_POLLING_ENABLED: process.env.BOT_POLLING_ENABLED !== 'false',
+
+  // Local REST API, authenticated with per-chat tokens issued by /apitoken
+  API_ENABLED: process.env.API_ENABLED === 'true',
+  API_HOST: process.env.API_HOST || '127.0.0.1',
+  API_PORT: parseInt(process.env.API_PORT) || 3000,
+  API_OPERATOR_TOKEN: process.env.API_OPERATOR_TOKEN, // dead-letter endpoints, off when unset
+
+  // Email delivery channel (SMTP)
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true', // TLS from the start, usually port 465
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASS: process.env.SMTP_PASS,
+  SMTP_FROM: process.env.SMTP_FROM || 'Reminder Bot <reminders@localhost>',
+  EMAIL_VERIFICATION_TTL: parseInt(process.env.EMAIL_VERIFICATION_TTL) || 900, // 15 minutes, in seconds
+
+  // Outgoing webhooks
+  WEBHOOK_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000, // 10 seconds
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  WEBHOOK_RETRY_BASE_DELAY: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 30000, // doubles per attempt
+  WEBHOOK_RETRY_MAX_DELAY: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 3600000, // 1 hour
+  WEBHOOK_DISPATCH_INTERVAL: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL) || 5000, // 5 seconds
+  WEBHOOK_LOG_SIZE: parseInt(process.env.WEBHOOK_LOG_SIZE) || 50, // entries kept per chat
+  WEBHOOKS_PER_CHAT: parseInt(process.env.WEBHOOKS_PER_CHAT) || 10,
+
+  // Delivery history shown by /history
+  HISTORY_MAX_ENTRIES: parseInt(process.env.HISTORY_MAX_ENTRIES) || 500, // entries kept per chat
+  HISTORY_RETENTION_DAYS: parseInt(process.env.HISTORY_RETENTION_DAYS) || 30,
+  HISTORY_PAGE_SIZE: parseInt(process.env.HISTORY_PAGE_SIZE) || 15,
+
+  // Reminders due in a chat's quiet hours or /dnd period: "defer" sends them when it ends,
+  // "silent" sends them without a notification sound. Chats and reminders can override it.
+  QUIET_HOURS_MODE: process.env.QUIET_HOURS_MODE || 'defer',
+
+  // Snooze settings
+  SNOOZE_MORNING_TIME: process.env.SNOOZE_MORNING_TIME || '09:00',
+  DELIVERED_REMINDER_TTL: parseInt(process.env.DELIVERED_REMINDER_TTL) || 172800, // 2 days, in seconds
+
+  // Nag mode defaults for reminders that repeat until acknowledged
+  NAG_DEFAULT_INTERVAL: parseInt(process.env.NAG_DEFAULT_INTERVAL) || 5, // minutes
+  NAG_DEFAULT_MAX_REPEATS: parseInt(process.env.NAG_DEFAULT_MAX_REPEATS) || 10,
+  NAG_MAX_REPEATS: parseInt(process.env.NAG_MAX_REPEATS) || 100, // most repeats a reminder may ask for
 
   // Timezone
   DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || 'UTC',
 
+  // Language used when a chat has neither chosen one with /language nor given a hint (en, ru, pl)
+  DEFAULT_LANGUAGE: process.env.DEFAULT_LANGUAGE || 'en',
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info'
 };
@@ -0,0 +1,48 @@
+// src/handlers/agendaHandler.js
+const { DateTime } = require('luxon');
+const { getReminders, getUserTimezone } = require('../services/redis');
+const { analyzePeriod } = require('../services/reminderParser');
+const { getAgenda, formatAgenda } = require('../services/agenda');
+const { formatShortDateTime } = require('../services/i18n');
+const logger = require('../utils/logger');
+
+/**
+ * Handles /agenda command: /agenda, /agenda tomorrow, /agenda anything on Friday afternoon?
+ */
+const agendaCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  // Remove "/agenda" and a bot mention, e.g. "/agenda@reminder_bot"
+  const question = ctx.message.text.replace(/^\/agenda(?:@\w+)?/i, '').trim();
+
+  try {
+    const timezone = await getUserTimezone(chatId);
+    const period = await analyzePeriod(question, chatId, timezone);
+
+    if (!period) {
+      return ctx.reply(ctx.t('agenda.notUnderstood'));
+    }
+
+    const agenda = getAgenda(await getReminders(chatId), period.start, period.end);
+    const range = ctx.t('agenda.period', {
+      from: formatShortDateTime(DateTime.fromJSDate(period.start).setZone(timezone), ctx.language),
+      to: formatShortDateTime(DateTime.fromJSDate(period.end).setZone(timezone), ctx.language),
+      timezone
+    });
+
+    if (!agenda.items.length) {
+      return ctx.reply(ctx.t('agenda.empty', { period: range }));
+    }
+
+    return ctx.reply(`${ctx.t('agenda.header', { period: range })}\n\n${formatAgenda(agenda, timezone, ctx.language)}`);
+  } catch (error) {
+    if (error.budgetExceeded) {
+      return ctx.reply(ctx.t(`usage.${error.budgetExceeded}BudgetExceeded`));
+    }
+    logger.error(`Error handling /agenda for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('agenda.failed'));
+  }
+};
+
+module.exports = {
+  agendaCommandHandler
+};
@@ -0,0 +1,152 @@
+// src/handlers/calendarHandler.js
+const axios = require('axios');
+const { redisClient, saveReminder, getUserTimezone } = require('../services/redis');
+const { exportReminders, parseCalendar, eventToReminder } = require('../services/ical');
+const { describeSchedule } = require('../services/recurrence');
+const { formatDateTime } = require('../services/i18n');
+const { DateTime } = require('luxon');
+const logger = require('../utils/logger');
+
+// Largest calendar file we are willing to import
+const MAX_CALENDAR_SIZE = 1024 * 1024; // 1 MB
+
+// Telegram messages are limited to 4096 characters
+const MAX_REPORT_LENGTH = 3500;
+
+/**
+ * Handles /export command
+ */
+const exportCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+
+  try {
+    const stored = await redisClient.hGetAll(`reminders:${chatId}`);
+
+    if (!stored || Object.keys(stored).length === 0) {
+      return ctx.reply(ctx.t('calendar.exportEmpty'));
+    }
+
+    const chatTimezone = await getUserTimezone(chatId);
+    const reminders = Object.entries(stored).map(([id, reminderJson]) => {
+      const reminder = JSON.parse(reminderJson);
+      return { id, reminder: { ...reminder, timezone: reminder.timezone || chatTimezone } };
+    });
+
+    const calendar = exportReminders(chatId, reminders);
+
+    await ctx.replyWithDocument(
+        { source: Buffer.from(calendar, 'utf8'), filename: 'reminders.ics' },
+        { caption: ctx.t('calendar.exportCaption', { count: reminders.length }) }
+    );
+    logger.info(`Exported ${reminders.length} reminders for chat ${chatId}`);
+  } catch (error) {
+    logger.error('Error handling /export command:', error);
+    ctx.reply(ctx.t('calendar.exportFailed'));
+  }
+};
+
+// Checks whether an uploaded document looks like an iCalendar file
+function isCalendarDocument(document) {
+  return document.mime_type === 'text/calendar' ||
+    /\.ics$/i.test(document.file_name || '');
+}
+
+/**
+ * Handles uploaded .ics files by importing their events as reminders
+ */
+const calendarUploadHandler = async (ctx, next) => {
+  const document = ctx.message.document;
+  if (!isCalendarDocument(document)) {
+    return next();
+  }
+
+  const chatId = ctx.chat.id.toString();
+
+  if (document.file_size > MAX_CALENDAR_SIZE) {
+    return ctx.reply(ctx.t('calendar.tooLarge'));
+  }
+
+  try {
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const { data } = await axios.get(fileLink.href, { responseType: 'text' });
+
+    const events = parseCalendar(data);
+    if (!events.length) {
+      return ctx.reply(ctx.t('calendar.noEvents'));
+    }
+
+    const chatTimezone = await getUserTimezone(chatId);
+
+    // Skip events that are already reminders in this chat, e.g. re-imported exports
+    const existing = await redisClient.hGetAll(`reminders:${chatId}`);
+    const knownUids = new Set(Object.entries(existing).flatMap(([id, reminderJson]) => [
+      `${id}-${chatId}@notification-service`,
+      JSON.parse(reminderJson).icalUid
+    ]));
+
+    const lines = [];
+    let imported = 0;
+
+    for (const event of events) {
+      const title = event.SUMMARY ? event.SUMMARY.value : ctx.t('calendar.untitled');
+
+      // A changed occurrence shares the UID of its series, which already reminds at that time
+      if (event['RECURRENCE-ID']) {
+        lines.push(ctx.t('calendar.skipped', { title, reason: ctx.t('calendar.warning.ignored', { name: 'RECURRENCE-ID' }) }));
+        continue;
+      }
+
+      if (event.UID && knownUids.has(event.UID.value)) {
+        lines.push(ctx.t('calendar.alreadyImported', { title }));
+        continue;
+      }
+
+      const { reminder, warnings, error } = eventToReminder(event, chatTimezone);
+      if (error) {
+        lines.push(ctx.t('calendar.notImported', { title, error: ctx.t(error.key, error.params) }));
+        continue;
+      }
+
+      let reminderId;
+      try {
+        reminderId = await saveReminder(chatId, reminder);
+      } catch (saveError) {
+        lines.push(ctx.t('calendar.notImported', { title: reminder.message, error: ctx.t('calendar.error.notSaved') }));
+        continue;
+      }
+      imported++;
+
+      // The same UID later in the file is a duplicate too
+      if (reminder.icalUid) {
+        knownUids.add(reminder.icalUid);
+      }
+
+      const nextRun = DateTime.fromISO(reminder.nextRun).setZone(reminder.timezone);
+      const when = reminder.schedule.frequency === 'once'
+        ? `${formatDateTime(nextRun, ctx.language)} ${reminder.timezone}`
+        : `${describeSchedule(reminder.schedule, ctx.language)} ${reminder.timezone}`;
+
+      lines.push(ctx.t('calendar.imported', { message: reminder.message, when, id: reminderId }));
+      for (const warning of warnings) {
+        lines.push(`   ⚠️ ${ctx.t(warning.key, warning.params)}`);
+      }
+    }
+
+    // Stay within Telegram's message size limit
+    let report = lines.join('\n');
+    if (report.length > MAX_REPORT_LENGTH) {
+      report = `${report.substring(0, report.lastIndexOf('\n', MAX_REPORT_LENGTH))}\n…`;
+    }
+
+    await ctx.reply(ctx.t('calendar.report', { imported, count: events.length, report }));
+    logger.info(`Imported ${imported} of ${events.length} calendar events for chat ${chatId}`);
+  } catch (error) {
+    logger.error('Error importing calendar file:', error);
+    ctx.reply(ctx.t('calendar.importFailed'));
+  }
+};
+
+module.exports = {
+  exportCommandHandler,
+  calendarUploadHandler
+};
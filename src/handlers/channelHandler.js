@@ -0,0 +1,189 @@
+// src/handlers/channelHandler.js
+const crypto = require('crypto');
+const {
+  getReminder,
+  updateReminder,
+  saveChatChannel,
+  getChatChannels,
+  deleteChatChannel,
+  saveEmailVerification,
+  getEmailVerification,
+  clearEmailVerification
+} = require('../services/redis');
+const { CHANNELS, getReminderChannels } = require('../services/notifiers');
+const { sendEmail } = require('../services/notifiers/email');
+const { canManageChat } = require('../utils/permissions');
+const { isPublicUrl } = require('../utils/network');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Wrong codes allowed before a verification has to be restarted
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Describes the channels linked to a chat
+function formatLinkedChannels(channels, translate) {
+  const lines = [translate('channels.telegram')];
+  if (channels.email) {
+    lines.push(translate('channels.email', { address: channels.email.address }));
+  }
+  if (channels.http) {
+    lines.push(translate('channels.http', { url: channels.http.url }));
+  }
+  return lines.join('\n');
+}
+
+async function startEmailVerification(ctx, chatId, address) {
+  if (!address || !EMAIL_PATTERN.test(address)) {
+    return ctx.reply(ctx.t('channels.invalidEmail'));
+  }
+
+  if (!config.SMTP_HOST) {
+    return ctx.reply(ctx.t('channels.emailNotConfigured'));
+  }
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+  await sendEmail(
+      address,
+      ctx.t('channels.verificationSubject'),
+      ctx.t('channels.verificationBody', { code, minutes: Math.round(config.EMAIL_VERIFICATION_TTL / 60) })
+  );
+  await saveEmailVerification(chatId, { address, code, attempts: 0 }, config.EMAIL_VERIFICATION_TTL);
+
+  logger.info(`Sent email verification code for chat ${chatId}`);
+  await ctx.reply(ctx.t('channels.codeSent', { address }));
+}
+
+async function verifyEmail(ctx, chatId, code) {
+  const verification = await getEmailVerification(chatId);
+  if (!verification) {
+    return ctx.reply(ctx.t('channels.noVerification'));
+  }
+
+  if (code !== verification.code) {
+    const attempts = verification.attempts + 1;
+    if (attempts >= MAX_VERIFICATION_ATTEMPTS) {
+      await clearEmailVerification(chatId);
+      return ctx.reply(ctx.t('channels.tooManyAttempts'));
+    }
+
+    await saveEmailVerification(chatId, { ...verification, attempts }, config.EMAIL_VERIFICATION_TTL);
+    return ctx.reply(ctx.t('channels.wrongCode'));
+  }
+
+  await saveChatChannel(chatId, 'email', {
+    address: verification.address,
+    verifiedAt: new Date().toISOString()
+  });
+  await clearEmailVerification(chatId);
+
+  await ctx.reply(ctx.t('channels.emailLinked', { address: verification.address }));
+}
+
+async function linkHttpEndpoint(ctx, chatId, url) {
+  // Same rule as webhooks: reminders must not be posted into the bot's own network
+  if (!url || !await isPublicUrl(url)) {
+    return ctx.reply(ctx.t('channels.invalidUrl'));
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const secretMessage = ctx.t('channels.httpLinked', { url, secret });
+
+  if (ctx.chat.type === 'private') {
+    await saveChatChannel(chatId, 'http', { url, secret, linkedAt: new Date().toISOString() });
+    return ctx.reply(secretMessage);
+  }
+
+  // Anyone in a group could forge requests with the secret, so only the admin gets it,
+  // and the endpoint is linked only once they have
+  try {
+    await ctx.telegram.sendMessage(ctx.from.id, secretMessage);
+  } catch (error) {
+    logger.warn(`Could not send the HTTP channel secret of chat ${chatId} privately:`, error);
+    return ctx.reply(ctx.t('channels.secretNotSent'));
+  }
+
+  await saveChatChannel(chatId, 'http', { url, secret, linkedAt: new Date().toISOString() });
+  await ctx.reply(ctx.t('channels.httpLinkedPrivately', { url }));
+}
+
+async function setReminderChannels(ctx, chatId, reminderId, channels) {
+  const reminder = await getReminder(chatId, reminderId);
+  if (!reminder) {
+    return ctx.reply(ctx.t('common.reminderNotFound', { id: reminderId }));
+  }
+
+  if (!channels.length) {
+    return ctx.reply(ctx.t('channels.current', { id: reminderId, channels: getReminderChannels(reminder).join(', ') }));
+  }
+
+  const unknown = channels.filter(channel => !CHANNELS.includes(channel));
+  if (unknown.length) {
+    return ctx.reply(ctx.t('channels.unknown', { channels: unknown.join(', '), available: CHANNELS.join(', ') }));
+  }
+
+  const linked = await getChatChannels(chatId);
+  const unlinked = channels.filter(channel => channel !== 'telegram' && !linked[channel]);
+  if (unlinked.length) {
+    return ctx.reply(ctx.t('channels.linkFirst', { channels: unlinked.join(', ') }));
+  }
+
+  const uniqueChannels = [...new Set(channels)];
+  await updateReminder(chatId, reminderId, { ...reminder, channels: uniqueChannels });
+  await ctx.reply(ctx.t('channels.set', { id: reminderId, channels: uniqueChannels.join(', ') }));
+}
+
+/**
+ * Handles /channels command
+ */
+const channelsCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const [action, ...args] = ctx.message.text.trim().split(/\s+/).slice(1);
+
+  try {
+    if (!action) {
+      const channels = await getChatChannels(chatId);
+      return ctx.reply(ctx.t('channels.linked', {
+        channels: formatLinkedChannels(channels, ctx.t),
+        usage: ctx.t('channels.usage')
+      }));
+    }
+
+    // Choosing channels for a reminder: /channels <id> telegram email
+    if (/^\d+$/.test(action)) {
+      return await setReminderChannels(ctx, chatId, action, args.map(arg => arg.toLowerCase()));
+    }
+
+    // Linked channels receive every reminder that targets them, so only admins may change them in groups
+    if (!await canManageChat(ctx)) {
+      return ctx.reply(ctx.t('channels.adminOnly'));
+    }
+
+    switch (action) {
+      case 'email':
+        return await startEmailVerification(ctx, chatId, args[0]);
+      case 'verify':
+        return await verifyEmail(ctx, chatId, args[0]);
+      case 'http':
+        return await linkHttpEndpoint(ctx, chatId, args[0]);
+      case 'remove': {
+        const channel = args[0];
+        if (!['email', 'http'].includes(channel)) {
+          return ctx.reply(ctx.t('channels.removeUsage'));
+        }
+        const removed = await deleteChatChannel(chatId, channel);
+        return ctx.reply(ctx.t(removed ? 'channels.unlinked' : 'channels.notLinked', { channel }));
+      }
+      default:
+        return ctx.reply(ctx.t('channels.usage'));
+    }
+  } catch (error) {
+    logger.error(`Error handling /channels for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('channels.failed'));
+  }
+};
+
+module.exports = {
+  channelsCommandHandler
+};
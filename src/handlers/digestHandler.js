@@ -0,0 +1,128 @@
+// src/handlers/digestHandler.js
+const { DateTime } = require('luxon');
+const { getUserTimezone, saveDigestSettings, getDigestSettings } = require('../services/redis');
+const { getNextDigestTime, rescheduleDigests } = require('../services/digest');
+const { formatShortDateTime } = require('../services/i18n');
+const { canManageChat } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Sunday evening, for the week ahead
+const DEFAULT_WEEKLY_DIGEST = { day: 0, time: '18:00' };
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Parses "8:00" or "08:00" into "08:00"
+function parseTime(text) {
+  const match = (text || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+// Parses "sun", "sunday" or "0" into a weekday number, Sunday being 0
+function parseWeekday(text) {
+  const day = (text || '').toLowerCase();
+  if (/^[0-6]$/.test(day)) {
+    return Number(day);
+  }
+  const index = WEEKDAYS.findIndex(weekday => day.length >= 3 && weekday === day.slice(0, 3));
+  return index === -1 ? null : index;
+}
+
+// Describes one digest with its next send time
+async function describeDigest(ctx, chatId, kind, settings) {
+  const rule = settings && settings[kind];
+  if (!rule) {
+    return ctx.t('digest.off');
+  }
+
+  const timezone = await getUserTimezone(chatId);
+  const next = DateTime.fromJSDate(getNextDigestTime(kind, settings, timezone)).setZone(timezone);
+  return ctx.t('digest.next', { time: `${formatShortDateTime(next, ctx.language)} ${timezone}` });
+}
+
+async function showDigests(ctx, chatId) {
+  const settings = await getDigestSettings(chatId);
+
+  return ctx.reply(ctx.t('digest.usage', {
+    daily: await describeDigest(ctx, chatId, 'daily', settings),
+    weekly: await describeDigest(ctx, chatId, 'weekly', settings)
+  }));
+}
+
+// Saves the settings, dropping them altogether once both digests are off
+async function updateDigests(ctx, chatId, settings) {
+  await saveDigestSettings(chatId, settings.daily || settings.weekly ? settings : null);
+  await rescheduleDigests(chatId);
+  return showDigests(ctx, chatId);
+}
+
+/**
+ * Handles /digest command: /digest daily 08:00, /digest weekly sun 18:00, /digest off
+ */
+const digestCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const [kind, ...args] = ctx.message.text.trim().split(/\s+/).slice(1).map(arg => arg.toLowerCase());
+
+  try {
+    if (!kind) {
+      return await showDigests(ctx, chatId);
+    }
+
+    // Digests go to everyone in the chat, so only admins may change them in groups
+    if (!await canManageChat(ctx)) {
+      return ctx.reply(ctx.t('digest.adminOnly'));
+    }
+
+    const settings = await getDigestSettings(chatId) || {};
+
+    switch (kind) {
+      case 'off':
+        return await updateDigests(ctx, chatId, {});
+
+      case 'daily': {
+        if (args[0] === 'off') {
+          return await updateDigests(ctx, chatId, { ...settings, daily: null });
+        }
+
+        const time = parseTime(args[0]);
+        if (!time) {
+          return ctx.reply(ctx.t('digest.invalid'));
+        }
+        return await updateDigests(ctx, chatId, { ...settings, daily: time });
+      }
+
+      case 'weekly': {
+        if (args[0] === 'off') {
+          return await updateDigests(ctx, chatId, { ...settings, weekly: null });
+        }
+
+        // Both the day and the time are optional: /digest weekly, /digest weekly mon, /digest weekly 19:00
+        const weekly = { ...DEFAULT_WEEKLY_DIGEST, ...settings.weekly };
+        for (const arg of args) {
+          const time = parseTime(arg);
+          const day = time ? null : parseWeekday(arg);
+          if (time) {
+            weekly.time = time;
+          } else if (day !== null) {
+            weekly.day = day;
+          } else {
+            return ctx.reply(ctx.t('digest.invalid'));
+          }
+        }
+        return await updateDigests(ctx, chatId, { ...settings, weekly });
+      }
+
+      default:
+        return ctx.reply(ctx.t('digest.invalid'));
+    }
+  } catch (error) {
+    logger.error(`Error handling /digest for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('digest.failed'));
+  }
+};
+
+module.exports = {
+  digestCommandHandler
+};
@@ -0,0 +1,55 @@
+// src/handlers/historyHandler.js
+const { getHistory, getUserTimezone } = require('../services/redis');
+const { filterHistory, formatHistory } = require('../services/history');
+const { normalizeTag } = require('../services/tags');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Parses "#work" or "12" into a history filter
+function parseHistoryFilter(arg) {
+  if (!arg) {
+    return {};
+  }
+  if (/^\d+$/.test(arg)) {
+    return { id: arg };
+  }
+  const tag = arg.startsWith('#') ? normalizeTag(arg) : null;
+  return tag ? { tag } : null;
+}
+
+/**
+ * Handles /history command: /history, /history #work, /history 12
+ */
+const historyCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const filter = parseHistoryFilter(ctx.message.text.trim().split(/\s+/)[1]);
+
+  if (!filter) {
+    return ctx.reply(ctx.t('history.usage'));
+  }
+
+  try {
+    const [entries, timezone] = await Promise.all([
+      getHistory(chatId, config.HISTORY_MAX_ENTRIES),
+      getUserTimezone(chatId)
+    ]);
+    const matching = filterHistory(entries, filter).slice(0, config.HISTORY_PAGE_SIZE);
+
+    if (!matching.length) {
+      return ctx.reply(ctx.t('history.empty', { days: config.HISTORY_RETENTION_DAYS }));
+    }
+
+    const header = filter.tag
+      ? ctx.t('history.headerTag', { tag: filter.tag })
+      : filter.id ? ctx.t('history.headerId', { id: filter.id }) : ctx.t('history.header');
+
+    return ctx.reply(`${header}\n\n${formatHistory(matching, timezone, ctx.language)}`);
+  } catch (error) {
+    logger.error(`Error handling /history for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('history.failedToLoad'));
+  }
+};
+
+module.exports = {
+  historyCommandHandler
+};
@@ -1,7 +1,22 @@
 // src/handlers/messageHandler.js
-const { analyzeMessage } = require('../services/openai');
-const { saveReminder, getUserTimezone, saveUserTimezone, redisClient } = require('../services/redis');
-const { calculateNextRun } = require('../services/scheduler');
+const { analyzeEdit } = require('../services/openai');
+const { analyzeReminder } = require('../services/reminderParser');
+const {
+  saveReminder,
+  getReminder,
+  updateReminder,
+  getUserTimezone,
+  saveUserTimezone,
+  getMemberTimezone,
+  saveMemberTimezone,
+  getChatChannels,
+  redisClient
+} = require('../services/redis');
+const { resolveChannels } = require('../services/notifiers');
+const { getNextRun, getScheduleRule, isRecurring, describeSchedule } = require('../services/recurrence');
+const { formatTags } = require('../services/tags');
+const { rescheduleDigests } = require('../services/digest');
+const { formatDate, formatDateTime } = require('../services/i18n');
 const { Composer } = require('telegraf');
 const { DateTime } = require('luxon');
 const logger = require('../utils/logger');
@@ -29,234 +44,177 @@ async function getDateFromSchedule(schedule, userTimezone) {
   }
 
   if (schedule.frequency === 'once' && schedule.date) {
-    // Parse date and time
-    const [year, month, day] = schedule.date.split('-').map(Number);
-    const [hours, minutes] = schedule.time.split(':').map(Number);
-
-    // Create date in user's timezone
-    const reminderDate = DateTime.fromObject({
-      year, month, day, hour: hours, minute: minutes
-    }, { zone: userTimezone });
+    const reminderDate = getNextRun(schedule, userTimezone, { after: now.toJSDate() });
 
     // Verify it's in the future
-    if (reminderDate <= now) {
+    if (!reminderDate) {
       logger.info('Reminder time is in the past:', {
-        reminderTime: reminderDate.toISO(),
+        schedule,
         currentTime: now.toISO()
       });
       return null; // Past time, can't set reminder
     }
 
-    return reminderDate.toJSDate();
+    return reminderDate;
   }
 
-  // For recurring schedules
-  const [hours, minutes] = schedule.time.split(':').map(Number);
-
-  // Start with today at the requested time
-  let reminderDate = now.set({ hour: hours, minute: minutes, second: 0, millisecond: 0 });
-
-  // If time today has passed, set for next occurrence
-  if (reminderDate <= now) {
-    switch (schedule.frequency) {
-      case 'daily':
-        reminderDate = reminderDate.plus({ days: 1 });
-        break;
-
-      case 'weekly':
-        const currentDay = now.weekday % 7; // Convert to 0-6 format (0 = Sunday)
-        const targetDay = schedule.dayOfWeek;
-        let daysUntil = (targetDay - currentDay + 7) % 7;
-
-        // If same day but time passed, add a week
-        if (daysUntil === 0) {
-          daysUntil = 7;
-        }
-
-        reminderDate = reminderDate.plus({ days: daysUntil });
-        break;
-
-      case 'monthly':
-        // Set day of month
-        let targetMonth = now.month;
-        let targetYear = now.year;
-
-        // Move to next month if current day has passed
-        if (now.day > schedule.dayOfMonth ||
-            (now.day === schedule.dayOfMonth && reminderDate <= now)) {
-          targetMonth++;
-          if (targetMonth > 12) {
-            targetMonth = 1;
-            targetYear++;
-          }
-        }
-
-        reminderDate = DateTime.fromObject({
-          year: targetYear,
-          month: targetMonth,
-          day: schedule.dayOfMonth,
-          hour: hours,
-          minute: minutes
-        }, { zone: userTimezone });
-
-        // Handle invalid dates (e.g., February 30)
-        if (!reminderDate.isValid) {
-          // Get last day of the month
-          reminderDate = DateTime.fromObject({
-            year: targetYear,
-            month: targetMonth + 1,
-            day: 0,
-            hour: hours,
-            minute: minutes
-          }, { zone: userTimezone });
-        }
-        break;
-    }
+  // One-time reminder without a date: today at the requested time
+  if (schedule.frequency === 'once' && !schedule.rrule) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    return now.set({ hour: hours, minute: minutes, second: 0, millisecond: 0 }).toJSDate();
   }
 
+  // For recurring schedules
+  const reminderDate = getNextRun(schedule, userTimezone, {
+    after: now.toJSDate(),
+    startDate: schedule.startDate
+  });
+
   logger.info('Calculated reminder date:', {
     frequency: schedule.frequency,
-    calculatedTime: reminderDate.toISO()
+    rrule: getScheduleRule(schedule),
+    calculatedTime: reminderDate ? reminderDate.toISOString() : null
   });
 
-  return reminderDate.toJSDate();
+  return reminderDate;
 }
 
-// Helper function to handle multiple days reminders
-async function handleMultipleDaysReminder(ctx, analysis, chatTimezone) {
-  const chatId = ctx.chat.id.toString();
-  const reminderIds = [];
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-  // Create separate reminders for each day
-  for (const dayOfWeek of analysis.schedule.daysOfWeek) {
-    // Create a weekly schedule for this specific day
-    const singleDaySchedule = {
-      ...analysis.schedule,
-      frequency: 'weekly',
-      dayOfWeek: dayOfWeek
-    };
-
-    // Calculate next run
-    const now = DateTime.now().setZone(chatTimezone);
-    const [hours, minutes] = analysis.schedule.time.split(':').map(Number);
+// Helper to build the acknowledgement policy stored on a reminder
+function getAcknowledgementPolicy(analysis) {
+  const acknowledgement = analysis.acknowledgement;
+  if (!acknowledgement || !acknowledgement.required) {
+    return null;
+  }
 
-    let reminderDate = now.set({ hour: hours, minute: minutes, second: 0, millisecond: 0 });
+  return {
+    required: true,
+    intervalMinutes: acknowledgement.intervalMinutes > 0
+      ? Math.max(Math.round(acknowledgement.intervalMinutes), 1)
+      : config.NAG_DEFAULT_INTERVAL,
+    maxRepeats: acknowledgement.maxRepeats > 0
+      ? Math.min(Math.round(acknowledgement.maxRepeats), config.NAG_MAX_REPEATS)
+      : config.NAG_DEFAULT_MAX_REPEATS
+  };
+}
 
-    // Calculate days until next occurrence
-    const currentDay = now.weekday % 7; // Convert to 0-6 format (0 = Sunday)
-    let daysUntil = (dayOfWeek - currentDay + 7) % 7;
+// Helper to describe the acknowledgement policy in confirmations
+function formatAcknowledgementPolicy(acknowledgement, translate) {
+  return translate('remind.acknowledgement', {
+    interval: acknowledgement.intervalMinutes,
+    maxRepeats: acknowledgement.maxRepeats
+  });
+}
 
-    // If same day but time passed, add a week
-    if (daysUntil === 0 && reminderDate <= now) {
-      daysUntil = 7;
-    }
+// Questions for the parts of a request the model kept getting wrong, by field
+const CLARIFYING_QUESTIONS = [
+  ['schedule.relativeMinutes', 'clarify.relativeMinutes'],
+  ['schedule.time', 'clarify.time'],
+  ['schedule.date', 'clarify.date'],
+  ['schedule.dayOfWeek', 'clarify.dayOfWeek'],
+  ['schedule.daysOfWeek', 'clarify.daysOfWeek'],
+  ['schedule.dayOfMonth', 'clarify.dayOfMonth'],
+  ['schedule', 'clarify.schedule'],
+  ['message', 'clarify.message'],
+  ['acknowledgement', 'clarify.acknowledgement'],
+  ['channels', 'clarify.channels']
+];
+
+// Helper to turn validation errors into questions for the user
+function formatClarification(errors, translate) {
+  const isWithin = (path, field) => path === field || path.startsWith(`${field}.`) || path.startsWith(`${field}[`);
+  const questions = new Set();
+  errors.forEach((error) => {
+    const match = CLARIFYING_QUESTIONS.find(([field]) => isWithin(error.path, field));
+    questions.add(translate(match ? match[1] : 'clarify.rephrase'));
+  });
+  return `${translate('clarify.intro')}\n${[...questions].map(question => `• ${question}`).join('\n')}`;
+}
 
-    reminderDate = reminderDate.plus({ days: daysUntil });
+// Helper to normalize a multiple days schedule into one weekly recurrence
+function normalizeMultipleDays(schedule) {
+  const daysOfWeek = [...new Set((schedule.daysOfWeek || []).map(Number))]
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
 
-    // Create reminder object
-    const reminder = {
-      message: analysis.message,
-      schedule: singleDaySchedule,
-      nextRun: reminderDate.toJSDate().toISOString(),
-      createdAt: new Date().toISOString(),
-      timezone: chatTimezone
-    };
-
-    // Save to Redis
-    const reminderId = await saveReminder(chatId, reminder);
-    reminderIds.push({ id: reminderId, day: days[dayOfWeek], nextRun: reminderDate });
+  // A single day is just a weekly reminder
+  if (daysOfWeek.length === 1) {
+    return { ...schedule, frequency: 'weekly', dayOfWeek: daysOfWeek[0], daysOfWeek: undefined };
   }
 
-  // Format confirmation message
-  let confirmationMsg = `✅ Reminder set: "${analysis.message}"\n`;
+  return { ...schedule, daysOfWeek, dayOfWeek: undefined };
+}
 
-  // List days
-  const dayNames = analysis.schedule.daysOfWeek.map(d => days[d]).join(' and ');
-  confirmationMsg += `📆 Every ${dayNames} at ${analysis.schedule.time} ${chatTimezone}\n\n`;
+/**
+ * Prepares a schedule for storing: normalizes multiple days, anchors
+ * intervals to today and turns relative times into a fixed one-time schedule
+ * @param {Object} schedule - Schedule from the analysis
+ * @param {string} timezone - Reminder timezone
+ * @returns {Promise<Object>} - { schedule, nextRun } with nextRun null if it would be in the past
+ */
+async function prepareSchedule(schedule, timezone) {
+  if (schedule.frequency === 'multiple_days') {
+    schedule = normalizeMultipleDays(schedule);
+  }
 
-  // List individual reminders
-  confirmationMsg += `Reminders created:\n`;
+  // Re-anchor intervals to the day of the change
+  if (schedule.frequency !== 'once' && isRecurring(schedule)) {
+    schedule = { ...schedule, startDate: DateTime.now().setZone(timezone).toISODate() };
+  }
 
-  for (const reminder of reminderIds) {
-    confirmationMsg += `• ${reminder.day}: ID ${reminder.id}\n`;
-    confirmationMsg += `  Next: ${reminder.nextRun.toFormat('MMMM d, yyyy HH:mm')} ${chatTimezone}\n`;
+  const nextRun = await getDateFromSchedule(schedule, timezone);
+  if (!nextRun || nextRun < new Date()) {
+    return { schedule, nextRun: null };
   }
 
-  confirmationMsg += `\nTimezone: ${chatTimezone}`;
+  // Relative changes become a fixed one-time schedule
+  if (schedule.isRelative) {
+    const runTime = DateTime.fromJSDate(nextRun).setZone(timezone);
+    schedule = {
+      frequency: 'once',
+      time: runTime.toFormat('HH:mm'),
+      date: runTime.toFormat('yyyy-MM-dd')
+    };
+  }
 
-  // Send confirmation
-  await ctx.reply(confirmationMsg);
-  logger.info(`Created ${reminderIds.length} reminders for days: ${dayNames}`);
+  return { schedule, nextRun };
 }
 
-// Helper function to detect timezone from message
-async function detectTimezone(message, userId) {
-  try {
-    const openai = require('../services/openai').openai;
-    
-    // Create a promise that rejects after 10 seconds
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Timezone detection timed out')), 10000);
-    });
+/**
+ * Picks the timezone for reminders created by the sender of an update: their
+ * personal timezone in group chats if they have set one, otherwise the chat's
+ * @param {Object} ctx - Telegraf context
+ * @returns {Promise<Object>} - { timezone, chatTimezone, personal }
+ */
+async function getSenderTimezone(ctx) {
+  const chatTimezone = await getUserTimezone(ctx.chat.id.toString());
 
-    // Race between the API call and the timeout
-    const response = await Promise.race([
-      openai.chat.completions.create({
-        model: config.OPENAI_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: `
-            You are a multilingual timezone detection assistant. Extract location or timezone information from the message in any language.
-            
-            If the message explicitly mentions a timezone or city/location, determine the IANA timezone.
-            
-            For example:
-            - "по варшавскому времени" should be detected as "Europe/Warsaw"
-            - "remind me at 5pm Berlin time" should be detected as "Europe/Berlin"
-            - "Tokyo time" should be detected as "Asia/Tokyo"
-            
-            Return your response as JSON with the following structure:
-            {
-              "hasTimezoneInfo": boolean, // true if the message contains timezone information
-              "location": string, // the detected location (city, country, etc.)
-              "timezone": string, // the IANA timezone string (e.g., "Europe/Moscow", "America/New_York")
-              "confidence": number // 0-1 value indicating confidence in the timezone detection
-            }
-            
-            If no timezone or location is mentioned, set hasTimezoneInfo to false and other fields to null.
-            Only return valid IANA timezone strings for the timezone field.
-            `
-          },
-          {
-            role: 'user',
-            content: message
-          }
-        ],
-        temperature: 0,
-        response_format: { type: 'json_object' }
-      }),
-      timeoutPromise
-    ]);
-
-    const result = JSON.parse(response.choices[0].message.content);
-    logger.debug('Timezone detection result:', result);
-
-    if (result.hasTimezoneInfo && result.timezone && result.confidence > 0.7) {
-      // Save the timezone
-      await saveUserTimezone(userId, result.timezone);
-      return result.timezone;
-    }
+  if (ctx.chat.type === 'private' || !ctx.from) {
+    return { timezone: chatTimezone, chatTimezone, personal: false };
+  }
 
-    return null;
-  } catch (error) {
-    logger.error('Error detecting timezone:', error);
-    if (error.message === 'Timezone detection timed out') {
-      logger.warn('Timezone detection timed out after 10 seconds');
-    }
-    return null;
+  const memberTimezone = await getMemberTimezone(ctx.from.id.toString());
+  return memberTimezone && memberTimezone !== chatTimezone
+    ? { timezone: memberTimezone, chatTimezone, personal: true }
+    : { timezone: chatTimezone, chatTimezone, personal: false };
+}
+
+/**
+ * Formats the extra confirmation line with a reminder's time in the chat's
+ * timezone, for reminders that run on a member's personal timezone
+ * @param {Object} ctx - Telegraf context
+ * @param {DateTime} dateTime - Reminder time
+ * @param {string} chatTimezone - Chat's timezone
+ * @returns {string} - Line starting with a newline, or an empty string when the zones match
+ */
+function formatChatTime(ctx, dateTime, chatTimezone) {
+  if (!chatTimezone || dateTime.zoneName === chatTimezone) {
+    return '';
   }
+
+  return '\n' + ctx.t('common.chatTime', {
+    dateTime: formatDateTime(dateTime.setZone(chatTimezone), ctx.language),
+    timezone: chatTimezone
+  });
 }
 
 // Helper to check if message should be processed
@@ -301,56 +259,50 @@ Timestamp: ${Date.now()}`;
   logger.info(`Received /remind command from chat ${chatId}: ${messageText}${debugTimeInfo}`);
 
   if (!messageText) {
-    await ctx.reply(
-      "Please provide a reminder message. Examples:\n" +
-      "- /remind drink water in 5 minutes\n" +
-      "- /remind take medicine every day at 9am\n" +
-      "- /remind exercise every Monday and Wednesday at 3pm\n" +
-      "- /remind team meeting every month on day 15 at 14:00"
-    );
+    await ctx.reply(ctx.t('remind.usage', { examples: ctx.t('remind.examples') }));
     return;
   }
 
   try {
-    // Check if user has a timezone set
-    const chatTimezone = await getUserTimezone(chatId);
-    
-    if (!chatTimezone) {
-      await ctx.reply(
-        "Before I can set reminders, I need to know your timezone. Please:\n\n" +
-        "1. Use /timezone command (e.g., /timezone Europe/Moscow)\n" +
-        "This helps me set reminders at the correct time for you."
-      );
+    // Check if user has a timezone set; in groups the sender's personal one wins
+    const { timezone, chatTimezone, personal } = await getSenderTimezone(ctx);
+
+    if (!timezone) {
+      await ctx.reply(ctx.t('remind.needTimezone'));
       return;
     }
 
-    // Get chat's timezone for reminder processing
-    const nowInChatTz = DateTime.now().setZone(chatTimezone);
-    logger.info(`Processing with chat timezone ${chatTimezone}, current time there: ${nowInChatTz.toFormat('yyyy-MM-dd HH:mm:ss')}`);
+    // Get the reminder's timezone for processing
+    const nowInTz = DateTime.now().setZone(timezone);
+    logger.info(`Processing with timezone ${timezone}, current time there: ${nowInTz.toFormat('yyyy-MM-dd HH:mm:ss')}`);
+
+    // Simple requests are parsed locally, the rest go to the LLM
+    const analysis = await analyzeReminder(messageText, chatId, timezone);
 
-    // Process message with OpenAI
-    const analysis = await analyzeMessage(messageText, chatId);
+    // The model's answer stayed invalid after asking it to correct itself
+    if (analysis && analysis.needsClarification) {
+      await ctx.reply(`${formatClarification(analysis.errors, ctx.t)}\n\n${ctx.t('clarify.remind')}`);
+      return;
+    }
 
     // If not a valid reminder request, show help
     if (!analysis || !analysis.isReminder) {
-      await ctx.reply(
-        "I couldn't understand that reminder format. Please try again with one of these formats:\n" +
-        "- /remind drink water in 5 minutes\n" +
-        "- /remind take medicine every day at 9am\n" +
-        "- /remind exercise every Monday and Wednesday at 3pm\n" +
-        "- /remind team meeting every month on day 15 at 14:00"
-      );
+      await ctx.reply(ctx.t('remind.notUnderstood', { examples: ctx.t('remind.examples') }));
       return;
     }
 
-    // Handle multiple days scenario if needed
+    // Multiple days are stored as a single weekly recurrence
     if (analysis.schedule.frequency === 'multiple_days') {
-      await handleMultipleDaysReminder(ctx, analysis, chatTimezone);
-      return;
+      analysis.schedule = normalizeMultipleDays(analysis.schedule);
+    }
+
+    // Anchor recurring schedules to today so intervals like "every 2 weeks" stay stable
+    if (analysis.schedule.frequency !== 'once' && isRecurring(analysis.schedule)) {
+      analysis.schedule.startDate = nowInTz.toISODate();
     }
 
     // Create reminder object
-    const nextRun = await getDateFromSchedule(analysis.schedule, chatTimezone);
+    const nextRun = await getDateFromSchedule(analysis.schedule, timezone);
     logger.info(`Calculated next run time: ${nextRun ? new Date(nextRun).toISOString() : 'null'}`);
 
     if (!nextRun || nextRun < new Date()) {
@@ -360,31 +312,39 @@ Timestamp: ${Date.now()}`;
         const rescheduleKey = `reschedule:${chatId}:${Date.now()}`;
         await redisClient.set(rescheduleKey, JSON.stringify({
           message: analysis.message,
-          time: analysis.schedule.time
+          time: analysis.schedule.time,
+          acknowledgement: getAcknowledgementPolicy(analysis),
+          channels: analysis.channels || null,
+          tags: analysis.tags,
+          timezone,
+          personalTimezone: personal,
+          createdBy: ctx.from ? ctx.from.id.toString() : null
         }), { EX: 300 }); // Expire after 5 minutes
 
         return ctx.reply(
-          "That time has already passed. Would you like to set this reminder for tomorrow at the same time?\n" +
-          `Current time in ${chatTimezone}: ${nowInChatTz.toFormat('yyyy-MM-dd HH:mm:ss')}\n` +
-          `Requested time: ${analysis.schedule.time}`,
+          ctx.t('remind.past', {
+            timezone,
+            now: nowInTz.toFormat('yyyy-MM-dd HH:mm:ss'),
+            time: analysis.schedule.time
+          }),
           {
             reply_markup: {
               inline_keyboard: [
                 [
-                  { text: "Yes, set for tomorrow", callback_data: `reschedule_${rescheduleKey}` }
+                  { text: ctx.t('remind.tomorrowButton'), callback_data: `reschedule_${rescheduleKey}` }
                 ],
                 [
-                  { text: "No, cancel", callback_data: "cancel_reminder" }
+                  { text: ctx.t('remind.cancelButton'), callback_data: "cancel_reminder" }
                 ]
               ]
             }
           }
         );
       } else {
-        return ctx.reply(
-          "I couldn't set that reminder. Please specify a future time.\n" +
-          `Current time in ${chatTimezone}: ${nowInChatTz.toFormat('yyyy-MM-dd HH:mm:ss')}`
-        );
+        return ctx.reply(ctx.t('remind.pastRecurring', {
+          timezone,
+          now: nowInTz.toFormat('yyyy-MM-dd HH:mm:ss')
+        }));
       }
     }
 
@@ -394,55 +354,88 @@ Timestamp: ${Date.now()}`;
       schedule: analysis.schedule,
       nextRun: nextRun.toISOString(),
       createdAt: new Date().toISOString(),
-      timezone: chatTimezone
+      timezone,
+      acknowledgement: getAcknowledgementPolicy(analysis),
+      parseSource: analysis.source
     };
 
+    // Remember who set it; reminders on a personal timezone keep it when the chat's one changes
+    if (ctx.from) {
+      reminder.createdBy = ctx.from.id.toString();
+    }
+    if (personal) {
+      reminder.personalTimezone = true;
+    }
+    if (analysis.tags && analysis.tags.length) {
+      reminder.tags = analysis.tags;
+    }
+
+    // Deliver to the channels the user asked for if the chat has them linked
+    let unavailableChannels = [];
+    if (Array.isArray(analysis.channels) && analysis.channels.length) {
+      const resolved = resolveChannels(analysis.channels, await getChatChannels(chatId));
+      reminder.channels = resolved.channels;
+      unavailableChannels = resolved.unavailable;
+    }
+
     // Save to Redis
     const reminderId = await saveReminder(chatId, reminder);
 
     // Format confirmation message
-    let confirmationMsg = `✅ Reminder set: "${analysis.message}"\n`;
+    let confirmationMsg = ctx.t('remind.set', { message: analysis.message }) + '\n';
 
-    // Format time in chat's timezone
-    const reminderTime = DateTime.fromJSDate(nextRun).setZone(chatTimezone);
+    // Format time in the reminder's timezone
+    const reminderTime = DateTime.fromJSDate(nextRun).setZone(timezone);
 
     switch (analysis.schedule.frequency) {
       case 'once':
-        confirmationMsg += `📅 Date: ${reminderTime.toFormat('MMMM d, yyyy')}\n`;
-        confirmationMsg += `⏰ Time: ${reminderTime.toFormat('HH:mm')} ${chatTimezone}`;
+        confirmationMsg += ctx.t('common.date', { date: formatDate(reminderTime, ctx.language) }) + '\n';
+        confirmationMsg += ctx.t('common.time', { time: reminderTime.toFormat('HH:mm'), timezone });
         break;
 
-      case 'daily':
-        confirmationMsg += `📆 Every day at ${analysis.schedule.time} ${chatTimezone}`;
+      default:
+        confirmationMsg += `📆 ${describeSchedule(analysis.schedule, ctx.language)} ${timezone}`;
         break;
+    }
 
-      case 'weekly':
-        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        confirmationMsg += `📆 Every ${days[analysis.schedule.dayOfWeek]} at ${analysis.schedule.time} ${chatTimezone}`;
-        break;
+    if (reminder.acknowledgement) {
+      confirmationMsg += `\n${formatAcknowledgementPolicy(reminder.acknowledgement, ctx.t)}`;
+    }
 
-      case 'monthly':
-        confirmationMsg += `📆 Every month on day ${analysis.schedule.dayOfMonth} at ${analysis.schedule.time} ${chatTimezone}`;
-        break;
+    if (reminder.channels) {
+      confirmationMsg += '\n' + ctx.t('remind.channels', { channels: reminder.channels.join(', ') });
     }
 
-    confirmationMsg += `\n\nNext reminder: ${reminderTime.toFormat('MMMM d, yyyy HH:mm')} ${chatTimezone}`;
-    confirmationMsg += `\nReminder ID: ${reminderId}`;
-    confirmationMsg += `\nTimezone: ${chatTimezone}`;
-    confirmationMsg += `\n\nCurrent time in ${chatTimezone}: ${nowInChatTz.toFormat('yyyy-MM-dd HH:mm:ss')}`;
+    if (unavailableChannels.length) {
+      confirmationMsg += '\n' + ctx.t('remind.channelsUnlinked', { channels: unavailableChannels.join(ctx.t('common.and')) });
+    }
+
+    if (reminder.tags) {
+      confirmationMsg += '\n' + ctx.t('common.tags', { tags: formatTags(reminder.tags) });
+    }
+
+    confirmationMsg += '\n\n' + ctx.t('common.nextRun', {
+      dateTime: formatDateTime(reminderTime, ctx.language),
+      timezone
+    });
+    confirmationMsg += formatChatTime(ctx, reminderTime, chatTimezone);
+    confirmationMsg += '\n' + ctx.t('common.reminderId', { id: reminderId });
+    confirmationMsg += '\n' + ctx.t(personal ? 'common.personalTimezone' : 'common.timezone', { timezone });
+    confirmationMsg += '\n\n' + ctx.t('common.currentTime', {
+      timezone,
+      time: nowInTz.toFormat('yyyy-MM-dd HH:mm:ss')
+    });
 
     // Send confirmation
     await ctx.reply(confirmationMsg);
-    logger.info(`Created reminder ${reminderId} for chat ${chatId} with timezone ${chatTimezone}. Next run: ${nextRun.toISOString()}`);
+    logger.info(`Created reminder ${reminderId} for chat ${chatId} with timezone ${timezone}. Next run: ${nextRun.toISOString()}`);
 
   } catch (error) {
+    if (error.budgetExceeded) {
+      return ctx.reply(ctx.t(`usage.${error.budgetExceeded}BudgetExceeded`));
+    }
     logger.error('Error handling /remind command:', error);
-    await ctx.reply(
-      "I'm having trouble setting that reminder. Please try again with a clearer format:\n" +
-      "- /remind drink water in 5 minutes\n" +
-      "- /remind take medicine every day at 9am\n" +
-      "- /remind exercise every Monday and Wednesday at 3pm"
-    );
+    await ctx.reply(ctx.t('remind.failed'));
   }
 };
 
@@ -451,71 +444,190 @@ Timestamp: ${Date.now()}`;
  */
 const timezoneCommandHandler = async (ctx) => {
   const chatId = ctx.chat.id.toString();
-  const timezone = ctx.message.text.substring(9).trim(); // Remove "/timezone "
+  let timezone = ctx.message.text.substring(9).trim(); // Remove "/timezone "
+
+  // "/timezone me <timezone>" sets the sender's personal timezone instead of the chat's
+  const personal = /^me(\s|$)/i.test(timezone);
+  if (personal) {
+    timezone = timezone.substring(2).trim();
+  }
 
   if (!timezone) {
-    await ctx.reply(
-      "Please provide a timezone. Examples:\n" +
-      "- /timezone Europe/Warsaw\n" +
-      "- /timezone Moscow\n" +
-      "- /timezone New York\n" +
-      "- /timezone Tokyo\n\n" +
-      "You can use city names or standard timezone formats.\n" +
-      "I'll help you find the correct timezone format!"
-    );
+    await ctx.reply(ctx.t('timezone.usage'));
     return;
   }
 
   try {
+    const userId = ctx.from.id.toString();
+    if (personal && /^(off|reset|none)$/i.test(timezone)) {
+      await saveMemberTimezone(userId, null);
+      await ctx.reply(ctx.t('timezone.personalCleared', { timezone: await getUserTimezone(chatId) }));
+      return;
+    }
+
     // Validate and normalize timezone using OpenAI
     const { validateTimezone } = require('../services/openai');
-    const validation = await validateTimezone(timezone);
+    const validation = await validateTimezone(timezone, chatId);
 
     if (!validation.isValid || !validation.suggestedTimezone) {
-      await ctx.reply(
-        "I couldn't determine your timezone. Please try:\n" +
-        "1. Using a major city name (e.g., Moscow, New York, Tokyo)\n" +
-        "2. Using the standard format (e.g., Europe/Warsaw, America/New_York)\n\n" +
-        "You can find your timezone here: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones"
-      );
+      await ctx.reply(ctx.t('timezone.unknown'));
       return;
     }
 
     // If input wasn't exact, show what we're using
     let confirmationPrefix = "";
     if (validation.originalInput !== validation.suggestedTimezone) {
-      confirmationPrefix = `I understood "${validation.originalInput}" as "${validation.suggestedTimezone}"\n${validation.explanation}\n\n`;
+      confirmationPrefix = ctx.t('timezone.understoodAs', {
+        input: validation.originalInput,
+        timezone: validation.suggestedTimezone
+      }) + `\n${validation.explanation}\n\n`;
     }
 
-    // Save the normalized timezone
-    await saveUserTimezone(chatId, validation.suggestedTimezone);
-
     // Get current time in new timezone
     const localTime = DateTime.now().setZone(validation.suggestedTimezone);
 
+    if (personal) {
+      await saveMemberTimezone(userId, validation.suggestedTimezone);
+      await ctx.reply(
+        confirmationPrefix +
+        ctx.t('timezone.personalSet', {
+          timezone: validation.suggestedTimezone,
+          time: localTime.toFormat('yyyy-MM-dd HH:mm:ss'),
+          chatTimezone: await getUserTimezone(chatId)
+        })
+      );
+      return;
+    }
+
+    // Save the normalized timezone
+    await saveUserTimezone(chatId, validation.suggestedTimezone);
+    // Digests go out at a local time
+    await rescheduleDigests(chatId);
+
     await ctx.reply(
       confirmationPrefix +
-      `✅ Timezone set to ${validation.suggestedTimezone}\n` +
-      `Your local time should be: ${localTime.toFormat('yyyy-MM-dd HH:mm:ss')}\n\n` +
-      `You can now create reminders using the /remind command. For example:\n` +
-      `- /remind drink water in 5 minutes\n` +
-      `- /remind take medicine every day at 9am\n` +
-      `- /remind exercise every Monday and Wednesday at 3pm`
+      ctx.t('timezone.set', {
+        timezone: validation.suggestedTimezone,
+        time: localTime.toFormat('yyyy-MM-dd HH:mm:ss')
+      })
     );
 
   } catch (error) {
+    if (error.budgetExceeded) {
+      return ctx.reply(ctx.t(`usage.${error.budgetExceeded}BudgetExceeded`));
+    }
     logger.error('Error handling /timezone command:', error);
-    await ctx.reply(
-      "Sorry, there was an error setting your timezone. Please try again with a city name or standard timezone format.\n" +
-      "Examples:\n" +
-      "- /timezone Moscow\n" +
-      "- /timezone Europe/Warsaw\n" +
-      "- /timezone New York"
-    );
+    await ctx.reply(ctx.t('timezone.failed'));
+  }
+};
+
+/**
+ * Applies a natural-language change to an existing reminder
+ * @param {Object} ctx - Telegraf context
+ * @param {string} reminderId - Reminder ID
+ * @param {string} change - Requested change, e.g. "move to 8am"
+ */
+async function applyReminderEdit(ctx, reminderId, change) {
+  const chatId = ctx.chat.id.toString();
+
+  const reminder = await getReminder(chatId, reminderId);
+  if (!reminder) {
+    return ctx.reply(ctx.t('common.reminderNotFound', { id: reminderId }));
+  }
+
+  const timezone = reminder.timezone || await getUserTimezone(chatId);
+  const edit = await analyzeEdit(reminder, change, timezone, chatId);
+
+  if (edit && edit.needsClarification) {
+    return ctx.reply(`${formatClarification(edit.errors, ctx.t)}\n\n${ctx.t('clarify.edit', { id: reminderId })}`);
+  }
+
+  if (!edit || !edit.understood) {
+    return ctx.reply(ctx.t('edit.notUnderstood', { id: reminderId }));
+  }
+
+  const updated = { ...reminder, updatedAt: new Date().toISOString() };
+
+  if (edit.message) {
+    updated.message = edit.message;
+  }
+
+  if (edit.acknowledgement === false) {
+    updated.acknowledgement = null;
+  } else if (edit.acknowledgement) {
+    updated.acknowledgement = getAcknowledgementPolicy({ acknowledgement: edit.acknowledgement });
+  }
+
+  if (edit.schedule) {
+    const { schedule, nextRun } = await prepareSchedule(edit.schedule, timezone);
+    if (!nextRun) {
+      const nowInTz = DateTime.now().setZone(timezone);
+      return ctx.reply(ctx.t('edit.past', { timezone, now: nowInTz.toFormat('yyyy-MM-dd HH:mm:ss') }));
+    }
+
+    updated.schedule = schedule;
+    updated.nextRun = nextRun.toISOString();
+  }
+
+  await updateReminder(chatId, reminderId, updated);
+
+  const nextRunTime = DateTime.fromISO(updated.nextRun).setZone(timezone);
+  let confirmationMsg = ctx.t('edit.updated', { message: updated.message }) + '\n';
+
+  if (edit.explanation) {
+    confirmationMsg += `${edit.explanation}\n`;
+  }
+
+  if (updated.schedule.frequency === 'once' && !updated.schedule.rrule) {
+    confirmationMsg += ctx.t('common.date', { date: formatDate(nextRunTime, ctx.language) }) + '\n';
+    confirmationMsg += ctx.t('common.time', { time: nextRunTime.toFormat('HH:mm'), timezone });
+  } else {
+    confirmationMsg += `📆 ${describeSchedule(updated.schedule, ctx.language)} ${timezone}`;
+  }
+
+  if (updated.acknowledgement) {
+    confirmationMsg += `\n${formatAcknowledgementPolicy(updated.acknowledgement, ctx.t)}`;
+  }
+
+  confirmationMsg += '\n\n' + ctx.t('common.nextRun', { dateTime: formatDateTime(nextRunTime, ctx.language), timezone });
+  confirmationMsg += formatChatTime(ctx, nextRunTime, await getUserTimezone(chatId));
+  confirmationMsg += '\n' + ctx.t('common.reminderId', { id: reminderId });
+
+  await ctx.reply(confirmationMsg);
+  logger.info(`Edited reminder ${reminderId} for chat ${chatId}: ${change}`);
+}
+
+/**
+ * Handles /edit command
+ */
+const editCommandHandler = async (ctx) => {
+  const [, reminderId, ...changeWords] = ctx.message.text.trim().split(/\s+/);
+  const change = changeWords.join(' ');
+
+  if (!reminderId || !change) {
+    await ctx.reply(ctx.t('edit.usage'));
+    return;
+  }
+
+  try {
+    await applyReminderEdit(ctx, reminderId, change);
+  } catch (error) {
+    if (error.budgetExceeded) {
+      return ctx.reply(ctx.t(`usage.${error.budgetExceeded}BudgetExceeded`));
+    }
+    logger.error('Error handling /edit command:', error);
+    await ctx.reply(ctx.t('edit.failed'));
   }
 };
 
 module.exports = {
   remindCommandHandler,
-  timezoneCommandHandler
+  timezoneCommandHandler,
+  editCommandHandler,
+  applyReminderEdit,
+  getDateFromSchedule,
+  getSenderTimezone,
+  formatChatTime,
+  getAcknowledgementPolicy,
+  prepareSchedule
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+// src/handlers/quietHandler.js
+const { DateTime } = require('luxon');
+const {
+  getReminder,
+  updateReminder,
+  getUserTimezone,
+  saveQuietHours,
+  getQuietHours,
+  saveDoNotDisturb,
+  getDoNotDisturb
+} = require('../services/redis');
+const { QUIET_MODES, parseWindow, formatQuietHours } = require('../services/quietHours');
+const { formatShortDateTime } = require('../services/i18n');
+const { canManageChat } = require('../utils/permissions');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Modes a whole chat can choose; "ignore" only makes sense for single reminders
+const CHAT_QUIET_MODES = ['defer', 'silent'];
+
+const DURATION_UNITS = { m: 'minutes', h: 'hours', d: 'days' };
+
+// Formats the end of a do-not-disturb period in the chat's timezone
+async function formatUntil(ctx, chatId, until) {
+  const timezone = await getUserTimezone(chatId);
+  return `${formatShortDateTime(DateTime.fromJSDate(until).setZone(timezone), ctx.language)} ${timezone}`;
+}
+
+async function showQuietHours(ctx, chatId) {
+  const [settings, doNotDisturbUntil] = await Promise.all([getQuietHours(chatId), getDoNotDisturb(chatId)]);
+  const mode = (settings && settings.mode) || config.QUIET_HOURS_MODE;
+
+  return ctx.reply(ctx.t('quiet.usage', {
+    hours: formatQuietHours(settings, ctx.t),
+    mode: ctx.t(`quiet.mode.${mode}`),
+    dnd: doNotDisturbUntil ? ctx.t('quiet.dndActive', { time: await formatUntil(ctx, chatId, doNotDisturbUntil) }) : ''
+  }));
+}
+
+async function setReminderQuietMode(ctx, chatId, reminderId, mode) {
+  const reminder = await getReminder(chatId, reminderId);
+  if (!reminder) {
+    return ctx.reply(ctx.t('common.reminderNotFound', { id: reminderId }));
+  }
+
+  if (mode === 'default') {
+    const { quietMode, ...withoutMode } = reminder;
+    await updateReminder(chatId, reminderId, withoutMode);
+    return ctx.reply(ctx.t('quiet.reminderReset', { id: reminderId }));
+  }
+
+  if (!QUIET_MODES.includes(mode)) {
+    return ctx.reply(ctx.t('quiet.unknownMode', { modes: [...QUIET_MODES, 'default'].join(', ') }));
+  }
+
+  await updateReminder(chatId, reminderId, { ...reminder, quietMode: mode });
+  return ctx.reply(ctx.t('quiet.reminderMode', { id: reminderId, mode: ctx.t(`quiet.mode.${mode}`) }));
+}
+
+/**
+ * Handles /quiet command
+ */
+const quietCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const [action, ...args] = ctx.message.text.trim().split(/\s+/).slice(1);
+
+  try {
+    if (!action) {
+      return await showQuietHours(ctx, chatId);
+    }
+
+    // Choosing the mode of one reminder: /quiet <id> silent
+    if (/^\d+$/.test(action)) {
+      return await setReminderQuietMode(ctx, chatId, action, (args[0] || '').toLowerCase());
+    }
+
+    // Quiet hours hold back everyone's reminders, so only admins may change them in groups
+    if (!await canManageChat(ctx)) {
+      return ctx.reply(ctx.t('quiet.adminOnly'));
+    }
+
+    const settings = await getQuietHours(chatId) || {};
+
+    switch (action.toLowerCase()) {
+      case 'off':
+        await saveQuietHours(chatId, null);
+        return ctx.reply(ctx.t('quiet.off'));
+
+      case 'mode': {
+        const mode = (args[0] || '').toLowerCase();
+        if (!CHAT_QUIET_MODES.includes(mode)) {
+          return ctx.reply(ctx.t('quiet.unknownMode', { modes: CHAT_QUIET_MODES.join(', ') }));
+        }
+        await saveQuietHours(chatId, { ...settings, mode });
+        return ctx.reply(ctx.t('quiet.modeSet', { mode: ctx.t(`quiet.mode.${mode}`) }));
+      }
+
+      case 'weekend': {
+        const rule = (args[0] || '').toLowerCase();
+        const updated = { ...settings };
+
+        if (rule === 'all') {
+          updated.weekend = 'all';
+        } else if (rule === 'off') {
+          updated.weekend = null;
+        } else if (rule === 'same') {
+          delete updated.weekend;
+        } else {
+          const window = parseWindow(args.join(' '));
+          if (!window) {
+            return ctx.reply(ctx.t('quiet.invalidWindow'));
+          }
+          updated.weekend = window;
+        }
+
+        await saveQuietHours(chatId, updated);
+        return ctx.reply(ctx.t('quiet.set', { hours: formatQuietHours(updated, ctx.t) }));
+      }
+
+      default: {
+        const window = parseWindow([action, ...args].join(' '));
+        if (!window) {
+          return ctx.reply(ctx.t('quiet.invalidWindow'));
+        }
+
+        const updated = { ...settings, ...window };
+        await saveQuietHours(chatId, updated);
+        return ctx.reply(ctx.t('quiet.set', { hours: formatQuietHours(updated, ctx.t) }));
+      }
+    }
+  } catch (error) {
+    logger.error(`Error handling /quiet for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('quiet.failed'));
+  }
+};
+
+/**
+ * Handles /dnd command: /dnd 2h, /dnd 30m, /dnd off
+ */
+const dndCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const duration = (ctx.message.text.trim().split(/\s+/)[1] || '').toLowerCase();
+
+  try {
+    if (!duration) {
+      const until = await getDoNotDisturb(chatId);
+      return ctx.reply(until
+        ? ctx.t('dnd.active', { time: await formatUntil(ctx, chatId, until) })
+        : ctx.t('dnd.inactive'));
+    }
+
+    if (!await canManageChat(ctx)) {
+      return ctx.reply(ctx.t('quiet.adminOnly'));
+    }
+
+    if (duration === 'off') {
+      await saveDoNotDisturb(chatId, null);
+      return ctx.reply(ctx.t('dnd.off'));
+    }
+
+    const match = duration.match(/^(\d+)([mhd]?)$/);
+    if (!match || Number(match[1]) === 0) {
+      return ctx.reply(ctx.t('dnd.usage'));
+    }
+
+    const until = DateTime.now().plus({ [DURATION_UNITS[match[2] || 'h']]: Number(match[1]) }).toJSDate();
+    await saveDoNotDisturb(chatId, until);
+
+    const settings = await getQuietHours(chatId);
+    const mode = (settings && settings.mode) || config.QUIET_HOURS_MODE;
+    logger.info(`Do not disturb on for chat ${chatId} until ${until.toISOString()}`);
+    return ctx.reply(ctx.t('dnd.set', {
+      time: await formatUntil(ctx, chatId, until),
+      mode: ctx.t(`quiet.mode.${mode}`)
+    }));
+  } catch (error) {
+    logger.error(`Error handling /dnd for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('dnd.failed'));
+  }
+};
+
+module.exports = {
+  quietCommandHandler,
+  dndCommandHandler
+};
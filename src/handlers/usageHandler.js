@@ -0,0 +1,38 @@
+// src/handlers/usageHandler.js
+const { getUsageSummary } = require('../services/usage');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Handles /usage command: shows the chat's LLM requests and tokens
+ */
+const usageCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+
+  try {
+    const { today, total } = await getUsageSummary(chatId);
+    const describe = ({ requests, tokens }) =>
+      `${ctx.t('usage.requests', { count: requests })} · ${ctx.t('usage.tokens', { count: tokens })}`;
+
+    const budget = config.LLM_CHAT_DAILY_TOKENS
+      ? ctx.t('usage.budget', {
+        left: Math.max(config.LLM_CHAT_DAILY_TOKENS - today.tokens, 0),
+        budget: config.LLM_CHAT_DAILY_TOKENS
+      })
+      : ctx.t('usage.noBudget');
+
+    return ctx.reply(ctx.t('usage.summary', {
+      today: describe(today),
+      days: config.USAGE_RETENTION_DAYS,
+      total: describe(total),
+      budget
+    }));
+  } catch (error) {
+    logger.error(`Error handling /usage for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('usage.failed'));
+  }
+};
+
+module.exports = {
+  usageCommandHandler
+};
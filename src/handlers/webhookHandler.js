@@ -0,0 +1,156 @@
+// src/handlers/webhookHandler.js
+const crypto = require('crypto');
+const { saveWebhook, getWebhooks, deleteWebhook, getWebhookLog } = require('../services/redis');
+const { WEBHOOK_EVENTS } = require('../services/webhooks');
+const { canManageChat } = require('../utils/permissions');
+const { isPublicUrl } = require('../utils/network');
+const { formatShortDateTime } = require('../services/i18n');
+const { DateTime } = require('luxon');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Number of delivery log entries shown by /webhook log
+const LOG_ENTRIES_SHOWN = 10;
+
+const DELIVERY_ICONS = { delivered: '✅', retrying: '🔁', failed: '❌' };
+
+function replyWithUsage(ctx) {
+  return ctx.reply(ctx.t('webhook.usage', {
+    events: WEBHOOK_EVENTS.map(event => event.replace('reminder.', '')).join(', ')
+  }));
+}
+
+// Accepts both "fired" and "reminder.fired"
+function parseEvents(args) {
+  const events = args.map(arg => (arg.startsWith('reminder.') ? arg : `reminder.${arg}`));
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  return { events: events.length ? [...new Set(events)] : WEBHOOK_EVENTS, unknown };
+}
+
+async function addWebhook(ctx, chatId, [url, ...eventArgs]) {
+  // The bot must not be turned into a way to reach its own host or network
+  if (!url || !await isPublicUrl(url)) {
+    return ctx.reply(ctx.t('webhook.invalidUrl'));
+  }
+
+  const { events, unknown } = parseEvents(eventArgs);
+  if (unknown.length) {
+    return ctx.reply(ctx.t('webhook.unknownEvents', { events: unknown.join(', '), available: WEBHOOK_EVENTS.join(', ') }));
+  }
+
+  const webhooks = await getWebhooks(chatId);
+  if (Object.keys(webhooks).length >= config.WEBHOOKS_PER_CHAT) {
+    return ctx.reply(ctx.t('webhook.limit', { limit: config.WEBHOOKS_PER_CHAT }));
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const webhookId = await saveWebhook(chatId, {
+    url,
+    secret,
+    events,
+    createdAt: new Date().toISOString()
+  });
+
+  const summary = ctx.t('webhook.added', { id: webhookId, url, events: events.join(', ') });
+  const secretMessage = `${summary}\n\n${ctx.t('webhook.secret', { secret })}`;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply(secretMessage);
+  }
+
+  // Anyone in a group could sign payloads with the secret, so only the admin gets it,
+  // and the webhook is kept only once they have
+  try {
+    await ctx.telegram.sendMessage(ctx.from.id, secretMessage);
+  } catch (error) {
+    logger.warn(`Could not send the secret of webhook ${webhookId} in chat ${chatId} privately:`, error);
+    await deleteWebhook(chatId, webhookId);
+    return ctx.reply(ctx.t('channels.secretNotSent'));
+  }
+
+  await ctx.reply(`${summary}\n${ctx.t('webhook.secretSentPrivately')}`);
+}
+
+async function listWebhooks(ctx, chatId) {
+  const webhooks = await getWebhooks(chatId);
+  const entries = Object.entries(webhooks);
+
+  if (!entries.length) {
+    return ctx.reply(ctx.t('webhook.none'));
+  }
+
+  const lines = entries.map(([id, webhook]) =>
+    ctx.t('webhook.entry', { id, url: webhook.url, events: webhook.events.join(', ') })
+  );
+
+  await ctx.reply(lines.join('\n\n'));
+}
+
+async function removeWebhook(ctx, chatId, [webhookId]) {
+  if (!webhookId) {
+    return ctx.reply(ctx.t('webhook.idRequired'));
+  }
+
+  const removed = await deleteWebhook(chatId, webhookId);
+  await ctx.reply(ctx.t(removed ? 'webhook.removed' : 'webhook.notFound', { id: webhookId }));
+}
+
+async function showWebhookLog(ctx, chatId, [webhookId]) {
+  const entries = (await getWebhookLog(chatId, config.WEBHOOK_LOG_SIZE))
+      .filter(entry => !webhookId || entry.webhookId === webhookId)
+      .slice(0, LOG_ENTRIES_SHOWN);
+
+  if (!entries.length) {
+    return ctx.reply(ctx.t('webhook.noDeliveries'));
+  }
+
+  const lines = entries.map((entry) => ctx.t('webhook.logEntry', {
+    icon: DELIVERY_ICONS[entry.status],
+    time: formatShortDateTime(DateTime.fromISO(entry.at).toUTC(), ctx.language),
+    event: entry.event,
+    id: entry.webhookId,
+    attempt: entry.attempt,
+    result: entry.status === 'delivered' ? `HTTP ${entry.statusCode}` : entry.error
+  }));
+
+  await ctx.reply(`${ctx.t('webhook.logHeader')}\n\n${lines.join('\n')}`);
+}
+
+/**
+ * Handles /webhook command
+ */
+const webhookCommandHandler = async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const [action, ...args] = ctx.message.text.trim().split(/\s+/).slice(1);
+
+  try {
+    if (!action) {
+      return replyWithUsage(ctx);
+    }
+
+    // Webhooks see every reminder of the chat, so only admins may manage them in groups
+    if (!await canManageChat(ctx)) {
+      return ctx.reply(ctx.t('webhook.adminOnly'));
+    }
+
+    switch (action) {
+      case 'add':
+        return await addWebhook(ctx, chatId, args);
+      case 'list':
+        return await listWebhooks(ctx, chatId);
+      case 'remove':
+        return await removeWebhook(ctx, chatId, args);
+      case 'log':
+        return await showWebhookLog(ctx, chatId, args);
+      default:
+        return replyWithUsage(ctx);
+    }
+  } catch (error) {
+    logger.error(`Error handling /webhook for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('webhook.failed'));
+  }
+};
+
+module.exports = {
+  webhookCommandHandler
+};
@@ -2,31 +2,100 @@
 
 // Main application entry point
 const { Telegraf } = require('telegraf');
-const { remindCommandHandler, timezoneCommandHandler } = require('./handlers/messageHandler');
-const { setupScheduler } = require('./services/scheduler');
-const { redisClient, saveUserTimezone, getUserTimezone, saveReminder } = require('./services/redis');
+const {
+  remindCommandHandler,
+  timezoneCommandHandler,
+  editCommandHandler,
+  applyReminderEdit,
+  getDateFromSchedule,
+  formatChatTime
+} = require('./handlers/messageHandler');
+const { exportCommandHandler, calendarUploadHandler } = require('./handlers/calendarHandler');
+const { webhookCommandHandler } = require('./handlers/webhookHandler');
+const { channelsCommandHandler } = require('./handlers/channelHandler');
+const { quietCommandHandler, dndCommandHandler } = require('./handlers/quietHandler');
+const { agendaCommandHandler } = require('./handlers/agendaHandler');
+const { digestCommandHandler } = require('./handlers/digestHandler');
+const { historyCommandHandler } = require('./handlers/historyHandler');
+const { usageCommandHandler } = require('./handlers/usageHandler');
+const { setupScheduler, calculateNextRun } = require('./services/scheduler');
+const { describeSchedule } = require('./services/recurrence');
+const { runMigrations } = require('./services/migrations');
+const { setupWebhooks } = require('./services/webhooks');
+const { setupHistory } = require('./services/history');
+const { rescheduleDigests } = require('./services/digest');
+const { startApiServer } = require('./api/server');
+const {
+  redisClient,
+  saveUserTimezone,
+  getUserTimezone,
+  getMemberTimezone,
+  saveReminder,
+  getReminder,
+  getReminders,
+  getRemindersByTag,
+  updateReminder,
+  deleteReminder,
+  saveMissedRunPolicy,
+  getMissedRunPolicy,
+  createApiToken,
+  revokeApiToken,
+  getChatChannels,
+  getDeliveredReminder,
+  clearPendingAck,
+  saveChatLanguage,
+  getChatLanguageSettings
+} = require('./services/redis');
+const { getSnoozeTime, snoozeReminder } = require('./services/snooze');
+const { resolveChannels, getReminderChannels, DEFAULT_CHANNELS } = require('./services/notifiers');
+const { analyzeReminder } = require('./services/reminderParser');
+const { normalizeTag, formatTags } = require('./services/tags');
+const { rateLimitMiddleware } = require('./services/usage');
+const { LANGUAGES, t, i18nMiddleware, formatDate, formatDateTime, formatShortDateTime } = require('./services/i18n');
 const config = require('./config');
 const logger = require('./utils/logger');
+const { canManageChat } = require('./utils/permissions');
 const { DateTime } = require('luxon');
 
 // Initialize bot
 const bot = new Telegraf(config.TELEGRAM_BOT_TOKEN);
+let apiServer = null;
+
+// Resolve the chat language before any handler replies
+bot.use(i18nMiddleware());
+
+// Keep one noisy chat from flooding the bot (and the LLM bill) with commands
+bot.use(rateLimitMiddleware());
 
 // Register commands
 bot.command('remind', remindCommandHandler);
 bot.command('timezone', timezoneCommandHandler);
+bot.command('edit', editCommandHandler);
+bot.command('export', exportCommandHandler);
+bot.command('webhook', webhookCommandHandler);
+bot.command('channels', channelsCommandHandler);
+bot.command('quiet', quietCommandHandler);
+bot.command('dnd', dndCommandHandler);
+bot.command('agenda', agendaCommandHandler);
+bot.command('digest', digestCommandHandler);
+bot.command('history', historyCommandHandler);
+bot.command('usage', usageCommandHandler);
+bot.on('document', calendarUploadHandler);
 
-// Set up command descriptions
-bot.telegram.setMyCommands([
-  {
-    command: 'remind',
-    description: 'Set a new reminder. Example: /remind drink water in 5 minutes'
-  },
-  {
-    command: 'timezone',
-    description: 'Set your timezone. Example: /timezone Europe/Moscow'
-  }
-]);
+// Set up command descriptions, translated for users whose Telegram app is in a supported language
+const MENU_COMMANDS = ['remind', 'timezone', 'edit', 'export', 'language'];
+
+function getMenuCommands(language) {
+  return MENU_COMMANDS.map(command => ({
+    command,
+    description: t(language, `commands.${command}`)
+  }));
+}
+
+bot.telegram.setMyCommands(getMenuCommands('en'));
+for (const language of LANGUAGES.filter(language => language !== 'en')) {
+  bot.telegram.setMyCommands(getMenuCommands(language), { language_code: language });
+}
 
 // Connect to Redis and start bot
 (async () => {
@@ -34,12 +103,27 @@ bot.telegram.setMyCommands([
     await redisClient.connect();
     logger.info('Connected to Redis');
 
+    // Bring stored reminders up to date before anything reads them
+    await runMigrations();
+
+    // Queue webhook deliveries and record history for reminder events before anything can fire
+    setupWebhooks();
+    setupHistory();
+
     // Set up the scheduler after Redis connection
     await setupScheduler(bot);
 
-    // Start the bot
-    await bot.launch();
-    logger.info('Bot started successfully');
+    if (config.API_ENABLED) {
+      apiServer = await startApiServer();
+    }
+
+    // Start the bot; scheduler-only replicas just send messages
+    if (config.BOT_POLLING_ENABLED) {
+      await bot.launch();
+      logger.info('Bot started successfully');
+    } else {
+      logger.info('Bot polling disabled, running scheduler only');
+    }
   } catch (error) {
     logger.error('Failed to start services:', error);
     process.exit(1);
@@ -47,131 +131,597 @@ bot.telegram.setMyCommands([
 })();
 
 bot.command('start', async (ctx) => {
-  const firstName = ctx.from.first_name || 'there';
+  const firstName = ctx.from.first_name || ctx.t('start.defaultName');
   const chatId = ctx.chat.id.toString();
 
   // Check if timezone is set for this chat
   const chatTimezone = await getUserTimezone(chatId);
   const timezoneMessage = chatTimezone === config.USER_TIMEZONE_DEFAULT
-    ? "\n⚠️ IMPORTANT: Please set your timezone first using /timezone command."
-    : `\n✅ Your timezone is set to: ${chatTimezone}`;
-
-  ctx.reply(
-      `Hello ${firstName}! 👋\n\n` +
-      `I'm your personal reminder assistant powered by AI. I can understand natural language requests to set reminders.${timezoneMessage}\n\n` +
-      `Try these commands:\n` +
-      `/remind - Set a new reminder\n` +
-      `/list - View all your active reminders\n` +
-      `/delete [id] - Delete a specific reminder\n` +
-      `/timezone - Set your timezone\n` +
-      `/mytimezone - Check your current timezone\n` +
-      `/help - Show more example commands\n\n` +
-      `Examples:\n` +
-      `• /remind drink water in 5 minutes\n` +
-      `• /remind take medicine every day at 9am\n` +
-      `• /remind exercise every Monday and Wednesday at 6pm`
-  );
+    ? ctx.t('common.timezoneMissing')
+    : ctx.t('common.timezoneSet', { timezone: chatTimezone });
+
+  ctx.reply(ctx.t('start.text', { name: firstName, timezone: timezoneMessage }));
 });
 
+// Time windows /list can be narrowed to, ending at the returned moment
+const LIST_PERIODS = {
+  today: now => now.endOf('day'),
+  week: now => now.plus({ days: 7 })
+};
+
+/**
+ * Parses /list arguments like "#work today"
+ * @param {string[]} args - Words after the command
+ * @returns {Object|null} - { tag, period }, or null if an argument is not a filter
+ */
+function parseListFilter(args) {
+  const filter = { tag: null, period: null };
+
+  for (const arg of args.map(arg => arg.toLowerCase())) {
+    if (arg.startsWith('#') && normalizeTag(arg) && !filter.tag) {
+      filter.tag = normalizeTag(arg);
+    } else if (LIST_PERIODS[arg] && !filter.period) {
+      filter.period = arg;
+    } else {
+      return null;
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Gets the reminders matching a /list filter; the tag index spares a scan of the whole chat
+ * @param {string} chatId - Chat ID
+ * @param {Object} filter - Filter from parseListFilter
+ * @param {string} timezone - Chat's timezone, which decides where "today" ends
+ * @returns {Promise<Object>} - Map of reminder ID -> reminder
+ */
+async function findReminders(chatId, filter, timezone) {
+  const reminders = filter.tag ? await getRemindersByTag(chatId, filter.tag) : await getReminders(chatId);
+  if (!filter.period) {
+    return reminders;
+  }
+
+  // Paused reminders won't run in any period
+  const until = LIST_PERIODS[filter.period](DateTime.now().setZone(timezone));
+  return Object.fromEntries(Object.entries(reminders).filter(([, reminder]) =>
+    !reminder.paused && DateTime.fromISO(reminder.nextRun) <= until));
+}
+
+// Reminders shown per page of /list
+const LIST_PAGE_SIZE = 5;
+
+// How long the buttons of a filtered /list keep its filter
+const LIST_VIEW_TTL = 86400; // 1 day
+
+// Longer reminder texts are cut in the list; the details show all of it
+const LIST_MESSAGE_LENGTH = 80;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Describes a /list filter for the header, e.g. "#work, today"
+function formatListFilter(filter) {
+  return [filter.tag && formatTags([filter.tag]), filter.period].filter(Boolean).join(', ');
+}
+
+/**
+ * Builds one page of /list: reminders sorted by next run, with a row of buttons per reminder.
+ * Callback data stays short (e.g. "lsp:1718000000000:2") to fit Telegram's 64-byte limit,
+ * so the filter is kept in Redis for the message instead.
+ * @param {Object} ctx - Telegraf context
+ * @param {string} chatId - Chat ID
+ * @param {Object} filter - Filter from parseListFilter
+ * @param {number} page - Zero-based page, clamped to the pages there are
+ * @returns {Promise<{text: string, keyboard: Array}>}
+ */
+async function renderListPage(ctx, chatId, filter, page) {
+  const chatTimezone = await getUserTimezone(chatId);
+  const entries = Object.entries(await findReminders(chatId, filter, chatTimezone))
+      .sort(([, a], [, b]) => new Date(a.nextRun) - new Date(b.nextRun));
+
+  if (!entries.length) {
+    return { text: ctx.t(filter.tag || filter.period ? 'list.noMatches' : 'list.empty'), keyboard: [] };
+  }
+
+  const pages = Math.ceil(entries.length / LIST_PAGE_SIZE);
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  const first = current * LIST_PAGE_SIZE;
+  const description = formatListFilter(filter);
+
+  const lines = [ctx.t('list.header', {
+    count: entries.length,
+    filter: description ? ` (${description})` : '',
+    timezone: chatTimezone
+  })];
+  const keyboard = [];
+
+  entries.slice(first, first + LIST_PAGE_SIZE).forEach(([id, reminder], index) => {
+    const number = first + index + 1;
+    const timezone = reminder.timezone || chatTimezone;
+    const nextRunTime = DateTime.fromISO(reminder.nextRun).setZone(timezone);
+
+    let details = `🕒 ${formatShortDateTime(nextRunTime, ctx.language)}`;
+    if (timezone !== chatTimezone) {
+      details += ` ${timezone}`;
+    }
+    if (reminder.schedule.frequency !== 'once') {
+      details += ` · 🔁 ${describeSchedule(reminder.schedule, ctx.language)}`;
+    }
+    if (reminder.tags && reminder.tags.length) {
+      details += ` · ${formatTags(reminder.tags)}`;
+    }
+
+    const message = reminder.message.length > LIST_MESSAGE_LENGTH
+      ? `${reminder.message.slice(0, LIST_MESSAGE_LENGTH - 1)}…`
+      : reminder.message;
+    lines.push(`\n${number}. ${reminder.paused ? '⏸ ' : ''}<b>${escapeHtml(message)}</b>\n${details}`);
+
+    keyboard.push([
+      { text: `ℹ️ ${number}`, callback_data: `lsi:${id}:${current}` },
+      { text: `✏️ ${number}`, callback_data: `edit_${id}` },
+      { text: `${reminder.paused ? '▶️' : '⏸'} ${number}`, callback_data: `lsp:${id}:${current}` },
+      { text: `🗑 ${number}`, callback_data: `lsd:${id}:${current}` }
+    ]);
+  });
+
+  if (pages > 1) {
+    lines.push('\n' + ctx.t('list.page', { page: current + 1, pages }));
+
+    const navigation = [];
+    if (current > 0) {
+      navigation.push({ text: ctx.t('list.prevButton'), callback_data: `lst:${current - 1}` });
+    }
+    if (current < pages - 1) {
+      navigation.push({ text: ctx.t('list.nextButton'), callback_data: `lst:${current + 1}` });
+    }
+    keyboard.push(navigation);
+  }
+
+  return { text: lines.join('\n'), keyboard };
+}
+
+// Full description of one reminder, as shown by its details button
+function formatReminderDetails(ctx, id, reminder, chatTimezone) {
+  const timezone = reminder.timezone || chatTimezone;
+  const nextRunTime = DateTime.fromISO(reminder.nextRun).setZone(timezone);
+
+  let message = `🔔 <b>${escapeHtml(reminder.message)}</b>\n\n`;
+
+  switch (reminder.schedule.frequency) {
+    case 'once':
+      message += ctx.t('list.once', { date: formatDate(nextRunTime, ctx.language) }) + '\n';
+      message += ctx.t('list.at', { time: nextRunTime.toFormat('HH:mm'), timezone });
+      break;
+    default:
+      message += `📆 ${describeSchedule(reminder.schedule, ctx.language)} ${timezone}`;
+      break;
+  }
+
+  const channels = getReminderChannels(reminder);
+  if (channels.join() !== DEFAULT_CHANNELS.join()) {
+    message += `\n📨 ${channels.join(', ')}`;
+  }
+
+  if (reminder.tags && reminder.tags.length) {
+    message += '\n' + ctx.t('common.tags', { tags: formatTags(reminder.tags) });
+  }
+
+  if (reminder.paused) {
+    message += '\n' + ctx.t('list.paused', { id });
+  }
+
+  message += '\n\n' + ctx.t('common.nextRun', { dateTime: formatDateTime(nextRunTime, ctx.language), timezone });
+  message += formatChatTime(ctx, nextRunTime, chatTimezone);
+  message += '\n' + ctx.t(reminder.personalTimezone ? 'common.personalTimezone' : 'common.timezone', { timezone });
+  message += '\n' + ctx.t('list.id', { id });
+
+  return message;
+}
+
+// Filter of the /list message a button belongs to; unfiltered once it has expired
+async function getListFilter(ctx, chatId) {
+  const filterJson = await redisClient.get(`list_view:${chatId}:${ctx.callbackQuery.message.message_id}`);
+  return filterJson ? JSON.parse(filterJson) : { tag: null, period: null };
+}
+
+// Replaces the /list message in place
+async function editListMessage(ctx, text, keyboard) {
+  try {
+    await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+  } catch (error) {
+    // Nothing changed, e.g. a button pressed twice
+    if (!/message is not modified/.test(error.message)) {
+      throw error;
+    }
+  }
+}
+
+async function showListPage(ctx, page) {
+  const chatId = ctx.chat.id.toString();
+  const { text, keyboard } = await renderListPage(ctx, chatId, await getListFilter(ctx, chatId), page);
+  await editListMessage(ctx, text, keyboard);
+}
+
+async function showReminderDetails(ctx, reminderId, reminder, page) {
+  const chatId = ctx.chat.id.toString();
+  const text = formatReminderDetails(ctx, reminderId, reminder, await getUserTimezone(chatId));
+
+  await editListMessage(ctx, text, [
+    [
+      { text: ctx.t('list.editButton'), callback_data: `edit_${reminderId}` },
+      {
+        text: ctx.t(reminder.paused ? 'list.resumeButton' : 'list.pauseButton'),
+        callback_data: `lsp:${reminderId}:${page}:i`
+      },
+      { text: ctx.t('list.deleteButton'), callback_data: `lsd:${reminderId}:${page}` }
+    ],
+    [
+      { text: ctx.t('list.backButton'), callback_data: `lst:${page}` }
+    ]
+  ]);
+}
+
 bot.command('list', async (ctx) => {
   try {
     const chatId = ctx.chat.id.toString();
-    const reminders = await redisClient.hGetAll(`reminders:${chatId}`);
-
-    if (!reminders || Object.keys(reminders).length === 0) {
-      return ctx.reply('You have no active reminders.');
-    }
-
-    // Send each reminder as a separate message with delete button
-    for (const [id, reminderJson] of Object.entries(reminders)) {
-      const reminder = JSON.parse(reminderJson);
-      const timezone = reminder.timezone || await getUserTimezone(chatId);
-      const nextRunTime = DateTime.fromISO(reminder.nextRun).setZone(timezone);
-
-      let message = `🔔 <b>${reminder.message}</b>\n\n`;
-
-      switch (reminder.schedule.frequency) {
-        case 'once':
-          message += `📅 Once on ${nextRunTime.toFormat('MMMM d, yyyy')}\n`;
-          message += `⏰ At ${nextRunTime.toFormat('HH:mm')} ${timezone}`;
-          break;
-        case 'daily':
-          message += `📆 Every day at ${reminder.schedule.time} ${timezone}`;
-          break;
-        case 'weekly':
-          const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-          message += `📆 Every ${days[reminder.schedule.dayOfWeek]} at ${reminder.schedule.time} ${timezone}`;
-          break;
-        case 'monthly':
-          message += `📆 Every month on day ${reminder.schedule.dayOfMonth} at ${reminder.schedule.time} ${timezone}`;
-          break;
-      }
+    const filter = parseListFilter(ctx.message.text.trim().split(/\s+/).slice(1));
 
-      message += `\n\nNext reminder: ${nextRunTime.toFormat('MMMM d, yyyy HH:mm')} ${timezone}`;
-      message += `\nTimezone: ${timezone}`;
-      message += `\nID: ${id}`;
+    if (!filter) {
+      return ctx.reply(ctx.t('list.usage'));
+    }
 
-      await ctx.replyWithHTML(message, {
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: "❌ Delete Reminder", callback_data: `delete_${id}` }
-            ]
-          ]
-        }
-      });
+    // One message for all reminders; its buttons page through them and act on single ones
+    const { text, keyboard } = await renderListPage(ctx, chatId, filter, 0);
+    const message = await ctx.replyWithHTML(text, { reply_markup: { inline_keyboard: keyboard } });
+
+    if (filter.tag || filter.period) {
+      await redisClient.set(`list_view:${chatId}:${message.message_id}`, JSON.stringify(filter), { EX: LIST_VIEW_TTL });
     }
   } catch (error) {
     logger.error('Error listing reminders:', error);
-    ctx.reply('Failed to retrieve reminders. Please try again later.');
+    ctx.reply(ctx.t('list.failed'));
+  }
+});
+
+// Prev/Next and "back to list"
+bot.action(/^lst:(\d+)$/, async (ctx) => {
+  try {
+    await showListPage(ctx, Number(ctx.match[1]));
+    await ctx.answerCbQuery();
+  } catch (error) {
+    logger.error('Error paging reminders:', error);
+    await ctx.answerCbQuery(ctx.t('list.failed'));
+  }
+});
+
+bot.action(/^lsi:(\d+):(\d+)$/, async (ctx) => {
+  try {
+    const [, reminderId, page] = ctx.match;
+    const reminder = await getReminder(ctx.chat.id.toString(), reminderId);
+
+    if (!reminder) {
+      await showListPage(ctx, Number(page));
+      return ctx.answerCbQuery(ctx.t('common.notFound'));
+    }
+
+    await showReminderDetails(ctx, reminderId, reminder, Number(page));
+    await ctx.answerCbQuery();
+  } catch (error) {
+    logger.error('Error showing reminder details:', error);
+    await ctx.answerCbQuery(ctx.t('list.failed'));
+  }
+});
+
+// Pause or resume from the list or from the details of a reminder (":i")
+bot.action(/^lsp:(\d+):(\d+)(:i)?$/, async (ctx) => {
+  try {
+    const [, reminderId, page, fromDetails] = ctx.match;
+    const chatId = ctx.chat.id.toString();
+    const reminder = await getReminder(chatId, reminderId);
+
+    if (!reminder) {
+      await showListPage(ctx, Number(page));
+      return ctx.answerCbQuery(ctx.t('common.notFound'));
+    }
+
+    const updated = await setReminderPaused(chatId, reminderId, reminder, !reminder.paused);
+
+    if (fromDetails) {
+      await showReminderDetails(ctx, reminderId, updated, Number(page));
+    } else {
+      await showListPage(ctx, Number(page));
+    }
+    await ctx.answerCbQuery(ctx.t(updated.paused ? 'list.pausedAnswer' : 'list.resumedAnswer'));
+  } catch (error) {
+    logger.error('Error pausing reminder from the list:', error);
+    await ctx.answerCbQuery(ctx.t('list.failed'));
   }
 });
 
-// Handle callback queries for delete buttons
+bot.action(/^lsd:(\d+):(\d+)$/, async (ctx) => {
+  try {
+    const [, reminderId, page] = ctx.match;
+    const chatId = ctx.chat.id.toString();
+
+    const deleted = await deleteReminder(chatId, reminderId);
+    if (deleted) {
+      await clearPendingAck(chatId, reminderId);
+    }
+
+    await showListPage(ctx, Number(page));
+    await ctx.answerCbQuery(ctx.t(deleted ? 'delete.answer' : 'common.notFound'));
+  } catch (error) {
+    logger.error('Error deleting reminder from the list:', error);
+    await ctx.answerCbQuery(ctx.t('delete.error'));
+  }
+});
+
+// Delete buttons of reminder messages sent before /list became a single message
 bot.action(/delete_(.+)/, async (ctx) => {
   try {
     const reminderId = ctx.match[1];
     const chatId = ctx.chat.id.toString();
 
     // Delete the reminder
-    const deleted = await redisClient.hDel(`reminders:${chatId}`, reminderId);
+    const deleted = await deleteReminder(chatId, reminderId);
 
     if (deleted) {
-      // Also remove from scheduler
-      await redisClient.zRem('reminder_schedule', `${chatId}:${reminderId}`);
+      // Also stop any pending repeats
+      await clearPendingAck(chatId, reminderId);
 
       // Update the message to show it's deleted
-      await ctx.editMessageText(`✅ Reminder deleted successfully!`);
-      await ctx.answerCbQuery('Reminder deleted');
+      await ctx.editMessageText(ctx.t('delete.done'));
+      await ctx.answerCbQuery(ctx.t('delete.answer'));
     } else {
-      await ctx.answerCbQuery('Reminder not found');
+      await ctx.answerCbQuery(ctx.t('common.notFound'));
     }
   } catch (error) {
     logger.error('Error handling delete callback:', error);
-    await ctx.answerCbQuery('Error deleting reminder');
+    await ctx.answerCbQuery(ctx.t('delete.error'));
+  }
+});
+
+// Asks before deleting every reminder with a tag
+async function confirmTagDelete(ctx, chatId, tagText) {
+  const tag = normalizeTag(tagText);
+  const reminders = tag ? await getRemindersByTag(chatId, tag) : {};
+  const ids = Object.keys(reminders);
+
+  if (!ids.length) {
+    return ctx.reply(ctx.t('tags.none', { tag: tagText }));
+  }
+
+  // Only the reminders shown here are deleted, even if the tag gets new ones meanwhile
+  const requestId = Date.now().toString();
+  await redisClient.set(`tag_delete:${chatId}:${requestId}`, JSON.stringify({ tag, ids }), { EX: 300 });
+
+  return ctx.reply(
+    ctx.t('delete.tagConfirm', {
+      count: ids.length,
+      tag: formatTags([tag]),
+      reminders: ids.map(id => `• ${reminders[id].message} (${id})`).join('\n')
+    }),
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: ctx.t('delete.tagConfirmButton'), callback_data: `tagdel_${requestId}` },
+            { text: ctx.t('delete.tagKeepButton'), callback_data: 'tagdel_keep' }
+          ]
+        ]
+      }
+    }
+  );
+}
+
+bot.action('tagdel_keep', async (ctx) => {
+  try {
+    await ctx.editMessageText(ctx.t('delete.tagKept'));
+    await ctx.answerCbQuery();
+  } catch (error) {
+    logger.error('Error keeping tagged reminders:', error);
+    await ctx.answerCbQuery(ctx.t('delete.error'));
+  }
+});
+
+bot.action(/^tagdel_(\d+)$/, async (ctx) => {
+  try {
+    const chatId = ctx.chat.id.toString();
+    const requestKey = `tag_delete:${chatId}:${ctx.match[1]}`;
+
+    const requestJson = await redisClient.get(requestKey);
+    if (!requestJson) {
+      await ctx.editMessageText(ctx.t('delete.tagExpired'));
+      return ctx.answerCbQuery();
+    }
+
+    const { tag, ids } = JSON.parse(requestJson);
+    await redisClient.del(requestKey);
+
+    let count = 0;
+    for (const id of ids) {
+      if (await deleteReminder(chatId, id)) {
+        await clearPendingAck(chatId, id);
+        count++;
+      }
+    }
+
+    await ctx.editMessageText(ctx.t('delete.tagDeleted', { count, tag: formatTags([tag]) }));
+    await ctx.answerCbQuery();
+  } catch (error) {
+    logger.error('Error deleting tagged reminders:', error);
+    await ctx.answerCbQuery(ctx.t('delete.error'));
   }
 });
 
 bot.command('delete', async (ctx) => {
   const reminderId = ctx.message.text.split(' ')[1];
   if (!reminderId) {
-    return ctx.reply('Please provide a reminder ID to delete. Use /list to see your reminders.');
+    return ctx.reply(ctx.t('delete.usage'));
   }
 
   try {
     const chatId = ctx.chat.id.toString();
+
+    if (reminderId.startsWith('#')) {
+      return await confirmTagDelete(ctx, chatId, reminderId);
+    }
+
     const exists = await redisClient.hExists(`reminders:${chatId}`, reminderId);
 
     if (!exists) {
-      return ctx.reply(`Reminder with ID ${reminderId} not found.`);
+      return ctx.reply(ctx.t('common.reminderNotFound', { id: reminderId }));
     }
 
-    await redisClient.hDel(`reminders:${chatId}`, reminderId);
-    await redisClient.zRem('reminder_schedule', `${chatId}:${reminderId}`);
-    ctx.reply(`Reminder ${reminderId} deleted successfully.`);
+    await deleteReminder(chatId, reminderId);
+    await clearPendingAck(chatId, reminderId);
+    ctx.reply(ctx.t('delete.deleted', { id: reminderId }));
   } catch (error) {
     logger.error('Error deleting reminder:', error);
-    ctx.reply('Failed to delete reminder. Please try again later.');
+    ctx.reply(ctx.t('delete.failed'));
+  }
+});
+
+// Pausing takes a reminder off the schedule without forgetting it
+function pauseReminder(reminder) {
+  return { ...reminder, paused: true, pausedAt: new Date().toISOString() };
+}
+
+// Recurring reminders skip the runs they missed while paused;
+// one-time reminders that came due meanwhile are delivered as missed
+function resumeReminder(reminder) {
+  const { paused, pausedAt, deactivated, ...resumed } = reminder;
+
+  if (new Date(resumed.nextRun) < new Date()) {
+    const nextRun = calculateNextRun(resumed);
+    if (nextRun) {
+      resumed.nextRun = nextRun.toISOString();
+    }
+  }
+
+  return resumed;
+}
+
+/**
+ * Pauses or resumes a stored reminder
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Stored reminder
+ * @param {boolean} pause - True to pause, false to resume
+ * @returns {Promise<Object>} - Updated reminder
+ */
+async function setReminderPaused(chatId, reminderId, reminder, pause) {
+  const updated = await updateReminder(chatId, reminderId, pause ? pauseReminder(reminder) : resumeReminder(reminder));
+  if (pause) {
+    // Paused reminders stop nagging too
+    await clearPendingAck(chatId, reminderId);
+  }
+  return updated;
+}
+
+/**
+ * Handles /pause and /resume with a reminder ID or a #tag
+ * @param {Object} ctx - Telegraf context
+ * @param {boolean} pause - True for /pause, false for /resume
+ */
+async function setRemindersPaused(ctx, pause) {
+  const command = pause ? 'pause' : 'resume';
+  const target = ctx.message.text.trim().split(/\s+/)[1];
+  if (!target) {
+    return ctx.reply(ctx.t(`${command}.usage`));
+  }
+
+  try {
+    const chatId = ctx.chat.id.toString();
+    let reminders;
+
+    if (target.startsWith('#')) {
+      const tag = normalizeTag(target);
+      reminders = tag ? await getRemindersByTag(chatId, tag) : {};
+      if (!Object.keys(reminders).length) {
+        return ctx.reply(ctx.t('tags.none', { tag: target }));
+      }
+    } else {
+      const reminder = await getReminder(chatId, target);
+      if (!reminder) {
+        return ctx.reply(ctx.t('common.reminderNotFound', { id: target }));
+      }
+      reminders = { [target]: reminder };
+    }
+
+    let count = 0;
+    for (const [id, reminder] of Object.entries(reminders)) {
+      if (Boolean(reminder.paused) === pause) {
+        continue;
+      }
+
+      await setReminderPaused(chatId, id, reminder, pause);
+      count++;
+    }
+
+    logger.info(`${pause ? 'Paused' : 'Resumed'} ${count} reminder(s) matching ${target} for chat ${chatId}`);
+    ctx.reply(ctx.t(`${command}.done`, { count }));
+  } catch (error) {
+    logger.error(`Error handling /${command}:`, error);
+    ctx.reply(ctx.t(`${command}.failed`));
+  }
+}
+
+bot.command('pause', ctx => setRemindersPaused(ctx, true));
+bot.command('resume', ctx => setRemindersPaused(ctx, false));
+
+// Reminders deactivated because the bot was blocked or removed come back with it
+bot.on('my_chat_member', async (ctx) => {
+  if (!['member', 'administrator'].includes(ctx.myChatMember.new_chat_member.status)) {
+    return;
+  }
+
+  const chatId = ctx.chat.id.toString();
+  try {
+    // Digests were taken off the schedule with the reminders; their settings were kept
+    await rescheduleDigests(chatId);
+
+    const deactivated = Object.entries(await getReminders(chatId)).filter(([, reminder]) => reminder.deactivated);
+    if (!deactivated.length) {
+      return;
+    }
+
+    for (const [reminderId, reminder] of deactivated) {
+      await setReminderPaused(chatId, reminderId, reminder, false);
+    }
+    logger.info(`Reactivated ${deactivated.length} reminders of chat ${chatId}`);
+    await ctx.reply(`${ctx.t('resume.reactivated')}\n${ctx.t('resume.done', { count: deactivated.length })}`);
+  } catch (error) {
+    logger.error(`Error reactivating reminders of chat ${chatId}:`, error);
+  }
+});
+
+// Ask how a reminder should be changed
+bot.action(/^edit_(\d+)$/, async (ctx) => {
+  try {
+    const reminderId = ctx.match[1];
+    const chatId = ctx.chat.id.toString();
+
+    const exists = await redisClient.hExists(`reminders:${chatId}`, reminderId);
+    if (!exists) {
+      return ctx.answerCbQuery(ctx.t('common.notFound'));
+    }
+
+    const prompt = await ctx.reply(
+        ctx.t('edit.prompt', { id: reminderId }),
+        { reply_markup: { force_reply: true, selective: true } }
+    );
+
+    // Remember which reminder the reply belongs to
+    await redisClient.set(`edit_prompt:${chatId}:${prompt.message_id}`, reminderId, { EX: 300 }); // Expire after 5 minutes
+
+    await ctx.answerCbQuery();
+  } catch (error) {
+    logger.error('Error handling edit callback:', error);
+    await ctx.answerCbQuery(ctx.t('edit.error'));
   }
 });
 
@@ -179,24 +729,10 @@ bot.command('help', async (ctx) => {
   const chatId = ctx.chat.id.toString();
   const chatTimezone = await getUserTimezone(chatId);
   const timezoneMessage = chatTimezone === config.USER_TIMEZONE_DEFAULT
-    ? "\n⚠️ IMPORTANT: Please set your timezone first using /timezone command."
-    : `\n✅ Your timezone is set to: ${chatTimezone}`;
-
-  ctx.reply(
-      'Here are the available commands:' + timezoneMessage + '\n\n' +
-      '/remind - Set a new reminder\n' +
-      '/timezone - Set your timezone\n' +
-      '/list - Show all your active reminders\n' +
-      '/delete [id] - Delete a specific reminder\n' +
-      '/mytimezone - Check your current timezone\n' +
-      '/help - Show this help message\n\n' +
-      'Example reminders:\n' +
-      '• /remind take medicine every day at 9am\n' +
-      '• /remind team meeting every Thursday at 3pm\n' +
-      '• /remind call mom on Sundays at 6pm\n' +
-      '• /remind drink water in 5 minutes\n\n' +
-      'Note: Timezone is shared for all users in this chat to ensure consistent reminder times.'
-  );
+    ? ctx.t('common.timezoneMissing')
+    : ctx.t('common.timezoneSet', { timezone: chatTimezone });
+
+  ctx.reply(ctx.t('help.text', { timezone: timezoneMessage }));
 });
 
 // My timezone command
@@ -205,11 +741,167 @@ bot.command('mytimezone', async (ctx) => {
   try {
     const timezone = await getUserTimezone(chatId);
     const localTime = DateTime.now().setZone(timezone).toFormat('yyyy-MM-dd HH:mm:ss');
+    let message = ctx.t('timezone.current', { timezone, time: localTime });
 
-    ctx.reply(`Your current timezone is set to: ${timezone}\nYour local time should be: ${localTime}`);
+    // Members of groups may have their own timezone for the reminders they set
+    const memberTimezone = ctx.chat.type !== 'private' && await getMemberTimezone(ctx.from.id.toString());
+    if (memberTimezone) {
+      message += '\n\n' + ctx.t('timezone.personal', {
+        timezone: memberTimezone,
+        time: DateTime.now().setZone(memberTimezone).toFormat('yyyy-MM-dd HH:mm:ss')
+      });
+    }
+
+    ctx.reply(message);
   } catch (error) {
     logger.error(`Error getting timezone for chat ${chatId}:`, error);
-    ctx.reply('I could not retrieve your timezone. Please try setting it with the /timezone command.');
+    ctx.reply(ctx.t('timezone.currentFailed'));
+  }
+});
+
+// Missed reminder policy command
+const MISSED_RUN_POLICIES = ['once', 'all', 'skip'];
+
+function formatMissedRunPolicy({ policy, thresholdMinutes }, translate) {
+  const description = `${policy} — ${translate(`missed.${policy}`)}`;
+  return policy === 'skip'
+    ? `${description} (${thresholdMinutes >= 60 ? `${thresholdMinutes / 60}h` : `${thresholdMinutes}m`})`
+    : description;
+}
+
+bot.command('missed', async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const args = ctx.message.text.trim().split(/\s+/).slice(1);
+
+  // Optional reminder ID first: /missed <id> <policy> [threshold]
+  const reminderId = /^\d+$/.test(args[0] || '') ? args.shift() : null;
+  const [policy, threshold] = args;
+
+  try {
+    if (!policy) {
+      const chatPolicy = await getMissedRunPolicy(chatId);
+      return ctx.reply(ctx.t('missed.current', { policy: formatMissedRunPolicy(chatPolicy, ctx.t) }));
+    }
+
+    if (reminderId && policy === 'default') {
+      const reminder = await getReminder(chatId, reminderId);
+      if (!reminder) {
+        return ctx.reply(ctx.t('common.reminderNotFound', { id: reminderId }));
+      }
+      await updateReminder(chatId, reminderId, { ...reminder, missedRunPolicy: null });
+      return ctx.reply(ctx.t('missed.reset', { id: reminderId }));
+    }
+
+    if (!MISSED_RUN_POLICIES.includes(policy)) {
+      return ctx.reply(ctx.t('missed.unknown'));
+    }
+
+    let thresholdMinutes = config.MISSED_RUN_THRESHOLD;
+    if (threshold) {
+      const match = threshold.match(/^(\d+)([mh]?)$/i);
+      if (!match) {
+        return ctx.reply(ctx.t('missed.threshold'));
+      }
+      thresholdMinutes = match[2].toLowerCase() === 'm' ? Number(match[1]) : Number(match[1]) * 60;
+    }
+
+    const missedRunPolicy = { policy, thresholdMinutes };
+
+    if (reminderId) {
+      const reminder = await getReminder(chatId, reminderId);
+      if (!reminder) {
+        return ctx.reply(ctx.t('common.reminderNotFound', { id: reminderId }));
+      }
+      await updateReminder(chatId, reminderId, { ...reminder, missedRunPolicy });
+      return ctx.reply(ctx.t('missed.updatedReminder', {
+        id: reminderId,
+        policy: formatMissedRunPolicy(missedRunPolicy, ctx.t)
+      }));
+    }
+
+    await saveMissedRunPolicy(chatId, missedRunPolicy);
+    ctx.reply(ctx.t('missed.updated', { policy: formatMissedRunPolicy(missedRunPolicy, ctx.t) }));
+  } catch (error) {
+    logger.error(`Error handling /missed for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('missed.failed'));
+  }
+});
+
+// API token command
+bot.command('apitoken', async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const revoke = ctx.message.text.trim().split(/\s+/)[1] === 'revoke';
+
+  try {
+    // In groups the token controls everyone's reminders, so only admins may manage it
+    if (!await canManageChat(ctx)) {
+      return ctx.reply(ctx.t('apitoken.adminOnly'));
+    }
+
+    if (revoke) {
+      const revoked = await revokeApiToken(chatId);
+      return ctx.reply(ctx.t(revoked ? 'apitoken.revoked' : 'apitoken.none'));
+    }
+
+    // Anyone in a group could use the token, so only the admin gets it, privately. Make
+    // sure a private message can reach them before the current token is replaced.
+    if (ctx.chat.type !== 'private') {
+      try {
+        await ctx.telegram.sendChatAction(ctx.from.id, 'typing');
+      } catch (error) {
+        logger.warn(`Could not reach the admin of chat ${chatId} privately for /apitoken:`, error);
+        return ctx.reply(ctx.t('apitoken.notSent'));
+      }
+    }
+
+    const token = await createApiToken(chatId);
+    const chat = ctx.chat.type === 'private'
+      ? ctx.t('apitoken.thisChat')
+      : ctx.t('apitoken.namedChat', { title: escapeHtml(ctx.chat.title) });
+    const message = ctx.t('apitoken.token', { chat, token });
+
+    if (ctx.chat.type === 'private') {
+      return ctx.replyWithHTML(message);
+    }
+    await ctx.telegram.sendMessage(ctx.from.id, message, { parse_mode: 'HTML' });
+    await ctx.reply(ctx.t('apitoken.sentPrivately'));
+  } catch (error) {
+    logger.error(`Error handling /apitoken for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('apitoken.failed'));
+  }
+});
+
+// Language command: /language [en|ru|pl|auto]
+bot.command('language', async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const choice = (ctx.message.text.trim().split(/\s+/)[1] || '').toLowerCase();
+  const options = LANGUAGES.join(', ');
+
+  try {
+    if (!choice) {
+      const { selected } = await getChatLanguageSettings(chatId);
+      return ctx.reply(ctx.t('language.current', {
+        language: ctx.t('language.name'),
+        source: selected ? '' : ctx.t('language.auto'),
+        options
+      }));
+    }
+
+    if (choice === 'auto') {
+      await saveChatLanguage(chatId, null);
+      return ctx.reply(ctx.t('language.reset'));
+    }
+
+    if (!LANGUAGES.includes(choice)) {
+      return ctx.reply(ctx.t('language.unknown', { options }));
+    }
+
+    await saveChatLanguage(chatId, choice);
+    ctx.language = choice;
+    ctx.reply(ctx.t('language.set', { language: ctx.t('language.name') }));
+  } catch (error) {
+    logger.error(`Error handling /language for chat ${chatId}:`, error);
+    ctx.reply(ctx.t('language.failed'));
   }
 });
 
@@ -228,6 +920,11 @@ bot.action(/update_tz_(.+)/, async (ctx) => {
       for (const [reminderId, reminderJson] of Object.entries(reminders)) {
         const reminder = JSON.parse(reminderJson);
 
+        // Reminders on a member's personal timezone don't follow the chat's
+        if (reminder.personalTimezone) {
+          continue;
+        }
+
         // Update the timezone
         reminder.timezone = chatTimezone;
 
@@ -237,27 +934,20 @@ bot.action(/update_tz_(.+)/, async (ctx) => {
         if (nextRun) {
           reminder.nextRun = nextRun.toISOString();
 
-          // Save updated reminder
-          await redisClient.hSet(`reminders:${chatId}`, reminderId, JSON.stringify(reminder));
-
-          // Update in sorted set
-          await redisClient.zRem('reminder_schedule', `${chatId}:${reminderId}`);
-          await redisClient.zAdd('reminder_schedule', {
-            score: new Date(nextRun).getTime(),
-            value: `${chatId}:${reminderId}`
-          });
+          // Save updated reminder and its schedule entry
+          await updateReminder(chatId, reminderId, reminder);
 
           updatedCount++;
         }
       }
 
-      await ctx.editMessageText(`✅ Updated ${updatedCount} reminders to use your timezone (${chatTimezone}).`);
+      await ctx.editMessageText(ctx.t('timezone.updatedAll', { count: updatedCount, timezone: chatTimezone }));
     } catch (error) {
       logger.error('Error updating reminders timezone:', error);
-      await ctx.editMessageText('Sorry, I encountered an error updating your reminders.');
+      await ctx.editMessageText(ctx.t('timezone.updateFailed'));
     }
   } else {
-    await ctx.editMessageText('Your reminders will keep their current times. You can update individual reminders by deleting and recreating them.');
+    await ctx.editMessageText(ctx.t('timezone.keptTimes'));
   }
 });
 
@@ -270,14 +960,15 @@ bot.action(/reschedule_(.+)/, async (ctx) => {
     // Get stored data
     const reminderDataJson = await redisClient.get(rescheduleKey);
     if (!reminderDataJson) {
-      return ctx.reply("Sorry, this reschedule request has expired. Please set a new reminder.");
+      return ctx.reply(ctx.t('reschedule.expired'));
     }
 
     const reminderData = JSON.parse(reminderDataJson);
     const chatTimezone = await getUserTimezone(chatId);
+    const timezone = reminderData.timezone || chatTimezone;
 
     // Create tomorrow's date
-    const tomorrow = DateTime.now().setZone(chatTimezone).plus({ days: 1 });
+    const tomorrow = DateTime.now().setZone(timezone).plus({ days: 1 });
     const [hours, minutes] = reminderData.time.split(':').map(Number);
 
     const reminderDate = tomorrow.set({
@@ -297,9 +988,24 @@ bot.action(/reschedule_(.+)/, async (ctx) => {
       },
       nextRun: reminderDate.toJSDate().toISOString(),
       createdAt: new Date().toISOString(),
-      timezone: chatTimezone
+      timezone,
+      acknowledgement: reminderData.acknowledgement || null
     };
 
+    if (reminderData.createdBy) {
+      reminder.createdBy = reminderData.createdBy;
+    }
+    if (reminderData.tags && reminderData.tags.length) {
+      reminder.tags = reminderData.tags;
+    }
+    if (reminderData.personalTimezone) {
+      reminder.personalTimezone = true;
+    }
+
+    if (Array.isArray(reminderData.channels) && reminderData.channels.length) {
+      reminder.channels = resolveChannels(reminderData.channels, await getChatChannels(chatId)).channels;
+    }
+
     // Save to Redis
     const reminderId = await saveReminder(chatId, reminder);
 
@@ -307,25 +1013,222 @@ bot.action(/reschedule_(.+)/, async (ctx) => {
     await redisClient.del(rescheduleKey);
 
     // Confirm to user
-    const confirmationMsg = `✅ Reminder rescheduled: "${reminderData.message}"\n` +
-        `📅 Date: ${reminderDate.toFormat('MMMM d, yyyy')}\n` +
-        `⏰ Time: ${reminderDate.toFormat('HH:mm')} ${chatTimezone}\n\n` +
-        `Next reminder: ${reminderDate.toFormat('MMMM d, yyyy HH:mm')} ${chatTimezone}\n` +
-        `Reminder ID: ${reminderId}\n` +
-        `Timezone: ${chatTimezone}`;
+    const confirmationMsg = ctx.t('reschedule.done', { message: reminderData.message }) + '\n' +
+        ctx.t('common.date', { date: formatDate(reminderDate, ctx.language) }) + '\n' +
+        ctx.t('common.time', { time: reminderDate.toFormat('HH:mm'), timezone }) + '\n\n' +
+        ctx.t('common.nextRun', { dateTime: formatDateTime(reminderDate, ctx.language), timezone }) +
+        formatChatTime(ctx, reminderDate, chatTimezone) + '\n' +
+        ctx.t('common.reminderId', { id: reminderId }) + '\n' +
+        ctx.t(reminder.personalTimezone ? 'common.personalTimezone' : 'common.timezone', { timezone });
 
     await ctx.editMessageText(confirmationMsg);
 
   } catch (error) {
     logger.error('Error rescheduling reminder:', error);
-    await ctx.reply("Sorry, I couldn't reschedule your reminder. Please try setting a new one.");
+    await ctx.reply(ctx.t('reschedule.failed'));
   }
 });
 
 bot.action('cancel_reminder', async (ctx) => {
-  await ctx.editMessageText("Reminder cancelled. You can set a new one anytime.");
+  await ctx.editMessageText(ctx.t('reschedule.cancelled'));
+});
+
+// Formats the note appended to a delivered reminder once it has been snoozed
+function formatSnoozeNote(snoozeUntil, timezone, language) {
+  const snoozeTime = DateTime.fromJSDate(snoozeUntil).setZone(timezone);
+  return t(language, 'snooze.note', { dateTime: formatDateTime(snoozeTime, language), timezone });
+}
+
+// Handle preset snooze buttons on delivered reminders
+bot.action(/^snooze_(\d+)_(\w+)$/, async (ctx) => {
+  try {
+    const [, reminderId, option] = ctx.match;
+    const chatId = ctx.chat.id.toString();
+
+    // "Tomorrow morning" follows the reminder's timezone, which may be its creator's own
+    const delivered = await getDeliveredReminder(chatId, reminderId);
+    const timezone = (delivered && delivered.timezone) || await getUserTimezone(chatId);
+
+    const snoozeUntil = getSnoozeTime(option, timezone);
+    if (!snoozeUntil) {
+      return ctx.answerCbQuery(ctx.t('snooze.unknown'));
+    }
+
+    const snoozed = await snoozeReminder(chatId, reminderId, snoozeUntil);
+    if (!snoozed) {
+      return ctx.answerCbQuery(ctx.t('snooze.tooOld'));
+    }
+
+    await ctx.editMessageText(
+        ctx.t('delivery.reminder', { message: snoozed.reminder.message }) + '\n\n' +
+        formatSnoozeNote(snoozeUntil, snoozed.reminder.timezone, ctx.language)
+    );
+    await ctx.answerCbQuery(ctx.t('snooze.done'));
+  } catch (error) {
+    logger.error('Error handling snooze callback:', error);
+    await ctx.answerCbQuery(ctx.t('snooze.error'));
+  }
+});
+
+// Ask for a custom snooze time in natural language
+bot.action(/^snooze_custom_(\d+)$/, async (ctx) => {
+  try {
+    const reminderId = ctx.match[1];
+    const chatId = ctx.chat.id.toString();
+
+    const delivered = await getDeliveredReminder(chatId, reminderId);
+    if (!delivered) {
+      return ctx.answerCbQuery(ctx.t('snooze.tooOld'));
+    }
+
+    const prompt = await ctx.reply(
+        ctx.t('snooze.prompt', { message: delivered.message }),
+        { reply_markup: { force_reply: true, selective: true } }
+    );
+
+    // Remember which delivered message the reply belongs to
+    await redisClient.set(`snooze_prompt:${chatId}:${prompt.message_id}`, JSON.stringify({
+      reminderId,
+      messageId: ctx.callbackQuery.message.message_id
+    }), { EX: 300 }); // Expire after 5 minutes
+
+    await ctx.answerCbQuery();
+  } catch (error) {
+    logger.error('Error handling custom snooze callback:', error);
+    await ctx.answerCbQuery(ctx.t('snooze.error'));
+  }
+});
+
+// Mark a delivered reminder as done
+bot.action(/^done_(\d+)$/, async (ctx) => {
+  try {
+    const reminderId = ctx.match[1];
+    const chatId = ctx.chat.id.toString();
+
+    const delivered = await getDeliveredReminder(chatId, reminderId);
+    const message = delivered ? delivered.message : ctx.callbackQuery.message.text.replace(/^⏰ [^:]+: /, '');
+
+    await ctx.editMessageText(ctx.t('delivery.reminder', { message }) + '\n\n' + ctx.t('done.note'));
+    await redisClient.del(`delivered:${chatId}:${reminderId}`);
+    await clearPendingAck(chatId, reminderId);
+    await ctx.answerCbQuery(ctx.t('done.answer'));
+  } catch (error) {
+    logger.error('Error handling done callback:', error);
+    await ctx.answerCbQuery(ctx.t('done.error'));
+  }
+});
+
+// Acknowledge a nagging reminder so it stops repeating
+bot.action(/^ack_(\d+)$/, async (ctx) => {
+  try {
+    const reminderId = ctx.match[1];
+    const chatId = ctx.chat.id.toString();
+
+    const delivered = await getDeliveredReminder(chatId, reminderId);
+    const message = delivered ? delivered.message : ctx.callbackQuery.message.text.replace(/^.*?: /, '');
+    const wasPending = await clearPendingAck(chatId, reminderId);
+
+    const acknowledgedBy = ctx.from.first_name || ctx.from.username || ctx.t('ack.someone');
+    await ctx.editMessageText(ctx.t('delivery.reminder', { message }) + '\n\n' + ctx.t('ack.note', { name: acknowledgedBy }));
+    await ctx.answerCbQuery(ctx.t(wasPending ? 'ack.answer' : 'ack.already'));
+    logger.info(`Reminder ${reminderId} acknowledged in chat ${chatId} by ${ctx.from.id}`);
+  } catch (error) {
+    logger.error('Error handling acknowledge callback:', error);
+    await ctx.answerCbQuery(ctx.t('ack.error'));
+  }
+});
+
+// Handle replies to the edit prompt
+bot.on('text', async (ctx, next) => {
+  const replyTo = ctx.message.reply_to_message;
+  if (!replyTo) {
+    return next();
+  }
+
+  const chatId = ctx.chat.id.toString();
+  const promptKey = `edit_prompt:${chatId}:${replyTo.message_id}`;
+  const reminderId = await redisClient.get(promptKey);
+  if (!reminderId) {
+    return next();
+  }
+
+  try {
+    await redisClient.del(promptKey);
+    await applyReminderEdit(ctx, reminderId, ctx.message.text);
+  } catch (error) {
+    if (error.budgetExceeded) {
+      return ctx.reply(ctx.t(`usage.${error.budgetExceeded}BudgetExceeded`));
+    }
+    logger.error('Error handling edit reply:', error);
+    await ctx.reply(ctx.t('edit.failed'));
+  }
+});
+
+// Handle replies to the custom snooze prompt
+bot.on('text', async (ctx, next) => {
+  const replyTo = ctx.message.reply_to_message;
+  if (!replyTo) {
+    return next();
+  }
+
+  const chatId = ctx.chat.id.toString();
+  const promptKey = `snooze_prompt:${chatId}:${replyTo.message_id}`;
+  const promptJson = await redisClient.get(promptKey);
+  if (!promptJson) {
+    return next();
+  }
+
+  try {
+    const { reminderId, messageId } = JSON.parse(promptJson);
+    const delivered = await getDeliveredReminder(chatId, reminderId);
+    if (!delivered) {
+      await redisClient.del(promptKey);
+      return ctx.reply(ctx.t('snooze.tooOldReply'));
+    }
+
+    const timezone = delivered.timezone || await getUserTimezone(chatId);
+    const analysis = await analyzeReminder(`${delivered.message} ${ctx.message.text}`, chatId, timezone);
+    const snoozeUntil = analysis && analysis.isReminder && analysis.schedule
+        ? await getDateFromSchedule(analysis.schedule, timezone)
+        : null;
+
+    if (!snoozeUntil || snoozeUntil <= new Date()) {
+      return ctx.reply(ctx.t('snooze.notUnderstood'));
+    }
+
+    const snoozed = await snoozeReminder(chatId, reminderId, snoozeUntil);
+    if (!snoozed) {
+      return ctx.reply(ctx.t('snooze.tooOldReply'));
+    }
+
+    await redisClient.del(promptKey);
+
+    const snoozeNote = formatSnoozeNote(snoozeUntil, snoozed.reminder.timezone, ctx.language);
+    const deliveredText = ctx.t('delivery.reminder', { message: snoozed.reminder.message }) + '\n\n' + snoozeNote;
+    await ctx.telegram.editMessageText(chatId, messageId, undefined, deliveredText)
+        .catch(error => logger.warn(`Could not update snoozed reminder message ${messageId}:`, error));
+    await ctx.reply(ctx.t('snooze.confirmed', { note: snoozeNote, id: snoozed.id }));
+  } catch (error) {
+    if (error.budgetExceeded) {
+      return ctx.reply(ctx.t(`usage.${error.budgetExceeded}BudgetExceeded`));
+    }
+    logger.error('Error handling custom snooze reply:', error);
+    await ctx.reply(ctx.t('snooze.failed'));
+  }
 });
 
 // Enable graceful stop
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
\ No newline at end of file
+function stop(signal) {
+  if (apiServer) {
+    apiServer.close();
+  }
+
+  if (config.BOT_POLLING_ENABLED) {
+    bot.stop(signal);
+  } else {
+    process.exit(0);
+  }
+}
+
+process.once('SIGINT', () => stop('SIGINT'));
+process.once('SIGTERM', () => stop('SIGTERM'));
\ No newline at end of file
@@ -0,0 +1,539 @@
+// English messages; also the fallback for keys missing from other catalogs
+module.exports = {
+  'language.name': 'English',
+
+  // Bot menu
+  'commands.remind': 'Set a new reminder. Example: /remind drink water in 5 minutes',
+  'commands.timezone': 'Set your timezone. Example: /timezone Europe/Moscow',
+  'commands.edit': 'Change a reminder. Example: /edit <id> move to 8am',
+  'commands.export': 'Export your reminders as an .ics calendar file',
+  'commands.language': 'Choose the bot language. Example: /language ru',
+
+  // Shared pieces of confirmations
+  'common.date': '📅 Date: {date}',
+  'common.time': '⏰ Time: {time} {timezone}',
+  'common.nextRun': 'Next reminder: {dateTime} {timezone}',
+  'common.reminderId': 'Reminder ID: {id}',
+  'common.timezone': 'Timezone: {timezone}',
+  'common.personalTimezone': 'Timezone: {timezone} (personal)',
+  'common.chatTime': '🌐 Chat time: {dateTime} {timezone}',
+  'common.currentTime': 'Current time in {timezone}: {time}',
+  'common.localTime': 'Your local time should be: {time}',
+  'common.reminderNotFound': 'Reminder with ID {id} not found.',
+  'common.notFound': 'Reminder not found',
+  'common.timezoneMissing': '\n⚠️ IMPORTANT: Please set your timezone first using /timezone command.',
+  'common.timezoneSet': '\n✅ Your timezone is set to: {timezone}',
+  'common.and': ' and ',
+  'common.tags': '🏷 {tags}',
+
+  'start.defaultName': 'there',
+  'start.text':
+    'Hello {name}! 👋\n\n' +
+    "I'm your personal reminder assistant powered by AI. I can understand natural language requests to set reminders.{timezone}\n\n" +
+    'Try these commands:\n' +
+    '/remind - Set a new reminder\n' +
+    '/list - View all your active reminders\n' +
+    '/edit [id] [change] - Change a reminder in plain words\n' +
+    '/delete [id|#tag] - Delete a reminder or every reminder with a tag\n' +
+    '/pause, /resume [id|#tag] - Pause reminders or turn them back on\n' +
+    '/timezone - Set your timezone\n' +
+    '/mytimezone - Check your current timezone\n' +
+    "/missed - Choose what happens to reminders missed while I'm offline\n" +
+    '/export - Download your reminders as a calendar (.ics) file\n' +
+    '/apitoken - Get a token for managing reminders through the API\n' +
+    '/webhook - Send reminder events to your own systems\n' +
+    '/channels - Also deliver reminders by email or HTTP\n' +
+    '/language - Choose the language I reply in\n' +
+    '/agenda [period] - See what is coming up, e.g. /agenda tomorrow\n' +
+    '/digest - Get a daily or weekly summary of upcoming reminders\n' +
+    '/history [#tag|id] - See what was sent recently and whether it worked\n' +
+    '/usage - See how much AI this chat has used\n' +
+    '/quiet - Set quiet hours for reminders\n' +
+    '/dnd [2h] - Do not disturb for a while\n' +
+    '/help - Show more example commands\n\n' +
+    'Examples:\n' +
+    '• /remind drink water in 5 minutes\n' +
+    '• /remind take medicine every day at 9am\n' +
+    '• /remind exercise every Monday and Wednesday at 6pm',
+
+  'help.text':
+    'Here are the available commands:{timezone}\n\n' +
+    '/remind - Set a new reminder\n' +
+    '/timezone - Set your timezone\n' +
+    '/list - Show all your active reminders\n' +
+    '/edit [id] [change] - Change a reminder, e.g. "move to 8am"\n' +
+    '/delete [id|#tag] - Delete a reminder or every reminder with a tag\n' +
+    '/pause, /resume [id|#tag] - Pause reminders or turn them back on\n' +
+    '/mytimezone - Check your current timezone\n' +
+    "/missed - Choose what happens to reminders missed while I'm offline\n" +
+    '/export - Download your reminders as a calendar (.ics) file\n' +
+    '/apitoken - Get a token for managing reminders through the API\n' +
+    '/webhook - Send reminder events to your own systems\n' +
+    '/channels - Also deliver reminders by email or HTTP\n' +
+    '/language - Choose the language I reply in\n' +
+    '/agenda [period] - See what is coming up, e.g. /agenda tomorrow\n' +
+    '/digest - Get a daily or weekly summary of upcoming reminders\n' +
+    '/history [#tag|id] - See what was sent recently and whether it worked\n' +
+    '/usage - See how much AI this chat has used\n' +
+    '/quiet - Set quiet hours for reminders\n' +
+    '/dnd [2h] - Do not disturb for a while\n' +
+    '/help - Show this help message\n\n' +
+    'Example reminders:\n' +
+    '• /remind take medicine every day at 9am\n' +
+    '• /remind team meeting every Thursday at 3pm\n' +
+    '• /remind call mom on Sundays at 6pm\n' +
+    '• /remind drink water in 5 minutes\n\n' +
+    'Upload an .ics file to import its events as reminders.\n\n' +
+    'Add #tags to reminders (/remind #work report every Friday at 16:00) and filter with /list #work, /list today or /list week.\n\n' +
+    'Note: The chat timezone is shared by everyone here. In groups, /timezone me <city> sets your own timezone for the reminders you create.',
+
+  // /remind
+  'remind.examples':
+    '- /remind drink water in 5 minutes\n' +
+    '- /remind take medicine every day at 9am\n' +
+    '- /remind exercise every Monday and Wednesday at 3pm\n' +
+    '- /remind team meeting every month on day 15 at 14:00',
+  'remind.usage': 'Please provide a reminder message. Examples:\n{examples}',
+  'remind.needTimezone':
+    'Before I can set reminders, I need to know your timezone. Please:\n\n' +
+    '1. Use /timezone command (e.g., /timezone Europe/Moscow)\n' +
+    'This helps me set reminders at the correct time for you.',
+  'remind.notUnderstood': "I couldn't understand that reminder format. Please try again with one of these formats:\n{examples}",
+  'remind.past':
+    'That time has already passed. Would you like to set this reminder for tomorrow at the same time?\n' +
+    'Current time in {timezone}: {now}\n' +
+    'Requested time: {time}',
+  'remind.tomorrowButton': 'Yes, set for tomorrow',
+  'remind.cancelButton': 'No, cancel',
+  'remind.pastRecurring': "I couldn't set that reminder. Please specify a future time.\nCurrent time in {timezone}: {now}",
+  'remind.set': '✅ Reminder set: "{message}"',
+  'remind.channels': '📨 Delivered to: {channels}',
+  'remind.channelsUnlinked': '⚠️ {channels} not linked yet, see /channels',
+  'remind.failed':
+    "I'm having trouble setting that reminder. Please try again with a clearer format:\n" +
+    '- /remind drink water in 5 minutes\n' +
+    '- /remind take medicine every day at 9am\n' +
+    '- /remind exercise every Monday and Wednesday at 3pm',
+  'remind.acknowledgement': '🔁 Repeats every {interval} min until acknowledged (up to {maxRepeats} times)',
+
+  // Questions asked when the model's answer stays invalid
+  'clarify.intro': 'I need a bit more detail to set this reminder:',
+  'clarify.remind': 'Please send /remind again with these details.',
+  'clarify.edit': 'Please send /edit {id} again with these details.',
+  'clarify.relativeMinutes': 'In how long? For example "in 20 minutes" or "in 2 hours".',
+  'clarify.time': 'At what time? For example "at 9:30" or "at 6pm".',
+  'clarify.date': 'On which date? For example "tomorrow" or "on March 15".',
+  'clarify.dayOfWeek': 'On which day of the week? For example "every Friday".',
+  'clarify.daysOfWeek': 'On which days of the week? For example "every Monday and Thursday".',
+  'clarify.dayOfMonth': 'On which day of the month (1-31)?',
+  'clarify.schedule': 'How often? For example "once", "every day" or "every 2 weeks on Monday".',
+  'clarify.message': 'What should I remind you about?',
+  'clarify.acknowledgement': 'How often should I repeat it until you confirm? For example "every 10 minutes".',
+  'clarify.channels': 'Where should I deliver it: telegram, email or http?',
+  'clarify.rephrase': 'Could you rephrase the reminder?',
+
+  // /timezone and /mytimezone
+  'timezone.usage':
+    'Please provide a timezone. Examples:\n' +
+    '- /timezone Europe/Warsaw\n' +
+    '- /timezone Moscow\n' +
+    '- /timezone New York\n' +
+    '- /timezone Tokyo\n' +
+    '- /timezone me New York (only for the reminders you set in groups; /timezone me off to stop)\n\n' +
+    'You can use city names or standard timezone formats.\n' +
+    "I'll help you find the correct timezone format!",
+  'timezone.unknown':
+    "I couldn't determine your timezone. Please try:\n" +
+    '1. Using a major city name (e.g., Moscow, New York, Tokyo)\n' +
+    '2. Using the standard format (e.g., Europe/Warsaw, America/New_York)\n\n' +
+    'You can find your timezone here: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones',
+  'timezone.understoodAs': 'I understood "{input}" as "{timezone}"',
+  'timezone.set':
+    '✅ Timezone set to {timezone}\n' +
+    'Your local time should be: {time}\n\n' +
+    'You can now create reminders using the /remind command. For example:\n' +
+    '- /remind drink water in 5 minutes\n' +
+    '- /remind take medicine every day at 9am\n' +
+    '- /remind exercise every Monday and Wednesday at 3pm',
+  'timezone.failed':
+    'Sorry, there was an error setting your timezone. Please try again with a city name or standard timezone format.\n' +
+    'Examples:\n' +
+    '- /timezone Moscow\n' +
+    '- /timezone Europe/Warsaw\n' +
+    '- /timezone New York',
+  'timezone.current': 'Your current timezone is set to: {timezone}\nYour local time should be: {time}',
+  'timezone.personal': 'Your personal timezone for reminders you set here: {timezone}\nYour local time: {time}',
+  'timezone.personalSet':
+    '✅ Your personal timezone is set to {timezone}\n' +
+    'Your local time should be: {time}\n\n' +
+    'Reminders you set in group chats will use it. The chat timezone stays {chatTimezone}.',
+  'timezone.personalCleared': '✅ Personal timezone removed. Your reminders will use the chat timezone ({timezone}).',
+  'timezone.currentFailed': 'I could not retrieve your timezone. Please try setting it with the /timezone command.',
+  'timezone.updatedAll': {
+    one: '✅ Updated {count} reminder to use your timezone ({timezone}).',
+    other: '✅ Updated {count} reminders to use your timezone ({timezone}).'
+  },
+  'timezone.updateFailed': 'Sorry, I encountered an error updating your reminders.',
+  'timezone.keptTimes': 'Your reminders will keep their current times. You can update individual reminders with /edit <id> <change>.',
+
+  // /edit
+  'edit.usage':
+    'Please provide a reminder ID and the change. Examples:\n' +
+    '- /edit <id> move to 8am\n' +
+    '- /edit <id> make it weekly on Fridays\n' +
+    '- /edit <id> change text to call the bank\n\n' +
+    'Use /list to see your reminders and their IDs.',
+  'edit.notUnderstood':
+    "I couldn't understand that change. Try something like:\n" +
+    '- /edit {id} move to 8am\n' +
+    '- /edit {id} make it weekly on Fridays\n' +
+    '- /edit {id} change text to call the bank',
+  'edit.past': 'That change would put the reminder in the past. Please specify a future time.\nCurrent time in {timezone}: {now}',
+  'edit.updated': '✏️ Reminder updated: "{message}"',
+  'edit.failed': 'Failed to edit reminder. Please try again later.',
+  'edit.prompt':
+    'How should I change reminder {id}?\n' +
+    'Reply to this message, e.g. "move to 8am", "make it weekly on Fridays" or "change text to call the bank".',
+  'edit.error': 'Error editing reminder',
+
+  // /list
+  'list.empty': 'You have no active reminders.',
+  'list.once': '📅 Once on {date}',
+  'list.at': '⏰ At {time} {timezone}',
+  'list.id': 'ID: {id}',
+  'list.editButton': '✏️ Edit',
+  'list.deleteButton': '❌ Delete',
+  'list.failed': 'Failed to retrieve reminders. Please try again later.',
+  'list.usage': 'Filter the list by a #tag, today or week, e.g. /list #work or /list #work today.',
+  'list.noMatches': 'No reminders match this filter.',
+  'list.paused': '⏸ Paused, /resume {id} turns it back on',
+  'list.header': {
+    one: '🔔 {count} reminder{filter}, times in {timezone}:',
+    other: '🔔 {count} reminders{filter}, times in {timezone}:'
+  },
+  'list.page': 'Page {page} of {pages}',
+  'list.prevButton': '◀️ Prev',
+  'list.nextButton': 'Next ▶️',
+  'list.pauseButton': '⏸ Pause',
+  'list.resumeButton': '▶️ Resume',
+  'list.backButton': '⬅️ Back to list',
+  'list.pausedAnswer': 'Reminder paused',
+  'list.resumedAnswer': 'Reminder resumed',
+
+  // /delete
+  'delete.usage': 'Please provide a reminder ID or a #tag to delete. Use /list to see your reminders.',
+  'delete.done': '✅ Reminder deleted successfully!',
+  'delete.answer': 'Reminder deleted',
+  'delete.error': 'Error deleting reminder',
+  'delete.deleted': 'Reminder {id} deleted successfully.',
+  'delete.failed': 'Failed to delete reminder. Please try again later.',
+  'delete.tagConfirm': {
+    one: 'Delete {count} reminder tagged {tag}?\n{reminders}',
+    other: 'Delete {count} reminders tagged {tag}?\n{reminders}'
+  },
+  'delete.tagConfirmButton': '🗑 Delete',
+  'delete.tagKeepButton': 'Keep',
+  'delete.tagKept': 'Nothing was deleted.',
+  'delete.tagExpired': 'This request has expired. Please send /delete again.',
+  'delete.tagDeleted': {
+    one: '✅ Deleted {count} reminder tagged {tag}.',
+    other: '✅ Deleted {count} reminders tagged {tag}.'
+  },
+
+  // /pause and /resume
+  'tags.none': 'No reminders are tagged {tag}.',
+  'pause.usage': 'Please provide a reminder ID or a #tag to pause, e.g. /pause #work.',
+  'pause.done': {
+    one: '⏸ Paused {count} reminder. /resume turns it back on.',
+    other: '⏸ Paused {count} reminders. /resume turns them back on.'
+  },
+  'pause.failed': 'Failed to pause reminders. Please try again later.',
+  'resume.usage': 'Please provide a reminder ID or a #tag to resume, e.g. /resume #work.',
+  'resume.done': {
+    one: '▶️ Resumed {count} reminder.',
+    other: '▶️ Resumed {count} reminders.'
+  },
+  'resume.failed': 'Failed to resume reminders. Please try again later.',
+  'resume.reactivated': "👋 Welcome back! Reminders I paused while I couldn't reach this chat are on again.",
+
+  // /missed
+  'missed.once': 'fire once with a "missed at" note',
+  'missed.all': 'fire every missed occurrence',
+  'missed.skip': 'skip silently if older than the threshold',
+  'missed.current':
+    "Reminders missed while I'm offline: {policy}\n\n" +
+    'Change it with:\n' +
+    '/missed once - fire once with a "missed at" note\n' +
+    '/missed all - fire every missed occurrence\n' +
+    '/missed skip 12h - skip if older than 12 hours\n' +
+    '/missed <id> <policy> - set a policy for one reminder (/missed <id> default to reset)',
+  'missed.reset': "Reminder {id} now follows the chat's missed reminder policy.",
+  'missed.unknown': 'Unknown policy. Use one of: once, all, skip.',
+  'missed.threshold': 'Please give the threshold in hours or minutes, e.g. 12h or 90m.',
+  'missed.updatedReminder': '✅ Missed runs of reminder {id}: {policy}',
+  'missed.updated': "✅ Reminders missed while I'm offline: {policy}",
+  'missed.failed': 'Failed to update the missed reminder policy. Please try again later.',
+
+  // /export and .ics uploads
+  'calendar.exportEmpty': 'You have no active reminders to export.',
+  'calendar.exportCaption': {
+    one: '📤 {count} reminder. Open the file to add it to your calendar app.',
+    other: '📤 {count} reminders. Open the file to add them to your calendar app.'
+  },
+  'calendar.exportFailed': 'Failed to export reminders. Please try again later.',
+  'calendar.tooLarge': 'That calendar file is too large. Please upload a file smaller than 1 MB.',
+  'calendar.noEvents': 'I couldn\'t find any events in that file.',
+  'calendar.untitled': '(untitled)',
+  'calendar.alreadyImported': '⏭ "{title}" — already imported',
+  'calendar.skipped': '⏭ "{title}" — {reason}',
+  'calendar.notImported': '❌ "{title}" — {error}',
+  'calendar.imported': '✅ "{message}" — {when} (ID {id})',
+  'calendar.report': {
+    one: '📥 Imported {imported} of {count} event:\n\n{report}',
+    other: '📥 Imported {imported} of {count} events:\n\n{report}'
+  },
+  'calendar.importFailed': 'Sorry, I couldn\'t read that calendar file. Please make sure it\'s a valid .ics file.',
+  'calendar.error.noStart': 'no start time',
+  'calendar.error.noTitle': 'no title',
+  'calendar.error.invalidStart': 'invalid start time "{value}"',
+  'calendar.error.unsupportedRule': 'unsupported recurrence rule "{rule}"',
+  'calendar.error.past': 'the date is in the past',
+  'calendar.error.noOccurrences': 'no upcoming occurrences',
+  'calendar.error.notSaved': 'could not be saved',
+  'calendar.warning.unknownTimezone': 'unknown timezone "{tzid}", used {timezone}',
+  'calendar.warning.allDay': 'all-day event, reminding at {time}',
+  'calendar.warning.ignored': '{name} is not supported and was ignored',
+
+  // /webhook
+  'webhook.usage':
+    'Manage webhooks that receive reminder events:\n' +
+    '/webhook add <url> [events] - subscribe a URL (all events by default)\n' +
+    '/webhook list - show subscriptions\n' +
+    '/webhook remove <id> - unsubscribe\n' +
+    '/webhook log [id] - show recent deliveries\n\n' +
+    'Events: {events}',
+  'webhook.adminOnly': 'Only chat administrators can manage webhooks.',
+  'webhook.invalidUrl':
+    'Please provide a public http(s) URL, e.g. /webhook add https://example.com/hooks/reminders\n' +
+    'Local and private network addresses are not allowed.',
+  'webhook.unknownEvents': 'Unknown event(s): {events}\nAvailable: {available}',
+  'webhook.limit': 'This chat already has {limit} webhooks. Remove one first.',
+  'webhook.added':
+    '✅ Webhook {id} added\nURL: {url}\nEvents: {events}',
+  'webhook.secret':
+    'Signing secret (shown only once):\n{secret}\n\n' +
+    'Each request carries X-Webhook-Timestamp and X-Webhook-Signature: ' +
+    'sha256=HMAC-SHA256(secret, "<timestamp>.<body>").',
+  'webhook.secretSentPrivately': 'I sent you the signing secret in a private message.',
+  'webhook.none': 'This chat has no webhooks. Add one with /webhook add <url>.',
+  'webhook.entry': '🔗 {id}\n{url}\nEvents: {events}',
+  'webhook.idRequired': 'Please provide a webhook ID. Use /webhook list to see them.',
+  'webhook.removed': '✅ Webhook {id} removed.',
+  'webhook.notFound': 'Webhook {id} not found.',
+  'webhook.noDeliveries': 'No webhook deliveries yet.',
+  'webhook.logHeader': 'Recent webhook deliveries:',
+  'webhook.logEntry': '{icon} {time} UTC — {event} → {id} (attempt {attempt}, {result})',
+  'webhook.failed': 'Failed to manage webhooks. Please try again later.',
+
+  // /channels
+  'channels.usage':
+    'Deliver reminders to more than this chat:\n' +
+    '/channels email <address> - link an email address (a code is sent to it)\n' +
+    '/channels verify <code> - confirm the email address\n' +
+    '/channels http <url> - link an HTTP endpoint that receives reminders as JSON\n' +
+    '/channels remove email|http - unlink a channel\n' +
+    '/channels <reminder id> telegram email - choose where a reminder is delivered',
+  'channels.linked': 'Linked channels:\n{channels}\n\n{usage}',
+  'channels.telegram': '💬 telegram — this chat',
+  'channels.email': '📧 email — {address}',
+  'channels.http': '🌐 http — {url}',
+  'channels.adminOnly': 'Only chat administrators can change delivery channels.',
+  'channels.invalidEmail': 'Please provide an email address, e.g. /channels email me@example.com',
+  'channels.emailNotConfigured': 'Email delivery is not configured on this bot.',
+  'channels.verificationSubject': 'Confirm your email for reminders',
+  'channels.verificationBody':
+    'Your verification code is {code}\n\n' +
+    'Send "/channels verify {code}" to the bot to receive reminders at this address. ' +
+    'The code expires in {minutes} minutes.\n\n' +
+    'If you did not ask for this, ignore this email.',
+  'channels.codeSent': '📧 I sent a code to {address}. Confirm it with /channels verify <code>.',
+  'channels.noVerification': 'There is no pending verification. Start with /channels email <address>.',
+  'channels.tooManyAttempts': 'Too many wrong codes. Please start again with /channels email <address>.',
+  'channels.wrongCode': 'That code is not correct. Please check the email and try again.',
+  'channels.emailLinked':
+    '✅ {address} is linked.\n' +
+    'Send a reminder there with /channels <reminder id> telegram email, ' +
+    'or mention it when creating one, e.g. "/remind ... by email".',
+  'channels.invalidUrl':
+    'Please provide a public http(s) URL, e.g. /channels http https://example.com/reminders\n' +
+    'Local and private network addresses are not allowed.',
+  'channels.httpLinked':
+    '✅ HTTP endpoint linked: {url}\n\n' +
+    'Signing secret (shown only once):\n{secret}\n\n' +
+    'Requests are signed like webhooks: X-Webhook-Signature is ' +
+    'sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>").',
+  'channels.httpLinkedPrivately': '✅ HTTP endpoint linked: {url}\nI sent you the signing secret in a private message.',
+  'channels.secretNotSent': 'I can only send the signing secret in a private chat. Start a chat with me, then try again.',
+  'channels.current': 'Reminder {id} is delivered to: {channels}',
+  'channels.unknown': 'Unknown channel(s): {channels}. Available: {available}',
+  'channels.linkFirst': 'Link {channels} first. See /channels.',
+  'channels.set': '✅ Reminder {id} will be delivered to: {channels}',
+  'channels.removeUsage': 'Please choose a channel to remove: /channels remove email or /channels remove http',
+  'channels.unlinked': '✅ {channel} unlinked. Reminders targeting it are still sent to their other channels.',
+  'channels.notLinked': 'No {channel} channel is linked.',
+  'channels.failed': 'Failed to update delivery channels. Please try again later.',
+
+  // /apitoken
+  'apitoken.adminOnly': 'Only chat administrators can manage the API token.',
+  'apitoken.revoked': '✅ API token revoked.',
+  'apitoken.none': 'This chat has no API token.',
+  'apitoken.token':
+    '🔑 API token for {chat}:\n<code>{token}</code>\n\n' +
+    'Send it as "Authorization: Bearer &lt;token&gt;". It is shown only once; ' +
+    'running /apitoken again replaces it and /apitoken revoke disables it.',
+  'apitoken.thisChat': 'this chat',
+  'apitoken.namedChat': '"{title}"',
+  'apitoken.notSent': 'I can only send the API token in a private chat. Start a chat with me, then try again.',
+  'apitoken.sentPrivately': '🔑 I sent you the API token in a private message.',
+  'apitoken.failed': 'Failed to manage the API token. Please try again later.',
+
+  // /language
+  'language.current': 'I reply in {language}{source}.\n\nChange it with /language {options}, or /language auto to follow your Telegram settings.',
+  'language.auto': ' (detected automatically)',
+  'language.unknown': 'Unknown language. Choose one of: {options}, auto.',
+  'language.set': '✅ I will reply in {language}.',
+  'language.reset': '✅ I will pick the language from your Telegram settings and messages again.',
+  'language.failed': 'Failed to change the language. Please try again later.',
+
+  // /quiet and /dnd
+  'quiet.mode.defer': 'held until quiet hours end',
+  'quiet.mode.silent': 'sent without a sound',
+  'quiet.mode.ignore': 'sent as usual',
+  'quiet.allDay': 'all day',
+  'quiet.none': 'none',
+  'quiet.weekend': ', weekends: {rule}',
+  'quiet.dndActive': '\n🔕 Do not disturb until {time}',
+  'quiet.usage':
+    'Quiet hours: {hours}\n' +
+    'Reminders due in quiet hours are {mode}.{dnd}\n\n' +
+    'Change them with:\n' +
+    '/quiet 22:00-07:30 - quiet hours every night\n' +
+    '/quiet weekend 23:00-09:00 - other hours on weekends (all, off, or same as weekdays)\n' +
+    '/quiet mode defer|silent - hold reminders until the end, or send them without a sound\n' +
+    '/quiet <id> defer|silent|ignore|default - choose for one reminder\n' +
+    '/quiet off - remove quiet hours\n' +
+    '/dnd 2h - do not disturb for a while',
+  'quiet.adminOnly': 'Only chat administrators can change quiet hours.',
+  'quiet.invalidWindow': 'Please give the hours like 22:00-07:30.',
+  'quiet.set': '✅ Quiet hours: {hours}',
+  'quiet.off': '✅ Quiet hours removed.',
+  'quiet.unknownMode': 'Unknown mode. Use one of: {modes}.',
+  'quiet.modeSet': '✅ Reminders due in quiet hours are {mode}.',
+  'quiet.reminderMode': '✅ Reminder {id} in quiet hours: {mode}',
+  'quiet.reminderReset': "✅ Reminder {id} now follows the chat's quiet hours.",
+  'quiet.failed': 'Failed to update quiet hours. Please try again later.',
+  'dnd.usage': 'Please give a duration, e.g. /dnd 2h or /dnd 30m. /dnd off ends it.',
+  'dnd.set': '🔕 Do not disturb until {time}. Reminders are {mode} until then.',
+  'dnd.off': '🔔 Do not disturb is off.',
+  'dnd.active': '🔕 Do not disturb until {time}. /dnd off ends it.',
+  'dnd.inactive': 'Do not disturb is off. Turn it on with /dnd 2h.',
+  'dnd.failed': 'Failed to change do not disturb. Please try again later.',
+
+  // /agenda
+  'agenda.period': '{from} – {to} {timezone}',
+  'agenda.header': '🗓 Agenda for {period}:',
+  'agenda.empty': 'Nothing planned for {period}.',
+  'agenda.more': '…and more. Ask for a shorter period to see everything.',
+  'agenda.notUnderstood': "I couldn't tell which period you mean. Try /agenda tomorrow, /agenda Friday afternoon or /agenda next week.",
+  'agenda.failed': 'Failed to build the agenda. Please try again later.',
+
+  // /digest
+  'digest.usage': '📬 Digests of upcoming reminders\n\nDaily: {daily}\nWeekly: {weekly}\n\nUsage:\n/digest daily 08:00 - every morning, the rest of the day\n/digest weekly sun 18:00 - once a week, the next seven days\n/digest daily off, /digest weekly off or /digest off - stop them\n\nA digest is skipped when nothing is scheduled.',
+  'digest.off': 'off',
+  'digest.next': 'next on {time}',
+  'digest.invalid': 'Use /digest daily 08:00, /digest weekly sun 18:00 or /digest off.',
+  'digest.adminOnly': 'Only chat admins can change digests.',
+  'digest.dailyHeader': '☀️ Today, {date}:',
+  'digest.weeklyHeader': '🗓 Coming up {from} – {to}:',
+  'digest.failed': 'Failed to update digests. Please try again later.',
+
+  // /history
+  'history.usage': 'Use /history, /history #tag or /history <reminder ID>.',
+  'history.header': '🕘 Recent activity:',
+  'history.headerTag': '🕘 Recent activity for #{tag}:',
+  'history.headerId': '🕘 Recent activity for reminder {id}:',
+  'history.empty': 'Nothing happened here in the last {days} days.',
+  'history.delivered': 'sent via {channels}',
+  'history.deliveredLate': 'sent via {channels}, was due {due}',
+  'history.failed': 'not delivered, gave up: {error}',
+  'history.retrying': 'not delivered: {error}, retrying {until}',
+  'history.skipped': 'skipped, missed since {due}',
+  'history.deferred': 'held back by quiet hours until {until}',
+  'history.snoozed': 'snoozed until {until}',
+  'history.deleted': 'deleted',
+  'history.failedToLoad': 'Failed to load the history. Please try again later.',
+
+  // /usage, budgets and rate limits
+  'usage.summary': '📊 AI usage in this chat\n\nToday: {today}\nLast {days} days: {total}\n{budget}\n\nDays run in UTC.',
+  'usage.requests': {
+    one: '{count} request',
+    other: '{count} requests'
+  },
+  'usage.tokens': {
+    one: '{count} token',
+    other: '{count} tokens'
+  },
+  'usage.budget': 'Left today: {left} of {budget} tokens',
+  'usage.noBudget': 'No daily limit.',
+  'usage.failed': 'Failed to load usage. Please try again later.',
+  'usage.chatBudgetExceeded': "🪫 This chat has used up today's AI budget. Simple reminders like \"tomorrow at 9 call mom\" still work; the rest works again after midnight UTC.",
+  'usage.globalBudgetExceeded': "🪫 The bot has used up today's AI budget. Simple reminders like \"tomorrow at 9 call mom\" still work; the rest works again after midnight UTC.",
+  'usage.rateLimited': '⏳ Too many messages at once. Please try again in {seconds} s.',
+
+  // Reschedule to tomorrow
+  'reschedule.expired': 'Sorry, this reschedule request has expired. Please set a new reminder.',
+  'reschedule.done': '✅ Reminder rescheduled: "{message}"',
+  'reschedule.failed': "Sorry, I couldn't reschedule your reminder. Please try setting a new one.",
+  'reschedule.cancelled': 'Reminder cancelled. You can set a new one anytime.',
+
+  // Delivered reminders
+  'delivery.reminder': '⏰ Reminder: {message}',
+  'delivery.repeat': '🔁 Reminder (repeat {repeat}/{maxRepeats}): {message}',
+  'delivery.nagStopped': '⚠️ Reminder "{message}" was not acknowledged after {maxRepeats} repeats. I\'ll stop repeating it now.',
+  'delivery.missedAt': '🕒 Missed at {time}',
+  'delivery.missedTimes': '🕒 Missed {count} times since {time}',
+  'delivery.catchUp': '👋 I was offline for a while and missed some reminders:',
+  'delivery.catchUpAt': 'at {time}',
+  'delivery.catchUpTimes': '{count} times since {time}',
+  'delivery.catchUpSkipped': '• "{message}" — missed {when}, skipped',
+  'delivery.catchUpLate': '• "{message}" — missed {when}, delivered late',
+  'delivery.fallback': '⚠️ Could not deliver via {channels}',
+
+  // Buttons and answers on delivered reminders
+  'snooze.10m': '😴 10 min',
+  'snooze.1h': '😴 1 hour',
+  'snooze.tomorrow': '😴 Tomorrow morning',
+  'snooze.custom': '🕒 Snooze until…',
+  'snooze.note': '😴 Snoozed until {dateTime} {timezone}',
+  'snooze.unknown': 'Unknown snooze option',
+  'snooze.tooOld': 'This reminder is too old to snooze',
+  'snooze.tooOldReply': 'Sorry, this reminder is too old to snooze.',
+  'snooze.done': 'Reminder snoozed',
+  'snooze.error': 'Error snoozing reminder',
+  'snooze.prompt':
+    'When should I remind you again about "{message}"?\n' +
+    'Reply to this message, e.g. "in 20 minutes", "at 6pm" or "on Friday at 10am".',
+  'snooze.notUnderstood': 'I couldn\'t understand that time. Please reply again with something like "in 30 minutes" or "tomorrow at 9am".',
+  'snooze.confirmed': '✅ {note}\nReminder ID: {id}',
+  'snooze.failed': "Sorry, I couldn't snooze your reminder. Please try again.",
+  'done.button': '✅ Done',
+  'done.note': '✅ Done',
+  'done.answer': 'Marked as done',
+  'done.error': 'Error updating reminder',
+  'ack.button': '✅ Acknowledge',
+  'ack.note': '✅ Acknowledged by {name}',
+  'ack.someone': 'someone',
+  'ack.answer': 'Acknowledged',
+  'ack.already': 'Already acknowledged',
+  'ack.error': 'Error acknowledging reminder'
+};
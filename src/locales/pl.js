@@ -0,0 +1,587 @@
+// Polish messages
+module.exports = {
+  'language.name': 'polski',
+
+  // Bot menu
+  'commands.remind': 'Nowe przypomnienie. Przykład: /remind wypij wodę za 5 minut',
+  'commands.timezone': 'Ustaw strefę czasową. Przykład: /timezone Europe/Warsaw',
+  'commands.edit': 'Zmień przypomnienie. Przykład: /edit <id> przenieś na 8:00',
+  'commands.export': 'Eksportuj przypomnienia do kalendarza (.ics)',
+  'commands.language': 'Wybierz język bota. Przykład: /language en',
+
+  // Schedule descriptions
+  'schedule.daily': 'Codziennie o {time}',
+  'schedule.weekly': 'Co tydzień ({days}) o {time}',
+  'schedule.monthly': 'Co miesiąc, {day}. dnia, o {time}',
+  'schedule.weekdays': ['niedziela', 'poniedziałek', 'wtorek', 'środa', 'czwartek', 'piątek', 'sobota'],
+  'schedule.every.minute': 'Co minutę',
+  'schedule.every.hour': 'Co godzinę',
+  'schedule.every.day': 'Codziennie',
+  'schedule.every.week': 'Co tydzień',
+  'schedule.every.month': 'Co miesiąc',
+  'schedule.every.year': 'Co roku',
+  'schedule.everyN.minute': { one: 'Co {count} minutę', few: 'Co {count} minuty', many: 'Co {count} minut', other: 'Co {count} minuty' },
+  'schedule.everyN.hour': { one: 'Co {count} godzinę', few: 'Co {count} godziny', many: 'Co {count} godzin', other: 'Co {count} godziny' },
+  'schedule.everyN.day': { one: 'Co {count} dzień', few: 'Co {count} dni', many: 'Co {count} dni', other: 'Co {count} dnia' },
+  'schedule.everyN.week': { one: 'Co {count} tydzień', few: 'Co {count} tygodnie', many: 'Co {count} tygodni', other: 'Co {count} tygodnia' },
+  'schedule.everyN.month': { one: 'Co {count} miesiąc', few: 'Co {count} miesiące', many: 'Co {count} miesięcy', other: 'Co {count} miesiąca' },
+  'schedule.everyN.year': { one: 'Co {count} rok', few: 'Co {count} lata', many: 'Co {count} lat', other: 'Co {count} roku' },
+  'schedule.onDays': ' ({days})',
+  'schedule.at': ' o {time}',
+  'schedule.between': ' od {from} do {to}',
+  'schedule.startingAt': ', od {time}',
+  'schedule.count': { one: ', {count} raz', few: ', {count} razy', many: ', {count} razy', other: ', {count} razy' },
+  'schedule.until': ', do {date}',
+  // Rules the phrases above can't express
+  'schedule.custom': 'Według własnego harmonogramu',
+
+  'common.date': '📅 Data: {date}',
+  'common.time': '⏰ Godzina: {time} {timezone}',
+  'common.nextRun': 'Następne przypomnienie: {dateTime} {timezone}',
+  'common.reminderId': 'ID przypomnienia: {id}',
+  'common.timezone': 'Strefa czasowa: {timezone}',
+  'common.personalTimezone': 'Strefa czasowa: {timezone} (osobista)',
+  'common.chatTime': '🌐 Czas czatu: {dateTime} {timezone}',
+  'common.currentTime': 'Aktualny czas w {timezone}: {time}',
+  'common.localTime': 'Twój czas lokalny: {time}',
+  'common.reminderNotFound': 'Nie znaleziono przypomnienia o ID {id}.',
+  'common.notFound': 'Nie znaleziono przypomnienia',
+  'common.timezoneMissing': '\n⚠️ WAŻNE: najpierw ustaw strefę czasową poleceniem /timezone.',
+  'common.timezoneSet': '\n✅ Twoja strefa czasowa: {timezone}',
+  'common.and': ' i ',
+  'common.tags': '🏷 {tags}',
+
+  'start.defaultName': 'przyjacielu',
+  'start.text':
+    'Cześć {name}! 👋\n\n' +
+    'Jestem asystentem przypomnień opartym na AI i rozumiem prośby pisane zwykłym językiem.{timezone}\n\n' +
+    'Wypróbuj polecenia:\n' +
+    '/remind - nowe przypomnienie\n' +
+    '/list - wszystkie aktywne przypomnienia\n' +
+    '/edit [id] [zmiana] - zmień przypomnienie własnymi słowami\n' +
+    '/delete [id|#tag] - usuń przypomnienie lub wszystkie z danym tagiem\n' +
+    '/pause, /resume [id|#tag] - wstrzymaj przypomnienia lub włącz je ponownie\n' +
+    '/timezone - ustaw strefę czasową\n' +
+    '/mytimezone - pokaż aktualną strefę czasową\n' +
+    '/missed - co zrobić z przypomnieniami pominiętymi, gdy byłem niedostępny\n' +
+    '/export - pobierz przypomnienia jako kalendarz (.ics)\n' +
+    '/apitoken - token do zarządzania przypomnieniami przez API\n' +
+    '/webhook - wysyłaj zdarzenia przypomnień do własnych systemów\n' +
+    '/channels - dostarczaj przypomnienia także e-mailem lub przez HTTP\n' +
+    '/language - wybierz język odpowiedzi\n' +
+    '/agenda [okres] - co jest zaplanowane, np. /agenda tomorrow\n' +
+    '/digest - codzienne lub cotygodniowe podsumowanie przypomnień\n' +
+    '/history [#tag|id] - co i kiedy zostało wysłane\n' +
+    '/usage - ile AI zużył ten czat\n' +
+    '/quiet - ciche godziny dla przypomnień\n' +
+    '/dnd [2h] - nie przeszkadzać przez jakiś czas\n' +
+    '/help - więcej przykładów\n\n' +
+    'Przykłady:\n' +
+    '• /remind wypij wodę za 5 minut\n' +
+    '• /remind weź lekarstwo codziennie o 9:00\n' +
+    '• /remind ćwiczenia w poniedziałki i środy o 18:00',
+
+  'help.text':
+    'Dostępne polecenia:{timezone}\n\n' +
+    '/remind - nowe przypomnienie\n' +
+    '/timezone - ustaw strefę czasową\n' +
+    '/list - wszystkie aktywne przypomnienia\n' +
+    '/edit [id] [zmiana] - zmień przypomnienie, np. „przenieś na 8:00”\n' +
+    '/delete [id|#tag] - usuń przypomnienie lub wszystkie z danym tagiem\n' +
+    '/pause, /resume [id|#tag] - wstrzymaj przypomnienia lub włącz je ponownie\n' +
+    '/mytimezone - pokaż aktualną strefę czasową\n' +
+    '/missed - co zrobić z przypomnieniami pominiętymi, gdy byłem niedostępny\n' +
+    '/export - pobierz przypomnienia jako kalendarz (.ics)\n' +
+    '/apitoken - token do zarządzania przypomnieniami przez API\n' +
+    '/webhook - wysyłaj zdarzenia przypomnień do własnych systemów\n' +
+    '/channels - dostarczaj przypomnienia także e-mailem lub przez HTTP\n' +
+    '/language - wybierz język odpowiedzi\n' +
+    '/agenda [okres] - co jest zaplanowane, np. /agenda tomorrow\n' +
+    '/digest - codzienne lub cotygodniowe podsumowanie przypomnień\n' +
+    '/history [#tag|id] - co i kiedy zostało wysłane\n' +
+    '/usage - ile AI zużył ten czat\n' +
+    '/quiet - ciche godziny dla przypomnień\n' +
+    '/dnd [2h] - nie przeszkadzać przez jakiś czas\n' +
+    '/help - ta pomoc\n\n' +
+    'Przykładowe przypomnienia:\n' +
+    '• /remind weź lekarstwo codziennie o 9:00\n' +
+    '• /remind spotkanie zespołu w każdy czwartek o 15:00\n' +
+    '• /remind zadzwoń do mamy w niedziele o 18:00\n' +
+    '• /remind wypij wodę za 5 minut\n\n' +
+    'Wyślij plik .ics, aby zaimportować jego wydarzenia jako przypomnienia.\n\n' +
+    'Dodawaj #tagi (/remind #praca raport w każdy piątek o 16:00) i filtruj listę: /list #praca, /list today lub /list week.\n\n' +
+    'Strefa czasowa czatu jest wspólna dla wszystkich. W grupach /timezone me <miasto> ustawia Twoją własną strefę dla Twoich przypomnień.',
+
+  // /remind
+  'remind.examples':
+    '- /remind wypij wodę za 5 minut\n' +
+    '- /remind weź lekarstwo codziennie o 9:00\n' +
+    '- /remind ćwiczenia w poniedziałki i środy o 15:00\n' +
+    '- /remind spotkanie zespołu co miesiąc 15. dnia o 14:00',
+  'remind.usage': 'Napisz, o czym przypomnieć. Przykłady:\n{examples}',
+  'remind.needTimezone':
+    'Zanim ustawię przypomnienia, muszę znać Twoją strefę czasową:\n\n' +
+    '1. Użyj polecenia /timezone (np. /timezone Europe/Warsaw)\n' +
+    'Dzięki temu przypomnienia przyjdą o właściwej porze.',
+  'remind.notUnderstood': 'Nie udało się zrozumieć przypomnienia. Spróbuj w jednym z formatów:\n{examples}',
+  'remind.past':
+    'Ta godzina już minęła. Ustawić przypomnienie na jutro o tej samej porze?\n' +
+    'Aktualny czas w {timezone}: {now}\n' +
+    'Podana godzina: {time}',
+  'remind.tomorrowButton': 'Tak, na jutro',
+  'remind.cancelButton': 'Nie, anuluj',
+  'remind.pastRecurring': 'Nie udało się ustawić przypomnienia. Podaj godzinę w przyszłości.\nAktualny czas w {timezone}: {now}',
+  'remind.set': '✅ Przypomnienie ustawione: „{message}”',
+  'remind.channels': '📨 Dostarczane do: {channels}',
+  'remind.channelsUnlinked': '⚠️ {channels}: jeszcze niepodłączone, zobacz /channels',
+  'remind.failed':
+    'Nie udało się ustawić przypomnienia. Spróbuj sformułować je wyraźniej:\n' +
+    '- /remind wypij wodę za 5 minut\n' +
+    '- /remind weź lekarstwo codziennie o 9:00\n' +
+    '- /remind ćwiczenia w poniedziałki i środy o 15:00',
+  'remind.acknowledgement': '🔁 Powtarzane co {interval} min do potwierdzenia (maksymalnie {maxRepeats} razy)',
+
+  'clarify.intro': 'Aby ustawić przypomnienie, potrzebuję kilku szczegółów:',
+  'clarify.remind': 'Wyślij /remind jeszcze raz z tymi szczegółami.',
+  'clarify.edit': 'Wyślij /edit {id} jeszcze raz z tymi szczegółami.',
+  'clarify.relativeMinutes': 'Za ile? Na przykład „za 20 minut” albo „za 2 godziny”.',
+  'clarify.time': 'O której? Na przykład „o 9:30” albo „o 18:00”.',
+  'clarify.date': 'Którego dnia? Na przykład „jutro” albo „15 marca”.',
+  'clarify.dayOfWeek': 'W który dzień tygodnia? Na przykład „w każdy piątek”.',
+  'clarify.daysOfWeek': 'W które dni tygodnia? Na przykład „w poniedziałki i czwartki”.',
+  'clarify.dayOfMonth': 'Którego dnia miesiąca (1-31)?',
+  'clarify.schedule': 'Jak często? Na przykład „raz”, „codziennie” albo „co 2 tygodnie w poniedziałek”.',
+  'clarify.message': 'O czym mam przypomnieć?',
+  'clarify.acknowledgement': 'Jak często powtarzać do potwierdzenia? Na przykład „co 10 minut”.',
+  'clarify.channels': 'Gdzie dostarczyć: telegram, email czy http?',
+  'clarify.rephrase': 'Czy możesz sformułować przypomnienie inaczej?',
+
+  // /timezone and /mytimezone
+  'timezone.usage':
+    'Podaj strefę czasową. Przykłady:\n' +
+    '- /timezone Europe/Warsaw\n' +
+    '- /timezone Warszawa\n' +
+    '- /timezone Nowy Jork\n' +
+    '- /timezone Tokio\n' +
+    '- /timezone me Nowy Jork (tylko dla Twoich przypomnień w grupach; /timezone me off, aby wyłączyć)\n\n' +
+    'Możesz podać nazwę miasta lub standardową nazwę strefy.\n' +
+    'Pomogę znaleźć właściwy format!',
+  'timezone.unknown':
+    'Nie udało się ustalić strefy czasowej. Spróbuj:\n' +
+    '1. Nazwy dużego miasta (np. Warszawa, Nowy Jork, Tokio)\n' +
+    '2. Standardowego formatu (np. Europe/Warsaw, America/New_York)\n\n' +
+    'Lista stref czasowych: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones',
+  'timezone.understoodAs': 'Zrozumiałem „{input}” jako „{timezone}”',
+  'timezone.set':
+    '✅ Strefa czasowa: {timezone}\n' +
+    'Twój czas lokalny: {time}\n\n' +
+    'Możesz teraz tworzyć przypomnienia poleceniem /remind. Na przykład:\n' +
+    '- /remind wypij wodę za 5 minut\n' +
+    '- /remind weź lekarstwo codziennie o 9:00\n' +
+    '- /remind ćwiczenia w poniedziałki i środy o 15:00',
+  'timezone.failed':
+    'Nie udało się ustawić strefy czasowej. Spróbuj ponownie z nazwą miasta lub standardowym formatem.\n' +
+    'Przykłady:\n' +
+    '- /timezone Warszawa\n' +
+    '- /timezone Europe/Warsaw\n' +
+    '- /timezone Nowy Jork',
+  'timezone.current': 'Twoja strefa czasowa: {timezone}\nTwój czas lokalny: {time}',
+  'timezone.personal': 'Twoja osobista strefa czasowa dla przypomnień w tym czacie: {timezone}\nTwój czas lokalny: {time}',
+  'timezone.personalSet':
+    '✅ Twoja osobista strefa czasowa: {timezone}\n' +
+    'Twój czas lokalny: {time}\n\n' +
+    'Będzie używana dla przypomnień, które ustawiasz w grupach. Strefa czasowa czatu pozostaje {chatTimezone}.',
+  'timezone.personalCleared': '✅ Osobista strefa czasowa usunięta. Twoje przypomnienia będą używać strefy czatu ({timezone}).',
+  'timezone.currentFailed': 'Nie udało się odczytać strefy czasowej. Spróbuj ustawić ją poleceniem /timezone.',
+  'timezone.updatedAll': {
+    one: '✅ Zaktualizowano {count} przypomnienie do Twojej strefy czasowej ({timezone}).',
+    few: '✅ Zaktualizowano {count} przypomnienia do Twojej strefy czasowej ({timezone}).',
+    many: '✅ Zaktualizowano {count} przypomnień do Twojej strefy czasowej ({timezone}).',
+    other: '✅ Zaktualizowano {count} przypomnienia do Twojej strefy czasowej ({timezone}).'
+  },
+  'timezone.updateFailed': 'Nie udało się zaktualizować przypomnień.',
+  'timezone.keptTimes': 'Przypomnienia zachowają obecne godziny. Pojedyncze przypomnienia zmienisz poleceniem /edit <id> <zmiana>.',
+
+  // /edit
+  'edit.usage':
+    'Podaj ID przypomnienia i zmianę. Przykłady:\n' +
+    '- /edit <id> przenieś na 8:00\n' +
+    '- /edit <id> niech będzie co tydzień w piątki\n' +
+    '- /edit <id> zmień tekst na „zadzwoń do banku”\n\n' +
+    'ID przypomnień znajdziesz w /list.',
+  'edit.notUnderstood':
+    'Nie zrozumiałem tej zmiany. Spróbuj na przykład:\n' +
+    '- /edit {id} przenieś na 8:00\n' +
+    '- /edit {id} niech będzie co tydzień w piątki\n' +
+    '- /edit {id} zmień tekst na „zadzwoń do banku”',
+  'edit.past': 'Po tej zmianie przypomnienie byłoby w przeszłości. Podaj godzinę w przyszłości.\nAktualny czas w {timezone}: {now}',
+  'edit.updated': '✏️ Przypomnienie zmienione: „{message}”',
+  'edit.failed': 'Nie udało się zmienić przypomnienia. Spróbuj później.',
+  'edit.prompt':
+    'Jak zmienić przypomnienie {id}?\n' +
+    'Odpowiedz na tę wiadomość, np. „przenieś na 8:00”, „niech będzie co tydzień w piątki” albo „zmień tekst na zadzwoń do banku”.',
+  'edit.error': 'Błąd podczas zmiany przypomnienia',
+
+  // /list
+  'list.empty': 'Nie masz aktywnych przypomnień.',
+  'list.once': '📅 Jednorazowo, {date}',
+  'list.at': '⏰ O {time} {timezone}',
+  'list.id': 'ID: {id}',
+  'list.editButton': '✏️ Zmień',
+  'list.deleteButton': '❌ Usuń',
+  'list.failed': 'Nie udało się pobrać przypomnień. Spróbuj później.',
+  'list.usage': 'Listę można zawęzić #tagiem, today lub week, np. /list #praca albo /list #praca today.',
+  'list.noMatches': 'Żadne przypomnienie nie pasuje do tego filtra.',
+  'list.paused': '⏸ Wstrzymane, /resume {id} włączy je ponownie',
+  'list.header': {
+    one: '🔔 {count} przypomnienie{filter}, czas w {timezone}:',
+    few: '🔔 {count} przypomnienia{filter}, czas w {timezone}:',
+    many: '🔔 {count} przypomnień{filter}, czas w {timezone}:',
+    other: '🔔 {count} przypomnienia{filter}, czas w {timezone}:'
+  },
+  'list.page': 'Strona {page} z {pages}',
+  'list.prevButton': '◀️ Wstecz',
+  'list.nextButton': 'Dalej ▶️',
+  'list.pauseButton': '⏸ Wstrzymaj',
+  'list.resumeButton': '▶️ Wznów',
+  'list.backButton': '⬅️ Wróć do listy',
+  'list.pausedAnswer': 'Przypomnienie wstrzymane',
+  'list.resumedAnswer': 'Przypomnienie wznowione',
+
+  // /delete
+  'delete.usage': 'Podaj ID przypomnienia lub #tag do usunięcia. Listę przypomnień pokaże /list.',
+  'delete.done': '✅ Przypomnienie usunięte!',
+  'delete.answer': 'Przypomnienie usunięte',
+  'delete.error': 'Błąd podczas usuwania przypomnienia',
+  'delete.deleted': 'Przypomnienie {id} usunięte.',
+  'delete.failed': 'Nie udało się usunąć przypomnienia. Spróbuj później.',
+  'delete.tagConfirm': {
+    one: 'Usunąć {count} przypomnienie z tagiem {tag}?\n{reminders}',
+    few: 'Usunąć {count} przypomnienia z tagiem {tag}?\n{reminders}',
+    many: 'Usunąć {count} przypomnień z tagiem {tag}?\n{reminders}',
+    other: 'Usunąć {count} przypomnienia z tagiem {tag}?\n{reminders}'
+  },
+  'delete.tagConfirmButton': '🗑 Usuń',
+  'delete.tagKeepButton': 'Zostaw',
+  'delete.tagKept': 'Nic nie zostało usunięte.',
+  'delete.tagExpired': 'To żądanie wygasło. Wyślij /delete ponownie.',
+  'delete.tagDeleted': {
+    one: '✅ Usunięto {count} przypomnienie z tagiem {tag}.',
+    few: '✅ Usunięto {count} przypomnienia z tagiem {tag}.',
+    many: '✅ Usunięto {count} przypomnień z tagiem {tag}.',
+    other: '✅ Usunięto {count} przypomnienia z tagiem {tag}.'
+  },
+
+  // /pause i /resume
+  'tags.none': 'Brak przypomnień z tagiem {tag}.',
+  'pause.usage': 'Podaj ID przypomnienia lub #tag, np. /pause #praca.',
+  'pause.done': {
+    one: '⏸ Wstrzymano {count} przypomnienie. /resume włączy je ponownie.',
+    few: '⏸ Wstrzymano {count} przypomnienia. /resume włączy je ponownie.',
+    many: '⏸ Wstrzymano {count} przypomnień. /resume włączy je ponownie.',
+    other: '⏸ Wstrzymano {count} przypomnienia. /resume włączy je ponownie.'
+  },
+  'pause.failed': 'Nie udało się wstrzymać przypomnień. Spróbuj później.',
+  'resume.usage': 'Podaj ID przypomnienia lub #tag, np. /resume #praca.',
+  'resume.done': {
+    one: '▶️ Wznowiono {count} przypomnienie.',
+    few: '▶️ Wznowiono {count} przypomnienia.',
+    many: '▶️ Wznowiono {count} przypomnień.',
+    other: '▶️ Wznowiono {count} przypomnienia.'
+  },
+  'resume.failed': 'Nie udało się wznowić przypomnień. Spróbuj później.',
+  'resume.reactivated': '👋 Witaj ponownie! Przypomnienia wstrzymane, gdy nie mogłem pisać na ten czat, znów działają.',
+
+  // /missed
+  'missed.once': 'wyślij raz z dopiskiem „pominięte”',
+  'missed.all': 'wyślij każde pominięte',
+  'missed.skip': 'pomiń po cichu, jeśli starsze niż próg',
+  'missed.current':
+    'Przypomnienia pominięte, gdy byłem niedostępny: {policy}\n\n' +
+    'Zmień poleceniem:\n' +
+    '/missed once - wyślij raz z dopiskiem „pominięte”\n' +
+    '/missed all - wyślij każde pominięte\n' +
+    '/missed skip 12h - pomiń, jeśli starsze niż 12 godzin\n' +
+    '/missed <id> <zasada> - zasada dla jednego przypomnienia (/missed <id> default przywraca domyślną)',
+  'missed.reset': 'Przypomnienie {id} stosuje teraz zasadę czatu dla pominiętych przypomnień.',
+  'missed.unknown': 'Nieznana zasada. Użyj once, all lub skip.',
+  'missed.threshold': 'Podaj próg w godzinach lub minutach, np. 12h albo 90m.',
+  'missed.updatedReminder': '✅ Pominięte uruchomienia przypomnienia {id}: {policy}',
+  'missed.updated': '✅ Przypomnienia pominięte, gdy byłem niedostępny: {policy}',
+  'missed.failed': 'Nie udało się zmienić zasady dla pominiętych przypomnień. Spróbuj później.',
+
+  // /export and .ics uploads
+  'calendar.exportEmpty': 'Nie masz aktywnych przypomnień do wyeksportowania.',
+  'calendar.exportCaption': {
+    one: '📤 {count} przypomnienie. Otwórz plik, aby dodać je do kalendarza.',
+    few: '📤 {count} przypomnienia. Otwórz plik, aby dodać je do kalendarza.',
+    many: '📤 {count} przypomnień. Otwórz plik, aby dodać je do kalendarza.',
+    other: '📤 {count} przypomnienia. Otwórz plik, aby dodać je do kalendarza.'
+  },
+  'calendar.exportFailed': 'Nie udało się wyeksportować przypomnień. Spróbuj później.',
+  'calendar.tooLarge': 'Ten plik kalendarza jest za duży. Prześlij plik mniejszy niż 1 MB.',
+  'calendar.noEvents': 'Nie znalazłem w tym pliku żadnych wydarzeń.',
+  'calendar.untitled': '(bez tytułu)',
+  'calendar.alreadyImported': '⏭ „{title}” — już zaimportowane',
+  'calendar.skipped': '⏭ „{title}” — {reason}',
+  'calendar.notImported': '❌ „{title}” — {error}',
+  'calendar.imported': '✅ „{message}” — {when} (ID {id})',
+  'calendar.report': {
+    one: '📥 Zaimportowano {imported} z {count} wydarzenia:\n\n{report}',
+    other: '📥 Zaimportowano {imported} z {count} wydarzeń:\n\n{report}'
+  },
+  'calendar.importFailed': 'Nie udało się odczytać pliku kalendarza. Upewnij się, że to poprawny plik .ics.',
+  'calendar.error.noStart': 'brak czasu rozpoczęcia',
+  'calendar.error.noTitle': 'brak tytułu',
+  'calendar.error.invalidStart': 'nieprawidłowy czas rozpoczęcia „{value}”',
+  'calendar.error.unsupportedRule': 'nieobsługiwana reguła powtarzania „{rule}”',
+  'calendar.error.past': 'ta data już minęła',
+  'calendar.error.noOccurrences': 'brak nadchodzących wystąpień',
+  'calendar.error.notSaved': 'nie udało się zapisać',
+  'calendar.warning.unknownTimezone': 'nieznana strefa czasowa „{tzid}”, użyto {timezone}',
+  'calendar.warning.allDay': 'wydarzenie całodniowe, przypomnę o {time}',
+  'calendar.warning.ignored': '{name} nie jest obsługiwane i zostało pominięte',
+
+  // /webhook
+  'webhook.usage':
+    'Webhooki, które otrzymują zdarzenia przypomnień:\n' +
+    '/webhook add <url> [zdarzenia] - subskrybuj URL (domyślnie wszystkie zdarzenia)\n' +
+    '/webhook list - pokaż subskrypcje\n' +
+    '/webhook remove <id> - anuluj subskrypcję\n' +
+    '/webhook log [id] - ostatnie wysyłki\n\n' +
+    'Zdarzenia: {events}',
+  'webhook.adminOnly': 'Webhookami mogą zarządzać tylko administratorzy czatu.',
+  'webhook.invalidUrl':
+    'Podaj publiczny adres http(s), np. /webhook add https://example.com/hooks/reminders\n' +
+    'Adresy lokalne i z sieci prywatnych są niedozwolone.',
+  'webhook.unknownEvents': 'Nieznane zdarzenia: {events}\nDostępne: {available}',
+  'webhook.limit': 'Ten czat ma już {limit} webhooków. Najpierw usuń jeden z nich.',
+  'webhook.added':
+    '✅ Dodano webhook {id}\nURL: {url}\nZdarzenia: {events}',
+  'webhook.secret':
+    'Sekret do podpisu (pokazywany tylko raz):\n{secret}\n\n' +
+    'Każde żądanie zawiera X-Webhook-Timestamp i X-Webhook-Signature: ' +
+    'sha256=HMAC-SHA256(secret, "<timestamp>.<body>").',
+  'webhook.secretSentPrivately': 'Sekret do podpisu wysłałem Ci w prywatnej wiadomości.',
+  'webhook.none': 'Ten czat nie ma webhooków. Dodaj je poleceniem /webhook add <url>.',
+  'webhook.entry': '🔗 {id}\n{url}\nZdarzenia: {events}',
+  'webhook.idRequired': 'Podaj ID webhooka. Listę pokaże /webhook list.',
+  'webhook.removed': '✅ Usunięto webhook {id}.',
+  'webhook.notFound': 'Nie znaleziono webhooka {id}.',
+  'webhook.noDeliveries': 'Nie było jeszcze żadnych wysyłek webhooków.',
+  'webhook.logHeader': 'Ostatnie wysyłki webhooków:',
+  'webhook.logEntry': '{icon} {time} UTC — {event} → {id} (próba {attempt}, {result})',
+  'webhook.failed': 'Nie udało się zmienić webhooków. Spróbuj później.',
+
+  // /channels
+  'channels.usage':
+    'Dostarczanie przypomnień nie tylko na ten czat:\n' +
+    '/channels email <adres> - powiąż adres email (zostanie na niego wysłany kod)\n' +
+    '/channels verify <kod> - potwierdź adres email\n' +
+    '/channels http <url> - powiąż adres HTTP, który odbiera przypomnienia jako JSON\n' +
+    '/channels remove email|http - odłącz kanał\n' +
+    '/channels <id przypomnienia> telegram email - wybierz, gdzie dostarczyć przypomnienie',
+  'channels.linked': 'Powiązane kanały:\n{channels}\n\n{usage}',
+  'channels.telegram': '💬 telegram — ten czat',
+  'channels.email': '📧 email — {address}',
+  'channels.http': '🌐 http — {url}',
+  'channels.adminOnly': 'Kanały dostarczania mogą zmieniać tylko administratorzy czatu.',
+  'channels.invalidEmail': 'Podaj adres email, np. /channels email me@example.com',
+  'channels.emailNotConfigured': 'Dostarczanie przez email nie jest skonfigurowane w tym bocie.',
+  'channels.verificationSubject': 'Potwierdź swój email dla przypomnień',
+  'channels.verificationBody':
+    'Twój kod weryfikacyjny to {code}\n\n' +
+    'Wyślij botowi „/channels verify {code}”, aby otrzymywać przypomnienia na ten adres. ' +
+    'Kod wygasa za {minutes} min.\n\n' +
+    'Jeśli to nie Ty o to prosiłeś, zignoruj tę wiadomość.',
+  'channels.codeSent': '📧 Wysłałem kod na {address}. Potwierdź go poleceniem /channels verify <kod>.',
+  'channels.noVerification': 'Brak oczekującej weryfikacji. Zacznij od /channels email <adres>.',
+  'channels.tooManyAttempts': 'Za dużo błędnych kodów. Zacznij od nowa: /channels email <adres>.',
+  'channels.wrongCode': 'Ten kod jest nieprawidłowy. Sprawdź wiadomość i spróbuj ponownie.',
+  'channels.emailLinked':
+    '✅ Powiązano {address}.\n' +
+    'Wysyłaj tam przypomnienia poleceniem /channels <id przypomnienia> telegram email ' +
+    'lub wspomnij o tym przy tworzeniu, np. „/remind ... na maila”.',
+  'channels.invalidUrl':
+    'Podaj publiczny adres http(s), np. /channels http https://example.com/reminders\n' +
+    'Adresy lokalne i z sieci prywatnych są niedozwolone.',
+  'channels.httpLinked':
+    '✅ Powiązano adres HTTP: {url}\n\n' +
+    'Sekret do podpisu (pokazywany tylko raz):\n{secret}\n\n' +
+    'Żądania są podpisywane jak webhooki: X-Webhook-Signature to ' +
+    'sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>").',
+  'channels.httpLinkedPrivately': '✅ Powiązano adres HTTP: {url}\nSekret do podpisu wysłałem Ci w prywatnej wiadomości.',
+  'channels.secretNotSent': 'Sekret do podpisu mogę wysłać tylko na prywatnym czacie. Rozpocznij ze mną czat i spróbuj ponownie.',
+  'channels.current': 'Przypomnienie {id} jest dostarczane do: {channels}',
+  'channels.unknown': 'Nieznane kanały: {channels}. Dostępne: {available}',
+  'channels.linkFirst': 'Najpierw powiąż {channels}. Zobacz /channels.',
+  'channels.set': '✅ Przypomnienie {id} będzie dostarczane do: {channels}',
+  'channels.removeUsage': 'Wybierz kanał do odłączenia: /channels remove email lub /channels remove http',
+  'channels.unlinked': '✅ Odłączono {channel}. Przypomnienia do niego są nadal wysyłane na pozostałe kanały.',
+  'channels.notLinked': 'Kanał {channel} nie jest powiązany.',
+  'channels.failed': 'Nie udało się zmienić kanałów dostarczania. Spróbuj później.',
+
+  // /apitoken
+  'apitoken.adminOnly': 'Tokenem API mogą zarządzać tylko administratorzy czatu.',
+  'apitoken.revoked': '✅ Token API unieważniony.',
+  'apitoken.none': 'Ten czat nie ma tokenu API.',
+  'apitoken.token':
+    '🔑 Token API {chat}:\n<code>{token}</code>\n\n' +
+    'Wysyłaj go jako "Authorization: Bearer &lt;token&gt;". Jest pokazywany tylko raz; ' +
+    'ponowne /apitoken go zastąpi, a /apitoken revoke wyłączy.',
+  'apitoken.thisChat': 'tego czatu',
+  'apitoken.namedChat': 'czatu "{title}"',
+  'apitoken.notSent': 'Token API mogę wysłać tylko na prywatnym czacie. Rozpocznij ze mną czat i spróbuj ponownie.',
+  'apitoken.sentPrivately': '🔑 Token API wysłałem Ci w prywatnej wiadomości.',
+  'apitoken.failed': 'Nie udało się zarządzać tokenem API. Spróbuj później.',
+
+  // /language
+  'language.current': 'Odpowiadam w języku: {language}{source}.\n\nZmień poleceniem /language {options} albo /language auto, aby używać ustawień Telegrama.',
+  'language.auto': ' (wykryty automatycznie)',
+  'language.unknown': 'Nieznany język. Wybierz: {options}, auto.',
+  'language.set': '✅ Będę odpowiadać w języku: {language}.',
+  'language.reset': '✅ Znów będę wybierać język na podstawie ustawień Telegrama i Twoich wiadomości.',
+  'language.failed': 'Nie udało się zmienić języka. Spróbuj później.',
+
+  // /quiet i /dnd
+  'quiet.mode.defer': 'wstrzymywane do końca cichych godzin',
+  'quiet.mode.silent': 'wysyłane bez dźwięku',
+  'quiet.mode.ignore': 'wysyłane jak zwykle',
+  'quiet.allDay': 'cały dzień',
+  'quiet.none': 'brak',
+  'quiet.weekend': ', w weekendy: {rule}',
+  'quiet.dndActive': '\n🔕 Nie przeszkadzać do {time}',
+  'quiet.usage':
+    'Ciche godziny: {hours}\n' +
+    'Przypomnienia w cichych godzinach są {mode}.{dnd}\n\n' +
+    'Zmień je:\n' +
+    '/quiet 22:00-07:30 - ciche godziny co noc\n' +
+    '/quiet weekend 23:00-09:00 - inne godziny w weekendy (all, off lub same - jak w tygodniu)\n' +
+    '/quiet mode defer|silent - wstrzymuj przypomnienia albo wysyłaj je bez dźwięku\n' +
+    '/quiet <id> defer|silent|ignore|default - wybierz dla jednego przypomnienia\n' +
+    '/quiet off - usuń ciche godziny\n' +
+    '/dnd 2h - nie przeszkadzać przez jakiś czas',
+  'quiet.adminOnly': 'Tylko administratorzy czatu mogą zmieniać ciche godziny.',
+  'quiet.invalidWindow': 'Podaj godziny w formacie 22:00-07:30.',
+  'quiet.set': '✅ Ciche godziny: {hours}',
+  'quiet.off': '✅ Ciche godziny usunięte.',
+  'quiet.unknownMode': 'Nieznany tryb. Użyj jednego z: {modes}.',
+  'quiet.modeSet': '✅ Przypomnienia w cichych godzinach są {mode}.',
+  'quiet.reminderMode': '✅ Przypomnienie {id} w cichych godzinach: {mode}',
+  'quiet.reminderReset': '✅ Przypomnienie {id} znów stosuje ciche godziny czatu.',
+  'quiet.failed': 'Nie udało się zmienić cichych godzin. Spróbuj ponownie później.',
+  'dnd.usage': 'Podaj czas, np. /dnd 2h lub /dnd 30m. /dnd off wyłącza tryb.',
+  'dnd.set': '🔕 Nie przeszkadzać do {time}. Do tego czasu przypomnienia są {mode}.',
+  'dnd.off': '🔔 Tryb „Nie przeszkadzać” wyłączony.',
+  'dnd.active': '🔕 Nie przeszkadzać do {time}. /dnd off wyłącza tryb.',
+  'dnd.inactive': 'Tryb „Nie przeszkadzać” jest wyłączony. Włącz go: /dnd 2h.',
+  'dnd.failed': 'Nie udało się zmienić trybu „Nie przeszkadzać”. Spróbuj ponownie później.',
+
+  // /agenda
+  'agenda.period': '{from} – {to} {timezone}',
+  'agenda.header': '🗓 Plan na {period}:',
+  'agenda.empty': 'Na {period} nic nie zaplanowano.',
+  'agenda.more': '…i więcej. Podaj krótszy okres, aby zobaczyć wszystko.',
+  'agenda.notUnderstood': 'Nie wiem, o jaki okres chodzi. Spróbuj /agenda tomorrow, /agenda Friday afternoon lub /agenda next week.',
+  'agenda.failed': 'Nie udało się przygotować planu. Spróbuj później.',
+
+  // /digest
+  'digest.usage': '📬 Podsumowania nadchodzących przypomnień\n\nCodzienne: {daily}\nCotygodniowe: {weekly}\n\nUżycie:\n/digest daily 08:00 - każdego ranka, na resztę dnia\n/digest weekly sun 18:00 - raz w tygodniu, na kolejne siedem dni\n/digest daily off, /digest weekly off lub /digest off - wyłączenie\n\nGdy nic nie jest zaplanowane, podsumowanie nie przychodzi.',
+  'digest.off': 'wyłączone',
+  'digest.next': 'następne {time}',
+  'digest.invalid': 'Użyj /digest daily 08:00, /digest weekly sun 18:00 lub /digest off.',
+  'digest.adminOnly': 'Tylko administratorzy czatu mogą zmieniać podsumowania.',
+  'digest.dailyHeader': '☀️ Dziś, {date}:',
+  'digest.weeklyHeader': '🗓 Nadchodzi {from} – {to}:',
+  'digest.failed': 'Nie udało się zmienić podsumowań. Spróbuj później.',
+
+  // /history
+  'history.usage': 'Użyj /history, /history #tag lub /history <ID przypomnienia>.',
+  'history.header': '🕘 Ostatnie zdarzenia:',
+  'history.headerTag': '🕘 Ostatnie zdarzenia dla #{tag}:',
+  'history.headerId': '🕘 Ostatnie zdarzenia przypomnienia {id}:',
+  'history.empty': 'W ciągu ostatnich {days} dni nic się tu nie wydarzyło.',
+  'history.delivered': 'wysłano przez: {channels}',
+  'history.deliveredLate': 'wysłano przez: {channels}, termin był {due}',
+  'history.failed': 'nie dostarczono, koniec prób: {error}',
+  'history.retrying': 'nie dostarczono: {error}, ponowienie {until}',
+  'history.skipped': 'pominięto, zaległe od {due}',
+  'history.deferred': 'wstrzymane przez ciche godziny do {until}',
+  'history.snoozed': 'odłożone do {until}',
+  'history.deleted': 'usunięte',
+  'history.failedToLoad': 'Nie udało się wczytać historii. Spróbuj później.',
+
+  // /usage, budgets and rate limits
+  'usage.summary': '📊 Użycie AI na tym czacie\n\nDziś: {today}\nOstatnie {days} dni: {total}\n{budget}\n\nDni liczone są w UTC.',
+  'usage.requests': {
+    one: '{count} zapytanie',
+    few: '{count} zapytania',
+    many: '{count} zapytań',
+    other: '{count} zapytania'
+  },
+  'usage.tokens': {
+    one: '{count} token',
+    few: '{count} tokeny',
+    many: '{count} tokenów',
+    other: '{count} tokena'
+  },
+  'usage.budget': 'Pozostało na dziś: {left} z {budget} tokenów',
+  'usage.noBudget': 'Brak dziennego limitu.',
+  'usage.failed': 'Nie udało się wczytać statystyk. Spróbuj później.',
+  'usage.chatBudgetExceeded': '🪫 Ten czat wykorzystał dzienny limit AI. Proste przypomnienia, np. „jutro o 9 zadzwoń do mamy”, nadal działają; reszta znów zadziała po północy UTC.',
+  'usage.globalBudgetExceeded': '🪫 Bot wykorzystał dzienny limit AI. Proste przypomnienia, np. „jutro o 9 zadzwoń do mamy”, nadal działają; reszta znów zadziała po północy UTC.',
+  'usage.rateLimited': '⏳ Za dużo wiadomości naraz. Spróbuj ponownie za {seconds} s.',
+
+  // Reschedule to tomorrow
+  'reschedule.expired': 'Ta prośba wygasła. Ustaw przypomnienie ponownie.',
+  'reschedule.done': '✅ Przypomnienie przeniesione: „{message}”',
+  'reschedule.failed': 'Nie udało się przenieść przypomnienia. Spróbuj ustawić nowe.',
+  'reschedule.cancelled': 'Przypomnienie anulowane. Nowe możesz ustawić w każdej chwili.',
+
+  // Delivered reminders
+  'delivery.reminder': '⏰ Przypomnienie: {message}',
+  'delivery.repeat': '🔁 Przypomnienie (powtórka {repeat}/{maxRepeats}): {message}',
+  'delivery.nagStopped': '⚠️ Przypomnienie „{message}” nie zostało potwierdzone po {maxRepeats} powtórkach. Przestaję je powtarzać.',
+  'delivery.missedAt': '🕒 Pominięte o {time}',
+  'delivery.missedTimes': {
+    one: '🕒 Pominięte {count} raz od {time}',
+    other: '🕒 Pominięte {count} razy od {time}'
+  },
+  'delivery.catchUp': '👋 Byłem przez chwilę niedostępny i pominąłem kilka przypomnień:',
+  'delivery.catchUpAt': 'o {time}',
+  'delivery.catchUpTimes': {
+    one: '{count} raz od {time}',
+    other: '{count} razy od {time}'
+  },
+  'delivery.catchUpSkipped': '• „{message}” — pominięte {when}, nie wysłane',
+  'delivery.catchUpLate': '• „{message}” — pominięte {when}, wysłane z opóźnieniem',
+  'delivery.fallback': '⚠️ Nie udało się dostarczyć przez {channels}',
+
+  // Buttons and answers on delivered reminders
+  'snooze.10m': '😴 10 min',
+  'snooze.1h': '😴 1 godzina',
+  'snooze.tomorrow': '😴 Jutro rano',
+  'snooze.custom': '🕒 Odłóż do…',
+  'snooze.note': '😴 Odłożone do {dateTime} {timezone}',
+  'snooze.unknown': 'Nieznana opcja',
+  'snooze.tooOld': 'To przypomnienie jest zbyt stare, aby je odłożyć',
+  'snooze.tooOldReply': 'To przypomnienie jest zbyt stare, aby je odłożyć.',
+  'snooze.done': 'Przypomnienie odłożone',
+  'snooze.error': 'Błąd podczas odkładania przypomnienia',
+  'snooze.prompt':
+    'Kiedy mam znów przypomnieć o „{message}”?\n' +
+    'Odpowiedz na tę wiadomość, np. „za 20 minut”, „o 18:00” albo „w piątek o 10:00”.',
+  'snooze.notUnderstood': 'Nie zrozumiałem tej godziny. Odpowiedz jeszcze raz, np. „za 30 minut” albo „jutro o 9:00”.',
+  'snooze.confirmed': '✅ {note}\nID przypomnienia: {id}',
+  'snooze.failed': 'Nie udało się odłożyć przypomnienia. Spróbuj ponownie.',
+  'done.button': '✅ Zrobione',
+  'done.note': '✅ Zrobione',
+  'done.answer': 'Oznaczono jako zrobione',
+  'done.error': 'Błąd podczas aktualizacji przypomnienia',
+  'ack.button': '✅ Potwierdź',
+  'ack.note': '✅ Potwierdził(a): {name}',
+  'ack.someone': 'ktoś',
+  'ack.answer': 'Potwierdzono',
+  'ack.already': 'Już potwierdzono',
+  'ack.error': 'Błąd podczas potwierdzania przypomnienia'
+};
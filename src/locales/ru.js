@@ -0,0 +1,590 @@
+// Russian messages
+module.exports = {
+  'language.name': 'русский',
+
+  // Bot menu
+  'commands.remind': 'Новое напоминание. Пример: /remind выпить воды через 5 минут',
+  'commands.timezone': 'Указать часовой пояс. Пример: /timezone Europe/Moscow',
+  'commands.edit': 'Изменить напоминание. Пример: /edit <id> перенеси на 8 утра',
+  'commands.export': 'Выгрузить напоминания в календарь (.ics)',
+  'commands.language': 'Выбрать язык бота. Пример: /language en',
+
+  // Schedule descriptions
+  'schedule.daily': 'Каждый день в {time}',
+  'schedule.weekly': 'По {days} в {time}',
+  'schedule.monthly': 'Каждый месяц {day}-го числа в {time}',
+  // "по понедельникам", Sunday first
+  'schedule.weekdays': ['воскресеньям', 'понедельникам', 'вторникам', 'средам', 'четвергам', 'пятницам', 'субботам'],
+  'schedule.every.minute': 'Каждую минуту',
+  'schedule.every.hour': 'Каждый час',
+  'schedule.every.day': 'Каждый день',
+  'schedule.every.week': 'Каждую неделю',
+  'schedule.every.month': 'Каждый месяц',
+  'schedule.every.year': 'Каждый год',
+  'schedule.everyN.minute': { one: 'Каждую {count} минуту', few: 'Каждые {count} минуты', many: 'Каждые {count} минут', other: 'Каждые {count} минуты' },
+  'schedule.everyN.hour': { one: 'Каждый {count} час', few: 'Каждые {count} часа', many: 'Каждые {count} часов', other: 'Каждые {count} часа' },
+  'schedule.everyN.day': { one: 'Каждый {count} день', few: 'Каждые {count} дня', many: 'Каждые {count} дней', other: 'Каждые {count} дня' },
+  'schedule.everyN.week': { one: 'Каждую {count} неделю', few: 'Каждые {count} недели', many: 'Каждые {count} недель', other: 'Каждые {count} недели' },
+  'schedule.everyN.month': { one: 'Каждый {count} месяц', few: 'Каждые {count} месяца', many: 'Каждые {count} месяцев', other: 'Каждые {count} месяца' },
+  'schedule.everyN.year': { one: 'Каждый {count} год', few: 'Каждые {count} года', many: 'Каждые {count} лет', other: 'Каждые {count} года' },
+  'schedule.onDays': ' по {days}',
+  'schedule.at': ' в {time}',
+  'schedule.between': ' с {from} до {to}',
+  'schedule.startingAt': ', начиная с {time}',
+  'schedule.count': { one: ', {count} раз', few: ', {count} раза', many: ', {count} раз', other: ', {count} раза' },
+  'schedule.until': ', до {date}',
+  // Rules the phrases above can't express
+  'schedule.custom': 'По особому расписанию',
+
+  'common.date': '📅 Дата: {date}',
+  'common.time': '⏰ Время: {time} {timezone}',
+  'common.nextRun': 'Следующее напоминание: {dateTime} {timezone}',
+  'common.reminderId': 'ID напоминания: {id}',
+  'common.timezone': 'Часовой пояс: {timezone}',
+  'common.personalTimezone': 'Часовой пояс: {timezone} (личный)',
+  'common.chatTime': '🌐 Время чата: {dateTime} {timezone}',
+  'common.currentTime': 'Сейчас в {timezone}: {time}',
+  'common.localTime': 'Ваше местное время: {time}',
+  'common.reminderNotFound': 'Напоминание с ID {id} не найдено.',
+  'common.notFound': 'Напоминание не найдено',
+  'common.timezoneMissing': '\n⚠️ ВАЖНО: сначала укажите часовой пояс командой /timezone.',
+  'common.timezoneSet': '\n✅ Ваш часовой пояс: {timezone}',
+  'common.and': ' и ',
+  'common.tags': '🏷 {tags}',
+
+  'start.defaultName': 'друг',
+  'start.text':
+    'Привет, {name}! 👋\n\n' +
+    'Я ваш помощник для напоминаний на основе ИИ и понимаю просьбы, написанные обычным языком.{timezone}\n\n' +
+    'Попробуйте команды:\n' +
+    '/remind - новое напоминание\n' +
+    '/list - все активные напоминания\n' +
+    '/edit [id] [изменение] - изменить напоминание своими словами\n' +
+    '/delete [id|#тег] - удалить напоминание или все напоминания с тегом\n' +
+    '/pause, /resume [id|#тег] - поставить напоминания на паузу или включить снова\n' +
+    '/timezone - указать часовой пояс\n' +
+    '/mytimezone - показать текущий часовой пояс\n' +
+    '/missed - что делать с напоминаниями, пропущенными, пока я был недоступен\n' +
+    '/export - скачать напоминания как календарь (.ics)\n' +
+    '/apitoken - токен для управления напоминаниями через API\n' +
+    '/webhook - отправлять события напоминаний в ваши системы\n' +
+    '/channels - присылать напоминания ещё и на почту или по HTTP\n' +
+    '/language - выбрать язык ответов\n' +
+    '/agenda [период] - что запланировано, например /agenda завтра\n' +
+    '/digest - ежедневная или еженедельная сводка напоминаний\n' +
+    '/history [#тег|id] - что и когда было отправлено\n' +
+    '/usage - сколько ИИ израсходовал этот чат\n' +
+    '/quiet - тихие часы для напоминаний\n' +
+    '/dnd [2h] - не беспокоить какое-то время\n' +
+    '/help - больше примеров\n\n' +
+    'Примеры:\n' +
+    '• /remind выпить воды через 5 минут\n' +
+    '• /remind принять лекарство каждый день в 9 утра\n' +
+    '• /remind зарядка по понедельникам и средам в 18:00',
+
+  'help.text':
+    'Доступные команды:{timezone}\n\n' +
+    '/remind - новое напоминание\n' +
+    '/timezone - указать часовой пояс\n' +
+    '/list - все активные напоминания\n' +
+    '/edit [id] [изменение] - изменить напоминание, например «перенеси на 8 утра»\n' +
+    '/delete [id|#тег] - удалить напоминание или все напоминания с тегом\n' +
+    '/pause, /resume [id|#тег] - поставить напоминания на паузу или включить снова\n' +
+    '/mytimezone - показать текущий часовой пояс\n' +
+    '/missed - что делать с напоминаниями, пропущенными, пока я был недоступен\n' +
+    '/export - скачать напоминания как календарь (.ics)\n' +
+    '/apitoken - токен для управления напоминаниями через API\n' +
+    '/webhook - отправлять события напоминаний в ваши системы\n' +
+    '/channels - присылать напоминания ещё и на почту или по HTTP\n' +
+    '/language - выбрать язык ответов\n' +
+    '/agenda [период] - что запланировано, например /agenda завтра\n' +
+    '/digest - ежедневная или еженедельная сводка напоминаний\n' +
+    '/history [#тег|id] - что и когда было отправлено\n' +
+    '/usage - сколько ИИ израсходовал этот чат\n' +
+    '/quiet - тихие часы для напоминаний\n' +
+    '/dnd [2h] - не беспокоить какое-то время\n' +
+    '/help - эта справка\n\n' +
+    'Примеры напоминаний:\n' +
+    '• /remind принять лекарство каждый день в 9 утра\n' +
+    '• /remind планёрка по четвергам в 15:00\n' +
+    '• /remind позвонить маме по воскресеньям в 18:00\n' +
+    '• /remind выпить воды через 5 минут\n\n' +
+    'Загрузите файл .ics, чтобы импортировать его события как напоминания.\n\n' +
+    'Добавляйте #теги (/remind #работа отчёт каждую пятницу в 16:00) и фильтруйте список: /list #работа, /list today или /list week.\n\n' +
+    'Часовой пояс чата общий для всех участников. В группах /timezone me <город> задаёт ваш личный часовой пояс для ваших напоминаний.',
+
+  // /remind
+  'remind.examples':
+    '- /remind выпить воды через 5 минут\n' +
+    '- /remind принять лекарство каждый день в 9 утра\n' +
+    '- /remind зарядка по понедельникам и средам в 15:00\n' +
+    '- /remind встреча команды каждое 15 число в 14:00',
+  'remind.usage': 'Напишите, о чём напомнить. Примеры:\n{examples}',
+  'remind.needTimezone':
+    'Прежде чем ставить напоминания, мне нужно знать ваш часовой пояс:\n\n' +
+    '1. Используйте команду /timezone (например, /timezone Europe/Moscow)\n' +
+    'Так напоминания будут приходить в правильное время.',
+  'remind.notUnderstood': 'Не получилось разобрать напоминание. Попробуйте в одном из форматов:\n{examples}',
+  'remind.past':
+    'Это время уже прошло. Поставить напоминание на завтра на то же время?\n' +
+    'Сейчас в {timezone}: {now}\n' +
+    'Запрошенное время: {time}',
+  'remind.tomorrowButton': 'Да, на завтра',
+  'remind.cancelButton': 'Нет, отмена',
+  'remind.pastRecurring': 'Не получилось поставить напоминание. Укажите время в будущем.\nСейчас в {timezone}: {now}',
+  'remind.set': '✅ Напоминание создано: «{message}»',
+  'remind.channels': '📨 Куда: {channels}',
+  'remind.channelsUnlinked': '⚠️ {channels}: ещё не подключено, см. /channels',
+  'remind.failed':
+    'Не получилось поставить напоминание. Попробуйте сформулировать понятнее:\n' +
+    '- /remind выпить воды через 5 минут\n' +
+    '- /remind принять лекарство каждый день в 9 утра\n' +
+    '- /remind зарядка по понедельникам и средам в 15:00',
+  'remind.acknowledgement': '🔁 Повторяется каждые {interval} мин до подтверждения (не больше {maxRepeats} раз)',
+
+  'clarify.intro': 'Чтобы поставить напоминание, уточните, пожалуйста:',
+  'clarify.remind': 'Отправьте /remind ещё раз с этими деталями.',
+  'clarify.edit': 'Отправьте /edit {id} ещё раз с этими деталями.',
+  'clarify.relativeMinutes': 'Через сколько? Например, «через 20 минут» или «через 2 часа».',
+  'clarify.time': 'Во сколько? Например, «в 9:30» или «в 6 вечера».',
+  'clarify.date': 'Какого числа? Например, «завтра» или «15 марта».',
+  'clarify.dayOfWeek': 'В какой день недели? Например, «по пятницам».',
+  'clarify.daysOfWeek': 'В какие дни недели? Например, «по понедельникам и четвергам».',
+  'clarify.dayOfMonth': 'Какого числа месяца (1-31)?',
+  'clarify.schedule': 'Как часто? Например, «один раз», «каждый день» или «раз в две недели по понедельникам».',
+  'clarify.message': 'О чём напомнить?',
+  'clarify.acknowledgement': 'Как часто повторять до подтверждения? Например, «каждые 10 минут».',
+  'clarify.channels': 'Куда присылать: telegram, email или http?',
+  'clarify.rephrase': 'Можете сформулировать напоминание иначе?',
+
+  // /timezone and /mytimezone
+  'timezone.usage':
+    'Укажите часовой пояс. Примеры:\n' +
+    '- /timezone Europe/Warsaw\n' +
+    '- /timezone Москва\n' +
+    '- /timezone Нью-Йорк\n' +
+    '- /timezone Токио\n' +
+    '- /timezone me Нью-Йорк (только для ваших напоминаний в группах; /timezone me off, чтобы отключить)\n\n' +
+    'Можно писать название города или стандартное имя часового пояса.\n' +
+    'Я помогу найти правильный формат!',
+  'timezone.unknown':
+    'Не получилось определить часовой пояс. Попробуйте:\n' +
+    '1. Название крупного города (например, Москва, Нью-Йорк, Токио)\n' +
+    '2. Стандартный формат (например, Europe/Warsaw, America/New_York)\n\n' +
+    'Список часовых поясов: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones',
+  'timezone.understoodAs': 'Я понял «{input}» как «{timezone}»',
+  'timezone.set':
+    '✅ Часовой пояс: {timezone}\n' +
+    'Ваше местное время: {time}\n\n' +
+    'Теперь можно создавать напоминания командой /remind. Например:\n' +
+    '- /remind выпить воды через 5 минут\n' +
+    '- /remind принять лекарство каждый день в 9 утра\n' +
+    '- /remind зарядка по понедельникам и средам в 15:00',
+  'timezone.failed':
+    'Не получилось сохранить часовой пояс. Попробуйте ещё раз с названием города или стандартным форматом.\n' +
+    'Примеры:\n' +
+    '- /timezone Москва\n' +
+    '- /timezone Europe/Warsaw\n' +
+    '- /timezone Нью-Йорк',
+  'timezone.current': 'Ваш часовой пояс: {timezone}\nВаше местное время: {time}',
+  'timezone.personal': 'Ваш личный часовой пояс для напоминаний в этом чате: {timezone}\nВаше местное время: {time}',
+  'timezone.personalSet':
+    '✅ Ваш личный часовой пояс: {timezone}\n' +
+    'Ваше местное время: {time}\n\n' +
+    'Он будет использоваться для напоминаний, которые вы ставите в группах. Часовой пояс чата остаётся {chatTimezone}.',
+  'timezone.personalCleared': '✅ Личный часовой пояс удалён. Ваши напоминания будут использовать часовой пояс чата ({timezone}).',
+  'timezone.currentFailed': 'Не получилось узнать ваш часовой пояс. Попробуйте указать его командой /timezone.',
+  'timezone.updatedAll': {
+    one: '✅ {count} напоминание переведено на ваш часовой пояс ({timezone}).',
+    few: '✅ {count} напоминания переведены на ваш часовой пояс ({timezone}).',
+    many: '✅ {count} напоминаний переведено на ваш часовой пояс ({timezone}).',
+    other: '✅ {count} напоминания переведено на ваш часовой пояс ({timezone}).'
+  },
+  'timezone.updateFailed': 'Не получилось обновить напоминания.',
+  'timezone.keptTimes': 'Напоминания сохранят текущее время. Отдельные напоминания можно изменить командой /edit <id> <изменение>.',
+
+  // /edit
+  'edit.usage':
+    'Укажите ID напоминания и что изменить. Примеры:\n' +
+    '- /edit <id> перенеси на 8 утра\n' +
+    '- /edit <id> сделай еженедельным по пятницам\n' +
+    '- /edit <id> поменяй текст на «позвонить в банк»\n\n' +
+    'ID напоминаний можно посмотреть в /list.',
+  'edit.notUnderstood':
+    'Не понял, что изменить. Попробуйте так:\n' +
+    '- /edit {id} перенеси на 8 утра\n' +
+    '- /edit {id} сделай еженедельным по пятницам\n' +
+    '- /edit {id} поменяй текст на «позвонить в банк»',
+  'edit.past': 'После такого изменения напоминание оказалось бы в прошлом. Укажите время в будущем.\nСейчас в {timezone}: {now}',
+  'edit.updated': '✏️ Напоминание изменено: «{message}»',
+  'edit.failed': 'Не получилось изменить напоминание. Попробуйте позже.',
+  'edit.prompt':
+    'Как изменить напоминание {id}?\n' +
+    'Ответьте на это сообщение, например: «перенеси на 8 утра», «сделай еженедельным по пятницам» или «поменяй текст на позвонить в банк».',
+  'edit.error': 'Ошибка при изменении напоминания',
+
+  // /list
+  'list.empty': 'У вас нет активных напоминаний.',
+  'list.once': '📅 Один раз, {date}',
+  'list.at': '⏰ В {time} {timezone}',
+  'list.id': 'ID: {id}',
+  'list.editButton': '✏️ Изменить',
+  'list.deleteButton': '❌ Удалить',
+  'list.failed': 'Не получилось загрузить напоминания. Попробуйте позже.',
+  'list.usage': 'Список можно отфильтровать по #тегу, today или week, например /list #работа или /list #работа today.',
+  'list.noMatches': 'Под этот фильтр не подходит ни одно напоминание.',
+  'list.paused': '⏸ На паузе, /resume {id} включит его снова',
+  'list.header': {
+    one: '🔔 {count} напоминание{filter}, время в {timezone}:',
+    few: '🔔 {count} напоминания{filter}, время в {timezone}:',
+    many: '🔔 {count} напоминаний{filter}, время в {timezone}:',
+    other: '🔔 {count} напоминания{filter}, время в {timezone}:'
+  },
+  'list.page': 'Страница {page} из {pages}',
+  'list.prevButton': '◀️ Назад',
+  'list.nextButton': 'Далее ▶️',
+  'list.pauseButton': '⏸ Пауза',
+  'list.resumeButton': '▶️ Включить',
+  'list.backButton': '⬅️ К списку',
+  'list.pausedAnswer': 'Напоминание на паузе',
+  'list.resumedAnswer': 'Напоминание снова включено',
+
+  // /delete
+  'delete.usage': 'Укажите ID напоминания или #тег, чтобы удалить. Список напоминаний: /list.',
+  'delete.done': '✅ Напоминание удалено!',
+  'delete.answer': 'Напоминание удалено',
+  'delete.error': 'Ошибка при удалении напоминания',
+  'delete.deleted': 'Напоминание {id} удалено.',
+  'delete.failed': 'Не получилось удалить напоминание. Попробуйте позже.',
+  'delete.tagConfirm': {
+    one: 'Удалить {count} напоминание с тегом {tag}?\n{reminders}',
+    few: 'Удалить {count} напоминания с тегом {tag}?\n{reminders}',
+    many: 'Удалить {count} напоминаний с тегом {tag}?\n{reminders}',
+    other: 'Удалить {count} напоминания с тегом {tag}?\n{reminders}'
+  },
+  'delete.tagConfirmButton': '🗑 Удалить',
+  'delete.tagKeepButton': 'Оставить',
+  'delete.tagKept': 'Ничего не удалено.',
+  'delete.tagExpired': 'Запрос устарел. Отправьте /delete ещё раз.',
+  'delete.tagDeleted': {
+    one: '✅ Удалено {count} напоминание с тегом {tag}.',
+    few: '✅ Удалено {count} напоминания с тегом {tag}.',
+    many: '✅ Удалено {count} напоминаний с тегом {tag}.',
+    other: '✅ Удалено {count} напоминания с тегом {tag}.'
+  },
+
+  // /pause и /resume
+  'tags.none': 'Нет напоминаний с тегом {tag}.',
+  'pause.usage': 'Укажите ID напоминания или #тег, например /pause #работа.',
+  'pause.done': {
+    one: '⏸ {count} напоминание поставлено на паузу. /resume включит его снова.',
+    few: '⏸ {count} напоминания поставлены на паузу. /resume включит их снова.',
+    many: '⏸ {count} напоминаний поставлено на паузу. /resume включит их снова.',
+    other: '⏸ {count} напоминания поставлено на паузу. /resume включит их снова.'
+  },
+  'pause.failed': 'Не получилось поставить напоминания на паузу. Попробуйте позже.',
+  'resume.usage': 'Укажите ID напоминания или #тег, например /resume #работа.',
+  'resume.done': {
+    one: '▶️ {count} напоминание снова включено.',
+    few: '▶️ {count} напоминания снова включены.',
+    many: '▶️ {count} напоминаний снова включено.',
+    other: '▶️ {count} напоминания снова включено.'
+  },
+  'resume.failed': 'Не получилось включить напоминания. Попробуйте позже.',
+  'resume.reactivated': '👋 С возвращением! Напоминания, которые я приостановил, пока не мог писать в этот чат, снова включены.',
+
+  // /missed
+  'missed.once': 'прислать один раз с пометкой «пропущено»',
+  'missed.all': 'прислать каждое пропущенное',
+  'missed.skip': 'молча пропустить, если старше порога',
+  'missed.current':
+    'Напоминания, пропущенные, пока я был недоступен: {policy}\n\n' +
+    'Изменить:\n' +
+    '/missed once - прислать один раз с пометкой «пропущено»\n' +
+    '/missed all - прислать каждое пропущенное\n' +
+    '/missed skip 12h - пропустить, если старше 12 часов\n' +
+    '/missed <id> <правило> - правило для одного напоминания (/missed <id> default - сбросить)',
+  'missed.reset': 'Напоминание {id} теперь следует общему правилу чата для пропущенных.',
+  'missed.unknown': 'Неизвестное правило. Используйте once, all или skip.',
+  'missed.threshold': 'Укажите порог в часах или минутах, например 12h или 90m.',
+  'missed.updatedReminder': '✅ Пропущенные запуски напоминания {id}: {policy}',
+  'missed.updated': '✅ Напоминания, пропущенные, пока я был недоступен: {policy}',
+  'missed.failed': 'Не получилось изменить правило для пропущенных напоминаний. Попробуйте позже.',
+
+  // /export and .ics uploads
+  'calendar.exportEmpty': 'У вас нет активных напоминаний для экспорта.',
+  'calendar.exportCaption': {
+    one: '📤 {count} напоминание. Откройте файл, чтобы добавить его в календарь.',
+    few: '📤 {count} напоминания. Откройте файл, чтобы добавить их в календарь.',
+    many: '📤 {count} напоминаний. Откройте файл, чтобы добавить их в календарь.',
+    other: '📤 {count} напоминания. Откройте файл, чтобы добавить их в календарь.'
+  },
+  'calendar.exportFailed': 'Не удалось экспортировать напоминания. Попробуйте позже.',
+  'calendar.tooLarge': 'Файл календаря слишком большой. Загрузите файл меньше 1 МБ.',
+  'calendar.noEvents': 'В этом файле не нашлось ни одного события.',
+  'calendar.untitled': '(без названия)',
+  'calendar.alreadyImported': '⏭ «{title}» — уже импортировано',
+  'calendar.skipped': '⏭ «{title}» — {reason}',
+  'calendar.notImported': '❌ «{title}» — {error}',
+  'calendar.imported': '✅ «{message}» — {when} (ID {id})',
+  'calendar.report': {
+    one: '📥 Импортировано {imported} из {count} события:\n\n{report}',
+    other: '📥 Импортировано {imported} из {count} событий:\n\n{report}'
+  },
+  'calendar.importFailed': 'Не удалось прочитать файл календаря. Убедитесь, что это корректный файл .ics.',
+  'calendar.error.noStart': 'нет времени начала',
+  'calendar.error.noTitle': 'нет названия',
+  'calendar.error.invalidStart': 'неверное время начала «{value}»',
+  'calendar.error.unsupportedRule': 'неподдерживаемое правило повторения «{rule}»',
+  'calendar.error.past': 'дата уже прошла',
+  'calendar.error.noOccurrences': 'нет предстоящих повторений',
+  'calendar.error.notSaved': 'не удалось сохранить',
+  'calendar.warning.unknownTimezone': 'неизвестный часовой пояс «{tzid}», использован {timezone}',
+  'calendar.warning.allDay': 'событие на весь день, напомню в {time}',
+  'calendar.warning.ignored': '{name} не поддерживается и пропущено',
+
+  // /webhook
+  'webhook.usage':
+    'Вебхуки, которые получают события напоминаний:\n' +
+    '/webhook add <url> [события] - подписать URL (по умолчанию на все события)\n' +
+    '/webhook list - показать подписки\n' +
+    '/webhook remove <id> - отписать\n' +
+    '/webhook log [id] - последние отправки\n\n' +
+    'События: {events}',
+  'webhook.adminOnly': 'Управлять вебхуками могут только администраторы чата.',
+  'webhook.invalidUrl':
+    'Укажите публичный http(s) URL, например /webhook add https://example.com/hooks/reminders\n' +
+    'Локальные адреса и адреса частных сетей не допускаются.',
+  'webhook.unknownEvents': 'Неизвестные события: {events}\nДоступны: {available}',
+  'webhook.limit': 'В этом чате уже {limit} вебхуков. Сначала удалите один из них.',
+  'webhook.added':
+    '✅ Вебхук {id} добавлен\nURL: {url}\nСобытия: {events}',
+  'webhook.secret':
+    'Секрет для подписи (показывается один раз):\n{secret}\n\n' +
+    'Каждый запрос содержит X-Webhook-Timestamp и X-Webhook-Signature: ' +
+    'sha256=HMAC-SHA256(secret, "<timestamp>.<body>").',
+  'webhook.secretSentPrivately': 'Секрет для подписи я отправил вам в личные сообщения.',
+  'webhook.none': 'В этом чате нет вебхуков. Добавьте их командой /webhook add <url>.',
+  'webhook.entry': '🔗 {id}\n{url}\nСобытия: {events}',
+  'webhook.idRequired': 'Укажите ID вебхука. Список — /webhook list.',
+  'webhook.removed': '✅ Вебхук {id} удалён.',
+  'webhook.notFound': 'Вебхук {id} не найден.',
+  'webhook.noDeliveries': 'Отправок вебхуков пока не было.',
+  'webhook.logHeader': 'Последние отправки вебхуков:',
+  'webhook.logEntry': '{icon} {time} UTC — {event} → {id} (попытка {attempt}, {result})',
+  'webhook.failed': 'Не удалось изменить вебхуки. Попробуйте позже.',
+
+  // /channels
+  'channels.usage':
+    'Доставка напоминаний не только в этот чат:\n' +
+    '/channels email <адрес> - привязать email (на него придёт код)\n' +
+    '/channels verify <код> - подтвердить email\n' +
+    '/channels http <url> - привязать HTTP-адрес, который получает напоминания в JSON\n' +
+    '/channels remove email|http - отвязать канал\n' +
+    '/channels <id напоминания> telegram email - выбрать, куда доставлять напоминание',
+  'channels.linked': 'Привязанные каналы:\n{channels}\n\n{usage}',
+  'channels.telegram': '💬 telegram — этот чат',
+  'channels.email': '📧 email — {address}',
+  'channels.http': '🌐 http — {url}',
+  'channels.adminOnly': 'Менять каналы доставки могут только администраторы чата.',
+  'channels.invalidEmail': 'Укажите адрес email, например /channels email me@example.com',
+  'channels.emailNotConfigured': 'Доставка по email в этом боте не настроена.',
+  'channels.verificationSubject': 'Подтвердите email для напоминаний',
+  'channels.verificationBody':
+    'Ваш код подтверждения: {code}\n\n' +
+    'Отправьте боту «/channels verify {code}», чтобы получать напоминания на этот адрес. ' +
+    'Код действует {minutes} мин.\n\n' +
+    'Если вы этого не запрашивали, просто проигнорируйте письмо.',
+  'channels.codeSent': '📧 Я отправил код на {address}. Подтвердите его командой /channels verify <код>.',
+  'channels.noVerification': 'Нет ожидающего подтверждения. Начните с /channels email <адрес>.',
+  'channels.tooManyAttempts': 'Слишком много неверных кодов. Начните заново с /channels email <адрес>.',
+  'channels.wrongCode': 'Код неверный. Проверьте письмо и попробуйте ещё раз.',
+  'channels.emailLinked':
+    '✅ {address} привязан.\n' +
+    'Отправляйте туда напоминание командой /channels <id напоминания> telegram email ' +
+    'или упомяните это при создании, например «/remind ... на почту».',
+  'channels.invalidUrl':
+    'Укажите публичный http(s) URL, например /channels http https://example.com/reminders\n' +
+    'Локальные адреса и адреса частных сетей не допускаются.',
+  'channels.httpLinked':
+    '✅ HTTP-адрес привязан: {url}\n\n' +
+    'Секрет для подписи (показывается один раз):\n{secret}\n\n' +
+    'Запросы подписываются так же, как вебхуки: X-Webhook-Signature — ' +
+    'sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>").',
+  'channels.httpLinkedPrivately': '✅ HTTP-адрес привязан: {url}\nСекрет для подписи я отправил вам в личные сообщения.',
+  'channels.secretNotSent': 'Секрет для подписи я могу отправить только в личном чате. Начните чат со мной и попробуйте снова.',
+  'channels.current': 'Напоминание {id} доставляется в: {channels}',
+  'channels.unknown': 'Неизвестные каналы: {channels}. Доступны: {available}',
+  'channels.linkFirst': 'Сначала привяжите {channels}. См. /channels.',
+  'channels.set': '✅ Напоминание {id} будет доставляться в: {channels}',
+  'channels.removeUsage': 'Выберите канал: /channels remove email или /channels remove http',
+  'channels.unlinked': '✅ {channel} отвязан. Напоминания для него по-прежнему отправляются в остальные каналы.',
+  'channels.notLinked': 'Канал {channel} не привязан.',
+  'channels.failed': 'Не удалось изменить каналы доставки. Попробуйте позже.',
+
+  // /apitoken
+  'apitoken.adminOnly': 'Управлять API-токеном могут только администраторы чата.',
+  'apitoken.revoked': '✅ API-токен отозван.',
+  'apitoken.none': 'У этого чата нет API-токена.',
+  'apitoken.token':
+    '🔑 API-токен {chat}:\n<code>{token}</code>\n\n' +
+    'Передавайте его как "Authorization: Bearer &lt;token&gt;". Он показывается только один раз; ' +
+    'повторный /apitoken заменит его, а /apitoken revoke отключит.',
+  'apitoken.thisChat': 'этого чата',
+  'apitoken.namedChat': 'чата "{title}"',
+  'apitoken.notSent': 'API-токен я могу отправить только в личном чате. Начните чат со мной и попробуйте снова.',
+  'apitoken.sentPrivately': '🔑 API-токен я отправил вам в личные сообщения.',
+  'apitoken.failed': 'Не получилось выполнить действие с API-токеном. Попробуйте позже.',
+
+  // /language
+  'language.current': 'Я отвечаю на языке: {language}{source}.\n\nИзменить: /language {options}, или /language auto, чтобы следовать настройкам Telegram.',
+  'language.auto': ' (определён автоматически)',
+  'language.unknown': 'Неизвестный язык. Выберите: {options}, auto.',
+  'language.set': '✅ Теперь я отвечаю на языке: {language}.',
+  'language.reset': '✅ Буду снова выбирать язык по настройкам Telegram и вашим сообщениям.',
+  'language.failed': 'Не получилось сменить язык. Попробуйте позже.',
+
+  // /quiet и /dnd
+  'quiet.mode.defer': 'откладываются до конца тихих часов',
+  'quiet.mode.silent': 'приходят без звука',
+  'quiet.mode.ignore': 'приходят как обычно',
+  'quiet.allDay': 'весь день',
+  'quiet.none': 'нет',
+  'quiet.weekend': ', в выходные: {rule}',
+  'quiet.dndActive': '\n🔕 Не беспокоить до {time}',
+  'quiet.usage':
+    'Тихие часы: {hours}\n' +
+    'Напоминания в тихие часы {mode}.{dnd}\n\n' +
+    'Изменить:\n' +
+    '/quiet 22:00-07:30 - тихие часы каждую ночь\n' +
+    '/quiet weekend 23:00-09:00 - другие часы в выходные (all, off или same - как в будни)\n' +
+    '/quiet mode defer|silent - откладывать напоминания или присылать их без звука\n' +
+    '/quiet <id> defer|silent|ignore|default - выбрать для одного напоминания\n' +
+    '/quiet off - отключить тихие часы\n' +
+    '/dnd 2h - не беспокоить какое-то время',
+  'quiet.adminOnly': 'Менять тихие часы могут только администраторы чата.',
+  'quiet.invalidWindow': 'Укажите часы в виде 22:00-07:30.',
+  'quiet.set': '✅ Тихие часы: {hours}',
+  'quiet.off': '✅ Тихие часы отключены.',
+  'quiet.unknownMode': 'Неизвестный режим. Используйте один из: {modes}.',
+  'quiet.modeSet': '✅ Напоминания в тихие часы {mode}.',
+  'quiet.reminderMode': '✅ Напоминание {id} в тихие часы: {mode}',
+  'quiet.reminderReset': '✅ Напоминание {id} снова следует тихим часам чата.',
+  'quiet.failed': 'Не удалось изменить тихие часы. Попробуйте позже.',
+  'dnd.usage': 'Укажите длительность, например /dnd 2h или /dnd 30m. /dnd off отключает режим.',
+  'dnd.set': '🔕 Не беспокоить до {time}. До этого времени напоминания {mode}.',
+  'dnd.off': '🔔 Режим «Не беспокоить» выключен.',
+  'dnd.active': '🔕 Не беспокоить до {time}. /dnd off отключает режим.',
+  'dnd.inactive': 'Режим «Не беспокоить» выключен. Включить: /dnd 2h.',
+  'dnd.failed': 'Не удалось изменить режим «Не беспокоить». Попробуйте позже.',
+
+  // /agenda
+  'agenda.period': '{from} – {to} {timezone}',
+  'agenda.header': '🗓 Планы на {period}:',
+  'agenda.empty': 'На {period} ничего не запланировано.',
+  'agenda.more': '…и это не всё. Укажите период покороче, чтобы увидеть остальное.',
+  'agenda.notUnderstood': 'Не понял, о каком периоде речь. Попробуйте /agenda завтра, /agenda в пятницу днём или /agenda на следующей неделе.',
+  'agenda.failed': 'Не получилось составить план. Попробуйте позже.',
+
+  // /digest
+  'digest.usage': '📬 Сводки предстоящих напоминаний\n\nЕжедневная: {daily}\nЕженедельная: {weekly}\n\nКак настроить:\n/digest daily 08:00 - каждое утро, на остаток дня\n/digest weekly sun 18:00 - раз в неделю, на семь дней вперёд\n/digest daily off, /digest weekly off или /digest off - отключить\n\nЕсли ничего не запланировано, сводка не приходит.',
+  'digest.off': 'выключена',
+  'digest.next': 'следующая {time}',
+  'digest.invalid': 'Используйте /digest daily 08:00, /digest weekly sun 18:00 или /digest off.',
+  'digest.adminOnly': 'Менять сводки могут только администраторы чата.',
+  'digest.dailyHeader': '☀️ Сегодня, {date}:',
+  'digest.weeklyHeader': '🗓 Впереди {from} – {to}:',
+  'digest.failed': 'Не удалось изменить сводки. Попробуйте позже.',
+
+  // /history
+  'history.usage': 'Используйте /history, /history #тег или /history <ID напоминания>.',
+  'history.header': '🕘 Недавние события:',
+  'history.headerTag': '🕘 Недавние события по #{tag}:',
+  'history.headerId': '🕘 Недавние события напоминания {id}:',
+  'history.empty': 'За последние {days} дн. здесь ничего не происходило.',
+  'history.delivered': 'отправлено: {channels}',
+  'history.deliveredLate': 'отправлено: {channels}, по плану {due}',
+  'history.failed': 'не доставлено, попытки исчерпаны: {error}',
+  'history.retrying': 'не доставлено: {error}, повтор {until}',
+  'history.skipped': 'пропущено, не отправлялось с {due}',
+  'history.deferred': 'отложено из-за тихих часов до {until}',
+  'history.snoozed': 'отложено до {until}',
+  'history.deleted': 'удалено',
+  'history.failedToLoad': 'Не удалось загрузить историю. Попробуйте позже.',
+
+  // /usage, budgets and rate limits
+  'usage.summary': '📊 Использование ИИ в этом чате\n\nСегодня: {today}\nЗа {days} дн.: {total}\n{budget}\n\nДни считаются по UTC.',
+  'usage.requests': {
+    one: '{count} запрос',
+    few: '{count} запроса',
+    many: '{count} запросов',
+    other: '{count} запроса'
+  },
+  'usage.tokens': {
+    one: '{count} токен',
+    few: '{count} токена',
+    many: '{count} токенов',
+    other: '{count} токена'
+  },
+  'usage.budget': 'Осталось на сегодня: {left} из {budget} токенов',
+  'usage.noBudget': 'Дневного лимита нет.',
+  'usage.failed': 'Не удалось загрузить статистику. Попробуйте позже.',
+  'usage.chatBudgetExceeded': '🪫 Этот чат израсходовал дневной лимит ИИ. Простые напоминания вроде «завтра в 9 позвонить маме» по-прежнему работают, остальное снова заработает после полуночи по UTC.',
+  'usage.globalBudgetExceeded': '🪫 Бот израсходовал дневной лимит ИИ. Простые напоминания вроде «завтра в 9 позвонить маме» по-прежнему работают, остальное снова заработает после полуночи по UTC.',
+  'usage.rateLimited': '⏳ Слишком много сообщений подряд. Попробуйте снова через {seconds} с.',
+
+  // Reschedule to tomorrow
+  'reschedule.expired': 'Этот запрос уже устарел. Поставьте напоминание заново.',
+  'reschedule.done': '✅ Напоминание перенесено: «{message}»',
+  'reschedule.failed': 'Не получилось перенести напоминание. Попробуйте поставить новое.',
+  'reschedule.cancelled': 'Напоминание отменено. Новое можно поставить в любой момент.',
+
+  // Delivered reminders
+  'delivery.reminder': '⏰ Напоминание: {message}',
+  'delivery.repeat': '🔁 Напоминание (повтор {repeat}/{maxRepeats}): {message}',
+  'delivery.nagStopped': '⚠️ Напоминание «{message}» не подтвердили после {maxRepeats} повторов. Больше не повторяю.',
+  'delivery.missedAt': '🕒 Пропущено в {time}',
+  'delivery.missedTimes': {
+    one: '🕒 Пропущено {count} раз начиная с {time}',
+    few: '🕒 Пропущено {count} раза начиная с {time}',
+    other: '🕒 Пропущено {count} раз начиная с {time}'
+  },
+  'delivery.catchUp': '👋 Я был недоступен и пропустил несколько напоминаний:',
+  'delivery.catchUpAt': 'в {time}',
+  'delivery.catchUpTimes': {
+    one: '{count} раз начиная с {time}',
+    few: '{count} раза начиная с {time}',
+    other: '{count} раз начиная с {time}'
+  },
+  'delivery.catchUpSkipped': '• «{message}» — пропущено {when}, не отправлено',
+  'delivery.catchUpLate': '• «{message}» — пропущено {when}, отправлено с опозданием',
+  'delivery.fallback': '⚠️ Не удалось доставить через {channels}',
+
+  // Buttons and answers on delivered reminders
+  'snooze.10m': '😴 10 мин',
+  'snooze.1h': '😴 1 час',
+  'snooze.tomorrow': '😴 Завтра утром',
+  'snooze.custom': '🕒 Отложить до…',
+  'snooze.note': '😴 Отложено до {dateTime} {timezone}',
+  'snooze.unknown': 'Неизвестный вариант',
+  'snooze.tooOld': 'Это напоминание слишком старое, чтобы его отложить',
+  'snooze.tooOldReply': 'Это напоминание слишком старое, чтобы его отложить.',
+  'snooze.done': 'Напоминание отложено',
+  'snooze.error': 'Ошибка при откладывании напоминания',
+  'snooze.prompt':
+    'Когда снова напомнить про «{message}»?\n' +
+    'Ответьте на это сообщение, например: «через 20 минут», «в 6 вечера» или «в пятницу в 10:00».',
+  'snooze.notUnderstood': 'Не понял время. Ответьте ещё раз, например: «через 30 минут» или «завтра в 9 утра».',
+  'snooze.confirmed': '✅ {note}\nID напоминания: {id}',
+  'snooze.failed': 'Не получилось отложить напоминание. Попробуйте ещё раз.',
+  'done.button': '✅ Готово',
+  'done.note': '✅ Готово',
+  'done.answer': 'Отмечено как выполненное',
+  'done.error': 'Ошибка при обновлении напоминания',
+  'ack.button': '✅ Подтвердить',
+  'ack.note': '✅ Подтвердил(а) {name}',
+  'ack.someone': 'кто-то',
+  'ack.answer': 'Подтверждено',
+  'ack.already': 'Уже подтверждено',
+  'ack.error': 'Ошибка при подтверждении напоминания'
+};
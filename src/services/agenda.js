@@ -0,0 +1,113 @@
+// Upcoming reminder runs in a period, with recurring reminders expanded into occurrences
+const { DateTime } = require('luxon');
+const { getReminderNextRun } = require('./recurrence');
+const { t, formatDate } = require('./i18n');
+const { formatTags } = require('./tags');
+
+// Most occurrences listed at once; an every-minute rule would otherwise fill the message
+const MAX_AGENDA_ITEMS = 50;
+
+// Longest period an agenda covers
+const MAX_AGENDA_DAYS = 31;
+
+/**
+ * Lists the runs of a reminder within a period
+ * @param {Object} reminder - Stored reminder
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period (inclusive)
+ * @param {number} limit - Maximum number of runs
+ * @returns {Date[]}
+ */
+function getOccurrences(reminder, from, to, limit = MAX_AGENDA_ITEMS) {
+  const occurrences = [];
+  const nextRun = new Date(reminder.nextRun);
+
+  // The stored next run wins over the rule, e.g. after an edit moved it
+  if (nextRun >= from && nextRun <= to) {
+    occurrences.push(nextRun);
+  }
+
+  // Runs before the stored next run have already happened
+  let cursor = nextRun >= from ? nextRun : new Date(from.getTime() - 1);
+
+  while (occurrences.length < limit) {
+    const occurrence = getReminderNextRun(reminder, cursor);
+    if (!occurrence || occurrence > to) {
+      break;
+    }
+    occurrences.push(occurrence);
+    cursor = occurrence;
+  }
+
+  return occurrences;
+}
+
+/**
+ * Collects the runs of a chat's reminders within a period in chronological order.
+ * Paused reminders are left out.
+ * @param {Object} reminders - Map of reminder ID -> reminder
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period (inclusive), capped at MAX_AGENDA_DAYS after the start
+ * @returns {{items: Array<{id: string, reminder: Object, time: Date}>, more: boolean}} - Runs to show and whether some were left out
+ */
+function getAgenda(reminders, from, to) {
+  const end = new Date(Math.min(to.getTime(), from.getTime() + MAX_AGENDA_DAYS * 86400000));
+  const items = [];
+
+  for (const [id, reminder] of Object.entries(reminders)) {
+    if (reminder.paused) {
+      continue;
+    }
+    for (const time of getOccurrences(reminder, from, end, MAX_AGENDA_ITEMS + 1)) {
+      items.push({ id, reminder, time });
+    }
+  }
+
+  items.sort((a, b) => a.time - b.time);
+  return {
+    items: items.slice(0, MAX_AGENDA_ITEMS),
+    more: items.length > MAX_AGENDA_ITEMS
+  };
+}
+
+/**
+ * Formats an agenda as a timeline grouped by day
+ * @param {Object} agenda - Result of getAgenda
+ * @param {string} timezone - Timezone the times are shown in
+ * @param {string} language - Chat language
+ * @returns {string}
+ */
+function formatAgenda(agenda, timezone, language) {
+  const lines = [];
+  let day = null;
+
+  for (const { reminder, time } of agenda.items) {
+    const runTime = DateTime.fromJSDate(time).setZone(timezone);
+
+    if (runTime.toISODate() !== day) {
+      day = runTime.toISODate();
+      lines.push(`${lines.length ? '\n' : ''}📅 ${formatDate(runTime, language)}`);
+    }
+
+    let line = `${runTime.toFormat('HH:mm')} ${reminder.message}`;
+    if (reminder.schedule.frequency !== 'once') {
+      line += ' 🔁';
+    }
+    if (reminder.tags && reminder.tags.length) {
+      line += ` ${formatTags(reminder.tags)}`;
+    }
+    lines.push(line);
+  }
+
+  if (agenda.more) {
+    lines.push('\n' + t(language, 'agenda.more'));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  getOccurrences,
+  getAgenda,
+  formatAgenda
+};
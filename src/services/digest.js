@@ -0,0 +1,130 @@
+// Daily and weekly digests of upcoming reminders, sent from the scheduler loop
+const { DateTime } = require('luxon');
+const {
+  getReminders,
+  getUserTimezone,
+  getDigestSettings,
+  scheduleDigest,
+  claimDueDigests
+} = require('./redis');
+const { getAgenda, formatAgenda } = require('./agenda');
+const { t, getChatLanguage, formatDate } = require('./i18n');
+const { classifyDeliveryError } = require('./notifiers');
+const logger = require('../utils/logger');
+
+const DIGEST_KINDS = ['daily', 'weekly'];
+
+/**
+ * Calculates when a digest is next due
+ * @param {string} kind - "daily" or "weekly"
+ * @param {Object|null} settings - Chat's digest settings
+ * @param {string} timezone - Chat timezone
+ * @param {Date} after - Time the digest has to come after
+ * @returns {Date|null} - Next send time, or null if this digest is off
+ */
+function getNextDigestTime(kind, settings, timezone, after = new Date()) {
+  const rule = settings && settings[kind];
+  if (!rule) {
+    return null;
+  }
+
+  const [hour, minute] = (kind === 'weekly' ? rule.time : rule).split(':').map(Number);
+  const now = DateTime.fromJSDate(after).setZone(timezone);
+  let next = now.set({ hour, minute, second: 0, millisecond: 0 });
+
+  if (kind === 'weekly') {
+    // Settings use 0 for Sunday like Date#getDay, Luxon uses 7
+    next = next.plus({ days: ((rule.day || 7) - now.weekday + 7) % 7 });
+  }
+  if (next <= now) {
+    next = next.plus(kind === 'weekly' ? { weeks: 1 } : { days: 1 });
+  }
+
+  return next.toJSDate();
+}
+
+/**
+ * Schedules the chat's digests from its current settings and timezone
+ * @param {string} chatId - Telegram chat ID
+ */
+async function rescheduleDigests(chatId) {
+  const [settings, timezone] = await Promise.all([getDigestSettings(chatId), getUserTimezone(chatId)]);
+
+  for (const kind of DIGEST_KINDS) {
+    await scheduleDigest(chatId, kind, getNextDigestTime(kind, settings, timezone));
+  }
+}
+
+/**
+ * Takes the chat's digests off the schedule but keeps its settings, e.g. while
+ * the bot is blocked; rescheduleDigests puts them back
+ * @param {string} chatId - Telegram chat ID
+ */
+async function unscheduleDigests(chatId) {
+  for (const kind of DIGEST_KINDS) {
+    await scheduleDigest(chatId, kind, null);
+  }
+}
+
+/**
+ * Sends a digest of the reminders coming up: the rest of the day for the daily
+ * digest, the next seven days for the weekly one
+ * @returns {Promise<boolean>} - Whether anything was sent
+ */
+async function sendDigest(bot, chatId, kind) {
+  const timezone = await getUserTimezone(chatId);
+  const now = DateTime.now().setZone(timezone);
+  const end = kind === 'weekly' ? now.plus({ days: 7 }) : now.endOf('day');
+
+  const agenda = getAgenda(await getReminders(chatId), now.toJSDate(), end.toJSDate());
+
+  // Nothing scheduled, nothing to send
+  if (!agenda.items.length) {
+    logger.debug(`Skipped empty ${kind} digest for chat ${chatId}`);
+    return false;
+  }
+
+  const language = await getChatLanguage(chatId);
+  const header = kind === 'weekly'
+    ? t(language, 'digest.weeklyHeader', { from: formatDate(now, language), to: formatDate(end, language) })
+    : t(language, 'digest.dailyHeader', { date: formatDate(now, language) });
+
+  await bot.telegram.sendMessage(chatId, `${header}\n\n${formatAgenda(agenda, timezone, language)}`);
+  logger.info(`Sent ${kind} digest with ${agenda.items.length} reminders to chat ${chatId}`);
+  return true;
+}
+
+/**
+ * Sends the digests that are due and schedules the next ones
+ * @param {Object} bot - Telegraf bot instance
+ */
+async function processDigests(bot) {
+  const dueDigests = await claimDueDigests();
+
+  for (const { chatId, kind } of dueDigests) {
+    let blocked = false;
+    try {
+      await sendDigest(bot, chatId, kind);
+    } catch (error) {
+      logger.error(`Error sending ${kind} digest to chat ${chatId}:`, error);
+      blocked = classifyDeliveryError(error).kind === 'blocked';
+    }
+
+    // A failed digest is not retried; the next one is due soon enough. A chat that
+    // blocked the bot gets none until it lets the bot back in.
+    try {
+      const [settings, timezone] = await Promise.all([getDigestSettings(chatId), getUserTimezone(chatId)]);
+      await scheduleDigest(chatId, kind, blocked ? null : getNextDigestTime(kind, settings, timezone));
+    } catch (error) {
+      logger.error(`Error rescheduling ${kind} digest for chat ${chatId}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  DIGEST_KINDS,
+  getNextDigestTime,
+  rescheduleDigests,
+  unscheduleDigests,
+  processDigests
+};
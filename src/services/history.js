@@ -0,0 +1,126 @@
+// Per-chat delivery history: what was sent, held back, snoozed or deleted, and whether it worked
+const { DateTime } = require('luxon');
+const { onReminderEvent, addHistoryEntry } = require('./redis');
+const { t, formatShortDateTime } = require('./i18n');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const HISTORY_ICONS = {
+  delivered: '✅',
+  failed: '⚠️',
+  skipped: '⏭',
+  deferred: '🌙',
+  snoozed: '😴',
+  deleted: '🗑'
+};
+
+// Longest error message kept with a failed delivery
+const MAX_ERROR_LENGTH = 200;
+
+const MAX_MESSAGE_LENGTH = 80;
+
+/**
+ * Records what happened to a reminder in the chat's history. Never throws:
+ * a history that can't be written must not stop a delivery.
+ * @param {string} chatId - Chat ID
+ * @param {string} event - One of the HISTORY_ICONS keys
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Reminder the event is about
+ * @param {Object} details - Extra fields, e.g. scheduledFor, channels, error, until
+ */
+async function recordHistory(chatId, event, reminderId, reminder, details = {}) {
+  const entry = { event, reminderId, message: reminder.message };
+
+  // Follow-ups of a snoozed reminder stay findable under the original ID
+  if (reminder.snoozeOf) {
+    entry.snoozeOf = reminder.snoozeOf;
+  }
+  if (reminder.tags && reminder.tags.length) {
+    entry.tags = reminder.tags.join(' ');
+  }
+  for (const [name, value] of Object.entries(details)) {
+    if (value !== undefined && value !== null) {
+      entry[name] = value instanceof Date ? value.toISOString() : String(value);
+    }
+  }
+  if (entry.error) {
+    entry.error = entry.error.slice(0, MAX_ERROR_LENGTH);
+  }
+
+  try {
+    await addHistoryEntry(chatId, entry);
+  } catch (error) {
+    logger.error(`Error recording ${event} of reminder ${reminderId} in chat ${chatId} history:`, error);
+  }
+}
+
+/**
+ * Keeps only the entries about a tag or a reminder
+ * @param {Array} entries - History entries
+ * @param {Object} filter - { tag } or { id }, empty for all entries
+ * @returns {Array}
+ */
+function filterHistory(entries, filter = {}) {
+  if (filter.tag) {
+    return entries.filter(entry => (entry.tags || '').split(' ').includes(filter.tag));
+  }
+  if (filter.id) {
+    return entries.filter(entry => entry.reminderId === filter.id || entry.snoozeOf === filter.id);
+  }
+  return entries;
+}
+
+/**
+ * Formats history entries, one per event with what happened underneath
+ * @param {Array} entries - History entries, newest first
+ * @param {string} timezone - Timezone the times are shown in
+ * @param {string} language - Chat language
+ * @returns {string}
+ */
+function formatHistory(entries, timezone, language) {
+  const formatTime = time => formatShortDateTime(DateTime.fromJSDate(new Date(time)).setZone(timezone), language);
+
+  return entries.map((entry) => {
+    const message = entry.message.length > MAX_MESSAGE_LENGTH
+      ? `${entry.message.slice(0, MAX_MESSAGE_LENGTH - 1)}…`
+      : entry.message;
+
+    // Deliveries later than the grace period also show when they were due
+    const late = entry.event === 'delivered' && entry.scheduledFor &&
+      entry.time - new Date(entry.scheduledFor) > config.MISSED_RUN_GRACE * 60000;
+    // Failed deliveries that will be retried know when
+    const retrying = entry.event === 'failed' && entry.until;
+    const key = late ? 'history.deliveredLate' : retrying ? 'history.retrying' : `history.${entry.event}`;
+    const outcome = t(language, key, {
+      channels: entry.channels,
+      error: entry.error,
+      due: entry.scheduledFor && formatTime(entry.scheduledFor),
+      until: entry.until && formatTime(entry.until)
+    });
+
+    return `${HISTORY_ICONS[entry.event] || '•'} ${formatTime(entry.time)} · ${message}\n` +
+      `    ${t(language, 'list.id', { id: entry.reminderId })} · ${outcome}`;
+  }).join('\n\n');
+}
+
+/**
+ * Records snoozes and deletions as they happen in this instance; deliveries
+ * are recorded by the scheduler, which knows how they went
+ */
+function setupHistory() {
+  onReminderEvent(({ event, chatId, reminderId, reminder, reason }) => {
+    if (event === 'reminder.snoozed') {
+      recordHistory(chatId, 'snoozed', reminderId, reminder, { until: reminder.nextRun });
+    } else if (event === 'reminder.deleted' && reason !== 'completed') {
+      // A completed one-time reminder already has its delivery in the history
+      recordHistory(chatId, 'deleted', reminderId, reminder, { reason });
+    }
+  });
+}
+
+module.exports = {
+  recordHistory,
+  filterHistory,
+  formatHistory,
+  setupHistory
+};
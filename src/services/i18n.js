@@ -0,0 +1,157 @@
+// Message catalogs, per-chat language and localized date formatting
+const { DateTime } = require('luxon');
+const { saveDetectedLanguage, getChatLanguageSettings } = require('./redis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const CATALOGS = {
+  en: require('../locales/en'),
+  ru: require('../locales/ru'),
+  pl: require('../locales/pl')
+};
+
+const LANGUAGES = Object.keys(CATALOGS);
+
+// Luxon/Intl locale per language
+const LOCALES = {
+  en: 'en-US',
+  ru: 'ru',
+  pl: 'pl'
+};
+
+const POLISH_PATTERN = /[ąćęłńśźż]|\b(?:przypomnij|jutro|dzisiaj|codziennie|godzin|minut|rano|wieczorem)\b/i;
+const CYRILLIC_PATTERN = /[а-яё]/i;
+
+function isSupported(language) {
+  return LANGUAGES.includes(language);
+}
+
+/**
+ * Gets a message from the catalog, falling back to English
+ * @param {string} language - Language code
+ * @param {string} key - Message key, e.g. "remind.set"
+ * @param {Object} params - Values for {placeholders}; "count" also picks the plural form
+ * @returns {string}
+ */
+function t(language, key, params = {}) {
+  const catalog = CATALOGS[language] || CATALOGS.en;
+  let message = catalog[key] !== undefined ? catalog[key] : CATALOGS.en[key];
+
+  if (message === undefined) {
+    logger.warn(`Missing message "${key}"`);
+    return key;
+  }
+
+  if (typeof message === 'object' && !Array.isArray(message)) {
+    const form = new Intl.PluralRules(LOCALES[language] || LOCALES.en).select(params.count);
+    message = message[form] || message.other;
+  }
+
+  if (typeof message !== 'string') {
+    return message;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder)
+  );
+}
+
+/**
+ * Guesses the language of a user from their Telegram settings and what they wrote
+ * @param {string} languageCode - Telegram language_code, e.g. "ru" or "en-US"
+ * @param {string} text - Message text
+ * @returns {string|null} - Supported language code, or null if there is no hint
+ */
+function detectLanguage(languageCode, text) {
+  // Text written in a language wins over the app language
+  if (text) {
+    const withoutCommands = text.replace(/\/\w+(@\w+)?/g, '');
+    if (CYRILLIC_PATTERN.test(withoutCommands)) {
+      return 'ru';
+    }
+    if (POLISH_PATTERN.test(withoutCommands)) {
+      return 'pl';
+    }
+  }
+
+  const base = (languageCode || '').split('-')[0].toLowerCase();
+  return isSupported(base) ? base : null;
+}
+
+/**
+ * Gets the language to use for a chat outside of an update, e.g. when delivering reminders
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<string>}
+ */
+async function getChatLanguage(chatId) {
+  const { selected, detected } = await getChatLanguageSettings(chatId);
+  return [selected, detected].find(isSupported) || config.DEFAULT_LANGUAGE;
+}
+
+/**
+ * Telegraf middleware that sets ctx.language and ctx.t for the chat of the update
+ * @returns {Function}
+ */
+function i18nMiddleware() {
+  return async (ctx, next) => {
+    ctx.language = config.DEFAULT_LANGUAGE;
+
+    if (ctx.chat) {
+      const chatId = ctx.chat.id.toString();
+      const { selected, detected } = await getChatLanguageSettings(chatId);
+      const message = ctx.message || {};
+      const guessed = detectLanguage(ctx.from && ctx.from.language_code, message.text || message.caption);
+
+      if (guessed && guessed !== detected) {
+        await saveDetectedLanguage(chatId, guessed)
+            .catch(error => logger.warn(`Could not save detected language for chat ${chatId}:`, error));
+      }
+
+      ctx.language = [selected, guessed, detected].find(isSupported) || config.DEFAULT_LANGUAGE;
+    }
+
+    ctx.t = (key, params) => t(ctx.language, key, params);
+    return next();
+  };
+}
+
+/**
+ * Formats a date like "October 19, 2026" in the language's conventions
+ * @param {DateTime} dateTime - Luxon date
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatDate(dateTime, language) {
+  return dateTime.setLocale(LOCALES[language] || LOCALES.en).toLocaleString(DateTime.DATE_FULL);
+}
+
+/**
+ * Formats a date and 24-hour time like "October 19, 2026 14:30"
+ * @param {DateTime} dateTime - Luxon date
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatDateTime(dateTime, language) {
+  return `${formatDate(dateTime, language)} ${dateTime.toFormat('HH:mm')}`;
+}
+
+/**
+ * Formats a short date and time like "Oct 19, 14:30"
+ * @param {DateTime} dateTime - Luxon date
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatShortDateTime(dateTime, language) {
+  return dateTime.setLocale(LOCALES[language] || LOCALES.en).toFormat('MMM d, HH:mm');
+}
+
+module.exports = {
+  LANGUAGES,
+  t,
+  detectLanguage,
+  getChatLanguage,
+  i18nMiddleware,
+  formatDate,
+  formatDateTime,
+  formatShortDateTime
+};
@@ -0,0 +1,354 @@
+// iCalendar (RFC 5545) export and import of reminders
+const { RRule } = require('rrule');
+const { DateTime, IANAZone } = require('luxon');
+const { getScheduleRule, scheduleFromRule, getNextRun } = require('./recurrence');
+
+const PRODID = '-//notification-service//Telegram Reminder Bot//EN';
+const LOCAL_FORMAT = "yyyyMMdd'T'HHmmss";
+
+// All-day events become reminders at this time of day
+const ALL_DAY_TIME = '09:00';
+
+// Events carrying these are imported without them and reported
+const IGNORED_PROPERTIES = ['EXDATE', 'RDATE'];
+
+// Escapes a TEXT value
+function escapeText(text) {
+  return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+}
+
+// Reverses escapeText
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Folds a content line to 75 octets as required by RFC 5545
+function foldLine(line) {
+  const folded = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = folded.length ? 74 : 75; // Continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      folded.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  folded.push(current);
+
+  return folded.join('\r\n ');
+}
+
+// Formats a UTC offset in minutes as +HHMM
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Builds a VTIMEZONE component describing the zone's current rules
+ * @param {string} timezone - IANA timezone
+ * @param {number} year - Year whose transitions are described
+ * @returns {string[]} - Content lines
+ */
+function buildTimezone(timezone, year) {
+  const transitions = [];
+  const start = DateTime.fromObject({ year, month: 1, day: 1 }, { zone: timezone });
+  let previous = start;
+
+  // Find offset changes day by day, then narrow them down to the minute
+  for (let day = 1; day <= 366; day++) {
+    const current = start.plus({ days: day });
+    if (current.offset !== previous.offset) {
+      let low = previous.toMillis();
+      let high = current.toMillis();
+
+      while (high - low > 60000) {
+        const middle = Math.floor((low + high) / 2);
+        if (DateTime.fromMillis(middle, { zone: timezone }).offset === previous.offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      transitions.push({
+        at: DateTime.fromMillis(high, { zone: timezone }).startOf('minute'),
+        from: previous.offset,
+        to: current.offset
+      });
+    }
+    previous = current;
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+
+  if (!transitions.length) {
+    lines.push(
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        `TZOFFSETFROM:${formatOffset(start.offset)}`,
+        `TZOFFSETTO:${formatOffset(start.offset)}`,
+        `TZNAME:${start.offsetNameShort}`,
+        'END:STANDARD'
+    );
+  }
+
+  for (const { at, from, to } of transitions) {
+    const component = at.isInDST ? 'DAYLIGHT' : 'STANDARD';
+    // Onset is expressed in the local time in effect before the transition
+    const onset = at.toUTC().plus({ minutes: from });
+    const weekOfMonth = onset.day + 7 > onset.daysInMonth ? -1 : Math.ceil(onset.day / 7);
+    const weekday = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'][onset.weekday - 1];
+
+    lines.push(
+        `BEGIN:${component}`,
+        `DTSTART:${onset.toFormat(LOCAL_FORMAT)}`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${onset.month};BYDAY=${weekOfMonth}${weekday}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        `TZNAME:${at.offsetNameShort}`,
+        `END:${component}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Builds a VEVENT for a stored reminder
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Reminder with its timezone resolved
+ * @returns {string[]} - Content lines
+ */
+function buildEvent(chatId, reminderId, reminder) {
+  const nextRun = DateTime.fromISO(reminder.nextRun).setZone(reminder.timezone);
+  const rule = getScheduleRule(reminder.schedule);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${reminderId}-${chatId}@notification-service`,
+    `DTSTAMP:${DateTime.utc().toFormat(LOCAL_FORMAT)}Z`,
+    `CREATED:${DateTime.fromISO(reminder.createdAt).toUTC().toFormat(LOCAL_FORMAT)}Z`,
+    `SUMMARY:${escapeText(reminder.message)}`
+  ];
+
+  if (rule && reminder.schedule.time) {
+    // Recurring series start on the day of the next run at the schedule's time
+    const [hour, minute] = reminder.schedule.time.split(':').map(Number);
+    const dtstart = nextRun.set({ hour, minute, second: 0, millisecond: 0 });
+    lines.push(`DTSTART;TZID=${reminder.timezone}:${dtstart.toFormat(LOCAL_FORMAT)}`);
+    lines.push(`RRULE:${rule}`);
+  } else {
+    lines.push(`DTSTART;TZID=${reminder.timezone}:${nextRun.toFormat(LOCAL_FORMAT)}`);
+    if (rule) {
+      lines.push(`RRULE:${rule}`);
+    }
+  }
+
+  lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(reminder.message)}`,
+      'TRIGGER:PT0S',
+      'END:VALARM',
+      'END:VEVENT'
+  );
+
+  return lines;
+}
+
+/**
+ * Exports reminders as an iCalendar document
+ * @param {string} chatId - Chat ID
+ * @param {Array} reminders - Array of { id, reminder } with timezones resolved
+ * @returns {string} - iCalendar document
+ */
+function exportReminders(chatId, reminders) {
+  const year = DateTime.now().year;
+  const timezones = [...new Set(reminders.map(({ reminder }) => reminder.timezone))];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...timezones.flatMap(timezone => buildTimezone(timezone, year)),
+    ...reminders.flatMap(({ id, reminder }) => buildEvent(chatId, id, reminder)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Splits "NAME;PARAM=a;PARAM2="b:c":value" into its parts
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.substring(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...value] = part.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.substring(colon + 1) };
+}
+
+/**
+ * Parses the VEVENTs of an iCalendar document
+ * @param {string} text - iCalendar document
+ * @returns {Array} - Events as maps of property name -> { params, value }
+ */
+function parseCalendar(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const stack = [];
+  let event = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line.trim());
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        event = {};
+      }
+    } else if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      }
+    } else if (event && stack[stack.length - 1] === 'VEVENT' && !event[property.name]) {
+      // First occurrence wins; nested components such as VALARM are ignored
+      event[property.name] = property;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Converts a parsed VEVENT into a reminder
+ * @param {Object} event - Event from parseCalendar
+ * @param {string} chatTimezone - Timezone for floating times and unknown zones
+ * @returns {Object} - { reminder, warnings } or { error }; warnings and errors are
+ *   catalog messages as { key, params } so they can be shown in the chat's language
+ */
+function eventToReminder(event, chatTimezone) {
+  const warnings = [];
+
+  if (!event.DTSTART) {
+    return { error: { key: 'calendar.error.noStart' } };
+  }
+
+  const message = event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : '';
+  if (!message) {
+    return { error: { key: 'calendar.error.noTitle' } };
+  }
+
+  // Resolve the event's timezone
+  let timezone = chatTimezone;
+  const tzid = event.DTSTART.params.TZID;
+  if (tzid) {
+    if (IANAZone.isValidZone(tzid)) {
+      timezone = tzid;
+    } else {
+      warnings.push({ key: 'calendar.warning.unknownTimezone', params: { tzid, timezone: chatTimezone } });
+    }
+  }
+
+  const value = event.DTSTART.value;
+  let start;
+
+  if (event.DTSTART.params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const [hour, minute] = ALL_DAY_TIME.split(':').map(Number);
+    start = DateTime.fromFormat(value, 'yyyyMMdd', { zone: timezone }).set({ hour, minute });
+    warnings.push({ key: 'calendar.warning.allDay', params: { time: ALL_DAY_TIME } });
+  } else if (value.endsWith('Z')) {
+    start = DateTime.fromFormat(value.slice(0, -1), LOCAL_FORMAT, { zone: 'utc' }).setZone(timezone);
+  } else {
+    start = DateTime.fromFormat(value, LOCAL_FORMAT, { zone: timezone });
+  }
+
+  if (!start.isValid) {
+    return { error: { key: 'calendar.error.invalidStart', params: { value } } };
+  }
+
+  const time = start.toFormat('HH:mm');
+  let schedule;
+
+  if (event.RRULE) {
+    const rule = event.RRULE.value;
+    try {
+      const options = RRule.parseString(rule);
+      if (options.freq === undefined || options.freq === RRule.SECONDLY) {
+        return { error: { key: 'calendar.error.unsupportedRule', params: { rule } } };
+      }
+    } catch (error) {
+      return { error: { key: 'calendar.error.unsupportedRule', params: { rule } } };
+    }
+
+    schedule = { ...scheduleFromRule(rule, time), startDate: start.toISODate() };
+
+    for (const name of IGNORED_PROPERTIES) {
+      if (event[name]) {
+        warnings.push({ key: 'calendar.warning.ignored', params: { name } });
+      }
+    }
+  } else {
+    schedule = { frequency: 'once', time, date: start.toISODate(), isRelative: false };
+  }
+
+  const nextRun = getNextRun(schedule, timezone, {
+    after: new Date(),
+    startDate: schedule.startDate
+  });
+  if (!nextRun) {
+    return { error: { key: schedule.frequency === 'once' ? 'calendar.error.past' : 'calendar.error.noOccurrences' } };
+  }
+
+  return {
+    reminder: {
+      message,
+      schedule,
+      nextRun: nextRun.toISOString(),
+      createdAt: new Date().toISOString(),
+      timezone,
+      icalUid: event.UID ? event.UID.value : null
+    },
+    warnings
+  };
+}
+
+module.exports = {
+  exportReminders,
+  parseCalendar,
+  eventToReminder
+};
@@ -0,0 +1,117 @@
+// LLM provider layer: OpenAI or any OpenAI-compatible server (Ollama, llama.cpp, vLLM)
+const { OpenAI } = require('openai');
+const { checkBudget, recordUsage } = require('./usage');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Models used by each task on the primary and fallback provider
+const TASK_MODELS = {
+  parse: {
+    primary: config.LLM_PARSE_MODEL,
+    fallback: config.LLM_FALLBACK_PARSE_MODEL
+  },
+  timezone: {
+    primary: config.LLM_TIMEZONE_MODEL,
+    fallback: config.LLM_FALLBACK_TIMEZONE_MODEL
+  },
+  transcription: {
+    primary: config.LLM_TRANSCRIPTION_MODEL,
+    fallback: config.LLM_FALLBACK_TRANSCRIPTION_MODEL
+  }
+};
+
+const PROVIDERS = {
+  primary: {
+    baseURL: config.LLM_BASE_URL,
+    apiKey: config.LLM_API_KEY,
+    timeout: config.LLM_TIMEOUT
+  },
+  // Only used when configured
+  fallback: config.LLM_FALLBACK_BASE_URL || config.LLM_FALLBACK_API_KEY
+    ? {
+      baseURL: config.LLM_FALLBACK_BASE_URL,
+      apiKey: config.LLM_FALLBACK_API_KEY,
+      timeout: config.LLM_FALLBACK_TIMEOUT
+    }
+    : null
+};
+
+const clients = {};
+
+// Clients are created on first use so a missing key only fails the requests that need it
+function getClient(providerName) {
+  if (!clients[providerName]) {
+    const provider = PROVIDERS[providerName];
+
+    clients[providerName] = new OpenAI({
+      baseURL: provider.baseURL || undefined,
+      // Local servers ignore the key but the client requires one
+      apiKey: provider.apiKey || (provider.baseURL ? 'not-needed' : undefined),
+      timeout: provider.timeout,
+      maxRetries: config.LLM_MAX_RETRIES
+    });
+  }
+
+  return clients[providerName];
+}
+
+/**
+ * Runs a request against the primary provider and, if it fails, the fallback provider
+ * @param {string} task - Task name from TASK_MODELS
+ * @param {Function} request - Called with (client, model), returns the API promise
+ * @returns {Promise<*>} - Result of the first provider that succeeds
+ */
+async function withFallback(task, request) {
+  const models = TASK_MODELS[task];
+  if (!models) {
+    throw new Error(`Unknown LLM task "${task}"`);
+  }
+
+  try {
+    return await request(getClient('primary'), models.primary);
+  } catch (error) {
+    if (!PROVIDERS.fallback) {
+      throw error;
+    }
+
+    logger.warn(`Primary LLM provider failed for ${task} (${error.message}), using fallback`);
+    return request(getClient('fallback'), models.fallback);
+  }
+}
+
+/**
+ * Creates a chat completion for a task. Requests are counted against the chat's
+ * and the global daily budget, and refused once one of them is used up.
+ * @param {string} task - "parse" or "timezone"
+ * @param {Object} params - Chat completion parameters without the model
+ * @param {string} chatId - Chat the request is made for (optional)
+ * @returns {Promise<Object>} - Chat completion response
+ */
+async function createChatCompletion(task, params, chatId) {
+  await checkBudget(chatId);
+
+  const response = await withFallback(task, (client, model) => client.chat.completions.create({ ...params, model }));
+  await recordUsage(chatId, response.usage);
+  return response;
+}
+
+/**
+ * Transcribes audio
+ * @param {Function} createFile - Returns a fresh readable stream of the audio; called once per attempt
+ * @param {string} chatId - Chat the request is made for (optional)
+ * @returns {Promise<Object>} - Transcription response
+ */
+async function createTranscription(createFile, chatId) {
+  await checkBudget(chatId);
+
+  const response = await withFallback('transcription', (client, model) =>
+    client.audio.transcriptions.create({ file: createFile(), model })
+  );
+  await recordUsage(chatId, response.usage);
+  return response;
+}
+
+module.exports = {
+  createChatCompletion,
+  createTranscription
+};
@@ -0,0 +1,143 @@
+// Data migrations applied once at startup
+const { redisClient } = require('./redis');
+const logger = require('../utils/logger');
+
+// Split reminders created within this window are considered one request
+const SPLIT_REMINDER_WINDOW = 60000; // 1 minute
+
+// Upper bound for a migration run in case the instance dies while holding the lock
+const MIGRATION_LOCK_TTL = 600000; // 10 minutes
+
+/**
+ * Merges weekly reminders that older versions created one per day for
+ * "every Monday and Wednesday" requests into a single multiple_days reminder.
+ * Reminders are merged when they share message, time, timezone, the original
+ * list of days and were created together.
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<number>} - Number of merged groups
+ */
+async function mergeSplitMultipleDaysReminders(chatId) {
+  const reminders = await redisClient.hGetAll(`reminders:${chatId}`);
+  const groups = new Map();
+
+  for (const [id, reminderJson] of Object.entries(reminders)) {
+    const reminder = JSON.parse(reminderJson);
+    const { schedule } = reminder;
+
+    // Split reminders kept the original daysOfWeek from the analysis
+    if (schedule.frequency !== 'weekly' || !Array.isArray(schedule.daysOfWeek) || schedule.daysOfWeek.length < 2) {
+      continue;
+    }
+
+    const key = JSON.stringify([reminder.message, schedule.time, reminder.timezone, [...schedule.daysOfWeek].sort()]);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ id, reminder });
+  }
+
+  let merged = 0;
+
+  for (const candidates of groups.values()) {
+    // Only merge reminders created by the same request
+    candidates.sort((a, b) => new Date(a.reminder.createdAt) - new Date(b.reminder.createdAt));
+
+    const batches = [];
+    for (const candidate of candidates) {
+      const batch = batches[batches.length - 1];
+      const createdAt = new Date(candidate.reminder.createdAt).getTime();
+
+      if (batch && createdAt - new Date(batch[0].reminder.createdAt).getTime() <= SPLIT_REMINDER_WINDOW) {
+        batch.push(candidate);
+      } else {
+        batches.push([candidate]);
+      }
+    }
+
+    for (const batch of batches.filter(batch => batch.length > 1)) {
+      const [kept, ...duplicates] = batch.sort((a, b) => a.id.localeCompare(b.id));
+      const daysOfWeek = [...new Set(batch.map(({ reminder }) => reminder.schedule.dayOfWeek))].sort((a, b) => a - b);
+      const nextRun = batch
+          .map(({ reminder }) => reminder.nextRun)
+          .sort((a, b) => new Date(a) - new Date(b))[0];
+
+      const reminder = {
+        ...kept.reminder,
+        schedule: { ...kept.reminder.schedule, frequency: 'multiple_days', daysOfWeek, dayOfWeek: undefined },
+        nextRun
+      };
+
+      await redisClient.hSet(`reminders:${chatId}`, kept.id, JSON.stringify(reminder));
+      await redisClient.zAdd('reminder_schedule', {
+        score: new Date(nextRun).getTime(),
+        value: `${chatId}:${kept.id}`
+      });
+
+      for (const { id } of duplicates) {
+        await redisClient.hDel(`reminders:${chatId}`, id);
+        await redisClient.zRem('reminder_schedule', `${chatId}:${id}`);
+      }
+
+      logger.info(`Merged reminders ${batch.map(({ id }) => id).join(', ')} of chat ${chatId} into ${kept.id}`);
+      merged++;
+    }
+  }
+
+  return merged;
+}
+
+// Migrations in the order they were introduced; names must never change
+const MIGRATIONS = [
+  {
+    name: '001-merge-split-multiple-days-reminders',
+    perChat: mergeSplitMultipleDaysReminders
+  }
+];
+
+/**
+ * Applies pending migrations to every chat with reminders
+ */
+async function runMigrations() {
+  // Only one instance migrates; the others carry on with the data as it is
+  const locked = await redisClient.set('migrations:lock', process.pid.toString(), { NX: true, PX: MIGRATION_LOCK_TTL });
+  if (!locked) {
+    logger.info('Migrations are being applied by another instance');
+    return;
+  }
+
+  try {
+    await applyMigrations();
+  } finally {
+    await redisClient.del('migrations:lock');
+  }
+}
+
+// Applies migrations that have not been recorded as applied yet
+async function applyMigrations() {
+  for (const migration of MIGRATIONS) {
+    const applied = await redisClient.sIsMember('migrations:applied', migration.name);
+    if (applied) {
+      continue;
+    }
+
+    logger.info(`Running migration ${migration.name}`);
+
+    for await (const key of redisClient.scanIterator({ MATCH: 'reminders:*' })) {
+      const chatId = key.substring('reminders:'.length);
+
+      try {
+        await migration.perChat(chatId);
+      } catch (error) {
+        logger.error(`Migration ${migration.name} failed for chat ${chatId}:`, error);
+        throw error;
+      }
+    }
+
+    await redisClient.sAdd('migrations:applied', migration.name);
+    logger.info(`Migration ${migration.name} applied`);
+  }
+}
+
+module.exports = {
+  runMigrations
+};
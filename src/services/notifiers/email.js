@@ -0,0 +1,60 @@
+// Delivers reminders by email through SMTP
+const nodemailer = require('nodemailer');
+const { getChatChannels } = require('../redis');
+const { t } = require('../i18n');
+const config = require('../../config');
+
+let transporter = null;
+
+// The transporter is created on first use so the bot runs without SMTP settings
+function getTransporter() {
+  if (!config.SMTP_HOST) {
+    throw new Error('Email delivery is not configured (SMTP_HOST is not set)');
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.SMTP_HOST,
+      port: config.SMTP_PORT,
+      secure: config.SMTP_SECURE,
+      auth: config.SMTP_USER ? { user: config.SMTP_USER, pass: config.SMTP_PASS } : undefined
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Sends an email
+ * @param {string} to - Recipient address
+ * @param {string} subject - Subject line
+ * @param {string} text - Plain text body
+ */
+async function sendEmail(to, subject, text) {
+  await getTransporter().sendMail({ from: config.SMTP_FROM, to, subject, text });
+}
+
+/**
+ * Creates the email notifier; it delivers to the chat's verified address
+ * @returns {Object} - Notifier
+ */
+function createEmailNotifier() {
+  return {
+    name: 'email',
+
+    async send({ chatId, reminder, text, language }) {
+      const { email } = await getChatChannels(chatId);
+      if (!email) {
+        throw new Error('No verified email address is linked to this chat');
+      }
+
+      await sendEmail(email.address, t(language, 'delivery.reminder', { message: reminder.message }), text);
+      return { address: email.address };
+    }
+  };
+}
+
+module.exports = {
+  sendEmail,
+  createEmailNotifier
+};
@@ -0,0 +1,52 @@
+// Delivers reminders as signed JSON POSTs to a URL linked to the chat
+const axios = require('axios');
+const { getChatChannels } = require('../redis');
+const { signPayload } = require('../webhooks');
+const { lookupPublicAddress, assertPublicUrl } = require('../../utils/network');
+const config = require('../../config');
+
+/**
+ * Creates the generic HTTP notifier
+ * @returns {Object} - Notifier
+ */
+function createHttpNotifier() {
+  return {
+    name: 'http',
+
+    async send({ chatId, reminderId, reminder, text }) {
+      const { http } = await getChatChannels(chatId);
+      if (!http) {
+        throw new Error('No HTTP endpoint is linked to this chat');
+      }
+
+      const body = JSON.stringify({
+        chatId,
+        reminderId,
+        message: reminder.message,
+        text,
+        reminder,
+        sentAt: new Date().toISOString()
+      });
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      // Fails with EPRIVATEADDRESS, which is not retried, if the host now points at a private address
+      await assertPublicUrl(http.url);
+      const response = await axios.post(http.url, body, {
+        timeout: config.WEBHOOK_TIMEOUT,
+        maxRedirects: 0,
+        lookup: lookupPublicAddress,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'notification-service-notifier',
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(http.secret, timestamp, body)
+        }
+      });
+      return { statusCode: response.status };
+    }
+  };
+}
+
+module.exports = {
+  createHttpNotifier
+};
@@ -0,0 +1,194 @@
+// Delivery channels: every notifier implements send({ chatId, reminderId, reminder, text, language, silent })
+const { createTelegramNotifier } = require('./telegram');
+const { createEmailNotifier } = require('./email');
+const { createHttpNotifier } = require('./http');
+const { t } = require('../i18n');
+const logger = require('../../utils/logger');
+
+const CHANNELS = ['telegram', 'email', 'http'];
+
+// Reminders without a channel list go to the chat only
+const DEFAULT_CHANNELS = ['telegram'];
+
+// Socket, DNS and SMTP connection errors that are worth another attempt
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ECONNECTION',
+  'ESOCKET',
+  'EDNS'
+];
+
+// How hopeful a failure is, most hopeful first
+const FAILURE_KINDS = ['rate_limited', 'network', 'permanent'];
+
+/**
+ * Gets the channels a reminder is delivered to
+ * @param {Object} reminder - Reminder object
+ * @returns {string[]} - Channel names
+ */
+function getReminderChannels(reminder) {
+  return reminder.channels && reminder.channels.length ? reminder.channels : DEFAULT_CHANNELS;
+}
+
+/**
+ * Keeps the requested channels that the chat can use
+ * @param {string[]} requested - Channel names, e.g. from the message analysis
+ * @param {Object} linked - Channels linked to the chat from getChatChannels
+ * @returns {Object} - { channels, unavailable } where channels falls back to the default
+ */
+function resolveChannels(requested, linked) {
+  const known = [...new Set(requested.map(channel => String(channel).toLowerCase()))]
+      .filter(channel => CHANNELS.includes(channel));
+  const channels = known.filter(channel => channel === 'telegram' || linked[channel]);
+
+  return {
+    channels: channels.length ? channels : DEFAULT_CHANNELS,
+    unavailable: known.filter(channel => !channels.includes(channel))
+  };
+}
+
+/**
+ * Sorts a channel error into what can be done about it:
+ * - "rate_limited": retry after `retryAfter` seconds (Telegram 429, HTTP 429)
+ * - "network": retry with backoff (connection errors, timeouts, 5xx, SMTP 4xx)
+ * - "blocked": the bot was blocked or removed from the chat (Telegram 403)
+ * - "permanent": retrying won't help
+ * @param {Error} error - Error thrown by a notifier
+ * @returns {{kind: string, retryAfter: number|null}}
+ */
+function classifyDeliveryError(error) {
+  // Telegram Bot API errors carry a numeric error code and parameters
+  if (typeof error.code === 'number') {
+    if (error.code === 429) {
+      return { kind: 'rate_limited', retryAfter: (error.parameters && error.parameters.retry_after) || null };
+    }
+    if (error.code === 403 || (error.code === 400 && /chat not found/i.test(error.description || ''))) {
+      return { kind: 'blocked', retryAfter: null };
+    }
+    return { kind: error.code >= 500 ? 'network' : 'permanent', retryAfter: null };
+  }
+
+  // HTTP channel (axios)
+  const status = error.response && error.response.status;
+  if (status === 429) {
+    const retryAfter = parseInt(error.response.headers && error.response.headers['retry-after']);
+    return { kind: 'rate_limited', retryAfter: Number.isNaN(retryAfter) ? null : retryAfter };
+  }
+  if (status >= 500) {
+    return { kind: 'network', retryAfter: null };
+  }
+
+  // Email channel (SMTP 4xx replies are temporary by definition)
+  if (error.responseCode >= 400 && error.responseCode < 500) {
+    return { kind: 'network', retryAfter: null };
+  }
+
+  if (NETWORK_ERROR_CODES.includes(error.code) || error.name === 'AbortError' || error.type === 'system') {
+    return { kind: 'network', retryAfter: null };
+  }
+
+  return { kind: 'permanent', retryAfter: null };
+}
+
+/**
+ * Classifies a delivery that failed on every channel. A chat that blocked the
+ * bot wins; otherwise the most hopeful channel decides whether to retry.
+ * @param {Object} errors - Map of channel name -> error
+ * @returns {{kind: string, retryAfter: number|null}}
+ */
+function classifyDeliveryFailure(errors) {
+  const failures = Object.entries(errors).map(([channel, error]) => ({ channel, ...classifyDeliveryError(error) }));
+
+  const blocked = failures.find(failure => failure.channel === 'telegram' && failure.kind === 'blocked');
+  if (blocked) {
+    return { kind: 'blocked', retryAfter: null };
+  }
+
+  const kind = FAILURE_KINDS.find(kind => failures.some(failure => failure.kind === kind)) || 'permanent';
+  const retryAfter = Math.max(0, ...failures.map(failure => failure.retryAfter || 0)) || null;
+  return { kind, retryAfter: kind === 'rate_limited' ? retryAfter : null };
+}
+
+/**
+ * Creates all notifiers
+ * @param {Object} bot - Telegraf bot instance
+ * @returns {Object} - Map of channel name -> notifier
+ */
+function createNotifiers(bot) {
+  return {
+    telegram: createTelegramNotifier(bot),
+    email: createEmailNotifier(),
+    http: createHttpNotifier()
+  };
+}
+
+/**
+ * Sends a reminder to each of its channels. A failing channel does not
+ * stop the others; the delivery only fails when nothing reached the chat.
+ * @param {Object} notifiers - Notifiers from createNotifiers
+ * @param {Object} delivery - { chatId, reminderId, reminder, text, language, silent }
+ * @returns {Promise<Object>} - Map of channel name -> notifier result for the channels that succeeded
+ */
+async function notify(notifiers, delivery) {
+  const channels = getReminderChannels(delivery.reminder);
+
+  const results = await Promise.allSettled(channels.map((channel) => {
+    const notifier = notifiers[channel];
+    return notifier
+      ? notifier.send(delivery)
+      : Promise.reject(new Error(`Unknown channel "${channel}"`));
+  }));
+
+  const delivered = {};
+  const errors = {};
+
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      delivered[channels[index]] = result.value;
+    } else {
+      errors[channels[index]] = result.reason;
+      logger.error(`Error delivering reminder ${delivery.reminderId} to chat ${delivery.chatId} via ${channels[index]}:`, result.reason);
+    }
+  });
+
+  // Never lose a reminder whose extra channels all failed: fall back to the chat itself
+  if (!Object.keys(delivered).length && !channels.includes('telegram')) {
+    try {
+      delivered.telegram = await notifiers.telegram.send({
+        ...delivery,
+        text: `${delivery.text}\n\n${t(delivery.language, 'delivery.fallback', { channels: channels.join(', ') })}`
+      });
+    } catch (error) {
+      errors.telegram = error;
+    }
+  }
+
+  if (!Object.keys(delivered).length) {
+    const failures = Object.entries(errors).map(([channel, error]) => `${channel}: ${error.message}`);
+    const error = new Error(`Reminder could not be delivered to any channel (${failures.join('; ')})`);
+    // Tells the scheduler whether to retry, deactivate or give up
+    error.deliveryFailure = classifyDeliveryFailure(errors);
+    throw error;
+  }
+
+  return delivered;
+}
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  getReminderChannels,
+  resolveChannels,
+  classifyDeliveryError,
+  createNotifiers,
+  notify
+};
@@ -0,0 +1,25 @@
+// Delivers reminders as Telegram messages with snooze/done buttons
+const { getReminderKeyboard } = require('../snooze');
+
+/**
+ * Creates the Telegram notifier
+ * @param {Object} bot - Telegraf bot instance
+ * @returns {Object} - Notifier
+ */
+function createTelegramNotifier(bot) {
+  return {
+    name: 'telegram',
+
+    async send({ chatId, reminderId, reminder, text, language, silent }) {
+      const sent = await bot.telegram.sendMessage(chatId, text, {
+        reply_markup: getReminderKeyboard(reminderId, reminder, language),
+        disable_notification: Boolean(silent)
+      });
+      return { messageId: sent.message_id };
+    }
+  };
+}
+
+module.exports = {
+  createTelegramNotifier
+};
@@ -1,29 +1,70 @@
-// OpenAI integration service
-const { OpenAI } = require('openai');
+// LLM integration service; see llm.js for providers and models
+const { createChatCompletion } = require('./llm');
+const {
+  ANALYSIS_SCHEMA,
+  EDIT_SCHEMA,
+  PERIOD_SCHEMA,
+  TIMEZONE_DETECTION_SCHEMA,
+  TIMEZONE_VALIDATION_SCHEMA,
+  validate,
+  formatErrors
+} = require('./schemas');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { DateTime } = require('luxon');
 const {saveUserTimezone} = require("./redis");
 
-const openai = new OpenAI({
-  apiKey: config.OPENAI_API_KEY,
-  timeout: 10000, // 10 seconds timeout for all requests
-});
+/**
+ * Requests a JSON completion and checks it against a schema. Invalid output is
+ * sent back to the model together with the validation errors so it can correct it.
+ * @param {string} task - LLM task, see llm.js
+ * @param {Object} schema - Schema from schemas.js
+ * @param {Object} params - Chat completion parameters with the messages
+ * @param {string} chatId - Chat the request is made for, for the usage budgets
+ * @returns {Promise<{result: Object|null, errors: Array<Object>}>} - Last result and its remaining errors
+ */
+async function requestJson(task, schema, params, chatId) {
+  const conversation = [...params.messages];
+  let result = null;
+  let errors = [];
 
-// Helper function to create a timeout promise
-const createTimeout = (ms) => {
-  return new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('OpenAI request timed out')), ms);
-  });
-};
+  for (let attempt = 0; attempt <= config.LLM_REPAIR_ATTEMPTS; attempt++) {
+    const response = await createChatCompletion(task, { ...params, messages: conversation }, chatId);
+    const content = response.choices[0].message.content;
+
+    try {
+      result = JSON.parse(content);
+      errors = validate(schema, result);
+    } catch (error) {
+      result = null;
+      errors = [{ path: '(root)', message: 'is not valid JSON' }];
+    }
+
+    if (!errors.length) {
+      return { result, errors };
+    }
+
+    logger.warn(`Invalid ${task} response from the model (attempt ${attempt + 1}): ${formatErrors(errors).join('; ')}`);
+    conversation.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: 'Your response does not match the required structure:\n' +
+            formatErrors(errors).map(line => `- ${line}`).join('\n') +
+            '\nReturn the complete corrected JSON only. Use null for anything the message does not say.'
+        }
+    );
+  }
+
+  return { result, errors };
+}
 
 /**
  * Analyzes a reminder message from /remind command
  */
-async function analyzeMessage(message, userId) {
+async function analyzeMessage(message, chatId) {
   try {
-    const response = await openai.chat.completions.create({
-      model: config.OPENAI_MODEL,
+    const { result, errors } = await requestJson('parse', ANALYSIS_SCHEMA, {
       messages: [
         {
           role: 'system',
@@ -36,7 +77,8 @@ async function analyzeMessage(message, userId) {
             "isReminder": boolean,
             "message": string, // the reminder message
             "schedule": {
-              "frequency": string, // "once", "daily", "weekly", "monthly", or "multiple_days"
+              "frequency": string, // "once", "daily", "weekly", "monthly", "multiple_days" or "custom"
+              "rrule": string, // RFC 5545 RRULE without DTSTART (for "custom" only)
               "time": string, // HH:mm format
               "date": string, // YYYY-MM-DD format (for "once" only)
               "dayOfWeek": number, // 0-6 for Sunday-Saturday (for "weekly" only)
@@ -44,9 +86,39 @@ async function analyzeMessage(message, userId) {
               "daysOfWeek": number[], // array of 0-6 for multiple days
               "isRelative": boolean, // true for "after X minutes/hours"
               "relativeMinutes": number // number of minutes for relative time
-            }
+            },
+            "acknowledgement": { // null unless the user wants to be reminded until they confirm
+              "required": boolean,
+              "intervalMinutes": number, // whole minutes between repeats (at least 1), null if not specified
+              "maxRepeats": number // maximum number of repeats (at most ${config.NAG_MAX_REPEATS}), null if not specified
+            },
+            "channels": string[], // null unless the user names where to deliver it: "telegram", "email", "http"
+            "tags": string[] // null unless the user asks to tag or file the reminder, e.g. "tag it work" → ["work"]
           }
           
+          Use frequency "custom" with an "rrule" (FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, BYHOUR, COUNT, UNTIL)
+          when the schedule doesn't fit daily/weekly/monthly/multiple_days, e.g.:
+          - "every 2 weeks on Monday" → "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO"
+          - "every weekday" → "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+          - "last Friday of the month" → "FREQ=MONTHLY;BYDAY=-1FR"
+          - "first Monday of each quarter" → "FREQ=YEARLY;BYMONTH=1,4,7,10;BYDAY=1MO"
+          - "every year on March 3" → "FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=3"
+          - "every 90 minutes between 9:00 and 17:00" → "FREQ=MINUTELY;INTERVAL=90;BYHOUR=9,10,11,12,13,14,15,16" with time "09:00"
+          Put the time of day in "time", not in BYHOUR/BYMINUTE, unless the reminder repeats within a day.
+          
+          For reminders that should repeat until confirmed (e.g., "keep reminding me until I confirm",
+          "nag me every 10 minutes until I acknowledge", "повторяй, пока я не подтвержу"):
+          - Set acknowledgement.required to true
+          - Set intervalMinutes and maxRepeats only if the user mentions them
+          - Leave the phrase itself out of the reminder message
+          
+          When the user asks for delivery to specific places (e.g., "by email", "to Telegram and my work email",
+          "на почту"), list them in "channels" ("telegram", "email", "http"); any email address counts as "email".
+          Leave the phrase itself out of the reminder message.
+          
+          When the user asks to tag or categorize the reminder (e.g., "tag it work", "under groceries",
+          "категория дом"), put single lowercase words in "tags" and leave the phrase itself out of the message.
+          
           For relative time reminders (e.g., "in 5 minutes", "after 2 hours"):
           - Set isRelative to true
           - Convert the time to minutes and set in relativeMinutes
@@ -98,6 +170,37 @@ async function analyzeMessage(message, userId) {
               "time": "14:00",
               "dayOfMonth": 15,
               "isRelative": false
+            },
+            "acknowledgement": null
+          }
+          
+          5. "pay rent on the last Friday of every month at 18:00"
+          {
+            "isReminder": true,
+            "message": "pay rent",
+            "schedule": {
+              "frequency": "custom",
+              "rrule": "FREQ=MONTHLY;BYDAY=-1FR",
+              "time": "18:00",
+              "isRelative": false
+            },
+            "acknowledgement": null
+          }
+          
+          6. "take pills at 8pm, keep reminding me every 10 minutes until I confirm"
+          {
+            "isReminder": true,
+            "message": "take pills",
+            "schedule": {
+              "frequency": "once",
+              "time": "20:00",
+              "date": null,
+              "isRelative": false
+            },
+            "acknowledgement": {
+              "required": true,
+              "intervalMinutes": 10,
+              "maxRepeats": null
             }
           }
           `
@@ -109,25 +212,187 @@ async function analyzeMessage(message, userId) {
       ],
       temperature: 0,
       response_format: { type: 'json_object' }
-    });
+    }, chatId);
 
-    const result = JSON.parse(response.choices[0].message.content);
     logger.debug('Message analysis result:', result);
+
+    // The model couldn't produce a usable schedule even after correction
+    if (errors.length) {
+      return { isReminder: false, needsClarification: true, errors };
+    }
     return result;
 
   } catch (error) {
+    // Callers tell the user the budget is used up
+    if (error.budgetExceeded) {
+      throw error;
+    }
     logger.error('Error analyzing message:', error);
     return null;
   }
 }
 
+/**
+ * Interprets a natural-language change to an existing reminder
+ * @param {Object} reminder - Stored reminder being edited
+ * @param {string} change - Requested change, e.g. "move to 8am"
+ * @param {string} timezone - Chat's timezone
+ * @param {string} chatId - Chat ID
+ */
+async function analyzeEdit(reminder, change, timezone, chatId) {
+  try {
+    const now = DateTime.now().setZone(timezone);
+    const current = {
+      message: reminder.message,
+      schedule: reminder.schedule,
+      acknowledgement: reminder.acknowledgement || null,
+      nextRun: DateTime.fromISO(reminder.nextRun).setZone(timezone).toFormat("yyyy-MM-dd'T'HH:mm")
+    };
+
+    const { result, errors } = await requestJson('parse', EDIT_SCHEMA, {
+      messages: [
+        {
+          role: 'system',
+          content: `
+          You are a reminder editing assistant. The user wants to change an existing reminder.
+          Current local time: ${now.toFormat("yyyy-MM-dd'T'HH:mm")} (${now.toFormat('cccc')}), timezone ${timezone}.
+          
+          The existing reminder is:
+          ${JSON.stringify(current)}
+          
+          Schedules use the same structure as the existing one:
+          - "frequency": "once", "daily", "weekly", "monthly", "multiple_days" or "custom"
+          - "time": HH:mm, "date": YYYY-MM-DD (for "once"), "dayOfWeek": 0-6 for Sunday-Saturday (for "weekly"),
+            "dayOfMonth": 1-31 (for "monthly"), "daysOfWeek": array of 0-6 (for "multiple_days"),
+            "rrule": RFC 5545 RRULE without DTSTART (for "custom"),
+            "isRelative"/"relativeMinutes" for "in X minutes" changes
+          
+          Return your response as JSON with the following structure:
+          {
+            "understood": boolean, // false if the change can't be applied
+            "message": string, // new reminder text, or null if unchanged
+            "schedule": object, // the complete new schedule, or null if unchanged
+            "acknowledgement": object, // new acknowledgement policy, false to turn it off, or null if unchanged
+            "explanation": string // short summary of what was changed
+          }
+          
+          When changing only part of the schedule (e.g. "move to 8am"), keep everything else from the existing schedule.
+          
+          Examples:
+          1. "move to 8am" on a daily 09:00 reminder
+          {
+            "understood": true,
+            "message": null,
+            "schedule": { "frequency": "daily", "time": "08:00", "isRelative": false },
+            "acknowledgement": null,
+            "explanation": "Moved to 08:00"
+          }
+          
+          2. "make it weekly on Fridays"
+          {
+            "understood": true,
+            "message": null,
+            "schedule": { "frequency": "weekly", "time": "09:00", "dayOfWeek": 5, "isRelative": false },
+            "acknowledgement": null,
+            "explanation": "Now repeats every Friday"
+          }
+          
+          3. "change text to call the bank"
+          {
+            "understood": true,
+            "message": "call the bank",
+            "schedule": null,
+            "acknowledgement": null,
+            "explanation": "Changed text to \"call the bank\""
+          }
+          `
+        },
+        {
+          role: 'user',
+          content: change
+        }
+      ],
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    }, chatId);
+
+    logger.debug('Edit analysis result:', result);
+
+    if (errors.length) {
+      return { understood: false, needsClarification: true, errors };
+    }
+    return result;
+
+  } catch (error) {
+    if (error.budgetExceeded) {
+      throw error;
+    }
+    logger.error('Error analyzing edit:', error);
+    return null;
+  }
+}
+
+/**
+ * Interprets the period an /agenda question asks about
+ * @param {string} text - Question or period, e.g. "anything on Friday afternoon?"
+ * @param {string} timezone - Chat's timezone
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object|null>} - { understood, start, end } in local time, or null if it failed
+ */
+async function analyzeAgendaPeriod(text, timezone, chatId) {
+  try {
+    const now = DateTime.now().setZone(timezone);
+
+    const { result, errors } = await requestJson('parse', PERIOD_SCHEMA, {
+      messages: [
+        {
+          role: 'system',
+          content: `
+          You are a calendar assistant. The user asks about their upcoming reminders; work out which period they mean.
+          Current local time: ${now.toFormat("yyyy-MM-dd'T'HH:mm")} (${now.toFormat('cccc')}), timezone ${timezone}.
+          
+          Return your response as JSON with the following structure:
+          {
+            "understood": boolean, // false if the text names no period
+            "start": string, // local start of the period, yyyy-MM-ddTHH:mm
+            "end": string // local end of the period, yyyy-MM-ddTHH:mm
+          }
+          
+          Whole days run from 00:00 to 23:59. Mornings are 05:00-12:00, afternoons 12:00-17:00, evenings 17:00-23:59.
+          Weeks start on Monday. Periods in the past belong to the next such period ("on Friday" is the coming Friday).
+          
+          Examples (on Wednesday 2025-03-12):
+          1. "anything on Friday afternoon?" → { "understood": true, "start": "2025-03-14T12:00", "end": "2025-03-14T17:00" }
+          2. "what's left this week" → { "understood": true, "start": "2025-03-12T00:00", "end": "2025-03-16T23:59" }
+          3. "до конца месяца" → { "understood": true, "start": "2025-03-12T00:00", "end": "2025-03-31T23:59" }
+          `
+        },
+        {
+          role: 'user',
+          content: text
+        }
+      ],
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    }, chatId);
+
+    logger.debug('Agenda period result:', result);
+    return errors.length ? null : result;
+  } catch (error) {
+    if (error.budgetExceeded) {
+      throw error;
+    }
+    logger.error('Error analyzing agenda period:', error);
+    return null;
+  }
+}
+
 /**
  * Detects timezone from a message
  */
-async function detectTimezone(message, userId) {
+async function detectTimezone(message, chatId) {
   try {
-    const response = await openai.chat.completions.create({
-      model: config.OPENAI_MODEL,
+    const { result, errors } = await requestJson('timezone', TIMEZONE_DETECTION_SCHEMA, {
       messages: [
         {
           role: 'system',
@@ -164,25 +429,21 @@ async function detectTimezone(message, userId) {
       ],
       temperature: 0,
       response_format: { type: 'json_object' }
-    });
+    }, chatId);
 
-    const result = JSON.parse(response.choices[0].message.content);
     logger.debug('Timezone detection result:', result);
 
-    if (result.hasTimezoneInfo && result.timezone && result.confidence > 0.7) {
-      // Validate timezone
-      try {
-        DateTime.now().setZone(result.timezone);
-        return result.timezone;
-      } catch (error) {
-        logger.error('Invalid timezone detected:', error);
-        return null;
-      }
+    if (errors.length) {
+      return null;
     }
 
-    return null;
+    // The schema guarantees the timezone is a valid IANA name
+    return result.hasTimezoneInfo && result.confidence > 0.7 ? result.timezone : null;
 
   } catch (error) {
+    if (error.budgetExceeded) {
+      throw error;
+    }
     logger.error('Error detecting timezone:', error);
     return null;
   }
@@ -191,10 +452,9 @@ async function detectTimezone(message, userId) {
 /**
  * Validates and normalizes timezone input to correct IANA timezone
  */
-async function validateTimezone(input) {
+async function validateTimezone(input, chatId) {
   try {
-    const response = await openai.chat.completions.create({
-      model: config.OPENAI_MODEL,
+    const { result, errors } = await requestJson('timezone', TIMEZONE_VALIDATION_SCHEMA, {
       messages: [
         {
           role: 'system',
@@ -228,26 +488,26 @@ async function validateTimezone(input) {
       ],
       temperature: 0,
       response_format: { type: 'json_object' }
-    });
+    }, chatId);
 
-    const result = JSON.parse(response.choices[0].message.content);
     logger.debug('Timezone validation result:', result);
 
-    // Verify the suggested timezone is valid using Luxon
-    if (result.suggestedTimezone) {
-      try {
-        DateTime.now().setZone(result.suggestedTimezone);
-        return result;
-      } catch (error) {
-        logger.error('Invalid timezone suggested by OpenAI:', error);
-        result.isValid = false;
-        result.explanation += " (Invalid IANA timezone)";
-      }
+    if (errors.length) {
+      return {
+        isValid: false,
+        originalInput: input,
+        suggestedTimezone: null,
+        confidence: 0,
+        explanation: `Invalid response from the model: ${formatErrors(errors).join('; ')}`
+      };
     }
 
     return result;
 
   } catch (error) {
+    if (error.budgetExceeded) {
+      throw error;
+    }
     logger.error('Error validating timezone:', error);
     return {
       isValid: false,
@@ -260,8 +520,9 @@ async function validateTimezone(input) {
 }
 
 module.exports = {
-  openai,
   analyzeMessage,
+  analyzeEdit,
+  analyzeAgendaPeriod,
   detectTimezone,
   validateTimezone
 };
@@ -0,0 +1,147 @@
+// Quiet hours and do-not-disturb windows in which reminders are deferred or sent silently
+const { DateTime } = require('luxon');
+const { getQuietHours, getDoNotDisturb, getUserTimezone } = require('./redis');
+const config = require('../config');
+
+// What happens to a reminder due inside a quiet window
+const QUIET_MODES = ['defer', 'silent', 'ignore'];
+
+const WINDOW_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)\s*[-–]\s*([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Saturday and Sunday in Luxon's weekday numbering
+const WEEKEND = [6, 7];
+
+/**
+ * Parses a window like "22:00-07:30"
+ * @param {string} text - Window text
+ * @returns {Object|null} - { start, end } in HH:mm, or null if invalid
+ */
+function parseWindow(text) {
+  const match = String(text || '').trim().match(WINDOW_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const start = `${match[1].padStart(2, '0')}:${match[2]}`;
+  const end = `${match[3].padStart(2, '0')}:${match[4]}`;
+  return start === end ? null : { start, end };
+}
+
+function atTime(day, time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return day.set({ hour, minute, second: 0, millisecond: 0 });
+}
+
+// Quiet interval of the window that ends on the given day. Weekend rules apply to
+// windows ending on Saturday or Sunday, so Friday night already follows them.
+function getIntervalEndingOn(day, settings) {
+  const rule = WEEKEND.includes(day.weekday) && settings.weekend !== undefined
+    ? settings.weekend
+    : (settings.start ? { start: settings.start, end: settings.end } : null);
+
+  if (!rule) {
+    return null;
+  }
+
+  if (rule === 'all') {
+    // The whole day, starting the evening before when the usual window crosses midnight
+    const crossesMidnight = settings.start && settings.start > settings.end;
+    return {
+      start: crossesMidnight ? atTime(day.minus({ days: 1 }), settings.start) : day.startOf('day'),
+      end: day.plus({ days: 1 }).startOf('day')
+    };
+  }
+
+  const end = atTime(day, rule.end);
+  const start = rule.start > rule.end ? atTime(day.minus({ days: 1 }), rule.start) : atTime(day, rule.start);
+  return { start, end };
+}
+
+/**
+ * Finds when the quiet time around a moment ends. Adjacent windows are merged,
+ * so a reminder is never deferred into another quiet window.
+ * @param {Object} settings - Quiet hours from getQuietHours
+ * @param {Date|null} doNotDisturbUntil - End of a /dnd period
+ * @param {Date} date - Moment to check
+ * @param {string} timezone - Timezone the windows are defined in
+ * @returns {Date|null} - End of the quiet time, or null if the moment is not quiet
+ */
+function getQuietUntil(settings, doNotDisturbUntil, date, timezone) {
+  let until = DateTime.fromJSDate(date).setZone(timezone);
+  let quiet = false;
+
+  // Each pass moves "until" past one window; a week of windows is more than enough
+  for (let pass = 0; pass < 16; pass++) {
+    let extended = false;
+
+    if (doNotDisturbUntil && until < DateTime.fromJSDate(doNotDisturbUntil)) {
+      until = DateTime.fromJSDate(doNotDisturbUntil).setZone(timezone);
+      extended = true;
+    }
+
+    for (let offset = -1; offset <= 1 && settings; offset++) {
+      const interval = getIntervalEndingOn(until.startOf('day').plus({ days: offset }), settings);
+      if (interval && interval.start <= until && until < interval.end) {
+        until = interval.end;
+        extended = true;
+      }
+    }
+
+    if (!extended) {
+      break;
+    }
+    quiet = true;
+  }
+
+  return quiet ? until.toJSDate() : null;
+}
+
+/**
+ * Gets the end of the chat's current quiet time
+ * @param {string} chatId - Chat ID
+ * @param {Date} date - Moment to check
+ * @returns {Promise<Object|null>} - { until, mode } with the chat's default mode, or null if not quiet
+ */
+async function getChatQuietTime(chatId, date = new Date()) {
+  const [settings, doNotDisturbUntil] = await Promise.all([getQuietHours(chatId), getDoNotDisturb(chatId)]);
+  if (!settings && !doNotDisturbUntil) {
+    return null;
+  }
+
+  const timezone = await getUserTimezone(chatId);
+  const until = getQuietUntil(settings, doNotDisturbUntil, date, timezone);
+  if (!until) {
+    return null;
+  }
+
+  return { until, mode: (settings && settings.mode) || config.QUIET_HOURS_MODE };
+}
+
+/**
+ * Describes quiet hours for the chat, e.g. "22:00–07:30, weekends: all day"
+ * @param {Object} settings - Quiet hours from getQuietHours
+ * @param {Function} translate - ctx.t of the chat
+ * @returns {string}
+ */
+function formatQuietHours(settings, translate) {
+  const describe = rule => (rule === 'all'
+    ? translate('quiet.allDay')
+    : (rule ? `${rule.start}–${rule.end}` : translate('quiet.none')));
+
+  const weekdays = settings && settings.start ? { start: settings.start, end: settings.end } : null;
+  let description = describe(weekdays);
+
+  if (settings && settings.weekend !== undefined) {
+    description += translate('quiet.weekend', { rule: describe(settings.weekend) });
+  }
+
+  return description;
+}
+
+module.exports = {
+  QUIET_MODES,
+  parseWindow,
+  getQuietUntil,
+  getChatQuietTime,
+  formatQuietHours
+};
@@ -0,0 +1,426 @@
+// Recurrence engine built on RFC 5545 RRULEs
+const { RRule } = require('rrule');
+const { DateTime } = require('luxon');
+const { t, formatDate } = require('./i18n');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Sub-daily rules are evaluated one day at a time so windows such as
+// "every 90 minutes between 9:00 and 17:00" restart at the same time every day
+const SUB_DAILY = [RRule.HOURLY, RRule.MINUTELY, RRule.SECONDLY];
+
+// How far ahead to look for the next occurrence of a sub-daily rule
+const MAX_LOOKAHEAD_DAYS = 366;
+
+// Catalog units for "every N ..." descriptions
+const FREQUENCY_UNITS = {
+  [RRule.YEARLY]: 'year',
+  [RRule.MONTHLY]: 'month',
+  [RRule.WEEKLY]: 'week',
+  [RRule.DAILY]: 'day',
+  [RRule.HOURLY]: 'hour',
+  [RRule.MINUTELY]: 'minute'
+};
+
+// Rule parts the catalogs can describe; anything else is a "custom schedule"
+const DESCRIBED_PARTS = ['freq', 'interval', 'byweekday', 'byhour', 'byminute', 'count', 'until'];
+
+/**
+ * Builds an RRULE string for a schedule. Explicit rules win, legacy
+ * daily/weekly/monthly/multiple_days schedules are converted.
+ * @param {Object} schedule - Reminder schedule
+ * @returns {string|null} - RRULE without DTSTART, or null for one-time schedules
+ */
+function getScheduleRule(schedule) {
+  if (schedule.rrule) {
+    return schedule.rrule.replace(/^RRULE:/i, '');
+  }
+
+  switch (schedule.frequency) {
+    case 'daily':
+      return 'FREQ=DAILY';
+
+    case 'weekly':
+      return `FREQ=WEEKLY;BYDAY=${WEEKDAYS[schedule.dayOfWeek]}`;
+
+    case 'multiple_days':
+      return `FREQ=WEEKLY;BYDAY=${schedule.daysOfWeek.map(day => WEEKDAYS[day]).join(',')}`;
+
+    case 'monthly':
+      // Days missing from a month fall back to its last day (e.g. the 31st in April)
+      if (schedule.dayOfMonth > 28) {
+        const days = [];
+        for (let day = 28; day <= schedule.dayOfMonth; day++) {
+          days.push(day);
+        }
+        return `FREQ=MONTHLY;BYMONTHDAY=${days.join(',')};BYSETPOS=-1`;
+      }
+      return `FREQ=MONTHLY;BYMONTHDAY=${schedule.dayOfMonth}`;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds a schedule from an RRULE, mapping simple rules back to the
+ * daily/weekly/monthly/multiple_days frequencies
+ * @param {string} rule - RRULE without DTSTART
+ * @param {string} time - Time of day in HH:mm format
+ * @returns {Object} - Reminder schedule
+ */
+function scheduleFromRule(rule, time) {
+  const normalized = rule.replace(/^RRULE:/i, '').toUpperCase();
+  const parts = Object.fromEntries(normalized.split(';').map(part => part.split('=')));
+  const keys = Object.keys(parts).sort().join(';');
+  const base = { time, isRelative: false };
+
+  if (keys === 'FREQ' && parts.FREQ === 'DAILY') {
+    return { ...base, frequency: 'daily' };
+  }
+
+  if (keys === 'BYDAY;FREQ' && parts.FREQ === 'WEEKLY' && /^(SU|MO|TU|WE|TH|FR|SA)(,(SU|MO|TU|WE|TH|FR|SA))*$/.test(parts.BYDAY)) {
+    const days = parts.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+    return days.length === 1
+      ? { ...base, frequency: 'weekly', dayOfWeek: days[0] }
+      : { ...base, frequency: 'multiple_days', daysOfWeek: days };
+  }
+
+  if (keys === 'BYMONTHDAY;FREQ' && parts.FREQ === 'MONTHLY' && /^([1-9]|1\d|2[0-8])$/.test(parts.BYMONTHDAY)) {
+    return { ...base, frequency: 'monthly', dayOfMonth: Number(parts.BYMONTHDAY) };
+  }
+
+  // The "day N or the last day of shorter months" rule produced by getScheduleRule
+  if (keys === 'BYMONTHDAY;BYSETPOS;FREQ' && parts.FREQ === 'MONTHLY' && parts.BYSETPOS === '-1') {
+    const days = parts.BYMONTHDAY.split(',').map(Number);
+    const dayOfMonth = days[days.length - 1];
+    const expected = getScheduleRule({ frequency: 'monthly', dayOfMonth });
+    if (expected === `FREQ=MONTHLY;BYMONTHDAY=${parts.BYMONTHDAY};BYSETPOS=-1`) {
+      return { ...base, frequency: 'monthly', dayOfMonth };
+    }
+  }
+
+  return { ...base, frequency: 'custom', rrule: normalized };
+}
+
+// Luxon time -> "floating" JS date holding the wall-clock time as UTC fields
+function toFloating(dateTime) {
+  return new Date(Date.UTC(
+      dateTime.year, dateTime.month - 1, dateTime.day,
+      dateTime.hour, dateTime.minute, dateTime.second
+  ));
+}
+
+// "Floating" JS date -> real time in the given timezone
+function fromFloating(date, timezone) {
+  return DateTime.fromObject({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  }, { zone: timezone });
+}
+
+/**
+ * Parses a schedule into RRule options
+ * @param {Object} schedule - Reminder schedule
+ * @returns {Object|null} - RRule options or null if the schedule is not recurring or invalid
+ */
+function parseScheduleRule(schedule) {
+  const rule = getScheduleRule(schedule);
+  if (!rule) {
+    return null;
+  }
+
+  try {
+    const options = RRule.parseString(rule);
+    if (options.freq === undefined) {
+      throw new Error('FREQ is required');
+    }
+    return options;
+  } catch (error) {
+    logger.error(`Invalid recurrence rule "${rule}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Checks whether a schedule describes a valid recurrence
+ * @param {Object} schedule - Reminder schedule
+ * @returns {boolean}
+ */
+function isRecurring(schedule) {
+  return parseScheduleRule(schedule) !== null;
+}
+
+/**
+ * Calculates the next occurrence of a schedule
+ * @param {Object} schedule - Reminder schedule
+ * @param {string} timezone - IANA timezone the schedule is expressed in
+ * @param {Object} options
+ * @param {Date} options.after - Return the first occurrence strictly after this moment (default: now)
+ * @param {string} options.startDate - Date (YYYY-MM-DD or ISO) the recurrence is anchored to
+ * @returns {Date|null} - Next occurrence, or null if there is none
+ */
+function getNextRun(schedule, timezone, { after = new Date(), startDate } = {}) {
+  const zone = timezone || config.DEFAULT_TIMEZONE;
+  const afterTime = DateTime.fromJSDate(after).setZone(zone);
+
+  if (schedule.frequency === 'once' && !schedule.rrule) {
+    if (!schedule.date || !schedule.time) {
+      return null;
+    }
+
+    const [year, month, day] = schedule.date.split('-').map(Number);
+    const [hour, minute] = schedule.time.split(':').map(Number);
+    const runTime = DateTime.fromObject({ year, month, day, hour, minute }, { zone });
+
+    return runTime.isValid && runTime > afterTime ? runTime.toJSDate() : null;
+  }
+
+  const options = parseScheduleRule(schedule);
+  if (!options) {
+    return null;
+  }
+
+  // Time of day comes from the schedule unless the rule pins hours itself
+  const [hour, minute] = (schedule.time || '00:00').split(':').map(Number);
+  const anchor = startDate
+    ? DateTime.fromISO(startDate, { zone })
+    : afterTime;
+  const dtstart = anchor.set({ hour, minute, second: 0, millisecond: 0 });
+
+  if (SUB_DAILY.includes(options.freq)) {
+    const firstDay = dtstart > afterTime
+      ? dtstart
+      : dtstart.set({ year: afterTime.year, month: afterTime.month, day: afterTime.day });
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const dayStart = firstDay.plus({ days: offset });
+      const rule = new RRule({
+        ...options,
+        dtstart: toFloating(dayStart),
+        until: toFloating(dayStart.endOf('day'))
+      });
+
+      const occurrence = findOccurrence(rule, afterTime, zone);
+      if (occurrence) {
+        return occurrence;
+      }
+    }
+    return null;
+  }
+
+  return findOccurrence(new RRule({ ...options, dtstart: toFloating(dtstart) }), afterTime, zone);
+}
+
+// First occurrence of a floating rule that lands strictly after the given time
+function findOccurrence(rule, afterTime, timezone) {
+  let floating = rule.after(toFloating(afterTime), false);
+
+  // Skip occurrences moved before afterTime by DST transitions
+  while (floating) {
+    const runTime = fromFloating(floating, timezone);
+    if (runTime > afterTime) {
+      return runTime.toJSDate();
+    }
+    floating = rule.after(floating, false);
+  }
+
+  return null;
+}
+
+/**
+ * Calculates a stored reminder's next run, anchored to the start of its
+ * recurrence so intervals like "every 2 weeks" don't drift
+ * @param {Object} reminder - Stored reminder
+ * @param {Date} after - Return the first run strictly after this moment (default: now)
+ * @returns {Date|null} - Next run, or null for one-time reminders
+ */
+function getReminderNextRun(reminder, after = new Date()) {
+  const schedule = reminder.schedule;
+
+  // Skip calculation for one-time reminders
+  if (schedule.frequency === 'once' && !schedule.rrule) {
+    return null;
+  }
+
+  return getNextRun(schedule, reminder.timezone || config.DEFAULT_TIMEZONE, {
+    after,
+    startDate: schedule.startDate || reminder.createdAt
+  });
+}
+
+// Formats an hour list bound like "17:00"
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+// Joins weekday numbers (0 = Sunday) into a list like "Monday, Tuesday and Friday"
+function joinWeekdays(days, language) {
+  const weekdays = t(language, 'schedule.weekdays');
+  const names = days.map(day => weekdays[day]);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')}${t(language, 'common.and')}${names[names.length - 1]}`
+    : names[0];
+}
+
+// Describes any other rule from the language's catalog: interval, days, times and end.
+// Rules with parts the catalog has no words for (e.g. BYSETPOS) get a generic description.
+function describeLocalizedRule(schedule, language) {
+  const options = parseScheduleRule(schedule);
+  if (!options) {
+    return null;
+  }
+
+  const unit = FREQUENCY_UNITS[options.freq];
+  const days = [].concat(options.byweekday || []);
+  const hours = [].concat(options.byhour || []);
+  const minutes = [].concat(options.byminute || []);
+  const described = unit && minutes.length <= 1 && !days.some(day => day.n) &&
+    Object.keys(options).every(part => DESCRIBED_PARTS.includes(part) || options[part] === undefined || options[part] === null);
+
+  if (!described) {
+    const time = schedule.time && !hours.length ? t(language, 'schedule.at', { time: schedule.time }) : '';
+    return `${t(language, 'schedule.custom')}${time}`;
+  }
+
+  const interval = options.interval || 1;
+  let description = interval > 1
+    ? t(language, `schedule.everyN.${unit}`, { count: interval })
+    : t(language, `schedule.every.${unit}`);
+
+  if (days.length) {
+    // RRule counts weekdays from Monday
+    description += t(language, 'schedule.onDays', { days: joinWeekdays(days.map(day => (day.weekday + 1) % 7), language) });
+  }
+
+  if (SUB_DAILY.includes(options.freq)) {
+    if (hours.length) {
+      description += t(language, 'schedule.between', {
+        from: formatHour(Math.min(...hours)),
+        to: formatHour(Math.max(...hours) + 1)
+      });
+    } else if (schedule.time) {
+      description += t(language, 'schedule.startingAt', { time: schedule.time });
+    }
+  } else if (hours.length) {
+    const minute = String(minutes[0] || 0).padStart(2, '0');
+    const times = hours.map(hour => `${String(hour).padStart(2, '0')}:${minute}`);
+    description += t(language, 'schedule.at', {
+      time: times.length > 1 ? `${times.slice(0, -1).join(', ')}${t(language, 'common.and')}${times[times.length - 1]}` : times[0]
+    });
+  } else if (schedule.time) {
+    description += t(language, 'schedule.at', { time: schedule.time });
+  }
+
+  if (options.count) {
+    description += t(language, 'schedule.count', { count: options.count });
+  }
+  if (options.until) {
+    description += t(language, 'schedule.until', { date: formatDate(DateTime.fromJSDate(options.until, { zone: 'utc' }), language) });
+  }
+
+  return description;
+}
+
+// Describes a schedule from the language's catalog, with the simple
+// daily/weekly/monthly schedules in their own words
+function describeLocalizedSchedule(schedule, language) {
+  const rule = getScheduleRule(schedule);
+  const simple = rule ? scheduleFromRule(rule, schedule.time) : null;
+  if (!simple || !simple.time || simple.frequency === 'custom') {
+    return describeLocalizedRule(schedule, language);
+  }
+
+  // Keep "day 31" rather than the fallback days the rule is built from
+  if (!schedule.rrule && schedule.frequency === 'monthly') {
+    simple.frequency = 'monthly';
+    simple.dayOfMonth = schedule.dayOfMonth;
+  }
+
+  switch (simple.frequency) {
+    case 'daily':
+      return t(language, 'schedule.daily', { time: simple.time });
+    case 'weekly':
+      return t(language, 'schedule.weekly', { days: joinWeekdays([simple.dayOfWeek], language), time: simple.time });
+    case 'multiple_days':
+      return t(language, 'schedule.weekly', { days: joinWeekdays(simple.daysOfWeek, language), time: simple.time });
+    case 'monthly':
+      return t(language, 'schedule.monthly', { day: simple.dayOfMonth, time: simple.time });
+    default:
+      return describeLocalizedRule(schedule, language);
+  }
+}
+
+/**
+ * Describes a recurring schedule in human language, e.g. "Every 2 weeks on Monday at 09:00"
+ * @param {Object} schedule - Reminder schedule
+ * @param {string} language - Language code
+ * @returns {string|null} - Description, or null for one-time schedules
+ */
+function describeSchedule(schedule, language = 'en') {
+  // English uses rrule's own wording, other languages their catalog
+  if (language !== 'en') {
+    return describeLocalizedSchedule(schedule, language);
+  }
+
+  const options = parseScheduleRule(schedule);
+  if (!options) {
+    return null;
+  }
+
+  let description;
+
+  if (SUB_DAILY.includes(options.freq)) {
+    const { byhour, byminute, ...rest } = options;
+    description = new RRule(rest).toText();
+
+    const hours = [].concat(byhour || []);
+    if (hours.length) {
+      description += ` between ${formatHour(Math.min(...hours))} and ${formatHour(Math.max(...hours) + 1)}`;
+    } else if (schedule.time) {
+      description += ` starting at ${schedule.time}`;
+    }
+  } else if (!schedule.rrule && schedule.frequency === 'multiple_days') {
+    // "every Monday, Wednesday and Friday"
+    const dayNames = schedule.daysOfWeek.map(day => WEEKDAY_NAMES[day]);
+    description = `every ${dayNames.length > 1
+      ? `${dayNames.slice(0, -1).join(', ')} and ${dayNames[dayNames.length - 1]}`
+      : dayNames[0]}`;
+    if (schedule.time) {
+      description += ` at ${schedule.time}`;
+    }
+  } else if (!schedule.rrule && schedule.frequency === 'monthly') {
+    // Keep "day 31" rather than the fallback days the rule is built from
+    description = `every month on day ${schedule.dayOfMonth}`;
+    if (schedule.time) {
+      description += ` at ${schedule.time}`;
+    }
+  } else {
+    const rule = new RRule(options);
+    description = rule.isFullyConvertibleToText()
+      ? rule.toText()
+      : `RRULE ${getScheduleRule(schedule)}`;
+
+    if (options.byhour === undefined && schedule.time) {
+      description += ` at ${schedule.time}`;
+    }
+  }
+
+  return description.charAt(0).toUpperCase() + description.slice(1);
+}
+
+module.exports = {
+  getScheduleRule,
+  scheduleFromRule,
+  isRecurring,
+  getNextRun,
+  getReminderNextRun,
+  describeSchedule
+};
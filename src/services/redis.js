@@ -1,5 +1,8 @@
 // Updated redis.js with timezone support
 const { createClient } = require('redis');
+const { EventEmitter } = require('events');
+const os = require('os');
+const crypto = require('crypto');
 const config = require('../config');
 const logger = require('../utils/logger');
 
@@ -11,29 +14,132 @@ redisClient.on('error', (err) => {
   logger.error('Redis error:', err);
 });
 
+// Schedule changes are announced in-process and to other instances via pub/sub
+const SCHEDULE_CHANNEL = 'reminder_schedule:changed';
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const scheduleEvents = new EventEmitter();
+
+// Reminder lifecycle events (created, snoozed, rescheduled, fired, deleted) for integrations
+const reminderEvents = new EventEmitter();
+
+/**
+ * Announces that a schedule sorted set changed so schedulers can re-arm their timers
+ */
+function notifyScheduleChanged() {
+  scheduleEvents.emit('changed');
+  redisClient.publish(SCHEDULE_CHANNEL, INSTANCE_ID).catch(error => {
+    logger.error('Error publishing schedule change:', error);
+  });
+}
+
+/**
+ * Calls the listener whenever a schedule changes in this or another instance
+ * @param {Function} listener - Called without arguments
+ */
+async function subscribeToScheduleChanges(listener) {
+  scheduleEvents.on('changed', listener);
+
+  const subscriber = redisClient.duplicate();
+  subscriber.on('error', (err) => {
+    logger.error('Redis subscriber error:', err);
+  });
+  await subscriber.connect();
+
+  await subscriber.subscribe(SCHEDULE_CHANNEL, (instanceId) => {
+    // Our own changes were already delivered in-process
+    if (instanceId !== INSTANCE_ID) {
+      listener();
+    }
+  });
+}
+
+/**
+ * Announces a reminder lifecycle event to in-process listeners
+ * @param {string} event - Event name, e.g. "reminder.created"
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Reminder as it is after the event
+ * @param {Object} details - Additional event data
+ */
+function publishReminderEvent(event, chatId, reminderId, reminder, details = {}) {
+  reminderEvents.emit('event', { event, chatId, reminderId, reminder, ...details });
+}
+
+/**
+ * Calls the listener for every reminder lifecycle event of this instance
+ * @param {Function} listener - Called with { event, chatId, reminderId, reminder, ... }
+ */
+function onReminderEvent(listener) {
+  reminderEvents.on('event', listener);
+}
+
+/**
+ * Gets the earliest time anything is scheduled for
+ * @returns {Promise<number|null>} - Timestamp in milliseconds or null if nothing is scheduled
+ */
+async function getNextScheduledTime() {
+  const heads = await Promise.all([
+    redisClient.zRangeWithScores('reminder_schedule', 0, 0),
+    redisClient.zRangeWithScores('ack_schedule', 0, 0),
+    redisClient.zRangeWithScores('digest_schedule', 0, 0)
+  ]);
+
+  const scores = heads.flat().map(({ score }) => score);
+  return scores.length ? Math.min(...scores) : null;
+}
+
+// Set of reminder IDs per tag; kept outside reminders:* so key scans only see the hashes
+function tagIndexKey(chatId, tag) {
+  return `reminder_tags:${chatId}:${tag}`;
+}
+
+/**
+ * Moves a reminder between tag sets when its tags change
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {string[]} previousTags - Tags it was indexed under
+ * @param {string[]} tags - Tags it has now
+ */
+async function updateTagIndex(chatId, reminderId, previousTags = [], tags = []) {
+  const removed = previousTags.filter(tag => !tags.includes(tag));
+  const added = tags.filter(tag => !previousTags.includes(tag));
+  if (!removed.length && !added.length) {
+    return;
+  }
+
+  const transaction = redisClient.multi();
+  removed.forEach(tag => transaction.sRem(tagIndexKey(chatId, tag), reminderId));
+  added.forEach(tag => transaction.sAdd(tagIndexKey(chatId, tag), reminderId));
+  await transaction.exec();
+}
+
 /**
  * Stores a reminder in Redis
  * @param {string} chatId - Telegram chat ID
  * @param {Object} reminder - Reminder object with timezone
+ * @param {string} event - Lifecycle event to announce (optional)
  * @returns {Promise<string>} - Reminder ID
  */
-async function saveReminder(chatId, reminder) {
+async function saveReminder(chatId, reminder, event = 'reminder.created') {
   try {
-    // Generate unique ID
-    const id = Date.now().toString();
+    // Generate unique ID: reminders saved within the same millisecond (e.g. a calendar
+    // import) take the next free one instead of overwriting each other
+    let id = Date.now();
 
     // Store in Redis hash: reminders:chatId -> {id: reminderObject}
-    await redisClient.hSet(
-        `reminders:${chatId}`,
-        id,
-        JSON.stringify(reminder)
-    );
+    while (!await redisClient.hSetNX(`reminders:${chatId}`, String(id), JSON.stringify(reminder))) {
+      id++;
+    }
+    id = String(id);
 
     // Store IDs in a sorted set by next run time for efficient querying
     await redisClient.zAdd('reminder_schedule', {
       score: new Date(reminder.nextRun).getTime(),
       value: `${chatId}:${id}`
     });
+    await updateTagIndex(chatId, id, [], reminder.tags);
+    notifyScheduleChanged();
+    publishReminderEvent(event, chatId, id, reminder);
 
     return id;
   } catch (error) {
@@ -60,6 +166,10 @@ async function updateReminderNextRun(chatId, reminderId, nextRun, timezone) {
     const reminder = JSON.parse(reminderJson);
     reminder.nextRun = nextRun.toISOString();
 
+    // A new occurrence replaces any quiet hours deferral or delivery retries of the previous one
+    delete reminder.deferredUntil;
+    delete reminder.deliveryAttempts;
+
     // Update timezone if provided
     if (timezone) {
       reminder.timezone = timezone;
@@ -72,12 +182,15 @@ async function updateReminderNextRun(chatId, reminderId, nextRun, timezone) {
         JSON.stringify(reminder)
     );
 
-    // Update in sorted set
+    // Update in sorted set; a reminder paused while it was being delivered stays out of it
     await redisClient.zRem('reminder_schedule', `${chatId}:${reminderId}`);
-    await redisClient.zAdd('reminder_schedule', {
-      score: new Date(nextRun).getTime(),
-      value: `${chatId}:${reminderId}`
-    });
+    if (!reminder.paused) {
+      await redisClient.zAdd('reminder_schedule', {
+        score: new Date(nextRun).getTime(),
+        value: `${chatId}:${reminderId}`
+      });
+    }
+    notifyScheduleChanged();
 
     return reminder;
   } catch (error) {
@@ -87,19 +200,175 @@ async function updateReminderNextRun(chatId, reminderId, nextRun, timezone) {
 }
 
 /**
- * Gets due reminders that should be sent now
- * @returns {Promise<Array>} - Array of due reminders with chat and reminder IDs
+ * Postpones the delivery of a reminder's current occurrence, e.g. to the end
+ * of quiet hours or for a retry. Its nextRun and recurrence stay untouched.
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Date} until - When to deliver it
+ * @param {Object} fields - Other fields to update, e.g. the delivery attempt count
+ */
+async function deferReminder(chatId, reminderId, until, fields = {}) {
+  const reminderJson = await redisClient.hGet(`reminders:${chatId}`, reminderId);
+  if (!reminderJson) {
+    throw new Error('Reminder not found');
+  }
+
+  const reminder = { ...JSON.parse(reminderJson), ...fields, deferredUntil: until.toISOString() };
+
+  await redisClient.multi()
+      .hSet(`reminders:${chatId}`, reminderId, JSON.stringify(reminder))
+      .zAdd('reminder_schedule', { score: until.getTime(), value: `${chatId}:${reminderId}` })
+      .exec();
+  notifyScheduleChanged();
+
+  return reminder;
+}
+
+/**
+ * Gets a single reminder
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @returns {Promise<Object|null>} - Reminder or null if not found
+ */
+async function getReminder(chatId, reminderId) {
+  const reminderJson = await redisClient.hGet(`reminders:${chatId}`, reminderId);
+  return reminderJson ? JSON.parse(reminderJson) : null;
+}
+
+/**
+ * Gets all reminders of a chat
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object>} - Map of reminder ID -> reminder
+ */
+async function getReminders(chatId) {
+  const reminders = await redisClient.hGetAll(`reminders:${chatId}`);
+  return Object.fromEntries(
+      Object.entries(reminders).map(([id, reminderJson]) => [id, JSON.parse(reminderJson)])
+  );
+}
+
+/**
+ * Gets the reminders of a chat that have a tag
+ * @param {string} chatId - Chat ID
+ * @param {string} tag - Normalized tag
+ * @returns {Promise<Object>} - Map of reminder ID -> reminder
  */
-async function getDueReminders() {
+async function getRemindersByTag(chatId, tag) {
+  const ids = await redisClient.sMembers(tagIndexKey(chatId, tag));
+  if (!ids.length) {
+    return {};
+  }
+
+  const reminders = {};
+  const reminderJsons = await redisClient.hmGet(`reminders:${chatId}`, ids);
+
+  for (const [index, reminderJson] of reminderJsons.entries()) {
+    if (reminderJson) {
+      reminders[ids[index]] = JSON.parse(reminderJson);
+    } else {
+      // Reminder was deleted without its index entry
+      await redisClient.sRem(tagIndexKey(chatId, tag), ids[index]);
+    }
+  }
+
+  return reminders;
+}
+
+/**
+ * Replaces a stored reminder, keeping the schedule sorted set and tag index in sync.
+ * Paused reminders are taken off the schedule until they are resumed.
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Updated reminder object
+ * @returns {Promise<Object>} - Updated reminder
+ */
+async function updateReminder(chatId, reminderId, reminder) {
   try {
-    const now = Date.now();
+    const previousJson = await redisClient.hGet(`reminders:${chatId}`, reminderId);
+    if (!previousJson) {
+      throw new Error('Reminder not found');
+    }
 
-    // Get all reminders due before now
-    const dueReminderKeys = await redisClient.zRangeByScore(
-        'reminder_schedule',
-        0,
-        now
-    );
+    // Update hash and schedule together so the scheduler never sees a mix
+    const transaction = redisClient.multi()
+        .hSet(`reminders:${chatId}`, reminderId, JSON.stringify(reminder));
+    if (reminder.paused) {
+      transaction.zRem('reminder_schedule', `${chatId}:${reminderId}`);
+    } else {
+      transaction.zAdd('reminder_schedule', {
+        score: new Date(reminder.nextRun).getTime(),
+        value: `${chatId}:${reminderId}`
+      });
+    }
+    await transaction.exec();
+    notifyScheduleChanged();
+
+    const previous = JSON.parse(previousJson);
+    await updateTagIndex(chatId, reminderId, previous.tags, reminder.tags);
+
+    if (previous.nextRun !== reminder.nextRun) {
+      publishReminderEvent('reminder.rescheduled', chatId, reminderId, reminder, { previousRun: previous.nextRun });
+    }
+
+    logger.info(`Updated reminder ${reminderId} for chat ${chatId}`);
+    return reminder;
+  } catch (error) {
+    logger.error(`Error updating reminder ${reminderId}:`, error);
+    throw error;
+  }
+}
+
+// Atomically takes due entries of a schedule sorted set by pushing their
+// score to the end of a processing lease. Entries that are not rescheduled
+// or removed before the lease expires become due again and are retried.
+const CLAIM_DUE_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[3]))
+local leaseUntil = tonumber(ARGV[1]) + tonumber(ARGV[2])
+for _, member in ipairs(due) do
+  redis.call('ZADD', KEYS[1], leaseUntil, member)
+end
+return due
+`;
+
+// Sliding window: drops hits older than the window, then either records this hit or
+// returns how many milliseconds are left until the oldest one leaves the window
+const RATE_LIMIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+  local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+  return tonumber(oldest[2]) + window - now
+end
+redis.call('ZADD', KEYS[1], now, ARGV[4])
+redis.call('PEXPIRE', KEYS[1], window)
+return 0
+`;
+
+/**
+ * Claims due entries of a schedule sorted set for this instance
+ * @param {string} scheduleKey - Sorted set holding chatId:reminderId members
+ * @returns {Promise<string[]>} - Claimed members
+ */
+async function claimDue(scheduleKey) {
+  return redisClient.eval(CLAIM_DUE_SCRIPT, {
+    keys: [scheduleKey],
+    arguments: [
+      Date.now().toString(),
+      config.SCHEDULER_LEASE_DURATION.toString(),
+      config.SCHEDULER_BATCH_SIZE.toString()
+    ]
+  });
+}
+
+/**
+ * Claims due reminders that should be sent now. Claimed reminders are hidden
+ * from other instances until they are rescheduled, deleted or the lease expires.
+ * @returns {Promise<Array>} - Array of due reminders with chat and reminder IDs
+ */
+async function claimDueReminders() {
+  try {
+    const dueReminderKeys = await claimDue('reminder_schedule');
 
     const reminders = [];
 
@@ -108,18 +377,24 @@ async function getDueReminders() {
 
       // Get reminder details
       const reminderJson = await redisClient.hGet(`reminders:${chatId}`, reminderId);
-      if (reminderJson) {
+      if (reminderJson && JSON.parse(reminderJson).paused) {
+        // Paused while this entry was leased
+        await redisClient.zRem('reminder_schedule', key);
+      } else if (reminderJson) {
         reminders.push({
           chatId,
           reminderId,
           reminder: JSON.parse(reminderJson)
         });
+      } else {
+        // Reminder was deleted without its schedule entry
+        await redisClient.zRem('reminder_schedule', key);
       }
     }
 
     return reminders;
   } catch (error) {
-    logger.error('Error getting due reminders:', error);
+    logger.error('Error claiming due reminders:', error);
     throw error;
   }
 }
@@ -155,15 +430,652 @@ async function getUserTimezone(chatId) {
   }
 }
 
+/**
+ * Saves a group member's personal timezone, used for the reminders they create in group chats
+ * @param {string} userId - Telegram user ID
+ * @param {string|null} timezone - IANA timezone string, or null to use the chat's timezone again
+ */
+async function saveMemberTimezone(userId, timezone) {
+  try {
+    if (timezone) {
+      await redisClient.set(`user:${userId}:timezone`, timezone);
+    } else {
+      await redisClient.del(`user:${userId}:timezone`);
+    }
+    logger.info(`Saved personal timezone ${timezone || 'none'} for user ${userId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving timezone for user ${userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Gets a group member's personal timezone
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<string|null>} - Timezone, or null if the member uses the chat's one
+ */
+async function getMemberTimezone(userId) {
+  try {
+    return await redisClient.get(`user:${userId}:timezone`);
+  } catch (error) {
+    logger.error(`Error getting timezone for user ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Saves the language chosen with /language
+ * @param {string} chatId - Telegram chat ID
+ * @param {string|null} language - Language code, or null to go back to automatic detection
+ */
+async function saveChatLanguage(chatId, language) {
+  if (language) {
+    await redisClient.hSet(`chat:${chatId}:language`, 'selected', language);
+  } else {
+    await redisClient.hDel(`chat:${chatId}:language`, 'selected');
+  }
+  logger.info(`Saved language ${language || 'auto'} for chat ${chatId}`);
+}
+
+/**
+ * Remembers the language last detected in a chat, used where there is no message to detect it from
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} language - Language code
+ */
+async function saveDetectedLanguage(chatId, language) {
+  await redisClient.hSet(`chat:${chatId}:language`, 'detected', language);
+}
+
+/**
+ * Gets the chat's language settings
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<{selected: string|undefined, detected: string|undefined}>}
+ */
+async function getChatLanguageSettings(chatId) {
+  try {
+    const { selected, detected } = await redisClient.hGetAll(`chat:${chatId}:language`);
+    return { selected, detected };
+  } catch (error) {
+    logger.error(`Error getting language for chat ${chatId}:`, error);
+    return {};
+  }
+}
+
+/**
+ * Saves the chat's quiet hours
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object|null} quietHours - { start, end, weekend, mode }, or null to remove them
+ */
+async function saveQuietHours(chatId, quietHours) {
+  if (quietHours) {
+    await redisClient.set(`chat:${chatId}:quiet_hours`, JSON.stringify(quietHours));
+  } else {
+    await redisClient.del(`chat:${chatId}:quiet_hours`);
+  }
+  logger.info(`Saved quiet hours for chat ${chatId}`);
+}
+
+/**
+ * Gets the chat's quiet hours
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Object|null>} - Quiet hours or null if there are none
+ */
+async function getQuietHours(chatId) {
+  try {
+    const quietHoursJson = await redisClient.get(`chat:${chatId}:quiet_hours`);
+    return quietHoursJson ? JSON.parse(quietHoursJson) : null;
+  } catch (error) {
+    logger.error(`Error getting quiet hours for chat ${chatId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Turns on do-not-disturb for a while; the key expires with it
+ * @param {string} chatId - Telegram chat ID
+ * @param {Date|null} until - End of the period, or null to turn it off
+ */
+async function saveDoNotDisturb(chatId, until) {
+  if (until) {
+    await redisClient.set(`chat:${chatId}:dnd`, until.toISOString(), { PXAT: until.getTime() });
+  } else {
+    await redisClient.del(`chat:${chatId}:dnd`);
+  }
+}
+
+/**
+ * Gets the end of the chat's do-not-disturb period
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Date|null>}
+ */
+async function getDoNotDisturb(chatId) {
+  try {
+    const until = await redisClient.get(`chat:${chatId}:dnd`);
+    return until ? new Date(until) : null;
+  } catch (error) {
+    logger.error(`Error getting do-not-disturb for chat ${chatId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Saves the chat's digest settings
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object|null} digest - { daily, weekly }, or null to turn digests off
+ */
+async function saveDigestSettings(chatId, digest) {
+  if (digest) {
+    await redisClient.set(`chat:${chatId}:digest`, JSON.stringify(digest));
+  } else {
+    await redisClient.del(`chat:${chatId}:digest`);
+  }
+  logger.info(`Saved digest settings for chat ${chatId}`);
+}
+
+/**
+ * Gets the chat's digest settings
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Object|null>} - Digest settings or null if digests are off
+ */
+async function getDigestSettings(chatId) {
+  try {
+    const digestJson = await redisClient.get(`chat:${chatId}:digest`);
+    return digestJson ? JSON.parse(digestJson) : null;
+  } catch (error) {
+    logger.error(`Error getting digest settings for chat ${chatId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Schedules the chat's next digest of a kind
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} kind - "daily" or "weekly"
+ * @param {Date|null} sendAt - When the digest is due, or null to unschedule it
+ */
+async function scheduleDigest(chatId, kind, sendAt) {
+  if (sendAt) {
+    await redisClient.zAdd('digest_schedule', { score: sendAt.getTime(), value: `${chatId}:${kind}` });
+  } else {
+    await redisClient.zRem('digest_schedule', `${chatId}:${kind}`);
+  }
+  notifyScheduleChanged();
+}
+
+/**
+ * Claims digests that should be sent now
+ * @returns {Promise<Array>} - Array of due digests with chat ID and kind
+ */
+async function claimDueDigests() {
+  try {
+    const dueDigestKeys = await claimDue('digest_schedule');
+    return dueDigestKeys.map(key => {
+      const [chatId, kind] = key.split(':');
+      return { chatId, kind };
+    });
+  } catch (error) {
+    logger.error('Error claiming due digests:', error);
+    throw error;
+  }
+}
+
+/**
+ * Saves the chat's policy for reminders missed while the bot was down
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} missedRunPolicy - Policy ("once", "all" or "skip") and threshold in minutes
+ */
+async function saveMissedRunPolicy(chatId, missedRunPolicy) {
+  try {
+    await redisClient.set(`chat:${chatId}:missed_policy`, JSON.stringify(missedRunPolicy));
+    logger.info(`Saved missed run policy ${missedRunPolicy.policy} for chat ${chatId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving missed run policy for chat ${chatId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Gets the chat's policy for missed reminders
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Object>} - Chat's policy or the configured default
+ */
+async function getMissedRunPolicy(chatId) {
+  const defaultPolicy = {
+    policy: config.MISSED_RUN_POLICY,
+    thresholdMinutes: config.MISSED_RUN_THRESHOLD
+  };
+
+  try {
+    const policyJson = await redisClient.get(`chat:${chatId}:missed_policy`);
+    return policyJson ? { ...defaultPolicy, ...JSON.parse(policyJson) } : defaultPolicy;
+  } catch (error) {
+    logger.error(`Error getting missed run policy for chat ${chatId}:`, error);
+    return defaultPolicy;
+  }
+}
+
+// API tokens are stored hashed; the chat keeps a pointer to its current token
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issues a new API token for a chat, revoking the previous one
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<string>} - The token; only its hash is stored
+ */
+async function createApiToken(chatId) {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    const hash = hashApiToken(token);
+    const previousHash = await redisClient.get(`chat:${chatId}:api_token`);
+
+    const transaction = redisClient.multi()
+        .set(`api_token:${hash}`, chatId)
+        .set(`chat:${chatId}:api_token`, hash);
+    if (previousHash) {
+      transaction.del(`api_token:${previousHash}`);
+    }
+    await transaction.exec();
+
+    logger.info(`Issued API token for chat ${chatId}`);
+    return token;
+  } catch (error) {
+    logger.error(`Error issuing API token for chat ${chatId}:`, error);
+    throw new Error('Failed to issue API token');
+  }
+}
+
+/**
+ * Revokes the chat's API token
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<boolean>} - Whether a token existed
+ */
+async function revokeApiToken(chatId) {
+  const hash = await redisClient.get(`chat:${chatId}:api_token`);
+  if (!hash) {
+    return false;
+  }
+
+  await redisClient.multi()
+      .del(`api_token:${hash}`)
+      .del(`chat:${chatId}:api_token`)
+      .exec();
+
+  logger.info(`Revoked API token for chat ${chatId}`);
+  return true;
+}
+
+/**
+ * Resolves an API token to the chat it was issued for
+ * @param {string} token - API token
+ * @returns {Promise<string|null>} - Chat ID or null if the token is unknown
+ */
+async function getApiTokenChatId(token) {
+  return redisClient.get(`api_token:${hashApiToken(token)}`);
+}
+
+/**
+ * Links a delivery channel (e.g. email or http) to a chat
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} channel - Channel name
+ * @param {Object} destination - Where the channel delivers, e.g. { address } for email
+ */
+async function saveChatChannel(chatId, channel, destination) {
+  try {
+    await redisClient.hSet(`chat:${chatId}:channels`, channel, JSON.stringify(destination));
+    logger.info(`Linked ${channel} channel for chat ${chatId}`);
+  } catch (error) {
+    logger.error(`Error linking ${channel} channel for chat ${chatId}:`, error);
+    throw new Error('Failed to link channel');
+  }
+}
+
+/**
+ * Gets the delivery channels linked to a chat
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Object>} - Map of channel name -> destination
+ */
+async function getChatChannels(chatId) {
+  const channels = await redisClient.hGetAll(`chat:${chatId}:channels`);
+  return Object.fromEntries(
+      Object.entries(channels).map(([channel, destinationJson]) => [channel, JSON.parse(destinationJson)])
+  );
+}
+
+/**
+ * Unlinks a delivery channel from a chat
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} channel - Channel name
+ * @returns {Promise<boolean>} - False if the channel was not linked
+ */
+async function deleteChatChannel(chatId, channel) {
+  const deleted = await redisClient.hDel(`chat:${chatId}:channels`, channel);
+  return deleted > 0;
+}
+
+/**
+ * Stores a pending email verification; it expires on its own
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} verification - Address, code and failed attempts
+ * @param {number} ttl - Seconds until the code expires
+ */
+async function saveEmailVerification(chatId, verification, ttl) {
+  await redisClient.set(`chat:${chatId}:email_verification`, JSON.stringify(verification), { EX: ttl });
+}
+
+/**
+ * Gets the chat's pending email verification
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Object|null>} - Verification or null if none is pending
+ */
+async function getEmailVerification(chatId) {
+  const verificationJson = await redisClient.get(`chat:${chatId}:email_verification`);
+  return verificationJson ? JSON.parse(verificationJson) : null;
+}
+
+/**
+ * Clears the chat's pending email verification
+ * @param {string} chatId - Telegram chat ID
+ */
+async function clearEmailVerification(chatId) {
+  await redisClient.del(`chat:${chatId}:email_verification`);
+}
+
+/**
+ * Adds a webhook subscription to a chat
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} webhook - Subscription with url, secret and events
+ * @returns {Promise<string>} - Webhook ID
+ */
+async function saveWebhook(chatId, webhook) {
+  try {
+    const id = Date.now().toString();
+    await redisClient.hSet(`chat:${chatId}:webhooks`, id, JSON.stringify(webhook));
+    logger.info(`Added webhook ${id} for chat ${chatId}`);
+    return id;
+  } catch (error) {
+    logger.error(`Error saving webhook for chat ${chatId}:`, error);
+    throw new Error('Failed to save webhook');
+  }
+}
+
+/**
+ * Gets the webhook subscriptions of a chat
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Object>} - Map of webhook ID -> subscription
+ */
+async function getWebhooks(chatId) {
+  const webhooks = await redisClient.hGetAll(`chat:${chatId}:webhooks`);
+  return Object.fromEntries(
+      Object.entries(webhooks).map(([id, webhookJson]) => [id, JSON.parse(webhookJson)])
+  );
+}
+
+/**
+ * Removes a webhook subscription; queued deliveries to it are dropped when due
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<boolean>} - False if the webhook did not exist
+ */
+async function deleteWebhook(chatId, webhookId) {
+  const deleted = await redisClient.hDel(`chat:${chatId}:webhooks`, webhookId);
+  if (deleted) {
+    logger.info(`Removed webhook ${webhookId} for chat ${chatId}`);
+  }
+  return deleted > 0;
+}
+
+/**
+ * Queues a webhook delivery
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} delivery - Chat ID, webhook ID, payload and attempt count
+ * @param {Date} sendAt - When the next attempt is due
+ */
+async function scheduleWebhookDelivery(deliveryId, delivery, sendAt) {
+  await redisClient.multi()
+      .set(`webhook_delivery:${deliveryId}`, JSON.stringify(delivery))
+      .zAdd('webhook_queue', { score: sendAt.getTime(), value: deliveryId })
+      .exec();
+}
+
+/**
+ * Removes a delivery from the queue once it succeeded or was given up
+ * @param {string} deliveryId - Delivery ID
+ */
+async function completeWebhookDelivery(deliveryId) {
+  await redisClient.multi()
+      .del(`webhook_delivery:${deliveryId}`)
+      .zRem('webhook_queue', deliveryId)
+      .exec();
+}
+
+/**
+ * Claims webhook deliveries whose attempt is due
+ * @returns {Promise<Array>} - Array of deliveries with their IDs
+ */
+async function claimDueWebhookDeliveries() {
+  try {
+    const deliveryIds = await claimDue('webhook_queue');
+
+    const deliveries = [];
+
+    for (const deliveryId of deliveryIds) {
+      const deliveryJson = await redisClient.get(`webhook_delivery:${deliveryId}`);
+
+      if (deliveryJson) {
+        deliveries.push({ deliveryId, delivery: JSON.parse(deliveryJson) });
+      } else {
+        await redisClient.zRem('webhook_queue', deliveryId);
+      }
+    }
+
+    return deliveries;
+  } catch (error) {
+    logger.error('Error claiming due webhook deliveries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Records a delivery attempt in the chat's webhook log
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} entry - Attempt outcome
+ */
+async function logWebhookDelivery(chatId, entry) {
+  await redisClient.multi()
+      .lPush(`chat:${chatId}:webhook_log`, JSON.stringify(entry))
+      .lTrim(`chat:${chatId}:webhook_log`, 0, config.WEBHOOK_LOG_SIZE - 1)
+      .exec();
+}
+
+/**
+ * Gets the most recent webhook delivery attempts of a chat, newest first
+ * @param {string} chatId - Telegram chat ID
+ * @param {number} count - Maximum number of entries
+ * @returns {Promise<Array>} - Log entries
+ */
+async function getWebhookLog(chatId, count) {
+  const entries = await redisClient.lRange(`chat:${chatId}:webhook_log`, 0, count - 1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Moves a reminder whose delivery was given up to the dead-letter set and takes
+ * it off the schedule. The reminder itself stays stored so it can be replayed.
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} entry - Failed reminder, error, failure kind and attempt count
+ */
+async function deadLetterReminder(chatId, reminderId, entry) {
+  await redisClient.multi()
+      .set(`dead_letter:${chatId}:${reminderId}`, JSON.stringify({ ...entry, failedAt: new Date().toISOString() }))
+      .zAdd('dead_letters', { score: Date.now(), value: `${chatId}:${reminderId}` })
+      .zRem('reminder_schedule', `${chatId}:${reminderId}`)
+      .exec();
+  notifyScheduleChanged();
+}
+
+/**
+ * Gets dead-lettered deliveries, newest first
+ * @returns {Promise<Array>} - Entries with their chat and reminder IDs
+ */
+async function getDeadLetters() {
+  const keys = await redisClient.zRange('dead_letters', 0, -1, { REV: true });
+  if (!keys.length) {
+    return [];
+  }
+
+  const entries = await redisClient.mGet(keys.map(key => `dead_letter:${key}`));
+  return keys
+      .map((key, index) => {
+        const [chatId, reminderId] = key.split(':');
+        return entries[index] ? { chatId, reminderId, ...JSON.parse(entries[index]) } : null;
+      })
+      .filter(Boolean);
+}
+
+/**
+ * Removes a delivery from the dead-letter set
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @returns {Promise<boolean>} - False if it was not there
+ */
+async function removeDeadLetter(chatId, reminderId) {
+  const [deleted] = await redisClient.multi()
+      .del(`dead_letter:${chatId}:${reminderId}`)
+      .zRem('dead_letters', `${chatId}:${reminderId}`)
+      .exec();
+  return deleted > 0;
+}
+
+/**
+ * Puts a dead-lettered reminder back on the schedule to be delivered right away
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @returns {Promise<string>} - "replayed", "not_found" if there is no such dead letter,
+ *   "gone" if the reminder was deleted meanwhile or "paused" if it is paused
+ */
+async function replayDeadLetter(chatId, reminderId) {
+  const entryJson = await redisClient.get(`dead_letter:${chatId}:${reminderId}`);
+  if (!entryJson) {
+    return 'not_found';
+  }
+
+  const reminder = await getReminder(chatId, reminderId);
+  if (!reminder) {
+    await removeDeadLetter(chatId, reminderId);
+    return 'gone';
+  }
+  if (reminder.paused) {
+    return 'paused';
+  }
+
+  await deferReminder(chatId, reminderId, new Date(), { deliveryAttempts: 0 });
+  await removeDeadLetter(chatId, reminderId);
+  logger.info(`Replaying dead-lettered reminder ${reminderId} for chat ${chatId}`);
+  return 'replayed';
+}
+
+/**
+ * Counts a hit against a chat's sliding-window rate limit
+ * @param {string} chatId - Chat ID
+ * @param {number} limit - Hits allowed per window
+ * @param {number} window - Window length in milliseconds
+ * @returns {Promise<number>} - 0 if the hit was allowed, otherwise milliseconds until the next one is
+ */
+async function hitRateLimit(chatId, limit, window) {
+  const now = Date.now();
+  return redisClient.eval(RATE_LIMIT_SCRIPT, {
+    keys: [`rate_limit:${chatId}`],
+    arguments: [now.toString(), window.toString(), limit.toString(), `${now}:${crypto.randomBytes(4).toString('hex')}`]
+  });
+}
+
+/**
+ * Adds an LLM request and its tokens to the daily counters of a chat and of the whole bot
+ * @param {string|null} chatId - Chat the request was made for, null if it can't be attributed
+ * @param {string} day - Day as yyyy-MM-dd (UTC)
+ * @param {number} tokens - Tokens used
+ */
+async function recordLlmUsage(chatId, day, tokens) {
+  const ttl = (config.USAGE_RETENTION_DAYS + 1) * 86400;
+  const keys = chatId ? [`usage:global:${day}`, `usage:${chatId}:${day}`] : [`usage:global:${day}`];
+  const multi = redisClient.multi();
+
+  for (const key of keys) {
+    multi.hIncrBy(key, 'requests', 1).hIncrBy(key, 'tokens', tokens).expire(key, ttl);
+  }
+  await multi.exec();
+}
+
+/**
+ * Gets daily LLM usage counters
+ * @param {string} scope - Chat ID, or "global" for the whole bot
+ * @param {string[]} days - Days as yyyy-MM-dd (UTC)
+ * @returns {Promise<Array<{day: string, requests: number, tokens: number}>>}
+ */
+async function getLlmUsage(scope, days) {
+  const counters = await Promise.all(days.map(day => redisClient.hGetAll(`usage:${scope}:${day}`)));
+  return counters.map((counter, index) => ({
+    day: days[index],
+    requests: Number(counter.requests) || 0,
+    tokens: Number(counter.tokens) || 0
+  }));
+}
+
+/**
+ * Appends an entry to the chat's delivery history stream. The stream keeps the
+ * newest HISTORY_MAX_ENTRIES entries of the last HISTORY_RETENTION_DAYS days.
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} entry - Entry fields, all strings
+ */
+async function addHistoryEntry(chatId, entry) {
+  const key = `chat:${chatId}:history`;
+  const retention = config.HISTORY_RETENTION_DAYS * 86400;
+
+  await redisClient.multi()
+      .xAdd(key, '*', entry, { TRIM: { strategy: 'MAXLEN', threshold: config.HISTORY_MAX_ENTRIES } })
+      .xTrim(key, 'MINID', Date.now() - retention * 1000)
+      .expire(key, retention)
+      .exec();
+}
+
+/**
+ * Gets the most recent delivery history entries of a chat, newest first
+ * @param {string} chatId - Telegram chat ID
+ * @param {number} count - Maximum number of entries
+ * @returns {Promise<Array>} - Entries with the time they were recorded
+ */
+async function getHistory(chatId, count) {
+  const entries = await redisClient.xRevRange(`chat:${chatId}:history`, '+', '-', { COUNT: count });
+  return entries.map(({ id, message }) => ({ ...message, time: new Date(Number(id.split('-')[0])) }));
+}
+
 /**
  * Deletes a reminder
  * @param {string} chatId - Chat ID
  * @param {string} reminderId - Reminder ID
+ * @param {string} reason - Why it was deleted: "user" or "completed" (optional)
+ * @returns {Promise<boolean>} - False if the reminder did not exist
  */
-async function deleteReminder(chatId, reminderId) {
+async function deleteReminder(chatId, reminderId, reason = 'user') {
   try {
+    const reminderJson = await redisClient.hGet(`reminders:${chatId}`, reminderId);
     await redisClient.hDel(`reminders:${chatId}`, reminderId);
     await redisClient.zRem('reminder_schedule', `${chatId}:${reminderId}`);
+    notifyScheduleChanged();
+
+    if (!reminderJson) {
+      return false;
+    }
+
+    const reminder = JSON.parse(reminderJson);
+    await updateTagIndex(chatId, reminderId, reminder.tags, []);
+
+    publishReminderEvent('reminder.deleted', chatId, reminderId, reminder, { reason });
     logger.info(`Deleted reminder ${reminderId} for chat ${chatId}`);
     return true;
   } catch (error) {
@@ -172,12 +1084,176 @@ async function deleteReminder(chatId, reminderId) {
   }
 }
 
+/**
+ * Keeps a copy of a delivered reminder so it can be snoozed after the
+ * original has been rescheduled or deleted
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Reminder object as it was delivered
+ */
+async function saveDeliveredReminder(chatId, reminderId, reminder) {
+  try {
+    await redisClient.set(
+        `delivered:${chatId}:${reminderId}`,
+        JSON.stringify(reminder),
+        { EX: config.DELIVERED_REMINDER_TTL }
+    );
+  } catch (error) {
+    logger.error(`Error saving delivered reminder ${reminderId}:`, error);
+  }
+}
+
+/**
+ * Gets the copy of a delivered reminder
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @returns {Promise<Object|null>} - Delivered reminder or null if expired
+ */
+async function getDeliveredReminder(chatId, reminderId) {
+  const reminderJson = await redisClient.get(`delivered:${chatId}:${reminderId}`);
+  return reminderJson ? JSON.parse(reminderJson) : null;
+}
+
+/**
+ * Stores the pending acknowledgement state of a nagging reminder
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} pendingAck - Pending state with the delivered reminder, repeat count and next repeat time
+ */
+async function savePendingAck(chatId, reminderId, pendingAck) {
+  try {
+    await redisClient.set(`pending_ack:${chatId}:${reminderId}`, JSON.stringify(pendingAck));
+    await redisClient.zAdd('ack_schedule', {
+      score: new Date(pendingAck.nextRepeat).getTime(),
+      value: `${chatId}:${reminderId}`
+    });
+    notifyScheduleChanged();
+  } catch (error) {
+    logger.error(`Error saving pending acknowledgement for reminder ${reminderId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Gets the pending acknowledgement state of a reminder
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @returns {Promise<Object|null>} - Pending state or null if nothing is awaiting acknowledgement
+ */
+async function getPendingAck(chatId, reminderId) {
+  const pendingJson = await redisClient.get(`pending_ack:${chatId}:${reminderId}`);
+  return pendingJson ? JSON.parse(pendingJson) : null;
+}
+
+/**
+ * Clears the pending acknowledgement state of a reminder
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @returns {Promise<boolean>} - True if the reminder was awaiting acknowledgement
+ */
+async function clearPendingAck(chatId, reminderId) {
+  try {
+    const deleted = await redisClient.del(`pending_ack:${chatId}:${reminderId}`);
+    await redisClient.zRem('ack_schedule', `${chatId}:${reminderId}`);
+    notifyScheduleChanged();
+    return deleted > 0;
+  } catch (error) {
+    logger.error(`Error clearing pending acknowledgement for reminder ${reminderId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Claims unacknowledged reminders that should be repeated now
+ * @returns {Promise<Array>} - Array of pending acknowledgements with chat and reminder IDs
+ */
+async function claimDueAcks() {
+  try {
+    const dueAckKeys = await claimDue('ack_schedule');
+
+    const pendingAcks = [];
+
+    for (const key of dueAckKeys) {
+      const [chatId, reminderId] = key.split(':');
+      const pendingAck = await getPendingAck(chatId, reminderId);
+
+      if (pendingAck) {
+        pendingAcks.push({ chatId, reminderId, pendingAck });
+      } else {
+        // State expired or was cleared without the schedule entry
+        await redisClient.zRem('ack_schedule', key);
+      }
+    }
+
+    return pendingAcks;
+  } catch (error) {
+    logger.error('Error claiming due acknowledgements:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   redisClient,
+  subscribeToScheduleChanges,
+  publishReminderEvent,
+  onReminderEvent,
+  getNextScheduledTime,
   saveReminder,
   updateReminderNextRun,
-  getDueReminders,
+  getReminder,
+  getReminders,
+  getRemindersByTag,
+  updateReminder,
+  deferReminder,
+  claimDueReminders,
   saveUserTimezone,
   getUserTimezone,
-  deleteReminder
+  saveMemberTimezone,
+  getMemberTimezone,
+  saveChatLanguage,
+  saveDetectedLanguage,
+  getChatLanguageSettings,
+  saveQuietHours,
+  getQuietHours,
+  saveDoNotDisturb,
+  getDoNotDisturb,
+  saveDigestSettings,
+  getDigestSettings,
+  scheduleDigest,
+  claimDueDigests,
+  saveMissedRunPolicy,
+  getMissedRunPolicy,
+  createApiToken,
+  revokeApiToken,
+  getApiTokenChatId,
+  saveChatChannel,
+  getChatChannels,
+  deleteChatChannel,
+  saveEmailVerification,
+  getEmailVerification,
+  clearEmailVerification,
+  saveWebhook,
+  getWebhooks,
+  deleteWebhook,
+  scheduleWebhookDelivery,
+  completeWebhookDelivery,
+  claimDueWebhookDeliveries,
+  logWebhookDelivery,
+  getWebhookLog,
+  deadLetterReminder,
+  getDeadLetters,
+  removeDeadLetter,
+  replayDeadLetter,
+  addHistoryEntry,
+  getHistory,
+  hitRateLimit,
+  recordLlmUsage,
+  getLlmUsage,
+  deleteReminder,
+  saveDeliveredReminder,
+  getDeliveredReminder,
+  savePendingAck,
+  getPendingAck,
+  clearPendingAck,
+  claimDueAcks
 };
\ No newline at end of file
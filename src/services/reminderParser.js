@@ -0,0 +1,568 @@
+// Rule-based reminder parser for common English and Russian phrasings.
+// It produces the same analysis shape as analyzeMessage so the LLM can be
+// skipped for simple requests and replaced when it is unavailable.
+const { DateTime } = require('luxon');
+const { analyzeMessage, analyzeAgendaPeriod } = require('./openai');
+const { extractTags, mergeTags } = require('./tags');
+const logger = require('../utils/logger');
+
+// \b only knows ASCII letters; this boundary also works for Cyrillic
+const BOUNDARY = '(?:(?<=[\\p{L}\\d])(?![\\p{L}\\d])|(?<![\\p{L}\\d])(?=[\\p{L}\\d]))';
+
+// Builds a case-insensitive Unicode regex where \b is a Unicode word boundary
+function re(source) {
+  return new RegExp(source.replace(/\\b/g, BOUNDARY), 'iu');
+}
+
+const EN_DAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+// Russian day names by stem, matching every case ending
+const RU_DAYS = [
+  ['воскресен', 0],
+  ['понедельник', 1],
+  ['вторник', 2],
+  ['сред', 3],
+  ['четверг', 4],
+  ['пятниц', 5],
+  ['суббот', 6]
+];
+
+const EN_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const RU_MONTHS = ['январ', 'феврал', 'март', 'апрел', 'ма', 'июн', 'июл', 'август', 'сентябр', 'октябр', 'ноябр', 'декабр'];
+
+const EN_DAY = '(?:sunday|sun|monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat)';
+const RU_DAY = '(?:воскресень[еяю]|воскресеньям|понедельник(?:а|и|ам)?|вторник(?:а|и|ам)?|сред(?:а|у|ы|ам)|четверг(?:а|и|ам)?|пятниц(?:а|у|ы|ам)|суббот(?:а|у|ы|ам))';
+const EN_MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const RU_MONTH = '(?:января|февраля|марта|апреля|мая|июня|июля|августа|сентября|октября|ноября|декабря)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+const LIST = '(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*|\\s+и\\s+)';
+
+// Words that mean the request says more than the rules understood
+const UNPARSED_HINTS = re(
+    '\\d|\\b(?:every|each|daily|weekly|monthly|yearly|annually|until|till|unless|except|week|weeks|month|months|year|years|' +
+    'hour|hours|minute|minutes|morning|afternoon|evening|tonight|night|noon|weekend|weekends|first|last|next|other|' +
+    'before|after|later|remind|repeat|nag|confirm|email|telegram|today|tomorrow|yesterday|' +
+    '(?:sun|mon|tues|wednes|thurs|fri|satur)days?|' +
+    'кажд\\p{L}*|ежедневн\\p{L}*|еженедельн\\p{L}*|ежемесячн\\p{L}*|пока|кроме|недел\\p{L}*|месяц\\p{L}*|год\\p{L}*|' +
+    'час\\p{L}*|минут\\p{L}*|утр\\p{L}*|вечер\\p{L}*|ноч\\p{L}*|следующ\\p{L}*|последн\\p{L}*|перв\\p{L}*|' +
+    'повтор\\p{L}*|подтвер\\p{L}*|почт\\p{L}*|телеграм\\p{L}*|выходн\\p{L}*|будн\\p{L}*|' +
+    'сегодня|завтра|послезавтра|вчера|' + RU_DAY + ')\\b'
+);
+
+// Leading and trailing filler around the reminder text
+const LEADING_FILLER = re('^(?:remind\\s+me\\s+(?:to\\s+|that\\s+|about\\s+)?|me\\s+to\\s+|to\\s+|напомни(?:те)?\\s+(?:мне\\s+)?|напомнить\\s+|мне\\s+)(?:(?:о\\s+том,?\\s+)?что(?:бы)?\\s+|про\\s+|о\\s+)?');
+const TRAILING_FILLER = re('\\s*(?:please|pls|пожалуйста)$');
+
+function ruDay(word) {
+  const lower = word.toLowerCase();
+  const match = RU_DAYS.find(([stem]) => lower.startsWith(stem));
+  return match ? match[1] : null;
+}
+
+function dayOfWeek(word) {
+  const lower = word.toLowerCase().replace(/s$/, '');
+  return EN_DAYS[lower] !== undefined ? EN_DAYS[lower] : ruDay(word);
+}
+
+function parseDayList(text) {
+  return [...new Set(text.split(new RegExp(LIST, 'iu')).map(day => dayOfWeek(day.trim())))]
+      .filter(day => day !== null);
+}
+
+function monthNumber(word) {
+  const lower = word.toLowerCase();
+  const english = EN_MONTHS.findIndex(month => lower.startsWith(month));
+  if (english !== -1) {
+    return english + 1;
+  }
+  return RU_MONTHS.findIndex(month => lower.startsWith(month)) + 1 || null;
+}
+
+function formatTime(hour, minute) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function toMinutes(amount, unit) {
+  const value = /^(?:a|an|one)$/i.test(amount) ? 1 : Number(String(amount).replace(',', '.'));
+  const lower = unit.toLowerCase();
+
+  if (/^(?:m|min|mins|minute|minutes|мин|минут|минуту|минуты)$/.test(lower)) {
+    return value;
+  }
+  if (/^(?:h|hr|hrs|hour|hours|ч|час|часа|часов)$/.test(lower)) {
+    return value * 60;
+  }
+  return value * 1440;
+}
+
+// Each rule finds one part of the request and removes it from the text
+const RELATIVE_RULES = [
+  {
+    pattern: re('\\b(?:in|after)\\s+half\\s+an?\\s+hour\\b|\\bчерез\\s+полчаса\\b'),
+    minutes: () => 30
+  },
+  {
+    pattern: re('\\b(?:in|after)\\s+(\\d+(?:[.,]\\d+)?|an?|one)\\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d)\\b'),
+    minutes: match => toMinutes(match[1], match[2])
+  },
+  {
+    pattern: re('\\bчерез\\s+(\\d+(?:[.,]\\d+)?)\\s*(минуту|минуты|минут|мин|часа|часов|час|ч|дня|дней|день)\\b'),
+    minutes: match => toMinutes(match[1], match[2])
+  },
+  {
+    pattern: re('\\bчерез\\s+(минуту|час|день)\\b'),
+    minutes: match => toMinutes(1, match[1])
+  }
+];
+
+const TIME_RULES = [
+  {
+    pattern: re('\\b(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)(?![\\p{L}\\d])'),
+    time: (match) => {
+      const hour = Number(match[1]) % 12 + (/^p/i.test(match[3]) ? 12 : 0);
+      return { hour, minute: Number(match[2] || 0), sure: true };
+    }
+  },
+  {
+    pattern: re('\\bв\\s+(\\d{1,2})(?:[:.](\\d{2}))?\\s*(?:час(?:а|ов)?\\s*)?(утра|дня|вечера|ночи)\\b'),
+    time: (match) => {
+      let hour = Number(match[1]) % 12;
+      if (/^(?:дня|вечера)$/i.test(match[3])) {
+        hour += 12;
+      }
+      return { hour, minute: Number(match[2] || 0), sure: true };
+    }
+  },
+  {
+    pattern: re('\\b(?:at\\s+)?noon\\b|\\bв\\s+полдень\\b'),
+    time: () => ({ hour: 12, minute: 0, sure: true })
+  },
+  {
+    pattern: re('\\b(?:at\\s+)?midnight\\b|\\bв\\s+полночь\\b'),
+    time: () => ({ hour: 0, minute: 0, sure: true })
+  },
+  {
+    pattern: re('\\b(?:at|в|во)\\s+(\\d{1,2})(?:[:.](\\d{2}))?(?:\\s*час(?:а|ов)?)?\\b'),
+    time: match => ({ hour: Number(match[1]), minute: Number(match[2] || 0), sure: false })
+  },
+  {
+    pattern: re('\\b(\\d{1,2}):(\\d{2})\\b'),
+    time: match => ({ hour: Number(match[1]), minute: Number(match[2]), sure: false })
+  }
+];
+
+const RECURRENCE_RULES = [
+  {
+    pattern: re('\\b(?:every\\s*day|each\\s+day|daily|каждый\\s+день|ежедневно)\\b'),
+    schedule: () => ({ frequency: 'daily' })
+  },
+  {
+    pattern: re('\\b(?:every\\s+weekday|on\\s+weekdays|weekdays|по\\s+будням|в\\s+будни|каждый\\s+будний\\s+день)\\b'),
+    schedule: () => ({ frequency: 'multiple_days', daysOfWeek: [1, 2, 3, 4, 5] })
+  },
+  {
+    pattern: re('\\b(?:every\\s+weekend|on\\s+weekends|по\\s+выходным|в\\s+выходные)\\b'),
+    schedule: () => ({ frequency: 'multiple_days', daysOfWeek: [0, 6] })
+  },
+  {
+    pattern: re(`\\b(?:every|each)\\s+(${EN_DAY}s?(?:${LIST}${EN_DAY}s?)*)\\b|\\bon\\s+(${EN_DAY}s(?:${LIST}${EN_DAY}s)*)\\b`),
+    schedule: match => weeklySchedule(parseDayList(match[1] || match[2]))
+  },
+  {
+    pattern: re(`\\b(?:кажд(?:ый|ую|ое)|по)\\s+(${RU_DAY}(?:${LIST}(?:(?:кажд(?:ый|ую|ое)|по)\\s+)?${RU_DAY})*)\\b`),
+    schedule: match => weeklySchedule(parseDayList(match[1].replace(re('\\b(?:кажд(?:ый|ую|ое)|по)\\s+'), '')))
+  },
+  {
+    pattern: re(`\\b(?:(?:every|each)\\s+month\\s+on\\s+(?:the\\s+)?|monthly\\s+on\\s+(?:the\\s+)?)(\\d{1,2})${ORDINAL}\\b|\\bon\\s+the\\s+(\\d{1,2})${ORDINAL}\\s+(?:day\\s+)?of\\s+(?:every|each|the)\\s+month\\b`),
+    schedule: match => monthlySchedule(match[1] || match[2])
+  },
+  {
+    pattern: re('\\b(?:каждое|каждый\\s+месяц|ежемесячно)\\s+(\\d{1,2})(?:-?(?:го|е))?(?:\\s+числа|\\s+число)?\\b|\\b(\\d{1,2})(?:-?го)?\\s+числа\\s+каждого\\s+месяца\\b'),
+    schedule: match => monthlySchedule(match[1] || match[2])
+  }
+];
+
+function weeklySchedule(days) {
+  if (!days.length) {
+    return null;
+  }
+  return days.length === 1
+    ? { frequency: 'weekly', dayOfWeek: days[0] }
+    : { frequency: 'multiple_days', daysOfWeek: days.sort((a, b) => a - b) };
+}
+
+function monthlySchedule(day) {
+  const dayOfMonth = Number(day);
+  return dayOfMonth >= 1 && dayOfMonth <= 31 ? { frequency: 'monthly', dayOfMonth } : null;
+}
+
+// Dates of one-time reminders, resolved against the current time in the chat's timezone
+const DATE_RULES = [
+  {
+    pattern: re('\\b(?:the\\s+)?day\\s+after\\s+tomorrow\\b|\\bпослезавтра\\b'),
+    date: now => now.plus({ days: 2 })
+  },
+  {
+    pattern: re('\\btomorrow\\b|\\bзавтра\\b'),
+    date: now => now.plus({ days: 1 })
+  },
+  {
+    pattern: re('\\btoday\\b|\\bсегодня\\b'),
+    date: now => now
+  },
+  {
+    pattern: re('\\b(\\d{4})-(\\d{2})-(\\d{2})\\b'),
+    date: (now, match) => DateTime.fromObject(
+        { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) },
+        { zone: now.zone }
+    )
+  },
+  {
+    pattern: re(`\\b(?:on\\s+)?(${EN_MONTH})\\s+(\\d{1,2})${ORDINAL}\\b|\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?(${EN_MONTH})\\b`),
+    date: (now, match) => nextDate(now, monthNumber(match[1] || match[4]), Number(match[2] || match[3]))
+  },
+  {
+    pattern: re(`\\b(\\d{1,2})(?:-?го)?\\s+(${RU_MONTH})\\b`),
+    date: (now, match) => nextDate(now, monthNumber(match[2]), Number(match[1]))
+  },
+  {
+    pattern: re(`\\b(?:on\\s+)?(${EN_DAY})\\b|\\b(?:в|во)\\s+(${RU_DAY})\\b`),
+    date: (now, match) => nextWeekday(now, dayOfWeek(match[1] || match[2])),
+    weekday: true
+  }
+];
+
+// The next occurrence of a day of the year, this year or next
+function nextDate(now, month, day) {
+  let date = DateTime.fromObject({ year: now.year, month, day }, { zone: now.zone });
+  if (date.isValid && date < now.startOf('day')) {
+    date = date.plus({ years: 1 });
+  }
+  return date;
+}
+
+// The next occurrence of a weekday, today included
+function nextWeekday(now, weekday) {
+  const luxonWeekday = weekday === 0 ? 7 : weekday;
+  return now.plus({ days: (luxonWeekday - now.weekday + 7) % 7 });
+}
+
+// Applies the first matching rule and removes its text
+function take(state, rules) {
+  for (const rule of rules) {
+    const match = state.text.match(rule.pattern);
+    if (match) {
+      state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+      return { rule, match };
+    }
+  }
+  return null;
+}
+
+function cleanMessage(text) {
+  return text
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([,.!?])/g, '$1')
+      .trim()
+      .replace(/^[\s,.:;-]+|[\s,:;-]+$/g, '')
+      .replace(LEADING_FILLER, '')
+      .replace(TRAILING_FILLER, '')
+      .trim();
+}
+
+/**
+ * Parses a reminder request without an LLM
+ * @param {string} text - Reminder request, e.g. "drink water in 5 minutes"
+ * @param {string} timezone - Chat's timezone, used to resolve dates
+ * @returns {Object|null} - Analysis like analyzeMessage's plus confidence ("high" or "low"), or null
+ */
+function parseReminderText(text, timezone) {
+  const now = DateTime.now().setZone(timezone);
+  const state = { text: ` ${text} ` };
+  let sure = true;
+  let schedule;
+
+  const relative = take(state, RELATIVE_RULES);
+
+  if (relative) {
+    const relativeMinutes = Math.round(relative.rule.minutes(relative.match));
+    if (!(relativeMinutes > 0)) {
+      return null;
+    }
+    schedule = { frequency: 'once', isRelative: true, relativeMinutes, time: null, date: null };
+  } else {
+    const recurrence = take(state, RECURRENCE_RULES);
+    const time = take(state, TIME_RULES);
+
+    // Every reminder needs a time of day
+    if (!time) {
+      return null;
+    }
+
+    const { hour, minute, sure: timeIsSure } = time.rule.time(time.match);
+    if (hour > 23 || minute > 59) {
+      return null;
+    }
+
+    // "at 5" could be morning or afternoon
+    if (!timeIsSure && hour >= 1 && hour <= 6 && !/^0/.test(time.match[1] || '')) {
+      sure = false;
+    }
+
+    if (recurrence) {
+      const recurring = recurrence.rule.schedule(recurrence.match);
+      if (!recurring) {
+        return null;
+      }
+      schedule = { ...recurring, time: formatTime(hour, minute), isRelative: false };
+    } else {
+      const date = take(state, DATE_RULES);
+      let runDate = null;
+
+      if (date) {
+        runDate = date.rule.date(now, date.match);
+        if (!runDate || !runDate.isValid) {
+          return null;
+        }
+
+        // "on Friday" when it is Friday and the time has passed means next week
+        if (date.rule.weekday && runDate.set({ hour, minute }) <= now) {
+          runDate = runDate.plus({ days: 7 });
+        }
+      }
+
+      schedule = {
+        frequency: 'once',
+        time: formatTime(hour, minute),
+        date: runDate ? runDate.toISODate() : null,
+        isRelative: false
+      };
+    }
+  }
+
+  const message = cleanMessage(state.text);
+  if (!message) {
+    return null;
+  }
+
+  // Anything that looks like scheduling left in the message is for the LLM
+  if (UNPARSED_HINTS.test(message)) {
+    sure = false;
+  }
+
+  return {
+    isReminder: true,
+    message,
+    schedule,
+    acknowledgement: null,
+    confidence: sure ? 'high' : 'low'
+  };
+}
+
+/**
+ * Analyzes a reminder request: confident rule-based matches skip the LLM,
+ * and the rules are used as a fallback when the LLM call fails
+ * @param {string} text - Reminder request
+ * @param {string} chatId - Chat ID
+ * @param {string} timezone - Chat's timezone
+ * @returns {Promise<Object|null>} - Analysis with its source ("rules" or "llm") and tags from #hashtags and the LLM,
+ *   or null if the LLM failed and the rules found nothing; an LLM analysis that stayed invalid after repair
+ *   has needsClarification and errors set. Throws if the LLM budget is used up and the rules found nothing.
+ */
+async function analyzeReminder(text, chatId, timezone) {
+  // Hashtags are tags, not part of the message or the schedule
+  const { text: request, tags } = extractTags(text);
+  const parsed = parseReminderText(request, timezone);
+
+  if (parsed && parsed.confidence === 'high') {
+    logger.info(`Parsed reminder for chat ${chatId} without the LLM`);
+    return { ...parsed, tags, source: 'rules' };
+  }
+
+  let analysis;
+  try {
+    analysis = await analyzeMessage(request, chatId);
+  } catch (error) {
+    // Out of LLM budget: a rough parse is still better than nothing
+    if (!parsed) {
+      throw error;
+    }
+    analysis = null;
+  }
+  if (analysis && !analysis.needsClarification) {
+    return { ...analysis, tags: mergeTags(tags, analysis.tags), source: 'llm' };
+  }
+
+  if (parsed) {
+    logger.warn(`LLM ${analysis ? 'returned an invalid analysis' : 'unavailable'}, using rule-based parse for chat ${chatId}`);
+    return { ...parsed, tags, source: 'rules' };
+  }
+
+  return analysis ? { ...analysis, source: 'llm' } : null;
+}
+
+// Periods of /agenda longer than a day; DATE_RULES cover single days
+const PERIOD_RULES = [
+  {
+    pattern: re('\\b(?:(?:in\\s+)?(?:the\\s+)?next|within)\\s+(\\d{1,2})\\s+days?\\b|\\b(?:ближайшие|следующие|на)\\s+(\\d{1,2})\\s+(?:дня|дней|день)\\b'),
+    period: (now, match) => ({ start: now, end: now.plus({ days: Number(match[1] || match[2]) }) })
+  },
+  {
+    pattern: re('\\bnext\\s+week\\b|\\b(?:на\\s+)?следующей\\s+неделе\\b|\\bследующая\\s+неделя\\b'),
+    period: (now) => {
+      const start = now.startOf('week').plus({ weeks: 1 });
+      return { start, end: start.endOf('week') };
+    }
+  },
+  {
+    pattern: re('\\b(?:this\\s+|the\\s+)?weekend\\b|\\b(?:на|в)\\s+выходн(?:ые|ых)\\b|\\bвыходные\\b'),
+    period: (now) => {
+      // Luxon weeks end on Sunday, so the weekend is the end of the current week
+      const start = now.weekday >= 6 ? now : now.plus({ days: 6 - now.weekday }).startOf('day');
+      return { start, end: now.endOf('week') };
+    }
+  },
+  {
+    pattern: re('\\b(?:this\\s+|the\\s+)?week\\b|\\b(?:на\\s+)?этой\\s+неделе\\b|\\bнеделю\\b|\\bнеделя\\b'),
+    period: now => ({ start: now, end: now.endOf('week') })
+  },
+  {
+    pattern: re('\\b(?:this\\s+|the\\s+)?month\\b|\\b(?:в\\s+)?этом\\s+месяце\\b'),
+    period: now => ({ start: now, end: now.endOf('month') })
+  }
+];
+
+// Parts of a day as [first hour, hour after the last]
+const PART_OF_DAY_RULES = [
+  {
+    pattern: re('\\b(?:in\\s+the\\s+)?morning\\b|\\bутр(?:ом|о)\\b'),
+    hours: [5, 12]
+  },
+  {
+    pattern: re('\\b(?:in\\s+the\\s+)?afternoon\\b|\\bдн[её]м\\b|\\bпосле\\s+обеда\\b'),
+    hours: [12, 17]
+  },
+  {
+    pattern: re('\\b(?:in\\s+the\\s+)?evening\\b|\\btonight\\b|\\bвечер(?:ом)?\\b'),
+    hours: [17, 24]
+  }
+];
+
+// Words of agenda questions that don't change the period ("what do I have on Friday?")
+const PERIOD_FILLER = new Set([
+  'what', 'whats', "what's", 'do', 'does', 'i', 'we', 'have', 'has', 'got', 'is', 'are', 'there', 'anything',
+  'any', 'something', 'reminder', 'reminders', 'plan', 'plans', 'agenda', 'scheduled', 'for', 'on', 'in', 'at',
+  'the', 'this', 'me', 'my', 'us', 'our', 'left',
+  'что', 'у', 'меня', 'нас', 'есть', 'будет', 'какие', 'планы', 'напоминания', 'на', 'в', 'во', 'а', 'ещё', 'еще'
+]);
+
+/**
+ * Parses the period of an /agenda question without an LLM. Only upcoming time
+ * counts, so periods start now at the earliest; no text means the rest of today.
+ * @param {string} text - Period or question, e.g. "tomorrow", "anything on Friday afternoon?"
+ * @param {string} timezone - Chat's timezone
+ * @returns {Object|null} - { start, end, confidence } with Dates, or null if nothing was recognized
+ */
+function parsePeriodText(text, timezone) {
+  const now = DateTime.now().setZone(timezone);
+  const state = { text: ` ${text} ` };
+  let period = null;
+
+  const range = take(state, PERIOD_RULES);
+  const date = range ? null : take(state, DATE_RULES);
+  const part = take(state, PART_OF_DAY_RULES);
+
+  if (range) {
+    period = range.rule.period(now, range.match);
+  } else if (date) {
+    const day = date.rule.date(now, date.match);
+    if (!day || !day.isValid) {
+      return null;
+    }
+    period = { start: day.startOf('day'), end: day.endOf('day') };
+  }
+
+  // Parts of the day only narrow single days, "this week in the evening" is for the LLM
+  let sure = !(range && part);
+
+  if (part && !range) {
+    const day = (period ? period.start : now).startOf('day');
+    period = {
+      start: day.plus({ hours: part.rule.hours[0] }),
+      end: day.plus({ hours: part.rule.hours[1] }).minus({ milliseconds: 1 })
+    };
+  }
+
+  const leftover = state.text.toLowerCase().replace(/[?!.,]/g, ' ').split(/\s+/)
+      .filter(word => word && !PERIOD_FILLER.has(word));
+  if (leftover.length) {
+    sure = false;
+  }
+
+  if (!period) {
+    if (leftover.length) {
+      return null;
+    }
+    period = { start: now, end: now.endOf('day') };
+  }
+
+  return {
+    start: DateTime.max(period.start, now).toJSDate(),
+    end: period.end.toJSDate(),
+    confidence: sure ? 'high' : 'low'
+  };
+}
+
+/**
+ * Works out the period of an /agenda question: rules first, the LLM for anything they don't fully understand
+ * @param {string} text - Period or question
+ * @param {string} chatId - Chat ID
+ * @param {string} timezone - Chat's timezone
+ * @returns {Promise<Object|null>} - { start, end } with Dates, or null if the period wasn't understood.
+ *   Throws if the LLM budget is used up and the rules found nothing.
+ */
+async function analyzePeriod(text, chatId, timezone) {
+  const parsed = parsePeriodText(text, timezone);
+  if (parsed && parsed.confidence === 'high') {
+    return parsed;
+  }
+
+  let analysis;
+  try {
+    analysis = await analyzeAgendaPeriod(text, timezone, chatId);
+  } catch (error) {
+    // Out of LLM budget
+    if (!parsed) {
+      throw error;
+    }
+    analysis = null;
+  }
+  if (analysis && analysis.understood) {
+    const start = DateTime.fromISO(analysis.start, { zone: timezone });
+    const end = DateTime.fromISO(analysis.end, { zone: timezone });
+
+    if (start.isValid && end.isValid && end > start) {
+      return { start: DateTime.max(start, DateTime.now()).toJSDate(), end: end.toJSDate() };
+    }
+  }
+
+  if (parsed) {
+    logger.warn(`LLM couldn't resolve the agenda period, using rule-based parse for chat ${chatId}`);
+  }
+  return parsed;
+}
+
+module.exports = {
+  parseReminderText,
+  analyzeReminder,
+  parsePeriodText,
+  analyzePeriod
+};
@@ -1,101 +1,340 @@
 // Updated scheduler.js with timezone support
-const { getDueReminders, updateReminderNextRun, deleteReminder, getUserTimezone } = require('./redis');
+const {
+  claimDueReminders,
+  updateReminderNextRun,
+  deferReminder,
+  deleteReminder,
+  getReminders,
+  updateReminder,
+  deadLetterReminder,
+  getUserTimezone,
+  getMissedRunPolicy,
+  saveDeliveredReminder,
+  savePendingAck,
+  getPendingAck,
+  clearPendingAck,
+  claimDueAcks,
+  getNextScheduledTime,
+  subscribeToScheduleChanges,
+  publishReminderEvent
+} = require('./redis');
+const { getReminderKeyboard } = require('./snooze');
+const { t, getChatLanguage, formatShortDateTime } = require('./i18n');
+const { getChatQuietTime } = require('./quietHours');
+const { getNextRun, getReminderNextRun } = require('./recurrence');
+const { createNotifiers, notify } = require('./notifiers');
+const { processDigests, unscheduleDigests } = require('./digest');
+const { recordHistory } = require('./history');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { DateTime } = require('luxon');
 
 // Calculate next run time based on schedule and timezone
 function calculateNextRun(reminder) {
-  const now = DateTime.now().setZone(reminder.timezone || config.USER_TIMEZONE_DEFAULT);
-  const schedule = reminder.schedule;
+  return getReminderNextRun(reminder);
+}
 
-  // Skip calculation for one-time reminders
-  if (schedule.frequency === 'once') {
-    return null;
-  }
+/**
+ * Starts nagging for a delivered reminder that requires acknowledgement.
+ * A new occurrence replaces any repeats still pending from the previous one.
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Delivered reminder
+ * @param {number} messageId - Telegram message ID of the delivered reminder
+ */
+async function startNagging(chatId, reminderId, reminder, messageId) {
+  const { intervalMinutes } = reminder.acknowledgement;
 
-  // Extract time components
-  const [hours, minutes] = schedule.time.split(':').map(Number);
-  let nextRun;
+  await savePendingAck(chatId, reminderId, {
+    reminder,
+    repeats: 0,
+    messageId,
+    nextRepeat: DateTime.now().plus({ minutes: intervalMinutes }).toJSDate().toISOString()
+  });
+}
+
+/**
+ * Re-sends unacknowledged reminders until they are acknowledged
+ * or run out of repeats
+ * @param {Object} bot - Telegraf bot instance
+ */
+async function processPendingAcks(bot) {
+  const dueAcks = await claimDueAcks();
 
-  switch (schedule.frequency) {
-    case 'daily':
-      // Set time for tomorrow in user's timezone
-      nextRun = now.set({ hour: hours, minute: minutes, second: 0, millisecond: 0 });
+  for (const { chatId, reminderId, pendingAck } of dueAcks) {
+    try {
+      const { reminder } = pendingAck;
+      const { intervalMinutes, maxRepeats } = reminder.acknowledgement;
+      const language = await getChatLanguage(chatId);
 
-      // If the calculated time is in the past, move to tomorrow
-      if (nextRun <= now) {
-        nextRun = nextRun.plus({ days: 1 });
+      // Remove the buttons from the previous copy so only the latest one is actionable
+      if (pendingAck.messageId) {
+        await bot.telegram.editMessageReplyMarkup(chatId, pendingAck.messageId, undefined, { inline_keyboard: [] })
+            .catch(error => logger.debug(`Could not clear buttons of message ${pendingAck.messageId}:`, error));
       }
-      break;
 
-    case 'weekly':
-      // Set time in user's timezone
-      nextRun = now.set({ hour: hours, minute: minutes, second: 0, millisecond: 0 });
+      if (pendingAck.repeats >= maxRepeats) {
+        await clearPendingAck(chatId, reminderId);
+        await bot.telegram.sendMessage(chatId, t(language, 'delivery.nagStopped', { message: reminder.message, maxRepeats }));
+        logger.info(`Stopped repeating reminder ${reminderId} for chat ${chatId} after ${maxRepeats} repeats`);
+        continue;
+      }
 
-      // Calculate days until next occurrence of day of week
-      const currentDay = now.weekday % 7; // Convert to 0-6 format (0 = Sunday)
-      const targetDay = schedule.dayOfWeek;
-      let daysUntil = (targetDay - currentDay + 7) % 7;
+      // Repeats keep going during quiet hours, but without a sound
+      const repeat = pendingAck.repeats + 1;
+      const quiet = await getChatQuietTime(chatId);
+      const sent = await bot.telegram.sendMessage(
+          chatId,
+          t(language, 'delivery.repeat', { repeat, maxRepeats, message: reminder.message }),
+          {
+            reply_markup: getReminderKeyboard(reminderId, reminder, language),
+            disable_notification: Boolean(quiet && (reminder.quietMode || quiet.mode) !== 'ignore')
+          }
+      );
 
-      // If it's the same day but time has passed, add a week
-      if (daysUntil === 0 && nextRun <= now) {
-        daysUntil = 7;
+      // The reminder may have been acknowledged while we were sending
+      if (!await getPendingAck(chatId, reminderId)) {
+        continue;
       }
 
-      nextRun = nextRun.plus({ days: daysUntil });
+      await savePendingAck(chatId, reminderId, {
+        ...pendingAck,
+        repeats: repeat,
+        messageId: sent.message_id,
+        nextRepeat: DateTime.now().plus({ minutes: intervalMinutes }).toJSDate().toISOString()
+      });
+      logger.info(`Repeated unacknowledged reminder ${reminderId} to chat ${chatId} (${repeat}/${maxRepeats})`);
+    } catch (error) {
+      logger.error(`Error repeating reminder ${reminderId}:`, error);
+    }
+  }
+}
+
+/**
+ * Sends a reminder to its channels and starts nagging if required
+ * @param {Object} notifiers - Notifiers from createNotifiers
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Reminder with its timezone resolved
+ * @param {Object} options
+ * @param {string} options.note - Extra line shown under the reminder text
+ * @param {boolean} options.nag - Whether to start repeating until acknowledged
+ * @param {string} options.language - Language of the chat, looked up if not given
+ * @param {boolean} options.silent - Send without a notification sound (quiet hours)
+ * @param {Date|string} options.run - Run being delivered, for the history (defaults to the next run)
+ */
+async function deliverReminder(notifiers, chatId, reminderId, reminder, {
+  note,
+  nag = true,
+  language,
+  silent = false,
+  run = reminder.nextRun
+} = {}) {
+  language = language || await getChatLanguage(chatId);
+
+  const text = note
+    ? `${t(language, 'delivery.reminder', { message: reminder.message })}\n\n${note}`
+    : t(language, 'delivery.reminder', { message: reminder.message });
+
+  const delivered = await notify(notifiers, { chatId, reminderId, reminder, text, language, silent });
+  await recordHistory(chatId, 'delivered', reminderId, reminder, {
+    scheduledFor: run,
+    channels: Object.keys(delivered).join(', ')
+  });
+  await saveDeliveredReminder(chatId, reminderId, reminder);
+
+  // Keep repeating until acknowledged if the reminder asks for it; repeats
+  // need the buttons, so they only follow a Telegram delivery
+  if (nag && delivered.telegram && reminder.acknowledgement && reminder.acknowledgement.required) {
+    await startNagging(chatId, reminderId, reminder, delivered.telegram.messageId);
+  }
+}
+
+/**
+ * Lists the occurrences of a reminder that should have fired by now
+ * @param {Object} reminder - Reminder with its timezone resolved
+ * @param {Date} now - Current time
+ * @returns {Date[]} - Missed occurrences, oldest first, capped at MISSED_RUN_MAX_CATCH_UP
+ */
+function getMissedRuns(reminder, now) {
+  const runs = [new Date(reminder.nextRun)];
+
+  if (reminder.schedule.frequency === 'once' && !reminder.schedule.rrule) {
+    return runs;
+  }
+
+  while (runs.length < config.MISSED_RUN_MAX_CATCH_UP) {
+    const next = getNextRun(reminder.schedule, reminder.timezone, {
+      after: runs[runs.length - 1],
+      startDate: reminder.schedule.startDate || reminder.createdAt
+    });
+
+    if (!next || next > now) {
       break;
+    }
+    runs.push(next);
+  }
 
-    case 'monthly':
-      // Set day and time
-      let targetMonth = now.month;
-      let targetYear = now.year;
-
-      // Move to next month if this month's day has passed
-      const currentDate = now.day;
-      if (currentDate > schedule.dayOfMonth ||
-          (currentDate === schedule.dayOfMonth &&
-              now.hour > hours ||
-              (now.hour === hours && now.minute >= minutes))) {
-        targetMonth++;
-        if (targetMonth > 12) {
-          targetMonth = 1;
-          targetYear++;
-        }
+  return runs;
+}
+
+/**
+ * Delivers a reminder that fired late according to its missed run policy
+ * @param {Object} notifiers - Notifiers from createNotifiers
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Reminder with its timezone resolved
+ * @param {Object} missedRunPolicy - Policy and threshold in minutes
+ * @param {Object} options
+ * @param {boolean} options.silent - Send without a notification sound (quiet hours)
+ * @returns {Promise<Object>} - Summary entry describing what was done
+ */
+async function deliverMissedReminder(notifiers, chatId, reminderId, reminder, missedRunPolicy, { silent = false } = {}) {
+  const now = new Date();
+  const missedRuns = getMissedRuns(reminder, now);
+  const lastRun = missedRuns[missedRuns.length - 1];
+  const language = await getChatLanguage(chatId);
+  const formatRun = run => formatShortDateTime(DateTime.fromJSDate(run).setZone(reminder.timezone), language);
+
+  switch (missedRunPolicy.policy) {
+    case 'all':
+      for (const [index, run] of missedRuns.entries()) {
+        await deliverReminder(notifiers, chatId, reminderId, reminder, {
+          note: t(language, 'delivery.missedAt', { time: formatRun(run) }),
+          nag: index === missedRuns.length - 1,
+          language,
+          silent,
+          run
+        });
       }
+      return { reminder, missedRuns, outcome: 'delivered' };
 
-      // Create date for next run
-      nextRun = DateTime.fromObject({
-        year: targetYear,
-        month: targetMonth,
-        day: schedule.dayOfMonth,
-        hour: hours,
-        minute: minutes,
-        second: 0,
-        millisecond: 0
-      }, { zone: reminder.timezone || config.USER_TIMEZONE_DEFAULT });
-
-      // Handle invalid dates (e.g., February 30)
-      if (!nextRun.isValid) {
-        // Get last day of the month
-        nextRun = DateTime.fromObject({
-          year: targetYear,
-          month: targetMonth + 1,
-          day: 0, // Last day of previous month
-          hour: hours,
-          minute: minutes,
-          second: 0,
-          millisecond: 0
-        }, { zone: reminder.timezone || config.USER_TIMEZONE_DEFAULT });
+    case 'skip':
+      if (now - lastRun > missedRunPolicy.thresholdMinutes * 60000) {
+        logger.info(`Skipped reminder ${reminderId} for chat ${chatId}, missed ${missedRuns.length} time(s)`);
+        await recordHistory(chatId, 'skipped', reminderId, reminder, { scheduledFor: missedRuns[0] });
+        return { reminder, missedRuns, outcome: 'skipped' };
       }
-      break;
+      await deliverReminder(notifiers, chatId, reminderId, reminder, {
+        note: t(language, 'delivery.missedAt', { time: formatRun(lastRun) }),
+        language,
+        silent,
+        run: lastRun
+      });
+      return { reminder, missedRuns: [lastRun], outcome: 'delivered' };
+
+    case 'once':
+    default: {
+      const note = missedRuns.length > 1
+        ? t(language, 'delivery.missedTimes', { count: missedRuns.length, time: formatRun(missedRuns[0]) })
+        : t(language, 'delivery.missedAt', { time: formatRun(lastRun) });
+      await deliverReminder(notifiers, chatId, reminderId, reminder, { note, language, silent, run: missedRuns[0] });
+      return { reminder, missedRuns, outcome: 'delivered' };
+    }
+  }
+}
+
+/**
+ * Sends each chat a summary of the reminders it missed while the bot was down
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Map} missedByChat - Chat ID -> summary entries from deliverMissedReminder
+ */
+async function sendCatchUpSummaries(bot, missedByChat) {
+  for (const [chatId, entries] of missedByChat) {
+    try {
+      const language = await getChatLanguage(chatId);
+      let summary = `${t(language, 'delivery.catchUp')}\n`;
+
+      for (const { reminder, missedRuns, outcome } of entries) {
+        const firstRun = formatShortDateTime(DateTime.fromJSDate(missedRuns[0]).setZone(reminder.timezone), language);
+        const when = missedRuns.length > 1
+          ? t(language, 'delivery.catchUpTimes', { count: missedRuns.length, time: firstRun })
+          : t(language, 'delivery.catchUpAt', { time: firstRun });
+
+        summary += `\n${t(language, outcome === 'skipped' ? 'delivery.catchUpSkipped' : 'delivery.catchUpLate', {
+          message: reminder.message,
+          when
+        })}`;
+      }
+
+      await bot.telegram.sendMessage(chatId, summary);
+    } catch (error) {
+      logger.error(`Error sending catch-up summary to chat ${chatId}:`, error);
+    }
+  }
+}
+
+// Delay before the next delivery attempt: exponential backoff with jitter
+function getRetryDelay(attempts) {
+  const delay = Math.min(
+      config.DELIVERY_RETRY_BASE_DELAY * 2 ** (attempts - 1),
+      config.DELIVERY_RETRY_MAX_DELAY
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Pauses every reminder and digest of a chat that blocked the bot or removed it.
+ * They are resumed when the bot is allowed back, see the my_chat_member handler.
+ * @param {string} chatId - Chat ID
+ */
+async function deactivateChat(chatId) {
+  const reminders = await getReminders(chatId);
+  const pausedAt = new Date().toISOString();
+
+  for (const [reminderId, reminder] of Object.entries(reminders)) {
+    if (!reminder.paused) {
+      await updateReminder(chatId, reminderId, { ...reminder, paused: true, pausedAt, deactivated: true });
+      await clearPendingAck(chatId, reminderId);
+    }
+  }
+  await unscheduleDigests(chatId);
+  logger.warn(`Deactivated reminders of chat ${chatId}, the bot was blocked or removed`);
+}
+
+/**
+ * Decides what happens to a reminder whose delivery failed: temporary failures
+ * are retried with backoff, chats that blocked the bot get their reminders
+ * deactivated and everything else goes to the dead-letter set
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Stored reminder
+ * @param {Error} error - Error from notify with its deliveryFailure classification
+ */
+async function handleDeliveryFailure(chatId, reminderId, reminder, error) {
+  const { kind, retryAfter } = error.deliveryFailure;
 
-    default:
-      logger.error(`Unknown frequency: ${schedule.frequency}`);
-      return null;
+  if (kind === 'blocked') {
+    await deactivateChat(chatId);
+    return;
   }
 
-  return nextRun.toJSDate();
+  const attempts = (reminder.deliveryAttempts || 0) + 1;
+
+  if (kind !== 'permanent' && attempts < config.DELIVERY_MAX_ATTEMPTS) {
+    // Never come back sooner than Telegram asked us to after a 429
+    const delay = Math.max(getRetryDelay(attempts), (retryAfter || 0) * 1000);
+    const retryAt = new Date(Date.now() + delay);
+
+    await deferReminder(chatId, reminderId, retryAt, { deliveryAttempts: attempts });
+    await recordHistory(chatId, 'failed', reminderId, reminder, {
+      scheduledFor: reminder.nextRun,
+      error: error.message,
+      until: retryAt
+    });
+    logger.warn(`Delivery of reminder ${reminderId} to chat ${chatId} failed (${kind}), attempt ${attempts} of ${config.DELIVERY_MAX_ATTEMPTS}, retrying at ${retryAt.toISOString()}`);
+    return;
+  }
+
+  await deadLetterReminder(chatId, reminderId, { reminder, error: error.message, kind, attempts });
+  await recordHistory(chatId, 'failed', reminderId, reminder, { scheduledFor: reminder.nextRun, error: error.message });
+  logger.error(`Gave up delivering reminder ${reminderId} to chat ${chatId} after ${attempts} attempt(s) (${kind}), moved to dead letters`);
+
+  // Recurring reminders carry on with their next run; one-time reminders wait for a replay
+  const nextRun = calculateNextRun(reminder);
+  if (nextRun) {
+    await updateReminderNextRun(chatId, reminderId, nextRun, reminder.timezone);
+  }
 }
 
 /**
@@ -103,42 +342,76 @@ function calculateNextRun(reminder) {
  * @param {Object} bot - Telegraf bot instance
  */
 async function setupScheduler(bot) {
-  // Track processed reminders to prevent duplicates
-  const processedReminders = new Map();
+  const notifiers = createNotifiers(bot);
+
+  // Reminders missed during downtime, collected until the startup catch-up is over
+  const missedByChat = new Map();
+  let catchingUp = true;
 
   // Function to process due reminders
   async function processReminders() {
     try {
-      const dueReminders = await getDueReminders();
+      // Claimed reminders are invisible to other instances until rescheduled,
+      // deleted or their lease expires (e.g. when this instance crashes)
+      const dueReminders = await claimDueReminders();
+      let missedCount = 0;
 
       for (const { chatId, reminderId, reminder } of dueReminders) {
         try {
-          // Generate a unique key for this reminder occurrence
-          const currentTime = Date.now();
-          const reminderKey = `${chatId}:${reminderId}:${Math.floor(currentTime / 60000)}`; // Round to minute
+          // Format the reminder time in chat's timezone; a reminder deferred by
+          // quiet hours is due when they end, not at its original time
+          const chatTimezone = reminder.timezone || await getUserTimezone(chatId);
+          const dueAt = reminder.deferredUntil && reminder.deferredUntil > reminder.nextRun
+            ? reminder.deferredUntil
+            : reminder.nextRun;
+          const reminderTime = DateTime.fromJSDate(new Date(dueAt))
+              .setZone(chatTimezone);
+          const deliveredReminder = {
+            ...reminder,
+            timezone: chatTimezone,
+            deferredUntil: undefined,
+            deliveryAttempts: undefined
+          };
 
-          // Skip if already processed in the last minute
-          if (processedReminders.has(reminderKey)) {
+          // Inside quiet hours the delivery is postponed or muted, the recurrence is left alone
+          const quiet = await getChatQuietTime(chatId);
+          const quietMode = quiet ? reminder.quietMode || quiet.mode : null;
+          if (quietMode === 'defer') {
+            await deferReminder(chatId, reminderId, quiet.until);
+            await recordHistory(chatId, 'deferred', reminderId, reminder, { scheduledFor: reminder.nextRun, until: quiet.until });
+            logger.info(`Deferred reminder ${reminderId} for chat ${chatId} to ${quiet.until.toISOString()} (quiet hours)`);
             continue;
           }
+          const silent = quietMode === 'silent';
 
-          // Mark as processed
-          processedReminders.set(reminderKey, currentTime);
+          if (Date.now() - reminderTime.toMillis() > config.MISSED_RUN_GRACE * 60000) {
+            // Per-reminder policy wins over the chat's one
+            const missedRunPolicy = reminder.missedRunPolicy || await getMissedRunPolicy(chatId);
+            const missed = await deliverMissedReminder(notifiers, chatId, reminderId, deliveredReminder, missedRunPolicy, {
+              silent
+            });
+            missedCount++;
 
-          // Clean up old processed records (older than 10 minutes)
-          for (const [key, timestamp] of processedReminders.entries()) {
-            if (currentTime - timestamp > 600000) { // 10 minutes
-              processedReminders.delete(key);
+            if (missed.outcome === 'delivered') {
+              publishReminderEvent('reminder.fired', chatId, reminderId, deliveredReminder, {
+                scheduledFor: reminder.nextRun,
+                missedRuns: missed.missedRuns.length
+              });
             }
-          }
-
-          // Format the reminder time in chat's timezone
-          const chatTimezone = reminder.timezone || await getUserTimezone(chatId);
-          const reminderTime = DateTime.fromJSDate(new Date(reminder.nextRun))
-              .setZone(chatTimezone);
 
-          // Send the reminder with properly formatted time
-          await bot.telegram.sendMessage(chatId, `⏰ Reminder: ${reminder.message}`);
+            if (catchingUp) {
+              if (!missedByChat.has(chatId)) {
+                missedByChat.set(chatId, []);
+              }
+              missedByChat.get(chatId).push(missed);
+            }
+          } else {
+            // Send the reminder with snooze/done buttons
+            await deliverReminder(notifiers, chatId, reminderId, deliveredReminder, { silent });
+            publishReminderEvent('reminder.fired', chatId, reminderId, deliveredReminder, {
+              scheduledFor: reminder.nextRun
+            });
+          }
           logger.info(`Sent reminder ${reminderId} to chat ${chatId} at ${reminderTime.toFormat('HH:mm')} (${chatTimezone})`);
 
           // Calculate next run time
@@ -150,24 +423,87 @@ async function setupScheduler(bot) {
             logger.info(`Rescheduled reminder ${reminderId} for ${nextRun}`);
           } else {
             // Delete one-time reminder that's completed
-            await deleteReminder(chatId, reminderId);
+            await deleteReminder(chatId, reminderId, 'completed');
             logger.info(`Deleted one-time reminder ${reminderId}`);
           }
         } catch (error) {
           logger.error(`Error processing reminder ${reminderId}:`, error);
+
+          if (error.deliveryFailure) {
+            await handleDeliveryFailure(chatId, reminderId, reminder, error).catch((failureError) => {
+              logger.error(`Error handling failed delivery of reminder ${reminderId}:`, failureError);
+            });
+          }
         }
       }
+
+      await processPendingAcks(bot);
+      await processDigests(bot);
+
+      // The startup catch-up is over once a run finds nothing missed
+      if (catchingUp && missedCount === 0) {
+        catchingUp = false;
+        await sendCatchUpSummaries(bot, missedByChat);
+        missedByChat.clear();
+      }
     } catch (error) {
       logger.error('Error in scheduler:', error);
+    }
+  }
+
+  let timer = null;
+  let running = false;
+
+  // Process due reminders, then wait for the next one
+  async function tick() {
+    clearTimeout(timer);
+    timer = null;
+    running = true;
+
+    try {
+      await processReminders();
     } finally {
-      // Schedule next check
-      setTimeout(processReminders, config.SCHEDULER_CHECK_INTERVAL);
+      running = false;
+      await arm();
     }
   }
 
+  // Arm the timer for the earliest scheduled reminder. The check interval
+  // stays as a safety net for changes we were not told about.
+  async function arm() {
+    // The timer is re-armed once the current run is finished
+    if (running) {
+      return;
+    }
+
+    let delay = config.SCHEDULER_CHECK_INTERVAL;
+
+    try {
+      const nextScheduledTime = await getNextScheduledTime();
+      if (nextScheduledTime !== null) {
+        delay = Math.min(Math.max(nextScheduledTime - Date.now(), 0), config.SCHEDULER_CHECK_INTERVAL);
+      }
+    } catch (error) {
+      logger.error('Error getting next scheduled time:', error);
+    }
+
+    if (running) {
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(tick, delay);
+    logger.debug(`Scheduler armed for ${delay}ms from now`);
+  }
+
+  // Re-arm whenever this or another instance changes a schedule
+  await subscribeToScheduleChanges(() => {
+    arm().catch(error => logger.error('Error re-arming scheduler:', error));
+  });
+
   // Start the scheduler
-  processReminders();
-  logger.info(`Scheduler started, checking every ${config.SCHEDULER_CHECK_INTERVAL}ms`);
+  tick();
+  logger.info(`Scheduler started, waking up for due reminders (safety check every ${config.SCHEDULER_CHECK_INTERVAL}ms)`);
 }
 
 // // Update Redis service to include timezone in updateReminderNextRun
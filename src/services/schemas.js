@@ -0,0 +1,304 @@
+// Schemas for structured LLM output and the validator that checks them
+const { RRule } = require('rrule');
+const { DateTime, IANAZone } = require('luxon');
+const { CHANNELS } = require('./notifiers');
+const config = require('../config');
+
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly', 'multiple_days', 'custom'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function checkDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return 'must be in YYYY-MM-DD format';
+  }
+  return DateTime.fromISO(value).isValid ? null : 'is not a real calendar date';
+}
+
+function checkRule(value) {
+  try {
+    const options = RRule.parseString(value.replace(/^RRULE:/i, ''));
+    return options.freq === undefined ? 'must contain FREQ' : null;
+  } catch (error) {
+    return 'is not a valid RFC 5545 recurrence rule';
+  }
+}
+
+function checkTimezone(value) {
+  return IANAZone.isValidZone(value) ? null : 'is not a valid IANA timezone';
+}
+
+const DAY_OF_WEEK = { type: 'integer', minimum: 0, maximum: 6, hint: 'Sunday-Saturday' };
+
+const ACKNOWLEDGEMENT_SCHEMA = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    required: { type: 'boolean' },
+    // The scheduler works in whole minutes, so anything shorter would nag on every tick
+    intervalMinutes: { type: 'number', nullable: true, minimum: 1 },
+    maxRepeats: { type: 'integer', nullable: true, minimum: 1, maximum: config.NAG_MAX_REPEATS }
+  },
+  required: ['required']
+};
+
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    frequency: { type: 'string', enum: FREQUENCIES },
+    rrule: { type: 'string', nullable: true, check: checkRule },
+    time: { type: 'string', nullable: true, pattern: TIME_PATTERN, hint: 'HH:mm' },
+    date: { type: 'string', nullable: true, check: checkDate },
+    startDate: { type: 'string', nullable: true, check: checkDate },
+    dayOfWeek: { ...DAY_OF_WEEK, nullable: true },
+    dayOfMonth: { type: 'integer', nullable: true, minimum: 1, maximum: 31 },
+    daysOfWeek: { type: 'array', nullable: true, minItems: 1, items: DAY_OF_WEEK },
+    isRelative: { type: 'boolean', nullable: true },
+    relativeMinutes: { type: 'number', nullable: true, exclusiveMinimum: 0 }
+  },
+  // Fields each kind of schedule needs
+  refine: (schedule) => {
+    if (schedule.isRelative) {
+      return schedule.relativeMinutes == null
+        ? [{ path: 'relativeMinutes', message: 'is required for relative schedules' }]
+        : [];
+    }
+
+    const required = {
+      weekly: 'dayOfWeek',
+      monthly: 'dayOfMonth',
+      multiple_days: 'daysOfWeek',
+      custom: 'rrule'
+    };
+    const errors = [];
+
+    if (schedule.frequency == null) {
+      errors.push({ path: 'frequency', message: 'is required' });
+    }
+    if (schedule.time == null) {
+      errors.push({ path: 'time', message: 'is required unless the schedule is relative' });
+    }
+    const field = required[schedule.frequency];
+    if (field && schedule[field] == null) {
+      errors.push({ path: field, message: `is required for ${schedule.frequency} schedules` });
+    }
+    return errors;
+  }
+};
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    isReminder: { type: 'boolean' },
+    message: { type: 'string', nullable: true, minLength: 1 },
+    schedule: { ...SCHEDULE_SCHEMA, nullable: true },
+    acknowledgement: ACKNOWLEDGEMENT_SCHEMA,
+    channels: { type: 'array', nullable: true, items: { type: 'string', enum: CHANNELS } },
+    tags: { type: 'array', nullable: true, items: { type: 'string', minLength: 1 } }
+  },
+  required: ['isReminder'],
+  refine: (analysis) => {
+    if (!analysis.isReminder) {
+      return [];
+    }
+    return ['message', 'schedule']
+        .filter(field => analysis[field] == null)
+        .map(field => ({ path: field, message: 'is required for reminders' }));
+  }
+};
+
+const EDIT_SCHEMA = {
+  type: 'object',
+  properties: {
+    understood: { type: 'boolean' },
+    message: { type: 'string', nullable: true, minLength: 1 },
+    schedule: { ...SCHEDULE_SCHEMA, nullable: true },
+    explanation: { type: 'string', nullable: true }
+  },
+  required: ['understood'],
+  // false turns acknowledgement off, so it can't be described by a single type
+  refine: (edit) => (edit.acknowledgement === false
+    ? []
+    : validate(ACKNOWLEDGEMENT_SCHEMA, edit.acknowledgement, 'acknowledgement'))
+};
+
+const LOCAL_DATE_TIME = {
+  type: 'string',
+  nullable: true,
+  pattern: /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/,
+  hint: "yyyy-MM-dd'T'HH:mm"
+};
+
+const PERIOD_SCHEMA = {
+  type: 'object',
+  properties: {
+    understood: { type: 'boolean' },
+    start: LOCAL_DATE_TIME,
+    end: LOCAL_DATE_TIME
+  },
+  required: ['understood'],
+  refine: (period) => {
+    if (!period.understood) {
+      return [];
+    }
+    return ['start', 'end']
+        .filter(field => period[field] == null)
+        .map(field => ({ path: field, message: 'is required when understood is true' }));
+  }
+};
+
+const TIMEZONE_DETECTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    hasTimezoneInfo: { type: 'boolean' },
+    location: { type: 'string', nullable: true },
+    timezone: { type: 'string', nullable: true, check: checkTimezone },
+    confidence: { type: 'number', nullable: true, minimum: 0, maximum: 1 }
+  },
+  required: ['hasTimezoneInfo'],
+  refine: result => (result.hasTimezoneInfo && result.timezone == null
+    ? [{ path: 'timezone', message: 'is required when hasTimezoneInfo is true' }]
+    : [])
+};
+
+const TIMEZONE_VALIDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    isValid: { type: 'boolean' },
+    originalInput: { type: 'string', nullable: true },
+    suggestedTimezone: { type: 'string', nullable: true, check: checkTimezone },
+    confidence: { type: 'number', nullable: true, minimum: 0, maximum: 1 },
+    explanation: { type: 'string', nullable: true }
+  },
+  required: ['isValid'],
+  refine: result => (result.isValid && result.suggestedTimezone == null
+    ? [{ path: 'suggestedTimezone', message: 'is required when isValid is true' }]
+    : [])
+};
+
+function join(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeRange(schema) {
+  const range = schema.minimum !== undefined && schema.maximum !== undefined
+    ? `from ${schema.minimum} to ${schema.maximum}`
+    : schema.exclusiveMinimum !== undefined ? `greater than ${schema.exclusiveMinimum}` : `of at least ${schema.minimum}`;
+  return schema.hint ? `${range} (${schema.hint})` : range;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {Object} schema - Schema from this module
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<{path: string, message: string}>} - Problems found, empty if the value is valid
+ */
+function validate(schema, value, path = '') {
+  const at = message => [{ path: path || '(root)', message }];
+
+  if (value === undefined || value === null) {
+    return schema.nullable || value === undefined ? [] : at('must not be null');
+  }
+
+  if (!matchesType(schema.type, value)) {
+    const expected = schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`;
+    return at(`must be ${expected} (got ${JSON.stringify(value)})`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return at(`must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) ||
+        (schema.maximum !== undefined && value > schema.maximum) ||
+        (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)) {
+      return at(`must be ${describeRange(schema)} (got ${value})`);
+    }
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      return at('must not be empty');
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      return at(`must be in ${schema.hint} format (got ${JSON.stringify(value)})`);
+    }
+    const problem = schema.check && schema.check(value);
+    if (problem) {
+      return at(`${problem} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      return at(`must have at least ${schema.minItems} item(s)`);
+    }
+    return value.flatMap((item, index) => validate(schema.items, item, join(path, index)));
+  }
+
+  if (schema.type === 'object') {
+    const missingKeys = (schema.required || []).filter(key => value[key] === undefined || value[key] === null);
+    const missing = missingKeys.map(key => ({ path: join(path, key), message: 'is required' }));
+    const invalid = Object.entries(schema.properties || {})
+        .filter(([key]) => !missingKeys.includes(key))
+        .flatMap(([key, property]) => validate(property, value[key], join(path, key)));
+    const errors = [...missing, ...invalid];
+
+    // Cross-field rules only make sense once the fields themselves are valid
+    if (!errors.length && schema.refine) {
+      return schema.refine(value).map(error => ({ path: join(path, error.path), message: error.message }));
+    }
+    return errors;
+  }
+
+  return [];
+}
+
+/**
+ * Formats validation errors as "path message" lines
+ * @param {Array<{path: string, message: string}>} errors - Errors from validate()
+ * @returns {string[]}
+ */
+function formatErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`);
+}
+
+module.exports = {
+  FREQUENCIES,
+  SCHEDULE_SCHEMA,
+  ACKNOWLEDGEMENT_SCHEMA,
+  ANALYSIS_SCHEMA,
+  EDIT_SCHEMA,
+  PERIOD_SCHEMA,
+  TIMEZONE_DETECTION_SCHEMA,
+  TIMEZONE_VALIDATION_SCHEMA,
+  validate,
+  formatErrors
+};
@@ -0,0 +1,117 @@
+// Snooze support for delivered reminders
+const { saveReminder, getDeliveredReminder, clearPendingAck } = require('./redis');
+const { t } = require('./i18n');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { DateTime } = require('luxon');
+
+// Preset snooze options shown under every delivered reminder
+const SNOOZE_OPTIONS = {
+  '10m': { duration: { minutes: 10 } },
+  '1h': { duration: { hours: 1 } },
+  'tomorrow': {}
+};
+
+/**
+ * Builds the inline keyboard attached to a delivered reminder
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} reminder - Delivered reminder
+ * @param {string} language - Language of the button labels
+ * @returns {Object} - Telegram reply_markup
+ */
+function getReminderKeyboard(reminderId, reminder, language = 'en') {
+  const requiresAck = Boolean(reminder.acknowledgement && reminder.acknowledgement.required);
+
+  return {
+    inline_keyboard: [
+      Object.keys(SNOOZE_OPTIONS).map(option => ({
+        text: t(language, `snooze.${option}`),
+        callback_data: `snooze_${reminderId}_${option}`
+      })),
+      [
+        { text: t(language, 'snooze.custom'), callback_data: `snooze_custom_${reminderId}` },
+        requiresAck
+          ? { text: t(language, 'ack.button'), callback_data: `ack_${reminderId}` }
+          : { text: t(language, 'done.button'), callback_data: `done_${reminderId}` }
+      ]
+    ]
+  };
+}
+
+/**
+ * Calculates when a preset snooze option should fire again
+ * @param {string} option - Key of SNOOZE_OPTIONS
+ * @param {string} timezone - Chat's timezone
+ * @returns {Date|null} - Snooze time or null for unknown options
+ */
+function getSnoozeTime(option, timezone) {
+  const snoozeOption = SNOOZE_OPTIONS[option];
+  if (!snoozeOption) {
+    return null;
+  }
+
+  const now = DateTime.now().setZone(timezone);
+
+  if (snoozeOption.duration) {
+    return now.plus(snoozeOption.duration).toJSDate();
+  }
+
+  // Tomorrow morning in the chat's timezone
+  const [hours, minutes] = config.SNOOZE_MORNING_TIME.split(':').map(Number);
+  return now.plus({ days: 1 })
+      .set({ hour: hours, minute: minutes, second: 0, millisecond: 0 })
+      .toJSDate();
+}
+
+/**
+ * Creates a one-shot follow-up for a delivered reminder.
+ * The original reminder and its schedule are left untouched.
+ * @param {string} chatId - Chat ID
+ * @param {string} reminderId - ID of the delivered reminder
+ * @param {Date} snoozeUntil - When the follow-up should fire
+ * @returns {Promise<Object|null>} - Follow-up ID and reminder, or null if the delivery has expired
+ */
+async function snoozeReminder(chatId, reminderId, snoozeUntil) {
+  const delivered = await getDeliveredReminder(chatId, reminderId);
+  if (!delivered) {
+    return null;
+  }
+
+  const timezone = delivered.timezone || config.DEFAULT_TIMEZONE;
+  const snoozeTime = DateTime.fromJSDate(snoozeUntil).setZone(timezone);
+
+  const followUp = {
+    message: delivered.message,
+    schedule: {
+      frequency: 'once',
+      time: snoozeTime.toFormat('HH:mm'),
+      date: snoozeTime.toFormat('yyyy-MM-dd')
+    },
+    nextRun: snoozeUntil.toISOString(),
+    createdAt: new Date().toISOString(),
+    timezone,
+    createdBy: delivered.createdBy,
+    personalTimezone: delivered.personalTimezone,
+    tags: delivered.tags,
+    // Follow-ups of follow-ups still point at the reminder that started it all
+    snoozeOf: delivered.snoozeOf || reminderId,
+    acknowledgement: delivered.acknowledgement || null,
+    channels: delivered.channels || null,
+    quietMode: delivered.quietMode
+  };
+
+  const followUpId = await saveReminder(chatId, followUp, 'reminder.snoozed');
+
+  // Snoozing pauses nagging; the follow-up starts it again when it fires
+  await clearPendingAck(chatId, reminderId);
+  logger.info(`Snoozed reminder ${reminderId} for chat ${chatId} until ${followUp.nextRun} as ${followUpId}`);
+
+  return { id: followUpId, reminder: followUp };
+}
+
+module.exports = {
+  SNOOZE_OPTIONS,
+  getReminderKeyboard,
+  getSnoozeTime,
+  snoozeReminder
+};
@@ -1,23 +1,19 @@
 // src/services/speech.js - Fixed version
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const { finished } = require('stream/promises');
 const axios = require('axios');
-const config = require('../config');
+const { createTranscription } = require('./llm');
 const logger = require('../utils/logger');
 
-const openai = new OpenAI({
-    apiKey: config.OPENAI_API_KEY,
-});
-
 /**
- * Transcribe voice message to text using OpenAI's Whisper API
+ * Transcribe voice message to text using the configured transcription model
  * @param {string} fileUrl - URL of the voice message file
  * @param {string} userId - Telegram user ID
+ * @param {string} chatId - Chat the message came from, for the usage budgets
  * @returns {Promise<string>} - Transcribed text
  */
-async function transcribeVoiceMessage(fileUrl, userId) {
+async function transcribeVoiceMessage(fileUrl, userId, chatId) {
     try {
         const tempDir = path.join(__dirname, '../../temp');
 
@@ -41,12 +37,8 @@ async function transcribeVoiceMessage(fileUrl, userId) {
 
         logger.info(`Voice message downloaded to ${filePath}`);
 
-        // Transcribe using OpenAI's API without specifying language (API will auto-detect)
-        const transcription = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(filePath),
-            model: "whisper-1",
-            // Don't use the language parameter at all
-        });
+        // Transcribe without specifying language (API will auto-detect)
+        const transcription = await createTranscription(() => fs.createReadStream(filePath), chatId);
 
         // Clean up temp file
         fs.unlinkSync(filePath);
@@ -54,6 +46,9 @@ async function transcribeVoiceMessage(fileUrl, userId) {
         logger.info(`Voice message transcribed: "${message}"`);
         return message;
     } catch (error) {
+        if (error.budgetExceeded) {
+            throw error;
+        }
         logger.error('Error transcribing voice message:', error);
         throw new Error('Failed to transcribe voice message');
     }
@@ -0,0 +1,62 @@
+// Reminder tags: #hashtags in reminder text and tags named to the LLM
+
+const HASHTAG_PATTERN = /(^|\s)#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * Normalizes a tag: lowercase, without a leading "#"
+ * @param {string} tag - Tag as written
+ * @returns {string|null} - Normalized tag, or null if it can't be a tag
+ */
+function normalizeTag(tag) {
+  const normalized = String(tag || '').trim().replace(/^#/, '').toLowerCase();
+  return /^[\p{L}\p{N}_][\p{L}\p{N}_-]*$/u.test(normalized) && normalized.length <= MAX_TAG_LENGTH
+    ? normalized
+    : null;
+}
+
+/**
+ * Normalizes and deduplicates tag lists
+ * @param {...Array<string>} lists - Tag lists, null entries are skipped
+ * @returns {string[]}
+ */
+function mergeTags(...lists) {
+  const tags = lists
+      .filter(Array.isArray)
+      .flat()
+      .map(normalizeTag)
+      .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Takes #hashtags out of a reminder request
+ * @param {string} text - Reminder request, e.g. "#work call Anna at 5pm"
+ * @returns {{text: string, tags: string[]}} - Text without the hashtags and the tags found
+ */
+function extractTags(text) {
+  const tags = [];
+  const stripped = text.replace(HASHTAG_PATTERN, (match, space, tag) => {
+    tags.push(tag);
+    return space;
+  });
+
+  return { text: stripped.replace(/\s{2,}/g, ' ').trim(), tags: mergeTags(tags) };
+}
+
+/**
+ * Formats tags for messages, e.g. "#work #calls"
+ * @param {string[]} tags - Tags
+ * @returns {string}
+ */
+function formatTags(tags) {
+  return (tags || []).map(tag => `#${tag}`).join(' ');
+}
+
+module.exports = {
+  normalizeTag,
+  mergeTags,
+  extractTags,
+  formatTags
+};
@@ -0,0 +1,132 @@
+// LLM usage accounting with daily token budgets, and rate limits on commands
+const { DateTime } = require('luxon');
+const { hitRateLimit, recordLlmUsage, getLlmUsage } = require('./redis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Budgets are daily in UTC so every chat resets at the same moment
+function getUsageDay(date = DateTime.utc()) {
+  return date.toFormat('yyyy-MM-dd');
+}
+
+// Days covered by /usage, oldest first
+function getUsageDays() {
+  const today = DateTime.utc();
+  return Array.from({ length: config.USAGE_RETENTION_DAYS }, (_, index) =>
+    getUsageDay(today.minus({ days: config.USAGE_RETENTION_DAYS - 1 - index }))
+  );
+}
+
+/**
+ * Throws if a chat or the whole bot has used up today's LLM token budget.
+ * The error has budgetExceeded set to "chat" or "global".
+ * @param {string|null} chatId - Chat the request is for, null if it can't be attributed
+ */
+async function checkBudget(chatId) {
+  const day = getUsageDay();
+  const [[global], [chat]] = await Promise.all([
+    getLlmUsage('global', [day]),
+    chatId ? getLlmUsage(chatId, [day]) : [null]
+  ]);
+
+  let scope = null;
+  if (config.LLM_GLOBAL_DAILY_TOKENS && global.tokens >= config.LLM_GLOBAL_DAILY_TOKENS) {
+    scope = 'global';
+  } else if (chat && config.LLM_CHAT_DAILY_TOKENS && chat.tokens >= config.LLM_CHAT_DAILY_TOKENS) {
+    scope = 'chat';
+  }
+
+  if (scope) {
+    const error = new Error(`Daily ${scope} LLM token budget used up`);
+    error.budgetExceeded = scope;
+    throw error;
+  }
+}
+
+/**
+ * Counts an LLM request with the tokens from its response `usage`. Never throws:
+ * the answer was already paid for.
+ * @param {string|null} chatId - Chat the request was made for
+ * @param {Object} usage - `usage` of the response; transcriptions may not have one
+ */
+async function recordUsage(chatId, usage) {
+  const tokens = (usage && usage.total_tokens) || 0;
+
+  try {
+    await recordLlmUsage(chatId || null, getUsageDay(), tokens);
+  } catch (error) {
+    logger.error(`Error recording LLM usage for chat ${chatId}:`, error);
+  }
+}
+
+/**
+ * Gets a chat's LLM usage for /usage
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object>} - { today, total, days } with requests and tokens
+ */
+async function getUsageSummary(chatId) {
+  const days = await getLlmUsage(chatId, getUsageDays());
+
+  return {
+    today: days[days.length - 1],
+    total: days.reduce((sum, day) => ({ requests: sum.requests + day.requests, tokens: sum.tokens + day.tokens }),
+        { requests: 0, tokens: 0 }),
+    days
+  };
+}
+
+// Commands and replies to the bot's prompts (edit, custom snooze) are what reach
+// the LLM-backed handlers; other chatter in groups is left alone
+function isRateLimited(ctx) {
+  const message = ctx.message;
+  if (!message || !message.text) {
+    return false;
+  }
+
+  const replyTo = message.reply_to_message;
+  return message.text.startsWith('/') ||
+    Boolean(replyTo && replyTo.from && ctx.botInfo && replyTo.from.id === ctx.botInfo.id);
+}
+
+/**
+ * Telegraf middleware that limits how many commands and replies to the bot a chat sends
+ * per sliding window. Only the first rejected message in a row is answered, so a flood
+ * doesn't get a flood back.
+ */
+function rateLimitMiddleware() {
+  const warned = new Set();
+
+  return async (ctx, next) => {
+    if (!config.RATE_LIMIT_COMMANDS || !ctx.chat || !isRateLimited(ctx)) {
+      return next();
+    }
+
+    const text = ctx.message.text;
+    const chatId = ctx.chat.id.toString();
+    let wait = 0;
+    try {
+      wait = await hitRateLimit(chatId, config.RATE_LIMIT_COMMANDS, config.RATE_LIMIT_WINDOW);
+    } catch (error) {
+      // Better to let a message through than to lock everyone out while Redis is down
+      logger.error(`Error checking the rate limit of chat ${chatId}:`, error);
+    }
+
+    if (!wait) {
+      warned.delete(chatId);
+      return next();
+    }
+
+    logger.warn(`Rate limited chat ${chatId}: ${text.startsWith('/') ? text.split(/\s/)[0] : 'reply'}`);
+    if (!warned.has(chatId)) {
+      warned.add(chatId);
+      await ctx.reply(ctx.t('usage.rateLimited', { seconds: Math.ceil(wait / 1000) }));
+    }
+  };
+}
+
+module.exports = {
+  checkBudget,
+  recordUsage,
+  getUsageSummary,
+  rateLimitMiddleware
+};
@@ -0,0 +1,186 @@
+// Outgoing webhooks for reminder lifecycle events
+const axios = require('axios');
+const crypto = require('crypto');
+const {
+  onReminderEvent,
+  getWebhooks,
+  scheduleWebhookDelivery,
+  completeWebhookDelivery,
+  claimDueWebhookDeliveries,
+  logWebhookDelivery
+} = require('./redis');
+const { lookupPublicAddress, assertPublicUrl } = require('../utils/network');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const WEBHOOK_EVENTS = [
+  'reminder.created',
+  'reminder.fired',
+  'reminder.snoozed',
+  'reminder.rescheduled',
+  'reminder.deleted'
+];
+
+/**
+ * Signs a payload with the subscription secret.
+ * Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" and compare.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix timestamp in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Value of the X-Webhook-Signature header
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+// Delay before the next attempt: exponential backoff with jitter
+function getRetryDelay(attempts) {
+  const delay = Math.min(
+      config.WEBHOOK_RETRY_BASE_DELAY * 2 ** (attempts - 1),
+      config.WEBHOOK_RETRY_MAX_DELAY
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queues deliveries of a reminder event to the chat's subscribed webhooks
+ * @param {Object} reminderEvent - Event from onReminderEvent
+ */
+async function queueReminderEvent({ event, chatId, reminderId, reminder, ...details }) {
+  const webhooks = await getWebhooks(chatId);
+
+  for (const [webhookId, webhook] of Object.entries(webhooks)) {
+    if (!webhook.events.includes(event)) {
+      continue;
+    }
+
+    const deliveryId = crypto.randomUUID();
+    const payload = {
+      id: deliveryId,
+      event,
+      createdAt: new Date().toISOString(),
+      chatId,
+      reminderId,
+      reminder,
+      ...details
+    };
+
+    await scheduleWebhookDelivery(deliveryId, { chatId, webhookId, payload, attempts: 0 }, new Date());
+  }
+}
+
+/**
+ * Makes one delivery attempt and retries, gives up or completes it
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} delivery - Queued delivery
+ */
+async function attemptDelivery(deliveryId, delivery) {
+  const { chatId, webhookId, payload } = delivery;
+  const webhook = (await getWebhooks(chatId))[webhookId];
+
+  // Subscription was removed while the delivery was queued
+  if (!webhook) {
+    await completeWebhookDelivery(deliveryId);
+    return;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const entry = { deliveryId, webhookId, event: payload.event, attempt: attempts, at: new Date().toISOString() };
+
+  try {
+    // The host was public when the webhook was added, but DNS may have changed since
+    await assertPublicUrl(webhook.url);
+    const response = await axios.post(webhook.url, body, {
+      timeout: config.WEBHOOK_TIMEOUT,
+      maxRedirects: 0,
+      lookup: lookupPublicAddress,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'notification-service-webhooks',
+        'X-Webhook-Id': webhookId,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      }
+    });
+
+    await completeWebhookDelivery(deliveryId);
+    await logWebhookDelivery(chatId, { ...entry, status: 'delivered', statusCode: response.status });
+    logger.info(`Delivered webhook ${webhookId} ${payload.event} for chat ${chatId}`);
+  } catch (error) {
+    const statusCode = error.response ? error.response.status : null;
+    const failure = { ...entry, statusCode, error: statusCode ? `HTTP ${statusCode}` : error.code || error.message };
+
+    // Retrying a private address would only knock on the same door again
+    if (attempts >= config.WEBHOOK_MAX_ATTEMPTS || error.code === 'EPRIVATEADDRESS') {
+      await completeWebhookDelivery(deliveryId);
+      await logWebhookDelivery(chatId, { ...failure, status: 'failed' });
+      logger.warn(`Gave up on webhook ${webhookId} ${payload.event} for chat ${chatId} after ${attempts} attempts`);
+      return;
+    }
+
+    const retryAt = new Date(Date.now() + getRetryDelay(attempts));
+    await scheduleWebhookDelivery(deliveryId, { ...delivery, attempts }, retryAt);
+    await logWebhookDelivery(chatId, { ...failure, status: 'retrying', retryAt: retryAt.toISOString() });
+    logger.warn(`Webhook ${webhookId} ${payload.event} for chat ${chatId} failed (${failure.error}), retrying at ${retryAt.toISOString()}`);
+  }
+}
+
+/**
+ * Sends due webhook deliveries. Attempts run in parallel so one slow
+ * receiver only holds up its own deliveries.
+ */
+async function processWebhookDeliveries() {
+  const deliveries = await claimDueWebhookDeliveries();
+
+  await Promise.all(deliveries.map(({ deliveryId, delivery }) =>
+    attemptDelivery(deliveryId, delivery).catch(error => {
+      logger.error(`Error delivering webhook ${deliveryId}:`, error);
+    })
+  ));
+}
+
+/**
+ * Queues webhook deliveries for reminder events of this instance and
+ * sends queued deliveries on their own timer, independent of the scheduler
+ */
+function setupWebhooks() {
+  let running = false;
+
+  async function dispatch() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await processWebhookDeliveries();
+    } catch (error) {
+      logger.error('Error processing webhook deliveries:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  onReminderEvent((reminderEvent) => {
+    // Never let an integration delay the command or delivery that caused the event
+    queueReminderEvent(reminderEvent)
+        .then(dispatch)
+        .catch(error => {
+          logger.error(`Error queueing webhooks for ${reminderEvent.event}:`, error);
+        });
+  });
+
+  setInterval(dispatch, config.WEBHOOK_DISPATCH_INTERVAL);
+  logger.info('Webhook dispatcher started');
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  setupWebhooks
+};
@@ -0,0 +1,117 @@
+// Network helpers for requests to user-supplied URLs
+const dns = require('dns');
+const net = require('net');
+
+// Addresses user-supplied URLs may not reach: the bot's own host and network,
+// link-local (cloud metadata), private, shared, multicast and reserved ranges.
+// Separate lists, as a BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules too.
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], // unspecified and loopback
+  ['::ffff:0:0', 96], // IPv4-mapped, which would get around the IPv4 ranges
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Checks whether an IP address is one user-supplied URLs may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return BLOCKED_IPV4.check(address, 'ipv4');
+  }
+  return family !== 6 || BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+/**
+ * Resolves a host name and makes sure none of its addresses is private.
+ * The error for a private address has code EPRIVATEADDRESS; DNS errors are passed on.
+ * @param {string} hostname - Host name or IP address, IPv6 in brackets or not
+ * @returns {Promise<Array>} - Addresses as { address, family }
+ */
+async function resolvePublicAddresses(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    const error = new Error(`${host} resolves to a private address`);
+    error.code = 'EPRIVATEADDRESS';
+    throw error;
+  }
+
+  return addresses;
+}
+
+/**
+ * Checks a user-supplied URL before it is stored: http(s) only, and the host
+ * must resolve to public addresses
+ * @param {string} value - URL
+ * @returns {Promise<boolean>}
+ */
+async function isPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return false;
+  }
+
+  try {
+    await resolvePublicAddresses(url.hostname);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Axios `lookup` that refuses private addresses, so a host that resolved to a
+ * public address when it was checked can't be pointed at the bot's network later
+ * @param {string} hostname - Host name
+ * @returns {Promise<Array>} - [address, family]
+ */
+async function lookupPublicAddress(hostname) {
+  const [{ address, family }] = await resolvePublicAddresses(hostname);
+  return [address, family];
+}
+
+/**
+ * Makes sure a stored URL still points at a public address right before a request.
+ * IP addresses in URLs never go through `lookup`, so they are checked here.
+ * @param {string} value - URL
+ */
+async function assertPublicUrl(value) {
+  await resolvePublicAddresses(new URL(value).hostname);
+}
+
+module.exports = {
+  isPrivateAddress,
+  isPublicUrl,
+  lookupPublicAddress,
+  assertPublicUrl
+};
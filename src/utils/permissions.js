@@ -0,0 +1,20 @@
+// Chat permission helpers
+
+/**
+ * Checks whether the sender may change chat-wide integrations. Anyone can in
+ * private chats; in groups only administrators can.
+ * @param {Object} ctx - Telegraf context
+ * @returns {Promise<boolean>}
+ */
+async function canManageChat(ctx) {
+  if (ctx.chat.type === 'private') {
+    return true;
+  }
+
+  const member = await ctx.getChatMember(ctx.from.id);
+  return ['creator', 'administrator'].includes(member.status);
+}
+
+module.exports = {
+  canManageChat
+};